@@ -0,0 +1,193 @@
+/**
+ * Animal Age
+ * Reading age text ("2 Years", "1 year 6 months", "8 wks"), estimating a
+ * birthdate from it, and working out an animal's age on a given day so
+ * reprinted cards and flyers don't show the age the animal was when entered.
+ * Also reads and formats the stored YYYY-MM-DD dates used elsewhere (adoption,
+ * intake, event and custom field dates).
+ *
+ * Shared by the main process and the renderer.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the years, months and weeks out of age text
+ * @param {string} ageText - Age text as stored in age_long
+ * @returns {{years: number, months: number, weeks: number}|null} - null when there's no age in it
+ */
+function parseAgeParts(ageText) {
+    if (!ageText) return null;
+    const text = String(ageText).toLowerCase();
+    const years = text.match(/(\d+(?:\.\d+)?)\s*(?:years?|yrs?|y\b)/);
+    const months = text.match(/(\d+)\s*(?:months?|mos?|m\b)/);
+    const weeks = text.match(/(\d+)\s*(?:weeks?|wks?|w\b)/);
+    if (!years && !months && !weeks) return null;
+
+    return {
+        years: years ? parseFloat(years[1]) : 0,
+        months: months ? parseInt(months[1], 10) : 0,
+        weeks: weeks ? parseInt(weeks[1], 10) : 0
+    };
+}
+
+/**
+ * Convert an age description to months, e.g. "2 Years" -> 24, "1 year 6 months" -> 18
+ * @param {string} ageText - Age text as stored in age_long
+ * @returns {number|null} - Age in months, or null when it can't be read
+ */
+function parseAgeMonths(ageText) {
+    const parts = parseAgeParts(ageText);
+    if (!parts) return null;
+    return Math.round(parts.years * 12) + parts.months + Math.floor(parts.weeks / 4);
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toDateString(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Read a stored YYYY-MM-DD date as local midnight
+ * @param {string} value - Stored date
+ * @returns {Date|null} - null when it isn't a date
+ */
+function parseDateString(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a stored YYYY-MM-DD date for cards and the UI, e.g. "October 19, 2026"
+ * or, with the weekday, "Monday, October 19, 2026"
+ * @param {string|null} value - Stored date (a time after the date is ignored)
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.weekday] - Start with the day of the week
+ * @returns {string} - Formatted date, '' when there is none, or the value as-is
+ *   when it isn't a date
+ */
+function formatDisplayDate(value, options = {}) {
+    if (!value) return '';
+    const date = parseDateString(value);
+    if (!date) return String(value);
+    return date.toLocaleDateString('en-US', {
+        ...(options.weekday ? { weekday: 'long' } : {}),
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Estimate a birthdate from age text, e.g. "2 Years" on 2026-10-19 -> "2024-10-19"
+ * @param {string} ageText - Age text
+ * @param {Date} [asOf] - The day the age was true (defaults to today)
+ * @returns {string|null} - YYYY-MM-DD, or null when the text has no age in it
+ */
+function estimateBirthdate(ageText, asOf = new Date()) {
+    const parts = parseAgeParts(ageText);
+    if (!parts) return null;
+    const months = Math.round(parts.years * 12) + parts.months;
+
+    // Go back whole months first, keeping the day within the target month
+    // ("1 Month" on March 31 is February 28, not March 3)
+    const monthStart = new Date(asOf.getFullYear(), asOf.getMonth() - months, 1);
+    const lastDay = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+    const day = Math.min(asOf.getDate(), lastDay);
+    return toDateString(new Date(monthStart.getFullYear(), monthStart.getMonth(), day - parts.weeks * 7));
+}
+
+/**
+ * Format an age in the app's long and short styles: weeks under a month,
+ * months under a year, whole years after that
+ * @param {number} months - Whole months old
+ * @param {number} days - Days old
+ * @returns {{age_long: string, age_short: string}}
+ */
+function formatAge(months, days) {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    if (months < 1) {
+        const weeks = Math.max(1, Math.floor(days / 7));
+        return { age_long: plural(weeks, 'Week'), age_short: `${weeks} Wk` };
+    }
+    if (months < 12) {
+        return { age_long: plural(months, 'Month'), age_short: `${months} Mo` };
+    }
+    const years = Math.floor(months / 12);
+    return { age_long: plural(years, 'Year'), age_short: `${years} Yr` };
+}
+
+/**
+ * Work out an animal's age from its birthdate
+ * @param {string} birthdate - YYYY-MM-DD
+ * @param {Date} [asOf] - The day to work the age out for (defaults to today)
+ * @returns {{months: number, age_long: string, age_short: string}|null} - null when the
+ *   birthdate is missing, unreadable or in the future
+ */
+function computeAge(birthdate, asOf = new Date()) {
+    const born = parseDateString(birthdate);
+    if (!born) return null;
+    const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+    if (born > today) return null;
+
+    let months = (today.getFullYear() - born.getFullYear()) * 12 + (today.getMonth() - born.getMonth());
+    if (today.getDate() < born.getDate()) months--;
+    const days = Math.round((today - born) / DAY_MS);
+
+    return { months, ...formatAge(months, days) };
+}
+
+/**
+ * An animal's current age, from its birthdate when it has one and its stored
+ * age text otherwise
+ * @param {Object} animal - Animal row
+ * @param {Date} [asOf] - The day to work the age out for (defaults to today)
+ * @returns {{age_long: string, age_short: string}}
+ */
+function getCurrentAge(animal, asOf = new Date()) {
+    const age = computeAge(animal.birthdate, asOf);
+    if (age) return { age_long: age.age_long, age_short: age.age_short };
+    return { age_long: animal.age_long || '', age_short: animal.age_short || '' };
+}
+
+/**
+ * Months old for searching and sorting (the SQL age_months function)
+ * @param {string|null} birthdate - YYYY-MM-DD
+ * @param {string|null} ageText - Stored age text, used when there's no birthdate
+ * @returns {number|null}
+ */
+function getAgeMonths(birthdate, ageText) {
+    const age = computeAge(birthdate);
+    return age ? age.months : parseAgeMonths(ageText);
+}
+
+/**
+ * Whether an animal's stored age text no longer matches the age worked out
+ * from its birthdate (e.g. "4 Months" six months later)
+ * @param {Object} animal - Animal row
+ * @param {Date} [asOf] - The day to check (defaults to today)
+ * @returns {boolean} - false when either age can't be worked out
+ */
+function isStoredAgeOutdated(animal, asOf = new Date()) {
+    const current = computeAge(animal.birthdate, asOf);
+    const stored = computeAge(estimateBirthdate(animal.age_long, asOf), asOf);
+    if (!current || !stored) return false;
+    return current.age_long !== stored.age_long;
+}
+
+module.exports = {
+    parseAgeMonths,
+    formatDisplayDate,
+    estimateBirthdate,
+    computeAge,
+    getCurrentAge,
+    getAgeMonths,
+    isStoredAgeOutdated
+};
@@ -0,0 +1,215 @@
+/**
+ * Animal Duplicate Detection (main process)
+ * Finds animals that are probably the same pet entered twice:
+ *   - imported from the same adoption page, or the same pet ID on a site
+ *   - a similar name and species, with a similar portrait or (in the same
+ *     rescue) a similar breed - e.g. one copy entered by hand and one scraped,
+ *     or one scraped from Wagtopia and one from Adoptapet
+ * Portraits are compared by perceptual hash (image-store.js), so a resized or
+ * re-compressed copy of a photo still matches.
+ */
+
+const db = require('./db.js');
+const imageStore = require('./image-store.js');
+const { normalizeSourceUrl, getPetId } = require('./roster-sync.js');
+
+// Least name similarity (0-1) for a fuzzy match
+const SIMILAR_NAME_SCORE = 0.8;
+
+// Most bits (of 64) two portraits' perceptual hashes may differ by to count as the same photo
+const SIMILAR_PORTRAIT_DISTANCE = 10;
+
+// Words that say nothing about which breed an animal is
+const BREED_FILLER_WORDS = ['mix', 'mixed', 'breed', 'and', 'domestic', 'with', 'a'];
+
+/**
+ * Get a pet's ID on the site its adoption page is on, e.g. "adoptapet.com:47001307"
+ * @param {string} url - Adoption page URL
+ * @returns {string|null}
+ */
+function getSourcePetKey(url) {
+    const normalized = normalizeSourceUrl(url);
+    const petId = getPetId(url);
+    if (!normalized || !petId) return null;
+    return `${normalized.split('/')[0]}:${petId}`;
+}
+
+/**
+ * Simplify a name for comparison: lowercase letters and digits only, without
+ * notes in brackets ("Buddy (courtesy post)" -> "buddy")
+ * @param {string} name - Animal name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .replace(/[([{].*?[)\]}]/g, '')
+        .normalize('NFD')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Count the single-character edits that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How alike two names are
+ * @param {string} a - Name
+ * @param {string} b - Name
+ * @returns {number} - 0 (nothing alike) to 1 (the same)
+ */
+function getNameSimilarity(a, b) {
+    const nameA = normalizeName(a);
+    const nameB = normalizeName(b);
+    if (!nameA || !nameB) return 0;
+    return 1 - getEditDistance(nameA, nameB) / Math.max(nameA.length, nameB.length);
+}
+
+/**
+ * Whether two breeds could describe the same animal: they share a word, or one
+ * word is short for the other ("Lab Mix" and "Labrador Retriever")
+ * @param {string} a - Breed
+ * @param {string} b - Breed
+ * @returns {boolean} - false when either breed is missing
+ */
+function isSimilarBreed(a, b) {
+    const words = (breed) => String(breed || '').toLowerCase().split(/[^a-z]+/)
+        .filter(word => word.length > 1 && !BREED_FILLER_WORDS.includes(word));
+    const wordsA = words(a);
+    const wordsB = words(b);
+    return wordsA.some(wordA => wordsB.some(wordB =>
+        wordA === wordB || (Math.min(wordA.length, wordB.length) >= 3 && (wordA.startsWith(wordB) || wordB.startsWith(wordA)))
+    ));
+}
+
+/**
+ * Work out the perceptual hash of every portrait that doesn't have one cached
+ * @returns {Promise<Map<string, string>>} - Perceptual hash by image content hash
+ */
+async function loadPortraitHashes() {
+    const phashes = new Map();
+    for (const image of db.getPortraitImages()) {
+        let phash = image.phash;
+        if (phash === null || phash === undefined) {
+            phash = await imageStore.getPerceptualHash(imageStore.getImagePath(image.hash, image.mime)) || '';
+            db.setImagePerceptualHash(image.hash, phash);
+        }
+        if (phash) phashes.set(image.hash, phash);
+    }
+    return phashes;
+}
+
+/**
+ * Compare two animals
+ * @param {Object} a - Animal (name, breed, slug, species, rescue_id)
+ * @param {Object} b - Animal
+ * @param {string|null} phashA - Perceptual hash of a's portrait
+ * @param {string|null} phashB - Perceptual hash of b's portrait
+ * @returns {{reasons: Array<string>, sameSource: boolean}|null} - null when they don't look alike;
+ *   sameSource is true when both came from the same adoption page or pet ID
+ */
+function compareAnimals(a, b, phashA, phashB) {
+    const reasons = [];
+    let sameSource = false;
+
+    const urlA = normalizeSourceUrl(a.slug);
+    if (urlA && urlA === normalizeSourceUrl(b.slug)) {
+        reasons.push('Same adoption page');
+        sameSource = true;
+    } else {
+        const petKey = getSourcePetKey(a.slug);
+        if (petKey && petKey === getSourcePetKey(b.slug)) {
+            reasons.push(`Same pet ID on ${petKey.split(':')[0]}`);
+            sameSource = true;
+        }
+    }
+
+    const sameSpecies = (a.species || 'dog') === (b.species || 'dog');
+    if (sameSpecies && getNameSimilarity(a.name, b.name) >= SIMILAR_NAME_SCORE) {
+        if (phashA && phashB && imageStore.getPerceptualDistance(phashA, phashB) <= SIMILAR_PORTRAIT_DISTANCE) {
+            reasons.push('Similar name and photo');
+        } else if (Number(a.rescue_id) === Number(b.rescue_id) && isSimilarBreed(a.breed, b.breed)) {
+            reasons.push('Similar name and breed in the same rescue');
+        }
+    }
+
+    return reasons.length > 0 ? { reasons, sameSource } : null;
+}
+
+/**
+ * Look for animals already in the app that a new animal may duplicate
+ * (animals in the trash are left out)
+ * @param {Object} candidate - Animal about to be created (name, breed, slug, species, rescue_id)
+ * @param {Object} [image] - Its portrait, { hex } or { data }
+ * @returns {Promise<Array<{animal: Object, reasons: Array<string>, sameSource: boolean}>>} - Same-source
+ *   matches first
+ */
+async function findDuplicateAnimals(candidate, image = null) {
+    const phashes = await loadPortraitHashes();
+    const candidateHash = image
+        ? await imageStore.getPerceptualHash(image.data ? Buffer.from(image.data) : Buffer.from(image.hex, 'hex'))
+        : null;
+
+    const matches = [];
+    for (const animal of db.getAllAnimals()) {
+        if (candidate.id && animal.id === candidate.id) continue;
+        const match = compareAnimals(candidate, animal, candidateHash, phashes.get(animal.portrait_hash));
+        if (match) {
+            matches.push({ animal, ...match });
+        }
+    }
+    return matches.sort((x, y) => Number(y.sameSource) - Number(x.sameSource));
+}
+
+/**
+ * List every pair of animals that look like the same pet, except pairs the
+ * user dismissed (animals in the trash are left out)
+ * @returns {Promise<Array<{animals: Array<Object>, reasons: Array<string>, sameSource: boolean}>>}
+ */
+async function listSuspectedDuplicates() {
+    const phashes = await loadPortraitHashes();
+    const dismissed = new Set(db.getDismissedDuplicates().map(d => `${d.animal_id}:${d.other_animal_id}`));
+    const animals = db.getAllAnimals().sort((a, b) => a.id - b.id);
+
+    const pairs = [];
+    for (let i = 0; i < animals.length; i++) {
+        for (let j = i + 1; j < animals.length; j++) {
+            const [a, b] = [animals[i], animals[j]];
+            if (dismissed.has(`${a.id}:${b.id}`)) continue;
+            const match = compareAnimals(a, b, phashes.get(a.portrait_hash), phashes.get(b.portrait_hash));
+            if (match) {
+                pairs.push({ animals: [a, b], ...match });
+            }
+        }
+    }
+
+    console.log(`[Duplicates] Found ${pairs.length} suspected duplicate(s) among ${animals.length} animals`);
+    return pairs;
+}
+
+module.exports = {
+    getSourcePetKey,
+    getNameSimilarity,
+    isSimilarBreed,
+    compareAnimals,
+    findDuplicateAnimals,
+    listSuspectedDuplicates
+};
@@ -0,0 +1,109 @@
+/**
+ * Animal Facts
+ * Formatting and parsing for the structured medical and adoption details
+ * (weight, spay/neuter, microchip, adoption fee, special needs, intake date),
+ * and the factual traits built from them for flyers.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+const { SPECIES, getSpecies } = require('./species.js');
+
+/**
+ * Read a number from user or website input ("45", "45.5 lbs", "$150.00")
+ * @param {*} value - Input value
+ * @returns {number|null} - null when there's no number
+ */
+function parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+    const match = String(value).replace(/,/g, '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Find a weight in free text, e.g. "she weighs about 45 lbs" -> 45
+ * @param {string} text - Bio or page text
+ * @returns {number|null} - Weight in pounds, or null if none is mentioned
+ */
+function findWeightInText(text) {
+    if (!text) return null;
+    const match = String(text).match(/(\d+(?:\.\d+)?)\s*(?:lbs?|pounds)\b/i);
+    return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Format a weight for display
+ * @param {number|null} lbs - Weight in pounds
+ * @returns {string} - e.g. "45 lbs", or '' when unknown
+ */
+function formatWeight(lbs) {
+    if (lbs === null || lbs === undefined || lbs === '') return '';
+    return `${Number(lbs)} lbs`;
+}
+
+/**
+ * Format an adoption fee for display
+ * @param {number|null} amount - Fee in dollars
+ * @returns {string} - e.g. "$150" or "$87.50", or '' when unknown
+ */
+function formatAdoptionFee(amount) {
+    if (amount === null || amount === undefined || amount === '') return '';
+    const value = Number(amount);
+    return Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`;
+}
+
+/**
+ * Name the spay/neuter procedure for an animal's gender
+ * @param {string} gender - Male, Female, Neutered(M) or Spayed(F)
+ * @returns {string} - "Spayed", "Neutered" or "Spayed/Neutered"
+ */
+function getAlteredLabel(gender) {
+    if (/^(female|spayed)/i.test(gender || '')) return 'Spayed';
+    if (/^(male|neutered)/i.test(gender || '')) return 'Neutered';
+    return 'Spayed/Neutered';
+}
+
+/**
+ * Whether a tri-state value ('1', '0', '?') is a yes
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isYes(value) {
+    return value === 1 || value === '1' || value === true;
+}
+
+/**
+ * Build the factual flyer traits an animal's stored details support. Unknown
+ * details are left out rather than assumed.
+ * @param {Object} animal - Animal row
+ * @returns {Array<string>} - e.g. ["Housetrained", "Good with kids/dogs", "Neutered", "Medically UTD", ...]
+ */
+function getFactTraits(animal) {
+    const species = getSpecies(animal.species);
+    const animalWord = species === SPECIES.other ? 'pet' : species.label.toLowerCase();
+    const traits = [];
+
+    traits.push(animal.housetrained ? species.housetrainedLabel : `Not ${species.housetrainedLabel.toLowerCase()}`);
+
+    const goodWith = species.compatibility.filter(key => isYes(animal[key]));
+    if (goodWith.length > 0) traits.push(`Good with ${goodWith.join('/')}`);
+
+    if (isYes(animal.altered)) traits.push(getAlteredLabel(animal.gender));
+    if (animal.shots) traits.push('Medically UTD');
+    if (isYes(animal.microchipped)) traits.push('Microchipped');
+    if (animal.weight_lbs) traits.push(`Approx ${Number(animal.weight_lbs)}lbs`);
+    if (animal.size) traits.push(`${animal.size} sized ${animalWord}`);
+    if (animal.special_needs) traits.push('Special needs');
+
+    return traits;
+}
+
+module.exports = {
+    parseAmount,
+    findWeightInText,
+    formatWeight,
+    formatAdoptionFee,
+    getAlteredLabel,
+    getFactTraits
+};
@@ -0,0 +1,50 @@
+/**
+ * Animal Photo Import (main process)
+ * Downloads the photos scrapers find on an animal's adoption page into the
+ * animal's gallery, so they can be used offline and on flyers.
+ */
+
+const db = require('./db.js');
+const { downloadImage } = require('./download.js');
+const { detectImageMime } = require('./image-store.js');
+
+/**
+ * Download website photos into an animal's gallery. Photos already in the
+ * gallery are skipped; a failed download doesn't stop the others.
+ * @param {number} animalId - Animal ID
+ * @param {Array<string>} urls - Photo URLs
+ * @returns {Promise<{added: number, skipped: number, failed: number}>}
+ */
+async function importAnimalPhotos(animalId, urls) {
+    const known = new Set(db.getAnimalPhotos(animalId).map(photo => photo.source_url));
+    const summary = { added: 0, skipped: 0, failed: 0 };
+
+    for (const url of urls || []) {
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || known.has(url)) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            const data = await downloadImage(url);
+            const mime = detectImageMime(data);
+            if (!mime) {
+                throw new Error('not an image');
+            }
+
+            const { added } = db.addAnimalPhoto(animalId, { data, mime, path: url });
+            known.add(url);
+            summary[added ? 'added' : 'skipped']++;
+        } catch (err) {
+            console.warn(`[Photos] Could not download ${url}:`, err.message);
+            summary.failed++;
+        }
+    }
+
+    console.log(`[Photos] Animal ${animalId}: ${summary.added} photo(s) added, ${summary.skipped} skipped, ${summary.failed} failed`);
+    return summary;
+}
+
+module.exports = {
+    importAnimalPhotos
+};
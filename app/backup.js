@@ -0,0 +1,307 @@
+/**
+ * Database Backups
+ * A backup is a single gzipped tar archive (.fcgbackup) holding:
+ *   manifest.json - format version, app version, schema (migration) version,
+ *                   row counts, a SHA-256 checksum of the database and the
+ *                   list of images
+ *   animals.db    - the sql.js database file
+ *   images/       - the portraits and logos the database uses, named by the
+ *                   SHA-256 of their contents (format version 2 and later;
+ *                   older backups keep images inside the database)
+ *
+ * The archive can be opened with any tar tool (`tar -xzf backup.fcgbackup`).
+ * Automatic backups are kept in the backups folder of the data directory and
+ * rotated so only the most recent ones are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const BACKUP_FORMAT = 'foster-card-generator-backup';
+const BACKUP_FORMAT_VERSION = 2;
+const BACKUP_EXTENSION = '.fcgbackup';
+const MANIFEST_ENTRY = 'manifest.json';
+const DATABASE_ENTRY = 'animals.db';
+const IMAGES_PREFIX = 'images/';
+
+// Automatic backups kept before the oldest are deleted
+const MAX_AUTO_BACKUPS = 10;
+
+// Every SQLite database file starts with this header
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+const TAR_BLOCK = 512;
+
+// ============================================================
+// Tar Archive
+// ============================================================
+
+/**
+ * Build a ustar header block for a file entry
+ * @param {string} name - Entry name (max 100 bytes)
+ * @param {number} size - Entry size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer} - 512-byte header
+ */
+function buildTarHeader(name, size, mtime) {
+    const header = Buffer.alloc(TAR_BLOCK);
+    const writeField = (value, offset, length) => header.write(value, offset, length, 'utf8');
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+    writeField(name, 0, 100);
+    writeField(octal(0o644, 8), 100, 8);
+    writeField(octal(0, 8), 108, 8);
+    writeField(octal(0, 8), 116, 8);
+    writeField(octal(size, 12), 124, 12);
+    writeField(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12);
+    writeField('        ', 148, 8);
+    writeField('0', 156, 1);
+    writeField('ustar\0', 257, 6);
+    writeField('00', 263, 2);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    writeField(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+    return header;
+}
+
+/**
+ * Pack entries into a gzipped tar archive
+ * @param {Array<{name: string, data: Buffer}>} entries - Files to store
+ * @returns {Buffer}
+ */
+function packArchive(entries) {
+    const now = new Date();
+    const blocks = [];
+    for (const { name, data } of entries) {
+        blocks.push(buildTarHeader(name, data.length, now), data);
+        const padding = (TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    }
+    // Two empty blocks mark the end of the archive
+    blocks.push(Buffer.alloc(TAR_BLOCK * 2));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Unpack a gzipped tar archive
+ * @param {Buffer} archive - Archive contents
+ * @returns {Map<string, Buffer>} - Entry name to contents
+ */
+function unpackArchive(archive) {
+    const tar = zlib.gunzipSync(archive);
+    const entries = new Map();
+
+    let offset = 0;
+    while (offset + TAR_BLOCK <= tar.length) {
+        const header = tar.subarray(offset, offset + TAR_BLOCK);
+        if (header.every(byte => byte === 0)) break;
+
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, '').trim(), 8);
+        if (isNaN(size)) throw new Error(`Corrupt archive entry: ${name}`);
+
+        const start = offset + TAR_BLOCK;
+        if (start + size > tar.length) throw new Error(`Archive is truncated (${name})`);
+        entries.set(name, tar.subarray(start, start + size));
+
+        offset = start + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    }
+
+    return entries;
+}
+
+// ============================================================
+// Backup Files
+// ============================================================
+
+/**
+ * Get the app version from package.json
+ * @returns {string|null}
+ */
+function getAppVersion() {
+    try {
+        return require('../package.json').version;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * SHA-256 checksum of a buffer
+ * @param {Buffer} data - Data to hash
+ * @returns {string} - Hex digest
+ */
+function checksum(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Write a backup archive
+ * @param {string} destPath - Archive path
+ * @param {Buffer} dbData - Database file contents
+ * @param {Object} info - Extra manifest fields (migrationVersion, counts, reason)
+ * @param {Array<{file: string, data: Buffer}>} [images] - Image store files the database uses
+ * @returns {Object} - The manifest that was written
+ */
+function writeBackup(destPath, dbData, info = {}, images = []) {
+    const manifest = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        appVersion: getAppVersion(),
+        migrationVersion: info.migrationVersion || null,
+        reason: info.reason || 'manual',
+        counts: info.counts || {},
+        database: {
+            file: DATABASE_ENTRY,
+            size: dbData.length,
+            sha256: checksum(dbData)
+        },
+        images: images.map(({ file, data }) => ({ file, size: data.length }))
+    };
+
+    const archive = packArchive([
+        { name: MANIFEST_ENTRY, data: Buffer.from(JSON.stringify(manifest, null, 2)) },
+        { name: DATABASE_ENTRY, data: dbData },
+        ...images.map(({ file, data }) => ({ name: IMAGES_PREFIX + file, data }))
+    ]);
+
+    // Write to a temp file first so an interrupted backup never leaves a half-written archive
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    const tmpPath = `${destPath}.tmp`;
+    fs.writeFileSync(tmpPath, archive);
+    fs.renameSync(tmpPath, destPath);
+
+    return manifest;
+}
+
+/**
+ * Read and validate a backup archive
+ * @param {string} archivePath - Archive path
+ * @returns {{manifest: Object, data: Buffer, images: Array<{file: string, data: Buffer}>}} -
+ *   Manifest, database file contents and image store files
+ */
+function readBackup(archivePath) {
+    let entries;
+    try {
+        entries = unpackArchive(fs.readFileSync(archivePath));
+    } catch (err) {
+        throw new Error(`Not a valid backup file: ${err.message}`);
+    }
+
+    if (!entries.has(MANIFEST_ENTRY)) {
+        throw new Error('Not a valid backup file: manifest.json is missing');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(entries.get(MANIFEST_ENTRY).toString('utf8'));
+    } catch (err) {
+        throw new Error('Not a valid backup file: manifest.json is unreadable');
+    }
+
+    if (manifest.format !== BACKUP_FORMAT) {
+        throw new Error('Not a Foster Card Generator backup');
+    }
+    if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+    }
+
+    const data = entries.get(manifest.database?.file || DATABASE_ENTRY);
+    if (!data) {
+        throw new Error('Backup is missing the database file');
+    }
+    if (manifest.database?.sha256 && checksum(data) !== manifest.database.sha256) {
+        throw new Error('Backup is corrupt: the database checksum does not match');
+    }
+    if (data.toString('latin1', 0, SQLITE_HEADER.length) !== SQLITE_HEADER) {
+        throw new Error('Backup is corrupt: the database file is not a SQLite database');
+    }
+
+    // Image files are named by their SHA-256, which doubles as their checksum
+    const images = [];
+    for (const { file } of manifest.images || []) {
+        const image = entries.get(IMAGES_PREFIX + file);
+        if (!image) {
+            throw new Error(`Backup is missing the image ${file}`);
+        }
+        if (path.basename(file) !== file || checksum(image) !== file.split('.')[0]) {
+            throw new Error(`Backup is corrupt: the image ${file} does not match its checksum`);
+        }
+        images.push({ file, data: Buffer.from(image) });
+    }
+
+    return { manifest, data: Buffer.from(data), images };
+}
+
+// ============================================================
+// Automatic Backups
+// ============================================================
+
+/**
+ * Build a path for a new automatic backup, e.g. auto-before-migration-20261019-143005.fcgbackup
+ * @param {string} dir - Backups directory
+ * @param {string} reason - Why the backup is made (kebab-case)
+ * @returns {string}
+ */
+function getAutoBackupPath(dir, reason) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    let candidate = path.join(dir, `auto-${reason}-${stamp}${BACKUP_EXTENSION}`);
+    for (let n = 2; fs.existsSync(candidate); n++) {
+        candidate = path.join(dir, `auto-${reason}-${stamp}-${n}${BACKUP_EXTENSION}`);
+    }
+    return candidate;
+}
+
+/**
+ * List automatic backups, newest first
+ * @param {string} dir - Backups directory
+ * @returns {Array<{path: string, name: string, reason: string, createdAt: string, size: number}>}
+ */
+function listAutoBackups(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(f => f.startsWith('auto-') && f.endsWith(BACKUP_EXTENSION))
+        .map(name => {
+            const filePath = path.join(dir, name);
+            const stat = fs.statSync(filePath);
+            const reason = (name.match(/^auto-(.+?)-\d{8}-\d{6}/) || [])[1] || 'unknown';
+            return { path: filePath, name, reason, createdAt: stat.mtime.toISOString(), size: stat.size, mtimeMs: stat.mtimeMs };
+        })
+        .sort((a, b) => b.mtimeMs - a.mtimeMs || b.name.localeCompare(a.name, undefined, { numeric: true }))
+        .map(({ mtimeMs, ...backup }) => backup);
+}
+
+/**
+ * Delete the oldest automatic backups beyond the limit
+ * @param {string} dir - Backups directory
+ * @param {number} [keep] - Number of backups to keep
+ * @returns {Array<string>} - Deleted file paths
+ */
+function pruneAutoBackups(dir, keep = MAX_AUTO_BACKUPS) {
+    const removed = [];
+    for (const backup of listAutoBackups(dir).slice(keep)) {
+        try {
+            fs.unlinkSync(backup.path);
+            removed.push(backup.path);
+        } catch (err) {
+            console.error(`[Backup] Could not delete old backup ${backup.path}:`, err.message);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    writeBackup,
+    readBackup,
+    getAutoBackupPath,
+    listAutoBackups,
+    pruneAutoBackups,
+    BACKUP_EXTENSION,
+    MAX_AUTO_BACKUPS
+};
@@ -0,0 +1,233 @@
+/**
+ * Browser Pool
+ * Shares one Puppeteer browser between card rendering and scraping.
+ * The pool belongs to the process that loads this module: in the app that is the
+ * Electron main process, while command line tools (batch generation, a scraper
+ * run directly) each get a pool of their own.
+ *
+ * - The browser is launched lazily on first use and closed after sitting idle.
+ * - At most `maxPages` pages are open at once; extra requests wait their turn.
+ * - If Chrome crashes or disconnects, the next request launches a fresh browser
+ *   and a job that was interrupted by the crash is retried once.
+ */
+
+const { launchBrowser } = require('./browser-helper.js');
+
+// Default pool settings
+const DEFAULT_MAX_PAGES = 4;
+const DEFAULT_IDLE_TIMEOUT_MS = 60 * 1000;
+
+// Launch flags shared by rendering and scraping (the scrapers need the anti-detection flag)
+const POOL_LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-blink-features=AutomationControlled'
+];
+
+// Pool state
+let browser = null;
+let launchPromise = null;
+let activePages = 0;
+let idleTimer = null;
+const waiting = [];
+const settings = {
+    maxPages: DEFAULT_MAX_PAGES,
+    idleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS
+};
+
+/**
+ * Update pool settings
+ * @param {Object} options - { maxPages, idleTimeoutMs }
+ */
+function configure(options = {}) {
+    if (options.maxPages) settings.maxPages = Math.max(1, options.maxPages);
+    if (options.idleTimeoutMs !== undefined) settings.idleTimeoutMs = options.idleTimeoutMs;
+    console.log(`[Browser Pool] Configured: ${settings.maxPages} page(s), idle timeout ${settings.idleTimeoutMs}ms`);
+}
+
+/**
+ * Check whether a browser instance is still usable
+ * @param {Object} instance - Puppeteer browser
+ * @returns {boolean}
+ */
+function isAlive(instance) {
+    return !!instance && instance.connected !== false;
+}
+
+/**
+ * Get the shared browser, launching (or relaunching after a crash) if needed
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+async function getBrowser() {
+    if (isAlive(browser)) return browser;
+
+    // Another caller is already launching - share its result
+    if (launchPromise) return launchPromise;
+
+    launchPromise = (async () => {
+        console.log('[Browser Pool] Launching browser...');
+        const instance = await launchBrowser({ args: POOL_LAUNCH_ARGS });
+
+        instance.on('disconnected', () => {
+            if (browser === instance) {
+                console.error('[Browser Pool] Browser disconnected, will relaunch on next request');
+                browser = null;
+            }
+        });
+
+        browser = instance;
+        console.log('[Browser Pool] Browser ready');
+        return instance;
+    })();
+
+    try {
+        return await launchPromise;
+    } finally {
+        launchPromise = null;
+    }
+}
+
+/**
+ * Close the browser once no pages have been used for the idle timeout
+ */
+function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    if (activePages > 0 || !browser || settings.idleTimeoutMs <= 0) return;
+
+    idleTimer = setTimeout(() => {
+        if (activePages === 0 && waiting.length === 0) {
+            console.log('[Browser Pool] Idle timeout reached, closing browser');
+            close();
+        }
+    }, settings.idleTimeoutMs);
+
+    // Don't keep CLI processes alive just for the idle timer
+    if (idleTimer.unref) idleTimer.unref();
+}
+
+/**
+ * Wait for a free page slot
+ * @returns {Promise<void>}
+ */
+function reserveSlot() {
+    clearTimeout(idleTimer);
+    if (activePages < settings.maxPages) {
+        activePages++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+}
+
+/**
+ * Hand a freed slot to the next waiter, or start the idle countdown
+ */
+function freeSlot() {
+    const next = waiting.shift();
+    if (next) {
+        // Slot passes straight to the waiter, activePages stays the same
+        next();
+        return;
+    }
+    activePages--;
+    scheduleIdleClose();
+}
+
+/**
+ * Acquire a new page from the pool. Must be released with releasePage().
+ * @returns {Promise<Object>} - Puppeteer page
+ */
+async function acquirePage() {
+    await reserveSlot();
+    try {
+        const instance = await getBrowser();
+        return await instance.newPage();
+    } catch (err) {
+        freeSlot();
+        throw err;
+    }
+}
+
+/**
+ * Close a page and return its slot to the pool
+ * @param {Object} page - Puppeteer page from acquirePage()
+ */
+async function releasePage(page) {
+    try {
+        if (page && !page.isClosed()) {
+            await page.close();
+        }
+    } catch (err) {
+        // Page is already gone if the browser crashed
+        console.error('[Browser Pool] Error closing page:', err.message);
+    } finally {
+        freeSlot();
+    }
+}
+
+/**
+ * Run a job with a pooled page. The page is always released afterwards.
+ * If the browser crashed during the job, it is retried once on a fresh browser.
+ *
+ * @param {Function} job - async (page) => result
+ * @returns {Promise<*>} - The job's result
+ */
+async function withPage(job) {
+    for (let attempt = 1; ; attempt++) {
+        const page = await acquirePage();
+        const pageBrowser = page.browser();
+        try {
+            return await job(page);
+        } catch (err) {
+            const crashed = !isAlive(pageBrowser);
+            if (crashed && attempt === 1) {
+                console.error('[Browser Pool] Browser crashed during job, retrying:', err.message);
+                continue;
+            }
+            throw err;
+        } finally {
+            await releasePage(page);
+        }
+    }
+}
+
+/**
+ * Close the browser and reset the pool
+ * @returns {Promise<void>}
+ */
+async function close() {
+    clearTimeout(idleTimer);
+    const instance = browser;
+    browser = null;
+    if (instance) {
+        try {
+            await instance.close();
+            console.log('[Browser Pool] Browser closed');
+        } catch (err) {
+            console.error('[Browser Pool] Error closing browser:', err.message);
+        }
+    }
+}
+
+/**
+ * Get current pool status (for logging/diagnostics)
+ * @returns {{running: boolean, activePages: number, waiting: number, maxPages: number}}
+ */
+function getStatus() {
+    return {
+        running: isAlive(browser),
+        activePages,
+        waiting: waiting.length,
+        maxPages: settings.maxPages
+    };
+}
+
+module.exports = {
+    configure,
+    acquirePage,
+    releasePage,
+    withPage,
+    close,
+    getStatus,
+    DEFAULT_MAX_PAGES,
+    DEFAULT_IDLE_TIMEOUT_MS
+};
@@ -0,0 +1,124 @@
+/**
+ * Custom Fields
+ * Extra facts a rescue defines for its animals ("Foster home", "Crate trained",
+ * "Sponsor"). Each rescue stores its field definitions in rescues.custom_fields;
+ * each animal's values live in the animal_custom_values table, keyed by the
+ * field's key. Templates see them as {{custom.<key>}}.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+const { formatDisplayDate } = require('./animal-age.js');
+
+// Field types, with their labels in the rescue editor
+const CUSTOM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    yesno: 'Yes/No',
+    select: 'Choice',
+    date: 'Date'
+};
+
+/**
+ * Make a template-safe key from a field name, e.g. "Foster home" -> "foster_home"
+ * @param {string} name - Field name
+ * @param {Array<string>} [takenKeys] - Keys already used by the rescue's other fields
+ * @returns {string}
+ */
+function makeCustomFieldKey(name, takenKeys = []) {
+    const base = String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .replace(/^(\d)/, 'field_$1') || 'field';
+
+    let key = base;
+    for (let n = 2; takenKeys.includes(key); n++) {
+        key = `${base}_${n}`;
+    }
+    return key;
+}
+
+/**
+ * Get a Choice field's options, whether saved as a list or still being typed
+ * as comma-separated text
+ * @param {Object} field - Field definition
+ * @returns {Array<string>}
+ */
+function getCustomFieldOptions(field) {
+    return (Array.isArray(field.options) ? field.options : String(field.options || '').split(','))
+        .map(option => String(option).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Clean up a rescue's field definitions for saving: drop unnamed fields, give
+ * new fields a key, and keep only the settings each type uses. A field keeps
+ * its key when renamed so animals' values stay attached.
+ * @param {Array<Object>} fields - [{ key, name, type, options, default }]
+ * @returns {Array<Object>}
+ * @throws {Error} If a Choice field has no options
+ */
+function normalizeCustomFields(fields) {
+    const result = [];
+    for (const field of Array.isArray(fields) ? fields : []) {
+        const name = String(field.name || '').trim();
+        if (!name) continue;
+
+        const type = CUSTOM_FIELD_TYPES[field.type] ? field.type : 'text';
+        const key = field.key || makeCustomFieldKey(name, result.map(f => f.key).concat(fields.map(f => f.key).filter(Boolean)));
+        const normalized = { key, name, type, default: String(field.default ?? '').trim() };
+
+        if (type === 'select') {
+            const options = getCustomFieldOptions(field);
+            if (options.length === 0) {
+                throw new Error(`Add some choices to "${name}"`);
+            }
+            normalized.options = options;
+        }
+        result.push(normalized);
+    }
+    return result;
+}
+
+/**
+ * Get an animal's value for a field, falling back to the field's default
+ * @param {Object} field - Field definition
+ * @param {Object} values - The animal's stored values by key
+ * @returns {string}
+ */
+function getCustomFieldValue(field, values) {
+    const value = values ? values[field.key] : undefined;
+    return value === undefined || value === null ? (field.default || '') : String(value);
+}
+
+/**
+ * Build the `custom` template variable for an animal. Yes/No fields become
+ * true/false for {{#if custom.<key>}} blocks and dates are spelled out.
+ * @param {Array<Object>} fields - The rescue's field definitions
+ * @param {Object} values - The animal's stored values by key
+ * @returns {Object} - Value by field key
+ */
+function getCustomTemplateValues(fields, values) {
+    const custom = {};
+    for (const field of fields || []) {
+        const value = getCustomFieldValue(field, values);
+        if (field.type === 'yesno') {
+            custom[field.key] = value === '1';
+        } else if (field.type === 'date') {
+            custom[field.key] = formatDisplayDate(value);
+        } else {
+            custom[field.key] = value;
+        }
+    }
+    return custom;
+}
+
+module.exports = {
+    CUSTOM_FIELD_TYPES,
+    makeCustomFieldKey,
+    getCustomFieldOptions,
+    normalizeCustomFields,
+    getCustomFieldValue,
+    getCustomTemplateValues
+};
@@ -0,0 +1,142 @@
+/**
+ * Database IPC Channels
+ * The main process is the only owner of the database. Renderer windows call
+ * the functions below over IPC on channels named `db:<area>:<function>`, and
+ * the main process broadcasts a change event after every write so all
+ * windows can refresh.
+ *
+ * Shared by app/db-ipc.js (main process) and app/db-client.js (renderer).
+ */
+
+// Channel the main process uses to report a write: { area, fn, local }
+const DB_CHANGED_CHANNEL = 'db:changed';
+
+// Channel reporting whether the database opened: { ready, error, dbDir, dbPath, recovered }
+const DB_STATUS_CHANNEL = 'db:status';
+
+// Database functions exposed to the renderer, grouped by area.
+// `changes` overrides the area named in change events for that area's writes.
+const DB_API = {
+    animals: {
+        read: [
+            'getAllAnimals',
+            'getAnimalById',
+            'getAnimalsByFilter',
+            'searchAnimals',
+            'getImageAsDataUrl',
+            'getAnimalAttributes',
+            'getAnimalCustomValues',
+            'getAnimalPhotoUrls',
+            'getAnimalPhotos',
+            'getAnimalStatusHistory',
+            'getAnimalChanges',
+            'getDeletedAnimals',
+            'getTrashRetentionDays',
+            // Duplicate checks only cache portrait hashes
+            'findDuplicateAnimals',
+            'listSuspectedDuplicates',
+            'buildTemplateParams'
+        ],
+        write: [
+            'createAnimal',
+            'updateAnimal',
+            'deleteAnimal',
+            'deleteAnimals',
+            'updateAnimalAttributes',
+            'updateAnimalPhotoUrls',
+            'addAnimalPhoto',
+            'removeAnimalPhoto',
+            'reorderAnimalPhotos',
+            'importAnimalPhotos',
+            'setAnimalStatus',
+            'markAnimalsListed',
+            'markAnimalsMissing',
+            'updateAnimalSyncedFields',
+            'revertAnimalChange',
+            'restoreAnimals',
+            'purgeAnimals',
+            'dismissDuplicate',
+            'mergeAnimals'
+        ]
+    },
+    rescues: {
+        read: ['getAllRescues', 'getRescueById', 'getRescueLogoAsDataUrl'],
+        write: ['createRescue', 'updateRescue', 'deleteRescue']
+    },
+    fosters: {
+        read: ['getAllFosters', 'getFosterById'],
+        write: ['createFoster', 'updateFoster', 'deleteFoster']
+    },
+    events: {
+        read: ['getAllEvents', 'getEventById', 'getEventAnimals'],
+        write: ['createEvent', 'updateEvent', 'deleteEvent', 'setEventAnimals']
+    },
+    printHistory: {
+        read: ['getPrintHistory', 'getOutdatedPrints'],
+        write: ['logPrintJob']
+    },
+    templates: {
+        read: ['getAllTemplates', 'getTemplateById', 'getTemplateByName'],
+        write: ['createTemplate', 'updateTemplate', 'deleteTemplate']
+    },
+    printProfiles: {
+        read: [
+            'getAllPrintProfiles',
+            'getPrintProfilesByPrinter',
+            'getPrintProfileById',
+            'getDefaultPrintProfileForPrinter'
+        ],
+        write: ['createPrintProfile', 'updatePrintProfile', 'deletePrintProfile', 'setDefaultPrintProfile']
+    },
+    settings: {
+        read: ['getSetting', 'getAllSettings'],
+        write: ['setSetting', 'deleteSetting']
+    },
+    roster: {
+        // Exporting and previewing don't change any data
+        read: ['exportRoster', 'readRosterFile', 'previewRosterImport'],
+        write: ['importRoster'],
+        changes: 'animals'
+    },
+    backups: {
+        // Making a backup doesn't change any data
+        read: ['listAutoBackups', 'createBackup', 'createAutoBackup'],
+        write: ['restoreBackup'],
+        changes: 'all'
+    }
+};
+
+/**
+ * Build the IPC channel name for a database function
+ * @param {string} area - API area, e.g. 'animals'
+ * @param {string} fn - Function name, e.g. 'getAllAnimals'
+ * @returns {string} - e.g. 'db:animals:getAllAnimals'
+ */
+function getChannelName(area, fn) {
+    return `db:${area}:${fn}`;
+}
+
+/**
+ * List every exposed function with its channel
+ * @returns {Array<{area: string, fn: string, channel: string, write: boolean, changes: string}>}
+ */
+function listChannels() {
+    const channels = [];
+    for (const [area, { read = [], write = [], changes }] of Object.entries(DB_API)) {
+        for (const fn of read) {
+            channels.push({ area, fn, channel: getChannelName(area, fn), write: false, changes: changes || area });
+        }
+        for (const fn of write) {
+            channels.push({ area, fn, channel: getChannelName(area, fn), write: true, changes: changes || area });
+        }
+    }
+    return channels;
+}
+
+module.exports = {
+    DB_API,
+    DB_CHANGED_CHANNEL,
+    DB_STATUS_CHANNEL,
+    getChannelName,
+    listChannels
+};
@@ -0,0 +1,60 @@
+/**
+ * Database Client (renderer)
+ * The renderer's view of the database. Each function in db-channels.js is
+ * available here under the same name as in db.js, but runs in the main process
+ * and returns a Promise. Failures are thrown as Errors, as db.js would.
+ *
+ * Usage:
+ *   const db = require('../db-client.js');
+ *   const animals = await db.getAllAnimals();
+ *   const unsubscribe = db.onChange(({ area, local }) => { ... });
+ */
+
+const { ipcRenderer } = require('electron');
+const { listChannels, DB_CHANGED_CHANNEL, DB_STATUS_CHANNEL } = require('./db-channels.js');
+
+/**
+ * Call a database function in the main process
+ * @param {string} channel - IPC channel
+ * @param {Array} args - Function arguments
+ * @returns {Promise<*>} - Function result
+ */
+async function call(channel, args) {
+    const response = await ipcRenderer.invoke(channel, ...args);
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+    return response.result;
+}
+
+/**
+ * Wait for the main process to report on the database
+ * @returns {Promise<{dbDir: string, dbPath: string, recovered: boolean}>} - `recovered` is true
+ *   when a damaged database was replaced by the last good snapshot
+ * @throws {Error} If the database could not be opened
+ */
+async function connect() {
+    const status = await ipcRenderer.invoke(DB_STATUS_CHANNEL);
+    if (!status.ready) {
+        throw new Error(status.error || 'Database is not available');
+    }
+    return { dbDir: status.dbDir, dbPath: status.dbPath, recovered: status.recovered };
+}
+
+/**
+ * Listen for data changes made by any window
+ * @param {Function} listener - ({ area, fn, local }) => void; `local` is true for this window's own changes
+ * @returns {Function} - Call to stop listening
+ */
+function onChange(listener) {
+    const handler = (event, change) => listener(change);
+    ipcRenderer.on(DB_CHANGED_CHANNEL, handler);
+    return () => ipcRenderer.removeListener(DB_CHANGED_CHANNEL, handler);
+}
+
+const client = { connect, onChange };
+for (const { fn, channel } of listChannels()) {
+    client[fn] = (...args) => call(channel, args);
+}
+
+module.exports = client;
@@ -0,0 +1,101 @@
+/**
+ * Database IPC Handlers (main process)
+ * Opens the database in the main process and serves the functions listed in
+ * db-channels.js to renderer windows. Every handler returns
+ * { success: true, result } or { success: false, error }, and every write is
+ * followed by a change event sent to all windows.
+ */
+
+const { ipcMain, BrowserWindow } = require('electron');
+const db = require('./db.js');
+const { buildTemplateParams } = require('./template-params.js');
+const { importAnimalPhotos } = require('./animal-photos.js');
+const { findDuplicateAnimals, listSuspectedDuplicates } = require('./animal-duplicates.js');
+const { exportRoster, readRosterFile, previewRosterImport, importRoster } = require('./roster-spreadsheet.js');
+const { listChannels, DB_CHANGED_CHANNEL, DB_STATUS_CHANNEL } = require('./db-channels.js');
+
+// Functions that run in the main process on behalf of the renderer
+const API = {
+    ...db,
+    buildTemplateParams,
+    importAnimalPhotos,
+    findDuplicateAnimals,
+    listSuspectedDuplicates,
+    exportRoster,
+    readRosterFile,
+    previewRosterImport,
+    importRoster
+};
+
+// Result of opening the database, reported on DB_STATUS_CHANNEL
+let status = { ready: false, error: null, dbDir: null, dbPath: null, recovered: false };
+
+/**
+ * Open the database. A failure is recorded rather than thrown so the window
+ * can still load and show the error.
+ * @returns {Promise<Object>} - { ready, error, dbDir, dbPath, recovered }
+ */
+async function openDatabase() {
+    try {
+        const { dbDir, dbPath, recovered } = await db.initializeAsync();
+        status = { ready: true, error: null, dbDir, dbPath, recovered };
+        console.log('[DB IPC] Database ready at:', dbPath);
+    } catch (err) {
+        console.error('[DB IPC] Failed to open database:', err);
+        status = { ready: false, error: err.message, dbDir: null, dbPath: null, recovered: false };
+        return status;
+    }
+
+    // This process owns the database, so it's the only one that removes unused images
+    try {
+        db.collectImageGarbage();
+    } catch (err) {
+        console.error('[DB IPC] Could not remove unused images:', err);
+    }
+    return status;
+}
+
+/**
+ * Tell every window that data changed
+ * @param {string} area - Changed area ('animals', 'rescues', ... or 'all')
+ * @param {string} fn - Function that made the change
+ * @param {Object} [sender] - webContents that asked for the change
+ */
+function broadcastChange(area, fn, sender = null) {
+    for (const win of BrowserWindow.getAllWindows()) {
+        if (win.isDestroyed()) continue;
+        win.webContents.send(DB_CHANGED_CHANNEL, { area, fn, local: win.webContents === sender });
+    }
+}
+
+/**
+ * Register the IPC handlers for every database function
+ */
+function registerDatabaseHandlers() {
+    ipcMain.handle(DB_STATUS_CHANNEL, async () => status);
+
+    for (const { fn, channel, write, changes } of listChannels()) {
+        if (typeof API[fn] !== 'function') {
+            throw new Error(`Database function ${fn} does not exist`);
+        }
+
+        ipcMain.handle(channel, async (event, ...args) => {
+            try {
+                const result = await API[fn](...args);
+                if (write) broadcastChange(changes, fn, event.sender);
+                return { success: true, result };
+            } catch (err) {
+                // sql.js throws plain strings for some errors
+                const message = err instanceof Error ? err.message : String(err);
+                console.error(`[DB IPC] ${fn} failed:`, message);
+                return { success: false, error: message };
+            }
+        });
+    }
+}
+
+module.exports = {
+    openDatabase,
+    registerDatabaseHandlers,
+    broadcastChange
+};
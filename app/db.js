@@ -6,8 +6,16 @@
 
 const path = require('path');
 const fs = require('fs');
-const { getDataDir } = require('./paths.js');
-const { runMigrations, getMigrationStatus, getAppliedMigrations } = require('./db/migrate.js');
+const crypto = require('crypto');
+const { getDataDir, getBackupsDir } = require('./paths.js');
+const { runMigrations, getMigrationStatus, getAppliedMigrations, getAvailableMigrations } = require('./db/migrate.js');
+const backup = require('./backup.js');
+const imageStore = require('./image-store.js');
+const { getRescueLogoUrl } = require('./image-urls.js');
+const { DEFAULT_SPECIES } = require('./species.js');
+const { parseAmount } = require('./animal-facts.js');
+const { estimateBirthdate, getAgeMonths } = require('./animal-age.js');
+const { normalizeCustomFields } = require('./custom-fields.js');
 const { seedDefaults } = require('./db/seeds.js');
 
 // Load sql.js
@@ -39,11 +47,28 @@ try {
 }
 
 // Database state
+let SQL = null;
 let db = null;
 let DB_PATH = null;
 let DB_DIR = null;
 let initPromise = null;
 
+// Saves are batched: the file is written this long after the last change...
+const SAVE_DELAY_MS = 500;
+// ...but no later than this after the first unsaved change
+const MAX_SAVE_DELAY_MS = 5000;
+
+// Pending save state
+let saveTimer = null;
+let firstUnsavedAt = null;
+
+// Depth of the open transaction() calls (saves wait until it is 0)
+let transactionDepth = 0;
+
+// Set when opened with { readOnly: true }: changes are refused and nothing is
+// written, so a second process can read the database the app owns
+let readOnly = false;
+
 /**
  * Get the database directory path
  */
@@ -65,21 +90,183 @@ function isConnected() {
     return db !== null;
 }
 
+// ============================================================
+// Persistence
+// ============================================================
+
 /**
- * Save database to disk
+ * Get the path of the last good snapshot (the database file as of the last
+ * startup, after it passed the integrity check)
+ * @returns {string}
  */
-function saveDatabase() {
+function getSnapshotPath() {
+    return `${DB_PATH}.last-good`;
+}
+
+/**
+ * Write a file so a crash never leaves it half-written: write a temp file,
+ * flush it to disk, then rename it over the original
+ * @param {string} filePath - Destination path
+ * @param {Uint8Array} data - File contents
+ */
+function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Write the database to disk now
+ */
+function writeDatabase() {
     if (!db || !DB_PATH) return;
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    firstUnsavedAt = null;
+
     const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(DB_PATH, buffer);
+    // export() reopens the connection, which drops custom SQL functions
+    registerSqlFunctions(db);
+    writeFileAtomic(DB_PATH, data);
+}
+
+/**
+ * Schedule a save after a change. A burst of changes is written once, shortly
+ * after the last one; flushDatabase() writes immediately.
+ */
+function saveDatabase() {
+    if (!db || !DB_PATH) return;
+    if (readOnly) throw new Error('The database is open read-only');
+
+    const now = Date.now();
+    if (firstUnsavedAt === null) firstUnsavedAt = now;
+    if (saveTimer) clearTimeout(saveTimer);
+
+    const delay = Math.max(0, Math.min(SAVE_DELAY_MS, firstUnsavedAt + MAX_SAVE_DELAY_MS - now));
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        try {
+            flushDatabase();
+        } catch (err) {
+            console.error('[DB] Error saving database:', err.message);
+            // Try again with the next change or flush
+            firstUnsavedAt = firstUnsavedAt || Date.now();
+        }
+    }, delay);
+}
+
+/**
+ * Write any unsaved changes to disk now
+ * @returns {boolean} - true if anything was written
+ */
+function flushDatabase() {
+    if (firstUnsavedAt === null || !db) return false;
+
+    // export() would end an open transaction; save once it is committed
+    if (transactionDepth > 0) {
+        saveDatabase();
+        return false;
+    }
+
+    writeDatabase();
+    return true;
+}
+
+/**
+ * Open a database file and run SQLite's integrity check on it
+ * @param {string} filePath - Database file
+ * @returns {Object|null} - sql.js database, or null when the file is unreadable or damaged
+ */
+function openCheckedDatabase(filePath) {
+    let database = null;
+    try {
+        database = new SQL.Database(fs.readFileSync(filePath));
+        const result = database.exec('PRAGMA integrity_check')[0]?.values[0][0];
+        if (result === 'ok') return database;
+        console.error(`[DB] Integrity check failed for ${filePath}: ${result}`);
+    } catch (err) {
+        console.error(`[DB] Could not open ${filePath}:`, err.message);
+    }
+    if (database) database.close();
+    return null;
+}
+
+/**
+ * Load the database file, falling back to the last good snapshot when it is damaged
+ * @returns {{database: Object, recovered: boolean}}
+ */
+function loadDatabase() {
+    if (!fs.existsSync(DB_PATH)) {
+        return { database: new SQL.Database(), recovered: false };
+    }
+
+    const database = openCheckedDatabase(DB_PATH);
+    if (database) {
+        return { database, recovered: false };
+    }
+
+    // Keep the damaged file for inspection
+    const damagedPath = `${DB_PATH}.damaged-${Date.now()}`;
+    fs.renameSync(DB_PATH, damagedPath);
+    console.error(`[DB] Database is damaged, moved it to ${damagedPath}`);
+
+    const snapshotPath = getSnapshotPath();
+    const snapshot = fs.existsSync(snapshotPath) ? openCheckedDatabase(snapshotPath) : null;
+    if (!snapshot) {
+        throw new Error(`The database is damaged and there is no good snapshot to fall back to. The damaged file was kept at ${damagedPath}.`);
+    }
+
+    fs.copyFileSync(snapshotPath, DB_PATH);
+    console.warn('[DB] Recovered the database from the last good snapshot');
+    return { database: snapshot, recovered: true };
+}
+
+/**
+ * Run a function inside a transaction: its changes are all kept, or all
+ * rolled back if it throws. Nested calls join the outer transaction.
+ * @param {Function} fn - Synchronous function making the changes
+ * @returns {*} - fn's return value
+ */
+function transaction(fn) {
+    if (!db) throw new Error('Database not initialized');
+    if (transactionDepth > 0) return fn();
+
+    db.run('BEGIN');
+    transactionDepth++;
+    try {
+        const result = fn();
+        db.run('COMMIT');
+        return result;
+    } catch (err) {
+        try {
+            db.run('ROLLBACK');
+        } catch (rollbackErr) {
+            // SQLite already rolled back (e.g. after a constraint failure)
+        }
+        throw err;
+    } finally {
+        transactionDepth--;
+    }
 }
 
 /**
  * Initialize database connection and ensure schema exists (async)
- * @returns {Promise<Object>} - { dbDir, dbPath } paths used
+ * @param {Object} [options] - Open options
+ * @param {boolean} [options.readOnly] - Read the database without migrating,
+ *   seeding, cleaning up or ever writing it (for command line tools running
+ *   alongside the app, which owns the file)
+ * @returns {Promise<Object>} - { dbDir, dbPath, recovered } paths used, and whether
+ *   a damaged database was replaced by the last good snapshot
  */
-async function initializeAsync() {
+async function initializeAsync(options = {}) {
     DB_DIR = getDataDir();
     DB_PATH = path.join(DB_DIR, 'animals.db');
 
@@ -95,7 +282,6 @@ async function initializeAsync() {
     }
 
     // Initialize sql.js (async) with explicit WASM binary
-    let SQL;
     if (wasmPath) {
         // Load WASM binary directly from filesystem
         const wasmBinary = fs.readFileSync(wasmPath);
@@ -105,16 +291,27 @@ async function initializeAsync() {
         SQL = await initSqlJs();
     }
 
-    // Load existing database or create new one
-    if (fs.existsSync(DB_PATH)) {
-        const fileBuffer = fs.readFileSync(DB_PATH);
-        db = new SQL.Database(fileBuffer);
-    } else {
-        db = new SQL.Database();
+    if (options.readOnly) {
+        return openReadOnly();
+    }
+
+    // Load existing database (checking it for damage) or create new one
+    const { database, recovered } = loadDatabase();
+    db = database;
+
+    registerSqlFunctions(db);
+
+    // Back up an existing database before changing its schema
+    if (fs.existsSync(DB_PATH) && getMigrationStatus(db).pending.length > 0) {
+        try {
+            createAutoBackup('before-migration');
+        } catch (err) {
+            throw new Error(`Could not back up the database before upgrading it: ${err.message}`);
+        }
     }
 
     // Run migrations
-    const appliedMigrations = runMigrations(db, saveDatabase);
+    const appliedMigrations = await runMigrations(db, saveDatabase);
     if (appliedMigrations.length > 0) {
         console.log(`[DB] Applied ${appliedMigrations.length} migration(s)`);
     }
@@ -122,10 +319,49 @@ async function initializeAsync() {
     // Seed default data if needed (async - downloads logos)
     await seedDefaults(db, saveDatabase);
 
-    // Save after schema/seed changes
-    saveDatabase();
+    // Save after schema/seed changes, and keep the checked file as the last good snapshot
+    writeDatabase();
+    fs.copyFileSync(DB_PATH, getSnapshotPath());
+
+    // Permanently delete animals that have been in the trash too long. Unused
+    // images are only removed by the main process (see db-ipc.js), since other
+    // processes that open the database can't see images it hasn't saved yet.
+    purgeExpiredTrash();
+
+    return { dbDir: DB_DIR, dbPath: DB_PATH, recovered };
+}
+
+/**
+ * Open the database file for reading only. Damage, a missing file or pending
+ * migrations are reported rather than fixed, since the app does that.
+ * @returns {Object} - { dbDir, dbPath, recovered }
+ */
+function openReadOnly() {
+    if (!fs.existsSync(DB_PATH)) {
+        throw new Error(`No database at ${DB_PATH} - open the app once to create it`);
+    }
+
+    const database = openCheckedDatabase(DB_PATH);
+    if (!database) {
+        throw new Error('The database is damaged - open the app to recover it');
+    }
+    if (getMigrationStatus(database).pending.length > 0) {
+        database.close();
+        throw new Error('The database needs upgrading - open the app to upgrade it');
+    }
+
+    db = database;
+    readOnly = true;
+    registerSqlFunctions(db);
+    return { dbDir: DB_DIR, dbPath: DB_PATH, recovered: false };
+}
 
-    return { dbDir: DB_DIR, dbPath: DB_PATH };
+/**
+ * Register the custom SQL functions used by queries
+ * @param {Object} database - sql.js database instance
+ */
+function registerSqlFunctions(database) {
+    database.create_function('age_months', getAgeMonths);
 }
 
 /**
@@ -149,13 +385,22 @@ function initialize() {
 
 /**
  * Close database connection
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.save=true] - Write unsaved changes to disk first
  */
-function close() {
+function close(options = {}) {
     if (db) {
-        saveDatabase();
+        if (options.save !== false) {
+            flushDatabase();
+        } else if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        firstUnsavedAt = null;
         db.close();
         db = null;
         initPromise = null;
+        readOnly = false;
     }
 }
 
@@ -253,41 +498,255 @@ function queryOnePrepared(sql, params) {
     return result;
 }
 
+/**
+ * Query with prepared statement and return all results
+ * @param {string} sql - SQL query with ? placeholders
+ * @param {Array} params - Parameter values
+ * @returns {Array} - Array of result rows
+ */
+function queryAllPrepared(sql, params) {
+    if (!db) throw new Error('Database not initialized');
+
+    const stmt = db.prepare(sql);
+    stmt.bind(params);
+
+    const results = [];
+    const columns = stmt.getColumnNames();
+    while (stmt.step()) {
+        const values = stmt.get();
+        const row = {};
+        columns.forEach((col, i) => {
+            row[col] = values[i];
+        });
+        results.push(row);
+    }
+    stmt.free();
+
+    return results;
+}
+
 // ============================================================
 // Animal CRUD Operations
 // ============================================================
 
 /**
- * Get all animals (without portrait data for list view)
+ * Get all animals not in the trash (without portrait data for list view)
  * @returns {Array} - Array of animal objects
  */
 function getAllAnimals() {
     return queryAll(`
         SELECT id, name, slug, size, shots, housetrained, breed,
-               age_long, age_short, gender, kids, dogs, cats,
-               portrait_path, portrait_mime, rescue_id, attributes, bio, photo_urls
+               age_long, age_short, birthdate, gender, species, kids, dogs, cats, rabbits,
+               weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+               portrait_path, portrait_mime, portrait_hash, rescue_id, foster_id, attributes, bio, photo_urls,
+               source_missing_since, last_synced_at, status, adopted_at
         FROM animals
+        WHERE deleted_at IS NULL
         ORDER BY name
     `);
 }
 
 /**
- * Get a single animal by ID
+ * Get a single animal by ID (including one in the trash)
  * @param {number} id - Animal ID
  * @returns {Object|undefined} - Animal object or undefined
  */
 function getAnimalById(id) {
     return queryOnePrepared(`
         SELECT id, name, slug, size, shots, housetrained, breed,
-               age_long, age_short, gender, kids, dogs, cats,
-               portrait_path, portrait_mime, rescue_id, attributes, bio, photo_urls
+               age_long, age_short, birthdate, gender, species, kids, dogs, cats, rabbits,
+               weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+               portrait_path, portrait_mime, portrait_hash, rescue_id, foster_id, attributes, bio, photo_urls,
+               source_missing_since, last_synced_at, status, adopted_at
         FROM animals
         WHERE id = ?
     `, [id]);
 }
 
 /**
- * Get image data for an animal as a data URL
+ * Get animals not in the trash matching optional filters (without portrait data)
+ * @param {Object} filters - Filter options
+ * @param {number} [filters.rescueId] - Only animals from this rescue
+ * @param {Array<number>} [filters.ids] - Only animals with these IDs
+ * @param {string} [filters.updatedSince] - Only animals updated at or after this date (any SQLite date string)
+ * @param {Array<string>} [filters.statuses] - Only animals with one of these statuses
+ * @returns {Array} - Array of animal objects
+ */
+function getAnimalsByFilter(filters = {}) {
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    if (filters.rescueId) {
+        conditions.push('rescue_id = ?');
+        params.push(filters.rescueId);
+    }
+
+    if (Array.isArray(filters.ids)) {
+        if (filters.ids.length === 0) return [];
+        conditions.push(`id IN (${filters.ids.map(() => '?').join(', ')})`);
+        params.push(...filters.ids);
+    }
+
+    if (filters.updatedSince) {
+        conditions.push('updated_at >= datetime(?)');
+        params.push(filters.updatedSince);
+    }
+
+    if (Array.isArray(filters.statuses)) {
+        if (filters.statuses.length === 0) return [];
+        conditions.push(`status IN (${filters.statuses.map(() => '?').join(', ')})`);
+        params.push(...filters.statuses);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    return queryAllPrepared(`
+        SELECT id, name, slug, size, shots, housetrained, breed,
+               age_long, age_short, birthdate, gender, species, kids, dogs, cats, rabbits,
+               weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+               portrait_path, portrait_mime, portrait_hash, rescue_id, foster_id, attributes, bio, photo_urls,
+               source_missing_since, last_synced_at, status, adopted_at, created_at, updated_at
+        FROM animals
+        ${where}
+        ORDER BY name
+    `, params);
+}
+
+// Sort orders for searchAnimals (key -> ORDER BY expression)
+const ANIMAL_SORTS = {
+    name: 'name COLLATE NOCASE',
+    age: 'age_months(birthdate, age_long)',
+    newest: 'created_at',
+    updated: 'updated_at',
+    rescue: '(SELECT name FROM rescues WHERE rescues.id = animals.rescue_id) COLLATE NOCASE'
+};
+
+// Gender values matching each sex filter
+const SEX_GENDERS = {
+    male: ['Male', 'Neutered(M)'],
+    female: ['Female', 'Spayed(F)']
+};
+
+/**
+ * Escape LIKE wildcards in user input (matched with ESCAPE '\')
+ * @param {string} text - Search text
+ * @returns {string}
+ */
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+/**
+ * Search animals not in the trash (without portrait data) with text search,
+ * filters and sorting
+ * @param {Object} query - Search options (all optional)
+ * @param {string} [query.text] - Words that must each appear in the name, breed, slug or bio
+ * @param {number} [query.rescueId] - Only animals from this rescue
+ * @param {number|string} [query.fosterId] - Only animals with this foster, or 'none' for animals without one
+ * @param {string} [query.species] - Only this species (key of SPECIES in species.js)
+ * @param {string} [query.size] - Only this size (Small, Medium, Large, ...)
+ * @param {string} [query.sex] - 'male' or 'female' (altered or not)
+ * @param {number} [query.minAgeMonths] - Minimum age in months
+ * @param {number} [query.maxAgeMonths] - Maximum age in months (exclusive)
+ * @param {string} [query.kids] - Compatibility with kids ('1', '0' or '?')
+ * @param {string} [query.dogs] - Compatibility with dogs ('1', '0' or '?')
+ * @param {string} [query.cats] - Compatibility with cats ('1', '0' or '?')
+ * @param {string} [query.rabbits] - Compatibility with rabbits ('1', '0' or '?')
+ * @param {boolean} [query.noPortrait] - Only animals without a portrait
+ * @param {boolean} [query.noAttributes] - Only animals without flyer attributes
+ * @param {Array<string>} [query.statuses] - Only animals with one of these statuses
+ * @param {string} [query.sort='name'] - Key of ANIMAL_SORTS
+ * @param {boolean} [query.descending=false] - Reverse the sort order
+ * @returns {Array} - Array of animal objects
+ */
+function searchAnimals(query = {}) {
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    const words = (query.text || '').trim().split(/\s+/).filter(Boolean);
+    for (const word of words) {
+        const pattern = `%${escapeLike(word)}%`;
+        conditions.push(`(name LIKE ? ESCAPE '\\' OR breed LIKE ? ESCAPE '\\' OR slug LIKE ? ESCAPE '\\' OR bio LIKE ? ESCAPE '\\')`);
+        params.push(pattern, pattern, pattern, pattern);
+    }
+
+    if (query.rescueId) {
+        conditions.push('rescue_id = ?');
+        params.push(query.rescueId);
+    }
+
+    if (query.fosterId === 'none') {
+        conditions.push('foster_id IS NULL');
+    } else if (query.fosterId) {
+        conditions.push('foster_id = ?');
+        params.push(query.fosterId);
+    }
+
+    if (query.size) {
+        conditions.push('size = ?');
+        params.push(query.size);
+    }
+
+    if (query.sex && SEX_GENDERS[query.sex]) {
+        const genders = SEX_GENDERS[query.sex];
+        conditions.push(`gender IN (${genders.map(() => '?').join(', ')})`);
+        params.push(...genders);
+    }
+
+    if (query.minAgeMonths != null) {
+        conditions.push('age_months(birthdate, age_long) >= ?');
+        params.push(query.minAgeMonths);
+    }
+
+    if (query.maxAgeMonths != null) {
+        conditions.push('age_months(birthdate, age_long) < ?');
+        params.push(query.maxAgeMonths);
+    }
+
+    if (query.species) {
+        conditions.push('species = ?');
+        params.push(query.species);
+    }
+
+    for (const field of ['kids', 'dogs', 'cats', 'rabbits']) {
+        if (query[field]) {
+            conditions.push(`CAST(${field} AS TEXT) = ?`);
+            params.push(String(query[field]));
+        }
+    }
+
+    if (query.noPortrait) {
+        conditions.push('portrait_hash IS NULL');
+    }
+
+    if (query.noAttributes) {
+        conditions.push("(attributes IS NULL OR attributes IN ('', '[]'))");
+    }
+
+    if (Array.isArray(query.statuses)) {
+        if (query.statuses.length === 0) return [];
+        conditions.push(`status IN (${query.statuses.map(() => '?').join(', ')})`);
+        params.push(...query.statuses);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const direction = query.descending ? 'DESC' : 'ASC';
+    const sortExpr = ANIMAL_SORTS[query.sort] || ANIMAL_SORTS.name;
+
+    return queryAllPrepared(`
+        SELECT id, name, slug, size, shots, housetrained, breed,
+               age_long, age_short, birthdate, gender, species, kids, dogs, cats, rabbits,
+               weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+               portrait_path, portrait_mime, portrait_hash, rescue_id, foster_id, attributes, bio, photo_urls,
+               source_missing_since, last_synced_at, status, adopted_at, created_at, updated_at
+        FROM animals
+        ${where}
+        ORDER BY ${sortExpr} IS NULL, ${sortExpr} ${direction}, name COLLATE NOCASE, id
+    `, params);
+}
+
+/**
+ * Get an animal's full-resolution portrait as a data URL (for rendering cards)
  * @param {number} animalId - Animal ID
  * @returns {string|null} - Data URL or null if no image
  */
@@ -295,18 +754,36 @@ function getImageAsDataUrl(animalId) {
     if (!db) throw new Error('Database not initialized');
 
     const row = queryOnePrepared(
-        'SELECT portrait_mime, portrait_data FROM animals WHERE id = ?',
+        'SELECT portrait_mime, portrait_hash FROM animals WHERE id = ?',
+        [animalId]
+    );
+
+    if (!row || !row.portrait_mime || !row.portrait_hash) {
+        return null;
+    }
+
+    return imageStore.readImageAsDataUrl(row.portrait_hash, row.portrait_mime);
+}
+
+/**
+ * Get the file to serve for an animal's portrait (for the animal-image:// protocol)
+ * @param {number} animalId - Animal ID
+ * @param {string} [size='full'] - 'full' or 'thumb'
+ * @returns {Promise<{path: string, mime: string}|null>} - null if no image
+ */
+async function getAnimalImageFile(animalId, size = 'full') {
+    if (!db) throw new Error('Database not initialized');
+
+    const row = queryOnePrepared(
+        'SELECT portrait_mime, portrait_hash FROM animals WHERE id = ?',
         [animalId]
     );
 
-    if (!row || !row.portrait_mime || !row.portrait_data) {
+    if (!row || !row.portrait_mime || !row.portrait_hash) {
         return null;
     }
 
-    // portrait_data is a Uint8Array in sql.js, convert to base64
-    const buffer = Buffer.from(row.portrait_data);
-    const base64 = buffer.toString('base64');
-    return `data:${row.portrait_mime};base64,${base64}`;
+    return imageStore.getImageFile(row.portrait_hash, row.portrait_mime, size);
 }
 
 /**
@@ -318,26 +795,76 @@ function getImageAsDataUrl(animalId) {
 function createAnimal(animal, imageData = null) {
     if (!db) throw new Error('Database not initialized');
 
+    return transaction(() => {
+        const result = insertAnimal(animal, imageData);
+        recordStatusChange(result.lastInsertRowid, 'available', 'Added');
+        if (imageData) {
+            addPortraitToGallery(result.lastInsertRowid);
+        }
+        if (animal.custom_values) {
+            setAnimalCustomValues(result.lastInsertRowid, animal.custom_values);
+        }
+        return result;
+    });
+}
+
+/**
+ * Get the birthdate to store for an animal, estimated from its age text when
+ * none is given
+ * @param {Object} animal - Animal data
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function getBirthdate(animal) {
+    return animal.birthdate || estimateBirthdate(animal.age_long);
+}
+
+/**
+ * Get the medical and adoption column values of an animal, in column order
+ * (weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date)
+ * @param {Object} animal - Animal data
+ * @returns {Array}
+ */
+function getMedicalValues(animal) {
+    return [
+        parseAmount(animal.weight_lbs),
+        animal.altered || '?',
+        animal.microchipped || '?',
+        parseAmount(animal.adoption_fee),
+        animal.special_needs || null,
+        animal.intake_date || null
+    ];
+}
+
+/**
+ * Insert the animal row for createAnimal
+ * @param {Object} animal - Animal data
+ * @param {Object} imageData - Optional image data { hex, mime, path }
+ * @returns {Object} - Result with lastInsertRowid
+ */
+function insertAnimal(animal, imageData) {
+
     const rescueId = animal.rescue_id || 1;
     const attributesJson = JSON.stringify(Array.isArray(animal.attributes) ? animal.attributes.slice(0, 16) : []);
     const photoUrlsJson = JSON.stringify(Array.isArray(animal.photoUrls) ? animal.photoUrls : []);
 
     if (imageData) {
-        // Convert hex string to Uint8Array for the BLOB
-        const imageBuffer = Buffer.from(imageData.hex, 'hex');
+        const imageHash = imageStore.storeImage(db, Buffer.from(imageData.hex, 'hex'), imageData.mime);
 
         return runPrepared(`
             INSERT INTO animals (
-                name, breed, slug, age_long, age_short, size, gender,
-                shots, housetrained, kids, dogs, cats,
-                portrait_path, portrait_mime, portrait_data, rescue_id, attributes, bio, photo_urls
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                name, breed, slug, age_long, age_short, birthdate, species, size, gender,
+                shots, housetrained, kids, dogs, cats, rabbits,
+                weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+                portrait_path, portrait_mime, portrait_hash, rescue_id, foster_id, attributes, bio, photo_urls
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             animal.name,
             animal.breed,
             animal.slug,
             animal.age_long,
             animal.age_short,
+            getBirthdate(animal),
+            animal.species || DEFAULT_SPECIES,
             animal.size,
             animal.gender,
             animal.shots ? 1 : 0,
@@ -345,10 +872,13 @@ function createAnimal(animal, imageData = null) {
             animal.kids,
             animal.dogs,
             animal.cats,
+            animal.rabbits || '?',
+            ...getMedicalValues(animal),
             imageData.path,
             imageData.mime,
-            imageBuffer,
+            imageHash,
             rescueId,
+            animal.foster_id || null,
             attributesJson,
             animal.bio || null,
             photoUrlsJson
@@ -356,15 +886,19 @@ function createAnimal(animal, imageData = null) {
     } else {
         return runPrepared(`
             INSERT INTO animals (
-                name, breed, slug, age_long, age_short, size, gender,
-                shots, housetrained, kids, dogs, cats, rescue_id, attributes, bio, photo_urls
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                name, breed, slug, age_long, age_short, birthdate, species, size, gender,
+                shots, housetrained, kids, dogs, cats, rabbits,
+                weight_lbs, altered, microchipped, adoption_fee, special_needs, intake_date,
+                rescue_id, foster_id, attributes, bio, photo_urls
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
             animal.name,
             animal.breed,
             animal.slug,
             animal.age_long,
             animal.age_short,
+            getBirthdate(animal),
+            animal.species || DEFAULT_SPECIES,
             animal.size,
             animal.gender,
             animal.shots ? 1 : 0,
@@ -372,7 +906,10 @@ function createAnimal(animal, imageData = null) {
             animal.kids,
             animal.dogs,
             animal.cats,
+            animal.rabbits || '?',
+            ...getMedicalValues(animal),
             rescueId,
+            animal.foster_id || null,
             attributesJson,
             animal.bio || null,
             photoUrlsJson
@@ -381,54 +918,84 @@ function createAnimal(animal, imageData = null) {
 }
 
 /**
- * Update an existing animal
+ * Update an existing animal, recording the fields it changes in its history
  * @param {number} id - Animal ID
- * @param {Object} animal - Animal data
+ * @param {Object} animal - Animal data; custom_values ({ key: value }) updates
+ *   just the custom fields it names
  * @param {Object} imageData - Optional image data { hex, mime, path }
+ * @param {string} [source='manual'] - Where the changes came from (one of CHANGE_SOURCES)
  * @returns {Object} - Result with changes count
  */
-function updateAnimal(id, animal, imageData = null) {
+function updateAnimal(id, animal, imageData = null, source = 'manual') {
     if (!db) throw new Error('Database not initialized');
 
+    return recordAnimalChanges(id, source, () => {
+        const result = updateAnimalRow(id, animal, imageData);
+        if (animal.custom_values) {
+            setAnimalCustomValues(id, animal.custom_values);
+        }
+        return result;
+    });
+}
+
+/**
+ * Update the animal row for updateAnimal
+ * @param {number} id - Animal ID
+ * @param {Object} animal - Animal data
+ * @param {Object} imageData - Optional image data { hex, mime, path }
+ * @returns {Object} - Result with changes count
+ */
+function updateAnimalRow(id, animal, imageData) {
     const rescueId = animal.rescue_id || 1;
 
     if (imageData) {
-        // Convert hex string to Uint8Array for the BLOB
-        const imageBuffer = Buffer.from(imageData.hex, 'hex');
-
-        return runPrepared(`
-            UPDATE animals SET
-                name = ?, breed = ?, slug = ?, age_long = ?, age_short = ?,
-                size = ?, gender = ?, shots = ?, housetrained = ?,
-                kids = ?, dogs = ?, cats = ?,
-                portrait_path = ?, portrait_mime = ?, portrait_data = ?, rescue_id = ?, bio = ?
-            WHERE id = ?
-        `, [
-            animal.name,
-            animal.breed,
-            animal.slug,
-            animal.age_long,
-            animal.age_short,
-            animal.size,
-            animal.gender,
-            animal.shots ? 1 : 0,
-            animal.housetrained ? 1 : 0,
-            animal.kids,
-            animal.dogs,
-            animal.cats,
-            imageData.path,
-            imageData.mime,
-            imageBuffer,
-            rescueId,
-            animal.bio || null,
-            id
-        ]);
+        return transaction(() => {
+            const imageHash = imageStore.storeImage(db, Buffer.from(imageData.hex, 'hex'), imageData.mime);
+
+            const result = runPrepared(`
+                UPDATE animals SET
+                    name = ?, breed = ?, slug = ?, age_long = ?, age_short = ?, birthdate = ?,
+                    species = ?, size = ?, gender = ?, shots = ?, housetrained = ?,
+                    kids = ?, dogs = ?, cats = ?, rabbits = ?,
+                    weight_lbs = ?, altered = ?, microchipped = ?, adoption_fee = ?, special_needs = ?, intake_date = ?,
+                    portrait_path = ?, portrait_mime = ?, portrait_hash = ?, rescue_id = ?, foster_id = ?, bio = ?
+                WHERE id = ?
+            `, [
+                animal.name,
+                animal.breed,
+                animal.slug,
+                animal.age_long,
+                animal.age_short,
+                getBirthdate(animal),
+                animal.species || DEFAULT_SPECIES,
+                animal.size,
+                animal.gender,
+                animal.shots ? 1 : 0,
+                animal.housetrained ? 1 : 0,
+                animal.kids,
+                animal.dogs,
+                animal.cats,
+                animal.rabbits || '?',
+                ...getMedicalValues(animal),
+                imageData.path,
+                imageData.mime,
+                imageHash,
+                rescueId,
+                animal.foster_id || null,
+                animal.bio || null,
+                id
+            ]);
+            addPortraitToGallery(id);
+            return result;
+        });
     } else {
         return runPrepared(`
             UPDATE animals SET
-                name = ?, breed = ?, slug = ?, age_long = ?, age_short = ?,
-                size = ?, gender = ?, shots = ?, housetrained = ?,
-                kids = ?, dogs = ?, cats = ?, rescue_id = ?, bio = ?
+                name = ?, breed = ?, slug = ?, age_long = ?, age_short = ?, birthdate = ?,
+                species = ?, size = ?, gender = ?, shots = ?, housetrained = ?,
+                kids = ?, dogs = ?, cats = ?, rabbits = ?,
+                weight_lbs = ?, altered = ?, microchipped = ?, adoption_fee = ?, special_needs = ?, intake_date = ?,
+                rescue_id = ?, foster_id = ?, bio = ?
             WHERE id = ?
         `, [
             animal.name,
@@ -436,6 +1003,8 @@ function updateAnimal(id, animal, imageData = null) {
             animal.slug,
             animal.age_long,
             animal.age_short,
+            getBirthdate(animal),
+            animal.species || DEFAULT_SPECIES,
             animal.size,
             animal.gender,
             animal.shots ? 1 : 0,
@@ -443,7 +1012,10 @@ function updateAnimal(id, animal, imageData = null) {
             animal.kids,
             animal.dogs,
             animal.cats,
+            animal.rabbits || '?',
+            ...getMedicalValues(animal),
             rescueId,
+            animal.foster_id || null,
             animal.bio || null,
             id
         ]);
@@ -451,45 +1023,81 @@ function updateAnimal(id, animal, imageData = null) {
 }
 
 /**
- * Delete an animal by ID
+ * Move an animal to the trash
  * @param {number} id - Animal ID
  * @returns {Object} - Result with changes count
  */
 function deleteAnimal(id) {
     if (!db) throw new Error('Database not initialized');
-    return runPrepared('DELETE FROM animals WHERE id = ?', [id]);
+    return runPrepared("UPDATE animals SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL", [id]);
 }
 
 /**
- * Get attributes for an animal
+ * Get an animal's custom field values
  * @param {number} id - Animal ID
- * @returns {Array} - Array of attribute strings (max 16)
+ * @returns {Object} - Value by field key (fields never set are left out)
  */
-function getAnimalAttributes(id) {
+function getAnimalCustomValues(id) {
     if (!db) throw new Error('Database not initialized');
-    const row = queryOnePrepared('SELECT attributes FROM animals WHERE id = ?', [id]);
-    if (!row || !row.attributes) return [];
-    try {
-        const attrs = JSON.parse(row.attributes);
-        return Array.isArray(attrs) ? attrs.slice(0, 16) : [];
-    } catch {
-        return [];
+    const values = {};
+    for (const row of queryAllPrepared('SELECT field_key, value FROM animal_custom_values WHERE animal_id = ?', [id])) {
+        values[row.field_key] = row.value;
     }
+    return values;
 }
 
 /**
- * Update attributes for an animal
+ * Set some of an animal's custom field values. Fields not named are left
+ * alone; empty values are removed so the field's default applies again.
+ * @param {number} id - Animal ID
+ * @param {Object} values - Value by field key
+ */
+function setAnimalCustomValues(id, values) {
+    for (const [key, value] of Object.entries(values)) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            runPrepared('DELETE FROM animal_custom_values WHERE animal_id = ? AND field_key = ?', [id, key]);
+        } else {
+            runPrepared(`
+                INSERT INTO animal_custom_values (animal_id, field_key, value) VALUES (?, ?, ?)
+                ON CONFLICT (animal_id, field_key) DO UPDATE SET value = excluded.value
+            `, [id, key, String(value).trim()]);
+        }
+    }
+}
+
+/**
+ * Get attributes for an animal
+ * @param {number} id - Animal ID
+ * @returns {Array} - Array of attribute strings (max 16)
+ */
+function getAnimalAttributes(id) {
+    if (!db) throw new Error('Database not initialized');
+    const row = queryOnePrepared('SELECT attributes FROM animals WHERE id = ?', [id]);
+    if (!row || !row.attributes) return [];
+    try {
+        const attrs = JSON.parse(row.attributes);
+        return Array.isArray(attrs) ? attrs.slice(0, 16) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Update attributes for an animal, recording the change in its history
  * @param {number} id - Animal ID
  * @param {Array} attributes - Array of attribute strings (max 16)
+ * @param {string} [source='manual'] - Where the attributes came from (one of CHANGE_SOURCES)
  * @returns {Object} - Result with changes count
  */
-function updateAnimalAttributes(id, attributes) {
+function updateAnimalAttributes(id, attributes, source = 'manual') {
     if (!db) throw new Error('Database not initialized');
     // Ensure max 16 attributes and filter empty strings
     const cleanAttrs = (Array.isArray(attributes) ? attributes : [])
         .filter(a => typeof a === 'string' && a.trim())
         .slice(0, 16);
-    return runPrepared('UPDATE animals SET attributes = ? WHERE id = ?', [JSON.stringify(cleanAttrs), id]);
+    return recordAnimalChanges(id, source, () =>
+        runPrepared('UPDATE animals SET attributes = ? WHERE id = ?', [JSON.stringify(cleanAttrs), id])
+    );
 }
 
 /**
@@ -523,196 +1131,1300 @@ function updateAnimalPhotoUrls(id, photoUrls) {
 }
 
 /**
- * Delete multiple animals by IDs
- * @param {Array<number>} ids - Array of animal IDs
- * @returns {Object} - { successCount, failCount }
+ * Move multiple animals to the trash. The moves run in one transaction, so an
+ * error moves none of them.
+ * @param {Array<number>} ids - Array of animal IDs
+ * @returns {Object} - { successCount, failCount } (failCount counts IDs that weren't
+ *   found or were already in the trash)
+ */
+function deleteAnimals(ids) {
+    if (!db) throw new Error('Database not initialized');
+
+    return transaction(() => {
+        let successCount = 0;
+        let failCount = 0;
+
+        for (const id of ids) {
+            const result = deleteAnimal(id);
+            if (result.changes > 0) {
+                successCount++;
+            } else {
+                failCount++;
+            }
+        }
+
+        return { successCount, failCount };
+    });
+}
+
+// ============================================================
+// Animal Photo Operations
+// ============================================================
+// Each animal has a gallery of photos in the image store. The animal's
+// portrait (portrait_hash) is its primary photo and is always in the gallery.
+
+/**
+ * Add an image to an animal's gallery, after its other photos
+ * @param {number} animalId - Animal ID
+ * @param {string} hash - Image content hash
+ * @param {string} mime - MIME type
+ * @param {string|null} sourceUrl - Where the photo came from
+ * @returns {{id: number, added: boolean}} - Photo ID; added is false if the gallery already had it
+ */
+function insertGalleryPhoto(animalId, hash, mime, sourceUrl) {
+    const existing = queryOnePrepared(
+        'SELECT id FROM animal_photos WHERE animal_id = ? AND image_hash = ?',
+        [animalId, hash]
+    );
+    if (existing) {
+        return { id: existing.id, added: false };
+    }
+
+    const result = runPrepared(`
+        INSERT INTO animal_photos (animal_id, image_hash, mime, source_url, position)
+        VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position) + 1, 0) FROM animal_photos WHERE animal_id = ?))
+    `, [animalId, hash, mime, sourceUrl, animalId]);
+    return { id: result.lastInsertRowid, added: true };
+}
+
+/**
+ * Make sure an animal's portrait is in its gallery
+ * @param {number} animalId - Animal ID
+ */
+function addPortraitToGallery(animalId) {
+    const animal = queryOnePrepared(
+        'SELECT portrait_hash, portrait_mime, portrait_path FROM animals WHERE id = ?',
+        [animalId]
+    );
+    if (animal?.portrait_hash) {
+        insertGalleryPhoto(animalId, animal.portrait_hash, animal.portrait_mime, animal.portrait_path || null);
+    }
+}
+
+/**
+ * Get an animal's gallery photos in order
+ * @param {number} animalId - Animal ID
+ * @returns {Array<{id: number, animal_id: number, image_hash: string, mime: string, source_url: string|null,
+ *   position: number, is_primary: number}>} - is_primary is 1 for the portrait
+ */
+function getAnimalPhotos(animalId) {
+    if (!db) throw new Error('Database not initialized');
+    return queryAllPrepared(`
+        SELECT p.id, p.animal_id, p.image_hash, p.mime, p.source_url, p.position, p.created_at,
+               (p.image_hash = a.portrait_hash) AS is_primary
+        FROM animal_photos p
+        JOIN animals a ON a.id = p.animal_id
+        WHERE p.animal_id = ?
+        ORDER BY p.position, p.id
+    `, [animalId]);
+}
+
+/**
+ * Add a photo to an animal's gallery. The first photo also becomes the portrait.
+ * @param {number} animalId - Animal ID
+ * @param {Object} imageData - Image data { hex, mime, path } (or { data, mime, path } with a Buffer);
+ *   path is stored as the photo's source
+ * @returns {{id: number, added: boolean}} - Photo ID; added is false if the gallery already had it
+ */
+function addAnimalPhoto(animalId, imageData) {
+    if (!db) throw new Error('Database not initialized');
+
+    return transaction(() => {
+        const animal = queryOnePrepared('SELECT id, portrait_hash FROM animals WHERE id = ?', [animalId]);
+        if (!animal) {
+            throw new Error(`Animal ${animalId} not found`);
+        }
+
+        const data = imageData.data ? Buffer.from(imageData.data) : Buffer.from(imageData.hex, 'hex');
+        const hash = imageStore.storeImage(db, data, imageData.mime);
+        const photo = insertGalleryPhoto(animalId, hash, imageData.mime, imageData.path || null);
+
+        if (!animal.portrait_hash) {
+            runPrepared(
+                'UPDATE animals SET portrait_hash = ?, portrait_mime = ?, portrait_path = ? WHERE id = ?',
+                [hash, imageData.mime, imageData.path || null, animalId]
+            );
+        }
+        return photo;
+    });
+}
+
+/**
+ * Remove a photo from its animal's gallery. The portrait can't be removed;
+ * choose another portrait first.
+ * @param {number} photoId - Photo ID
+ * @returns {Object} - Result with changes count
+ */
+function removeAnimalPhoto(photoId) {
+    if (!db) throw new Error('Database not initialized');
+
+    const photo = queryOnePrepared(`
+        SELECT p.id, (p.image_hash = a.portrait_hash) AS is_primary
+        FROM animal_photos p
+        JOIN animals a ON a.id = p.animal_id
+        WHERE p.id = ?
+    `, [photoId]);
+    if (!photo) {
+        throw new Error(`Photo ${photoId} not found`);
+    }
+    if (photo.is_primary) {
+        throw new Error('This photo is the portrait. Choose another portrait before removing it.');
+    }
+
+    return runPrepared('DELETE FROM animal_photos WHERE id = ?', [photoId]);
+}
+
+/**
+ * Put an animal's gallery photos in a new order
+ * @param {number} animalId - Animal ID
+ * @param {Array<number>} photoIds - The animal's photo IDs in their new order
+ */
+function reorderAnimalPhotos(animalId, photoIds) {
+    if (!db) throw new Error('Database not initialized');
+
+    transaction(() => {
+        photoIds.forEach((photoId, position) => {
+            runPrepared(
+                'UPDATE animal_photos SET position = ? WHERE id = ? AND animal_id = ?',
+                [position, photoId, animalId]
+            );
+        });
+    });
+}
+
+/**
+ * Get the file to serve for a gallery photo (for the animal-image:// protocol)
+ * @param {number} photoId - Photo ID
+ * @param {string} [size='full'] - 'full' or 'thumb'
+ * @returns {Promise<{path: string, mime: string}|null>} - null if there is no such photo
+ */
+async function getAnimalPhotoFile(photoId, size = 'full') {
+    if (!db) throw new Error('Database not initialized');
+
+    const row = queryOnePrepared('SELECT image_hash, mime FROM animal_photos WHERE id = ?', [photoId]);
+    if (!row) {
+        return null;
+    }
+
+    return imageStore.getImageFile(row.image_hash, row.mime, size);
+}
+
+/**
+ * Get an animal's gallery photos as data URLs, in gallery order (for rendering cards)
+ * @param {number} animalId - Animal ID
+ * @returns {Array<string>}
+ */
+function getAnimalPhotoDataUrls(animalId) {
+    return getAnimalPhotos(animalId)
+        .map(photo => imageStore.readImageAsDataUrl(photo.image_hash, photo.mime))
+        .filter(Boolean);
+}
+
+// ============================================================
+// Animal Status Operations
+// ============================================================
+
+// Lifecycle statuses an animal can have
+const ANIMAL_STATUSES = ['available', 'pending', 'adopted', 'on_hold'];
+
+/**
+ * Add an entry to an animal's status history
+ * @param {number} animalId - Animal ID
+ * @param {string} status - New status
+ * @param {string} [note] - Optional note
+ */
+function recordStatusChange(animalId, status, note = null) {
+    runPrepared(
+        'INSERT INTO animal_status_history (animal_id, status, note) VALUES (?, ?, ?)',
+        [animalId, status, note]
+    );
+}
+
+/**
+ * Change an animal's status and record it in the status history.
+ * Adopted animals keep an adoption date (today unless given); other statuses clear it.
+ * @param {number} id - Animal ID
+ * @param {string} status - One of ANIMAL_STATUSES
+ * @param {Object} [options] - Options
+ * @param {string} [options.adoptedAt] - Adoption date (YYYY-MM-DD)
+ * @param {string} [options.note] - Note stored with the history entry
+ * @returns {Object} - Result with changes count
+ */
+function setAnimalStatus(id, status, options = {}) {
+    if (!db) throw new Error('Database not initialized');
+    if (!ANIMAL_STATUSES.includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+    }
+
+    const current = queryOnePrepared('SELECT status, adopted_at FROM animals WHERE id = ?', [id]);
+    if (!current) throw new Error(`Animal not found: ${id}`);
+
+    const adoptedAt = status === 'adopted'
+        ? (options.adoptedAt || current.adopted_at || new Date().toISOString().slice(0, 10))
+        : null;
+
+    return transaction(() => {
+        const result = runPrepared('UPDATE animals SET status = ?, adopted_at = ? WHERE id = ?', [status, adoptedAt, id]);
+        if (current.status !== status) {
+            recordStatusChange(id, status, options.note || null);
+        }
+        return result;
+    });
+}
+
+/**
+ * Get an animal's status changes, newest first
+ * @param {number} id - Animal ID
+ * @returns {Array<{id: number, status: string, note: string|null, changed_at: string}>}
+ */
+function getAnimalStatusHistory(id) {
+    if (!db) throw new Error('Database not initialized');
+    return queryAllPrepared(`
+        SELECT id, status, note, changed_at
+        FROM animal_status_history
+        WHERE animal_id = ?
+        ORDER BY changed_at DESC, id DESC
+    `, [id]);
+}
+
+// ============================================================
+// Animal History Operations
+// ============================================================
+// Each field an edit, scrape, AI run or import changes is recorded in
+// animal_changes with its value before and after, so it can be reverted.
+
+// Where a recorded change came from
+const CHANGE_SOURCES = ['manual', 'scrape', 'ai', 'import', 'merge', 'revert'];
+
+// Animal columns recorded in the history. Custom field values are recorded
+// too, as "custom.<key>". Portraits stay in the photo gallery when replaced,
+// and status changes have their own history.
+const TRACKED_ANIMAL_FIELDS = [
+    'name', 'breed', 'slug', 'age_long', 'age_short', 'birthdate', 'species', 'size', 'gender',
+    'shots', 'housetrained', 'kids', 'dogs', 'cats', 'rabbits',
+    'weight_lbs', 'altered', 'microchipped', 'adoption_fee', 'special_needs', 'intake_date',
+    'rescue_id', 'foster_id', 'attributes', 'bio'
+];
+
+const CUSTOM_FIELD_PREFIX = 'custom.';
+
+/**
+ * Get an animal's tracked field values as text, custom fields included
+ * @param {number} id - Animal ID
+ * @returns {Object|null} - Value (string or null) by field name, or null if not found
+ */
+function getTrackedValues(id) {
+    const row = queryOnePrepared(`SELECT ${TRACKED_ANIMAL_FIELDS.join(', ')} FROM animals WHERE id = ?`, [id]);
+    if (!row) return null;
+
+    const values = {};
+    for (const field of TRACKED_ANIMAL_FIELDS) {
+        values[field] = row[field] === null || row[field] === undefined ? null : String(row[field]);
+    }
+    for (const [key, value] of Object.entries(getAnimalCustomValues(id))) {
+        values[CUSTOM_FIELD_PREFIX + key] = value;
+    }
+    return values;
+}
+
+/**
+ * Make changes to an animal in a transaction and record each field they changed
+ * @param {number} id - Animal ID
+ * @param {string} source - One of CHANGE_SOURCES
+ * @param {Function} fn - Makes the changes
+ * @returns {*} - The result of fn
+ */
+function recordAnimalChanges(id, source, fn) {
+    if (!CHANGE_SOURCES.includes(source)) {
+        throw new Error(`Invalid change source: ${source}`);
+    }
+
+    return transaction(() => {
+        const before = getTrackedValues(id);
+        const result = fn();
+        const after = getTrackedValues(id);
+        if (!before || !after) return result;
+
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const oldValue = before[field] ?? null;
+            const newValue = after[field] ?? null;
+            // An empty value and no value are the same to the user
+            if ((oldValue ?? '') === (newValue ?? '')) continue;
+            runPrepared(
+                'INSERT INTO animal_changes (animal_id, field, old_value, new_value, source) VALUES (?, ?, ?, ?, ?)',
+                [id, field, oldValue, newValue, source]
+            );
+        }
+        return result;
+    });
+}
+
+/**
+ * Get an animal's recorded field changes, newest first
+ * @param {number} id - Animal ID
+ * @returns {Array<{id: number, field: string, old_value: string|null, new_value: string|null, source: string, changed_at: string}>}
+ */
+function getAnimalChanges(id) {
+    if (!db) throw new Error('Database not initialized');
+    return queryAllPrepared(`
+        SELECT id, field, old_value, new_value, source, changed_at
+        FROM animal_changes
+        WHERE animal_id = ?
+        ORDER BY changed_at DESC, id DESC
+    `, [id]);
+}
+
+/**
+ * Put a field back to its value before a recorded change. The revert is
+ * recorded as a change too, so it can itself be reverted.
+ * @param {number} changeId - animal_changes ID
+ * @returns {Object} - { animalId, field }
+ */
+function revertAnimalChange(changeId) {
+    if (!db) throw new Error('Database not initialized');
+
+    const change = queryOnePrepared('SELECT animal_id, field, old_value FROM animal_changes WHERE id = ?', [changeId]);
+    if (!change) throw new Error(`Change not found: ${changeId}`);
+
+    const isCustom = change.field.startsWith(CUSTOM_FIELD_PREFIX);
+    if (!isCustom && !TRACKED_ANIMAL_FIELDS.includes(change.field)) {
+        throw new Error(`Cannot revert field: ${change.field}`);
+    }
+
+    recordAnimalChanges(change.animal_id, 'revert', () => {
+        if (isCustom) {
+            setAnimalCustomValues(change.animal_id, { [change.field.slice(CUSTOM_FIELD_PREFIX.length)]: change.old_value });
+        } else {
+            runPrepared(`UPDATE animals SET ${change.field} = ? WHERE id = ?`, [change.old_value, change.animal_id]);
+        }
+    });
+    return { animalId: change.animal_id, field: change.field };
+}
+
+// ============================================================
+// Trash Operations
+// ============================================================
+// Deleted animals are kept in the trash (deleted_at is set) and can be
+// restored until they're older than the trash_retention_days setting.
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Get the animals in the trash, most recently deleted first
+ * @returns {Array} - Array of animal objects (without portrait data)
+ */
+function getDeletedAnimals() {
+    if (!db) throw new Error('Database not initialized');
+    return queryAll(`
+        SELECT id, name, breed, species, rescue_id, portrait_path, portrait_mime, portrait_hash, deleted_at
+        FROM animals
+        WHERE deleted_at IS NOT NULL
+        ORDER BY deleted_at DESC, name
+    `);
+}
+
+/**
+ * Take animals back out of the trash
+ * @param {Array<number>} ids - Animal IDs
+ * @returns {Object} - Result with changes count
+ */
+function restoreAnimals(ids) {
+    if (!db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return { changes: 0 };
+    return runPrepared(`
+        UPDATE animals SET deleted_at = NULL
+        WHERE deleted_at IS NOT NULL AND id IN (${ids.map(() => '?').join(', ')})
+    `, ids);
+}
+
+/**
+ * Permanently delete animals in the trash, with their photos, custom values and
+ * history. An automatic backup is made first, and the deletes run in one
+ * transaction so an error deletes none of them.
+ * @param {Array<number>} ids - Animal IDs (animals not in the trash are left alone)
+ * @returns {Object} - { successCount, failCount } (failCount counts IDs not in the trash)
+ */
+function purgeAnimals(ids) {
+    if (!db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return { successCount: 0, failCount: 0 };
+
+    try {
+        createAutoBackup('before-delete');
+    } catch (err) {
+        throw new Error(`Could not back up before deleting: ${err.message}`);
+    }
+
+    return transaction(() => {
+        let successCount = 0;
+        let failCount = 0;
+
+        for (const id of ids) {
+            if (!queryOnePrepared('SELECT id FROM animals WHERE id = ? AND deleted_at IS NOT NULL', [id])) {
+                failCount++;
+                continue;
+            }
+            runPrepared('DELETE FROM animal_status_history WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM animal_photos WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM animal_custom_values WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM animal_changes WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM animal_duplicate_dismissals WHERE animal_id = ? OR other_animal_id = ?', [id, id]);
+            runPrepared('DELETE FROM event_animals WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM print_history WHERE animal_id = ?', [id]);
+            runPrepared('DELETE FROM animals WHERE id = ?', [id]);
+            successCount++;
+        }
+
+        return { successCount, failCount };
+    });
+}
+
+/**
+ * Get how many days deleted animals are kept in the trash
+ * @returns {number}
+ */
+function getTrashRetentionDays() {
+    const days = parseInt(getSetting('trash_retention_days'), 10);
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently delete animals that have been in the trash longer than the
+ * retention period
+ * @returns {Object} - { successCount, failCount }
+ */
+function purgeExpiredTrash() {
+    if (!db) throw new Error('Database not initialized');
+    const expired = queryAllPrepared(
+        "SELECT id FROM animals WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+        [`-${getTrashRetentionDays()} days`]
+    );
+    const result = purgeAnimals(expired.map(row => row.id));
+    if (result.successCount > 0) {
+        console.log(`[DB] Emptied ${result.successCount} animal(s) from the trash`);
+    }
+    return result;
+}
+
+// ============================================================
+// Duplicate Operations
+// ============================================================
+// animal-duplicates.js finds animals entered twice; this stores what it
+// compares and merges the records the user confirms are the same animal.
+
+/**
+ * Get the portraits of animals not in the trash with their cached perceptual hash
+ * @returns {Array<{hash: string, mime: string, phash: string|null}>} - phash is null
+ *   until it's worked out, and '' when the image couldn't be read
+ */
+function getPortraitImages() {
+    if (!db) throw new Error('Database not initialized');
+    return queryAll(`
+        SELECT DISTINCT i.hash, i.mime, i.phash
+        FROM animals a
+        JOIN images i ON i.hash = a.portrait_hash
+        WHERE a.deleted_at IS NULL
+    `);
+}
+
+/**
+ * Cache an image's perceptual hash
+ * @param {string} hash - Image content hash
+ * @param {string} phash - Perceptual hash ('' when the image couldn't be read)
+ * @returns {Object} - Result with changes count
+ */
+function setImagePerceptualHash(hash, phash) {
+    if (!db) throw new Error('Database not initialized');
+    return runPrepared('UPDATE images SET phash = ? WHERE hash = ?', [phash, hash]);
+}
+
+/**
+ * Get the pairs of animals the user said aren't duplicates
+ * @returns {Array<{animal_id: number, other_animal_id: number}>} - animal_id is the lower ID
+ */
+function getDismissedDuplicates() {
+    if (!db) throw new Error('Database not initialized');
+    return queryAll('SELECT animal_id, other_animal_id FROM animal_duplicate_dismissals');
+}
+
+/**
+ * Remember that two animals aren't duplicates, so they aren't suggested again
+ * @param {number} animalId - Animal ID
+ * @param {number} otherAnimalId - The other animal's ID
+ * @returns {Object} - Result with changes count
+ */
+function dismissDuplicate(animalId, otherAnimalId) {
+    if (!db) throw new Error('Database not initialized');
+    return runPrepared(
+        'INSERT OR IGNORE INTO animal_duplicate_dismissals (animal_id, other_animal_id) VALUES (?, ?)',
+        [Math.min(animalId, otherAnimalId), Math.max(animalId, otherAnimalId)]
+    );
+}
+
+/**
+ * Merge two records of the same animal. The chosen fields are copied from the
+ * other record, its photos are added to the kept animal's gallery, and it
+ * moves to the trash. The changes are recorded in the kept animal's history.
+ * @param {number} keepId - Animal that remains
+ * @param {number} otherId - Animal merged into it
+ * @param {Object} [choices] - 'other' for each field to take from the other record:
+ *   a column in TRACKED_ANIMAL_FIELDS, 'portrait' or 'custom.<key>'. attributes
+ *   may also be 'both' to combine the two lists.
+ * @returns {{photosAdded: number}} - Number of the other record's photos added to the gallery
+ */
+function mergeAnimals(keepId, otherId, choices = {}) {
+    if (!db) throw new Error('Database not initialized');
+    if (keepId === otherId) throw new Error('Cannot merge an animal with itself');
+
+    const isActive = (id) => !!queryOnePrepared('SELECT id FROM animals WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!isActive(keepId) || !isActive(otherId)) {
+        throw new Error('Both animals must exist and not be in the trash');
+    }
+
+    return transaction(() => {
+        const photoCount = getAnimalPhotos(keepId).length;
+
+        recordAnimalChanges(keepId, 'merge', () => {
+            const columns = TRACKED_ANIMAL_FIELDS.filter(f => choices[f] === 'other');
+            if (choices.portrait === 'other') {
+                columns.push('portrait_path', 'portrait_mime', 'portrait_hash');
+            }
+            if (columns.length > 0) {
+                runPrepared(
+                    `UPDATE animals SET ${columns.map(c => `${c} = (SELECT ${c} FROM animals WHERE id = ?)`).join(', ')} WHERE id = ?`,
+                    [...columns.map(() => otherId), keepId]
+                );
+            }
+
+            if (choices.attributes === 'both') {
+                const attributes = [...new Set([...getAnimalAttributes(keepId), ...getAnimalAttributes(otherId)])];
+                runPrepared('UPDATE animals SET attributes = ? WHERE id = ?', [JSON.stringify(attributes.slice(0, 16)), keepId]);
+            }
+
+            const otherValues = getAnimalCustomValues(otherId);
+            const customValues = {};
+            for (const field of Object.keys(choices)) {
+                if (field.startsWith(CUSTOM_FIELD_PREFIX) && choices[field] === 'other') {
+                    const key = field.slice(CUSTOM_FIELD_PREFIX.length);
+                    customValues[key] = otherValues[key] ?? null;
+                }
+            }
+            setAnimalCustomValues(keepId, customValues);
+        });
+
+        // Keep every photo either record had
+        const photoUrls = [...new Set([...getAnimalPhotoUrls(keepId), ...getAnimalPhotoUrls(otherId)])];
+        runPrepared('UPDATE animals SET photo_urls = ? WHERE id = ?', [JSON.stringify(photoUrls), keepId]);
+        addPortraitToGallery(keepId);
+        for (const photo of getAnimalPhotos(otherId)) {
+            insertGalleryPhoto(keepId, photo.image_hash, photo.mime, photo.source_url);
+        }
+
+        // The kept animal attends every event either record was going to
+        runPrepared(
+            'INSERT OR IGNORE INTO event_animals (event_id, animal_id) SELECT event_id, ? FROM event_animals WHERE animal_id = ?',
+            [keepId, otherId]
+        );
+
+        deleteAnimal(otherId);
+        return { photosAdded: getAnimalPhotos(keepId).length - photoCount };
+    });
+}
+
+// ============================================================
+// Roster Sync Operations
+// ============================================================
+
+// Animal fields a roster sync may overwrite with values from the rescue's site
+const SYNCED_ANIMAL_FIELDS = [
+    'name', 'breed', 'age_long', 'age_short', 'species', 'size', 'gender',
+    'shots', 'housetrained', 'kids', 'dogs', 'cats', 'bio',
+    'weight_lbs', 'altered', 'microchipped', 'adoption_fee', 'special_needs'
+];
+
+/**
+ * Mark animals as seen on their rescue's listing, clearing any "possibly adopted" flag.
+ * Only sync columns change, so updated_at is left alone (see the update_animals_timestamp
+ * trigger); rows already marked this second are skipped for the same reason.
+ * @param {Array<number>} ids - Animal IDs found on the listing
+ * @returns {Object} - Result with changes count
+ */
+function markAnimalsListed(ids) {
+    if (!db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return { changes: 0 };
+    return runPrepared(`
+        UPDATE animals
+        SET source_missing_since = NULL, last_synced_at = datetime('now')
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+          AND (source_missing_since IS NOT NULL OR last_synced_at IS NOT datetime('now'))
+    `, ids);
+}
+
+/**
+ * Flag animals that no longer appear on their rescue's listing as possibly adopted.
+ * Animals already flagged keep the date they first went missing and aren't updated,
+ * so their updated_at is left alone.
+ * @param {Array<number>} ids - Animal IDs missing from the listing
+ * @returns {Object} - Result with changes count
+ */
+function markAnimalsMissing(ids) {
+    if (!db) throw new Error('Database not initialized');
+    if (!ids || ids.length === 0) return { changes: 0 };
+    return runPrepared(`
+        UPDATE animals
+        SET source_missing_since = datetime('now')
+        WHERE id IN (${ids.map(() => '?').join(', ')})
+          AND source_missing_since IS NULL
+    `, ids);
+}
+
+/**
+ * Update the fields a roster sync found changed on the rescue's site, recording
+ * them in the animal's history as scraped
+ * @param {number} id - Animal ID
+ * @param {Object} changes - Field name to new value (only synced fields are applied)
+ * @returns {Object} - Result with changes count
+ */
+function updateAnimalSyncedFields(id, changes) {
+    if (!db) throw new Error('Database not initialized');
+    const fields = Object.keys(changes).filter(f => SYNCED_ANIMAL_FIELDS.includes(f));
+    if (fields.length === 0) return { changes: 0 };
+
+    // A new age on the site means a new birthdate estimate
+    const values = fields.map(f => changes[f]);
+    if (fields.includes('age_long')) {
+        fields.push('birthdate');
+        values.push(estimateBirthdate(changes.age_long));
+    }
+
+    return recordAnimalChanges(id, 'scrape', () => runPrepared(
+        `UPDATE animals SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...values, id]
+    ));
+}
+
+// ============================================================
+// Rescue Operations
+// ============================================================
+
+/**
+ * Parse a rescue row's JSON scraper config and custom fields, and add its logo's URL
+ * @param {Object|undefined} rescue - Rescue row
+ * @returns {Object|undefined} - Rescue with scraper_config as an object (or null),
+ *   custom_fields as an array and logo_url (or null)
+ */
+function parseRescueRow(rescue) {
+    if (rescue) {
+        rescue.scraper_config = rescue.scraper_config ? JSON.parse(rescue.scraper_config) : null;
+        rescue.custom_fields = rescue.custom_fields ? JSON.parse(rescue.custom_fields) : [];
+        rescue.logo_url = getRescueLogoUrl(rescue);
+    }
+    return rescue;
+}
+
+/**
+ * Serialize a rescue's scraper config for storage
+ * @param {Object|string|null} config - Scraper config
+ * @returns {string|null}
+ */
+function serializeScraperConfig(config) {
+    if (!config) return null;
+    return typeof config === 'string' ? config : JSON.stringify(config);
+}
+
+/**
+ * Check and serialize a rescue's custom field definitions for storage
+ * @param {Array<Object>|undefined} fields - Field definitions
+ * @returns {string|null}
+ */
+function serializeCustomFields(fields) {
+    const normalized = normalizeCustomFields(fields);
+    return normalized.length > 0 ? JSON.stringify(normalized) : null;
+}
+
+/**
+ * Get all rescues
+ * @returns {Array} - Array of rescue objects
+ */
+function getAllRescues() {
+    return queryAll(`
+        SELECT id, name, website, logo_path, logo_hash, logo_mime, org_id, scraper_type, scraper_config, custom_fields
+        FROM rescues
+        ORDER BY name
+    `).map(parseRescueRow);
+}
+
+/**
+ * Get a rescue by ID
+ * @param {number} id - Rescue ID
+ * @returns {Object|undefined} - Rescue object or undefined
+ */
+function getRescueById(id) {
+    return parseRescueRow(queryOnePrepared(`
+        SELECT id, name, website, logo_path, logo_hash, logo_mime, org_id, scraper_type, scraper_config, custom_fields
+        FROM rescues
+        WHERE id = ?
+    `, [id]));
+}
+
+/**
+ * Get a rescue by scraper type
+ * @param {string} scraperType - Scraper type ('wagtopia', 'adoptapet' or 'profile')
+ * @returns {Object|undefined} - Rescue object or undefined
+ */
+function getRescueByScraperType(scraperType) {
+    return parseRescueRow(queryOnePrepared(`
+        SELECT id, name, website, logo_path, logo_hash, logo_mime, org_id, scraper_type, scraper_config, custom_fields
+        FROM rescues
+        WHERE scraper_type = ?
+    `, [scraperType]));
+}
+
+/**
+ * Get rescue logo as data URL
+ * @param {number} rescueId - Rescue ID
+ * @returns {string|null} - Data URL or null if no logo
+ */
+function getRescueLogoAsDataUrl(rescueId) {
+    if (!db) throw new Error('Database not initialized');
+
+    const row = queryOnePrepared(
+        'SELECT logo_mime, logo_hash FROM rescues WHERE id = ?',
+        [rescueId]
+    );
+
+    if (!row || !row.logo_mime || !row.logo_hash) {
+        return null;
+    }
+
+    return imageStore.readImageAsDataUrl(row.logo_hash, row.logo_mime);
+}
+
+/**
+ * Get the file to serve for a rescue's logo (for the animal-image:// protocol)
+ * @param {number} rescueId - Rescue ID
+ * @param {string} [size='full'] - 'full' or 'thumb'
+ * @returns {Promise<{path: string, mime: string}|null>} - null if no logo
+ */
+async function getRescueLogoFile(rescueId, size = 'full') {
+    if (!db) throw new Error('Database not initialized');
+
+    const row = queryOnePrepared(
+        'SELECT logo_mime, logo_hash FROM rescues WHERE id = ?',
+        [rescueId]
+    );
+
+    if (!row || !row.logo_mime || !row.logo_hash) {
+        return null;
+    }
+
+    return imageStore.getImageFile(row.logo_hash, row.logo_mime, size);
+}
+
+/**
+ * Create a new rescue
+ * @param {Object} rescue - Rescue data
+ * @param {Object} logoData - Optional logo data { hex, mime, path }
+ * @returns {Object} - Result with lastInsertRowid
+ */
+function createRescue(rescue, logoData = null) {
+    if (!db) throw new Error('Database not initialized');
+
+    if (logoData) {
+        return transaction(() => {
+            const logoHash = imageStore.storeImage(db, Buffer.from(logoData.hex, 'hex'), logoData.mime);
+
+            return runPrepared(`
+                INSERT INTO rescues (name, website, logo_path, logo_hash, logo_mime, org_id, scraper_type, scraper_config, custom_fields)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                rescue.name,
+                rescue.website || null,
+                logoData.path || null,
+                logoHash,
+                logoData.mime,
+                rescue.org_id || null,
+                rescue.scraper_type || null,
+                serializeScraperConfig(rescue.scraper_config),
+                serializeCustomFields(rescue.custom_fields)
+            ]);
+        });
+    } else {
+        return runPrepared(`
+            INSERT INTO rescues (name, website, org_id, scraper_type, scraper_config, custom_fields)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            rescue.name,
+            rescue.website || null,
+            rescue.org_id || null,
+            rescue.scraper_type || null,
+            serializeScraperConfig(rescue.scraper_config),
+            serializeCustomFields(rescue.custom_fields)
+        ]);
+    }
+}
+
+/**
+ * Update an existing rescue
+ * @param {number} id - Rescue ID
+ * @param {Object} rescue - Rescue data
+ * @param {Object} logoData - Optional logo data { hex, mime, path }
+ * @returns {Object} - Result with changes count
+ */
+function updateRescue(id, rescue, logoData = null) {
+    if (!db) throw new Error('Database not initialized');
+
+    if (logoData) {
+        return transaction(() => {
+            const logoHash = imageStore.storeImage(db, Buffer.from(logoData.hex, 'hex'), logoData.mime);
+
+            return runPrepared(`
+                UPDATE rescues SET
+                    name = ?, website = ?, logo_path = ?, logo_hash = ?, logo_mime = ?,
+                    org_id = ?, scraper_type = ?, scraper_config = ?, custom_fields = ?
+                WHERE id = ?
+            `, [
+                rescue.name,
+                rescue.website || null,
+                logoData.path || null,
+                logoHash,
+                logoData.mime,
+                rescue.org_id || null,
+                rescue.scraper_type || null,
+                serializeScraperConfig(rescue.scraper_config),
+                serializeCustomFields(rescue.custom_fields),
+                id
+            ]);
+        });
+    } else {
+        return runPrepared(`
+            UPDATE rescues SET
+                name = ?, website = ?, org_id = ?, scraper_type = ?, scraper_config = ?, custom_fields = ?
+            WHERE id = ?
+        `, [
+            rescue.name,
+            rescue.website || null,
+            rescue.org_id || null,
+            rescue.scraper_type || null,
+            serializeScraperConfig(rescue.scraper_config),
+            serializeCustomFields(rescue.custom_fields),
+            id
+        ]);
+    }
+}
+
+/**
+ * Delete a rescue by ID
+ * @param {number} id - Rescue ID
+ * @returns {Object} - Result with changes count
+ */
+function deleteRescue(id) {
+    if (!db) throw new Error('Database not initialized');
+
+    // Check if any animals reference this rescue, including ones in the trash
+    const animalCount = queryOnePrepared(
+        'SELECT COUNT(*) as count, COUNT(deleted_at) as trashed FROM animals WHERE rescue_id = ?',
+        [id]
+    );
+
+    if (animalCount && animalCount.count > 0) {
+        const trashNote = animalCount.trashed > 0 ? ` (${animalCount.trashed} in the trash)` : '';
+        throw new Error(`Cannot delete rescue: ${animalCount.count} animal(s) are associated with it${trashNote}`);
+    }
+
+    // Its events stay, without a rescue
+    runPrepared('UPDATE events SET rescue_id = NULL WHERE rescue_id = ?', [id]);
+    return runPrepared('DELETE FROM rescues WHERE id = ?', [id]);
+}
+
+// ============================================================
+// Foster Operations
+// ============================================================
+// Fosters are the volunteers animals live with until they're adopted. Each
+// animal has at most one (animals.foster_id). Fosters who stop fostering are
+// marked inactive rather than deleted so past animals keep their contact.
+
+/**
+ * Get all fosters, active ones first, with how many animals (not in the
+ * trash) each is fostering
+ * @returns {Array} - Array of foster objects with animal_count
+ */
+function getAllFosters() {
+    return queryAll(`
+        SELECT f.id, f.name, f.phone, f.email, f.notes, f.active,
+               (SELECT COUNT(*) FROM animals a WHERE a.foster_id = f.id AND a.deleted_at IS NULL) as animal_count
+        FROM fosters f
+        ORDER BY f.active DESC, f.name COLLATE NOCASE
+    `);
+}
+
+/**
+ * Get a foster by ID
+ * @param {number} id - Foster ID
+ * @returns {Object|undefined} - Foster object or undefined
+ */
+function getFosterById(id) {
+    return queryOnePrepared(`
+        SELECT id, name, phone, email, notes, active
+        FROM fosters
+        WHERE id = ?
+    `, [id]);
+}
+
+/**
+ * Create a new foster
+ * @param {Object} foster - Foster data { name, phone, email, notes, active }
+ * @returns {Object} - Result with lastInsertRowid
+ */
+function createFoster(foster) {
+    if (!db) throw new Error('Database not initialized');
+
+    return runPrepared(`
+        INSERT INTO fosters (name, phone, email, notes, active)
+        VALUES (?, ?, ?, ?, ?)
+    `, [
+        foster.name,
+        foster.phone || null,
+        foster.email || null,
+        foster.notes || null,
+        foster.active === false ? 0 : 1
+    ]);
+}
+
+/**
+ * Update an existing foster
+ * @param {number} id - Foster ID
+ * @param {Object} foster - Foster data
+ * @returns {Object} - Result with changes count
+ */
+function updateFoster(id, foster) {
+    if (!db) throw new Error('Database not initialized');
+
+    return runPrepared(`
+        UPDATE fosters SET
+            name = ?, phone = ?, email = ?, notes = ?, active = ?
+        WHERE id = ?
+    `, [
+        foster.name,
+        foster.phone || null,
+        foster.email || null,
+        foster.notes || null,
+        foster.active === false ? 0 : 1,
+        id
+    ]);
+}
+
+/**
+ * Delete a foster by ID
+ * @param {number} id - Foster ID
+ * @returns {Object} - Result with changes count
  */
-function deleteAnimals(ids) {
+function deleteFoster(id) {
     if (!db) throw new Error('Database not initialized');
 
-    let successCount = 0;
-    let failCount = 0;
+    // Check if any animals reference this foster, including ones in the trash
+    const animalCount = queryOnePrepared(
+        'SELECT COUNT(*) as count, COUNT(deleted_at) as trashed FROM animals WHERE foster_id = ?',
+        [id]
+    );
 
-    for (const id of ids) {
-        try {
-            const result = runPrepared('DELETE FROM animals WHERE id = ?', [id]);
-            if (result.changes > 0) {
-                successCount++;
-            } else {
-                failCount++;
-            }
-        } catch (err) {
-            console.error(`[DB] Error deleting animal ${id}:`, err);
-            failCount++;
-        }
+    if (animalCount && animalCount.count > 0) {
+        const trashNote = animalCount.trashed > 0 ? ` (${animalCount.trashed} in the trash)` : '';
+        throw new Error(`Cannot delete foster: ${animalCount.count} animal(s) are linked to them${trashNote}. Mark them inactive instead.`);
     }
 
-    return { successCount, failCount };
+    return runPrepared('DELETE FROM fosters WHERE id = ?', [id]);
 }
 
 // ============================================================
-// Rescue Operations
+// Event Operations
 // ============================================================
+// Adoption events, each with a list of attending animals (event_animals).
+// Animals in the trash stay on the list but aren't shown or printed until
+// they're restored.
 
 /**
- * Get all rescues
- * @returns {Array} - Array of rescue objects
+ * Get all events, most recent first, with how many animals (not in the
+ * trash) are attending each
+ * @returns {Array} - Array of event objects with animal_count
  */
-function getAllRescues() {
+function getAllEvents() {
     return queryAll(`
-        SELECT id, name, website, logo_path, logo_data, logo_mime, org_id, scraper_type
-        FROM rescues
-        ORDER BY name
+        SELECT e.id, e.name, e.event_date, e.start_time, e.end_time, e.location, e.rescue_id, e.notes,
+               (SELECT COUNT(*) FROM event_animals ea JOIN animals a ON a.id = ea.animal_id
+                WHERE ea.event_id = e.id AND a.deleted_at IS NULL) as animal_count
+        FROM events e
+        ORDER BY e.event_date DESC, e.start_time DESC, e.id DESC
     `);
 }
 
 /**
- * Get a rescue by ID
- * @param {number} id - Rescue ID
- * @returns {Object|undefined} - Rescue object or undefined
+ * Get an event by ID
+ * @param {number} id - Event ID
+ * @returns {Object|undefined} - Event object or undefined
  */
-function getRescueById(id) {
+function getEventById(id) {
     return queryOnePrepared(`
-        SELECT id, name, website, logo_path, logo_data, logo_mime, org_id, scraper_type
-        FROM rescues
+        SELECT id, name, event_date, start_time, end_time, location, rescue_id, notes
+        FROM events
         WHERE id = ?
     `, [id]);
 }
 
 /**
- * Get a rescue by scraper type
- * @param {string} scraperType - Scraper type ('wagtopia' or 'adoptapet')
- * @returns {Object|undefined} - Rescue object or undefined
+ * Create a new event
+ * @param {Object} event - Event data { name, event_date, start_time, end_time, location, rescue_id, notes }
+ * @returns {Object} - Result with lastInsertRowid
  */
-function getRescueByScraperType(scraperType) {
-    return queryOnePrepared(`
-        SELECT id, name, website, logo_path, logo_data, logo_mime, org_id, scraper_type
-        FROM rescues
-        WHERE scraper_type = ?
-    `, [scraperType]);
+function createEvent(event) {
+    if (!db) throw new Error('Database not initialized');
+
+    return runPrepared(`
+        INSERT INTO events (name, event_date, start_time, end_time, location, rescue_id, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        event.name,
+        event.event_date,
+        event.start_time || null,
+        event.end_time || null,
+        event.location || null,
+        event.rescue_id || null,
+        event.notes || null
+    ]);
 }
 
 /**
- * Get rescue logo as data URL
- * @param {number} rescueId - Rescue ID
- * @returns {string|null} - Data URL or null if no logo
+ * Update an existing event
+ * @param {number} id - Event ID
+ * @param {Object} event - Event data
+ * @returns {Object} - Result with changes count
  */
-function getRescueLogoAsDataUrl(rescueId) {
+function updateEvent(id, event) {
     if (!db) throw new Error('Database not initialized');
 
-    const row = queryOnePrepared(
-        'SELECT logo_mime, logo_data FROM rescues WHERE id = ?',
-        [rescueId]
-    );
+    return runPrepared(`
+        UPDATE events SET
+            name = ?, event_date = ?, start_time = ?, end_time = ?, location = ?, rescue_id = ?, notes = ?
+        WHERE id = ?
+    `, [
+        event.name,
+        event.event_date,
+        event.start_time || null,
+        event.end_time || null,
+        event.location || null,
+        event.rescue_id || null,
+        event.notes || null,
+        id
+    ]);
+}
 
-    if (!row || !row.logo_mime || !row.logo_data) {
-        return null;
-    }
+/**
+ * Delete an event and its attendance list (the animals are kept)
+ * @param {number} id - Event ID
+ * @returns {Object} - Result with changes count
+ */
+function deleteEvent(id) {
+    if (!db) throw new Error('Database not initialized');
 
-    const buffer = Buffer.from(row.logo_data);
-    const base64 = buffer.toString('base64');
-    return `data:${row.logo_mime};base64,${base64}`;
+    return transaction(() => {
+        runPrepared('DELETE FROM event_animals WHERE event_id = ?', [id]);
+        return runPrepared('DELETE FROM events WHERE id = ?', [id]);
+    });
 }
 
 /**
- * Create a new rescue
- * @param {Object} rescue - Rescue data
- * @param {Object} logoData - Optional logo data { hex, mime, path }
- * @returns {Object} - Result with lastInsertRowid
+ * Get the animals (not in the trash) attending an event, without portrait data
+ * @param {number} eventId - Event ID
+ * @returns {Array} - Array of animal objects
  */
-function createRescue(rescue, logoData = null) {
+function getEventAnimals(eventId) {
+    return queryAllPrepared(`
+        SELECT a.id, a.name, a.slug, a.size, a.shots, a.housetrained, a.breed,
+               a.age_long, a.age_short, a.birthdate, a.gender, a.species, a.kids, a.dogs, a.cats, a.rabbits,
+               a.weight_lbs, a.altered, a.microchipped, a.adoption_fee, a.special_needs, a.intake_date,
+               a.portrait_path, a.portrait_mime, a.portrait_hash, a.rescue_id, a.foster_id, a.attributes, a.bio, a.photo_urls,
+               a.source_missing_since, a.last_synced_at, a.status, a.adopted_at
+        FROM event_animals ea
+        JOIN animals a ON a.id = ea.animal_id
+        WHERE ea.event_id = ? AND a.deleted_at IS NULL
+        ORDER BY a.name
+    `, [eventId]);
+}
+
+/**
+ * Replace the list of animals attending an event. Animals in the trash that
+ * were attending stay on the list.
+ * @param {number} eventId - Event ID
+ * @param {Array<number>} animalIds - Attending animal IDs
+ * @returns {{count: number}} - Number of animals now attending (not in the trash)
+ */
+function setEventAnimals(eventId, animalIds) {
     if (!db) throw new Error('Database not initialized');
+    if (!getEventById(eventId)) throw new Error('Event not found');
+
+    return transaction(() => {
+        runPrepared(`
+            DELETE FROM event_animals
+            WHERE event_id = ? AND animal_id IN (SELECT id FROM animals WHERE deleted_at IS NULL)
+        `, [eventId]);
+        for (const animalId of new Set(animalIds || [])) {
+            runPrepared('INSERT OR IGNORE INTO event_animals (event_id, animal_id) VALUES (?, ?)', [eventId, animalId]);
+        }
+        return { count: getEventAnimals(eventId).length };
+    });
+}
 
-    if (logoData) {
-        const logoBuffer = Buffer.from(logoData.hex, 'hex');
+// ============================================================
+// Print History Operations
+// ============================================================
+// Every card, flyer and PDF page made for an animal, with a hash of the
+// animal's data when it was made. Comparing that hash with the animal's
+// current one shows which printed cards are out of date.
 
-        return runPrepared(`
-            INSERT INTO rescues (name, website, logo_path, logo_data, logo_mime, org_id, scraper_type)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-            rescue.name,
-            rescue.website || null,
-            logoData.path || null,
-            logoBuffer,
-            logoData.mime,
-            rescue.org_id || null,
-            rescue.scraper_type || null
-        ]);
-    } else {
-        return runPrepared(`
-            INSERT INTO rescues (name, website, org_id, scraper_type)
-            VALUES (?, ?, ?, ?)
-        `, [
-            rescue.name,
-            rescue.website || null,
-            rescue.org_id || null,
-            rescue.scraper_type || null
-        ]);
-    }
+// What happened to the output: rendered to a file, sent to a printer, opened
+// in an image editor to print (outside Windows) or saved in a PDF
+const PRINT_ACTIONS = ['generated', 'printed', 'opened', 'exported'];
+
+// Actions that put a copy in circulation; only these can go out of date
+const CIRCULATED_PRINT_ACTIONS = ['printed', 'opened', 'exported'];
+
+/**
+ * Hash the data an animal's printouts are made from: its tracked fields,
+ * status, portrait, gallery photos (in order) and custom field values
+ * @param {number} id - Animal ID
+ * @returns {string|null} - Hex digest, or null when the animal doesn't exist
+ */
+function getAnimalDataHash(id) {
+    const animal = queryOnePrepared(
+        `SELECT ${TRACKED_ANIMAL_FIELDS.join(', ')}, status, adopted_at, portrait_hash FROM animals WHERE id = ?`,
+        [id]
+    );
+    if (!animal) return null;
+
+    const photos = getAnimalPhotos(id).map(photo => photo.image_hash);
+    const customValues = getAnimalCustomValues(id);
+    const custom = Object.keys(customValues).sort().map(key => [key, customValues[key]]);
+    return crypto.createHash('sha256').update(JSON.stringify({ ...animal, photos, custom })).digest('hex');
 }
 
 /**
- * Update an existing rescue
- * @param {number} id - Rescue ID
- * @param {Object} rescue - Rescue data
- * @param {Object} logoData - Optional logo data { hex, mime, path }
- * @returns {Object} - Result with changes count
+ * Record output made for some animals. Each animal gets its own entry with a
+ * hash of its data as it is now.
+ * @param {Array<number>} animalIds - Animals on the output (several for a card sheet)
+ * @param {string} templateName - Template it was made with
+ * @param {Object} entry - { action, outputPath, printer, profile, copies }
+ * @returns {{count: number}} - Number of entries recorded
  */
-function updateRescue(id, rescue, logoData = null) {
+function logPrintJob(animalIds, templateName, entry) {
     if (!db) throw new Error('Database not initialized');
+    if (!PRINT_ACTIONS.includes(entry.action)) {
+        throw new Error(`Unknown print action: ${entry.action}`);
+    }
 
-    if (logoData) {
-        const logoBuffer = Buffer.from(logoData.hex, 'hex');
+    return transaction(() => {
+        let count = 0;
+        for (const animalId of new Set(animalIds || [])) {
+            const dataHash = getAnimalDataHash(animalId);
+            if (!dataHash) continue;
+            runPrepared(`
+                INSERT INTO print_history (animal_id, template_name, action, output_path, printer_name, profile_name, copies, data_hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                animalId,
+                templateName,
+                entry.action,
+                entry.outputPath || null,
+                entry.printer || null,
+                entry.profile || null,
+                entry.copies || null,
+                dataHash
+            ]);
+            count++;
+        }
+        return { count };
+    });
+}
 
-        return runPrepared(`
-            UPDATE rescues SET
-                name = ?, website = ?, logo_path = ?, logo_data = ?, logo_mime = ?,
-                org_id = ?, scraper_type = ?
-            WHERE id = ?
-        `, [
-            rescue.name,
-            rescue.website || null,
-            logoData.path || null,
-            logoBuffer,
-            logoData.mime,
-            rescue.org_id || null,
-            rescue.scraper_type || null,
-            id
-        ]);
-    } else {
-        return runPrepared(`
-            UPDATE rescues SET
-                name = ?, website = ?, org_id = ?, scraper_type = ?
-            WHERE id = ?
-        `, [
-            rescue.name,
-            rescue.website || null,
-            rescue.org_id || null,
-            rescue.scraper_type || null,
-            id
-        ]);
+/**
+ * Get the newest printed or exported entry for each animal (not in the trash)
+ * and template - the copies in circulation - marking those made before the
+ * animal's data last changed as `outdated`
+ * @param {number} [animalId] - Only this animal's entries
+ * @returns {Array} - Entries with the animal's name
+ */
+function getCirculatedPrints(animalId = null) {
+    const actions = CIRCULATED_PRINT_ACTIONS.map(() => '?').join(', ');
+    const rows = queryAllPrepared(`
+        SELECT h.id, h.animal_id, a.name, h.template_name, h.data_hash, h.printed_at
+        FROM print_history h
+        JOIN animals a ON a.id = h.animal_id
+        WHERE a.deleted_at IS NULL
+          ${animalId ? 'AND h.animal_id = ?' : ''}
+          AND h.id = (
+              SELECT MAX(latest.id) FROM print_history latest
+              WHERE latest.animal_id = h.animal_id
+                AND latest.template_name = h.template_name
+                AND latest.action IN (${actions})
+          )
+        ORDER BY a.name COLLATE NOCASE, h.template_name
+    `, [...(animalId ? [animalId] : []), ...CIRCULATED_PRINT_ACTIONS]);
+
+    const currentHashes = new Map();
+    for (const row of rows) {
+        if (!currentHashes.has(row.animal_id)) {
+            currentHashes.set(row.animal_id, getAnimalDataHash(row.animal_id));
+        }
+        row.outdated = row.data_hash !== currentHashes.get(row.animal_id);
     }
+    return rows;
 }
 
 /**
- * Delete a rescue by ID
- * @param {number} id - Rescue ID
- * @returns {Object} - Result with changes count
+ * Get print history entries, newest first. Entries for copies still in
+ * circulation that no longer match the animal's data are marked `outdated`.
+ * @param {Object} [filters] - Filter options
+ * @param {number} [filters.animalId] - Only this animal's entries
+ * @param {number} [filters.limit] - Most entries to return (default 500)
+ * @returns {Array} - Entries with the animal's name
  */
-function deleteRescue(id) {
-    if (!db) throw new Error('Database not initialized');
-
-    // Check if any animals reference this rescue
-    const animalCount = queryOnePrepared(
-        'SELECT COUNT(*) as count FROM animals WHERE rescue_id = ?',
-        [id]
-    );
+function getPrintHistory(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.animalId) {
+        conditions.push('h.animal_id = ?');
+        params.push(filters.animalId);
+    }
 
-    if (animalCount && animalCount.count > 0) {
-        throw new Error(`Cannot delete rescue: ${animalCount.count} animal(s) are associated with it`);
+    const rows = queryAllPrepared(`
+        SELECT h.id, h.animal_id, a.name as animal_name, h.template_name, h.action, h.output_path,
+               h.printer_name, h.profile_name, h.copies, h.printed_at
+        FROM print_history h
+        JOIN animals a ON a.id = h.animal_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY h.printed_at DESC, h.id DESC
+        LIMIT ?
+    `, [...params, filters.limit || 500]);
+
+    const outdatedIds = new Set(getCirculatedPrints(filters.animalId).filter(e => e.outdated).map(e => e.id));
+    for (const row of rows) {
+        row.outdated = outdatedIds.has(row.id);
     }
+    return rows;
+}
 
-    return runPrepared('DELETE FROM rescues WHERE id = ?', [id]);
+/**
+ * Find animals (not in the trash) whose data or portrait changed after the
+ * copies last printed or exported with some template
+ * @returns {Array<{animal_id: number, name: string, templates: Array<{template_name: string, printed_at: string}>}>}
+ */
+function getOutdatedPrints() {
+    const outdated = new Map();
+    for (const entry of getCirculatedPrints().filter(e => e.outdated)) {
+        if (!outdated.has(entry.animal_id)) {
+            outdated.set(entry.animal_id, { animal_id: entry.animal_id, name: entry.name, templates: [] });
+        }
+        outdated.get(entry.animal_id).templates.push({ template_name: entry.template_name, printed_at: entry.printed_at });
+    }
+    return [...outdated.values()];
 }
 
 // ============================================================
@@ -804,37 +2516,39 @@ function getDefaultPrintProfileForPrinter(printerName) {
 function createPrintProfile(profile) {
     if (!db) throw new Error('Database not initialized');
 
-    // If this is set as default, clear other defaults for this printer first
-    if (profile.is_default) {
-        runPrepared(
-            `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ?`,
-            [profile.printer_name]
-        );
-    }
+    return transaction(() => {
+        // If this is set as default, clear other defaults for this printer first
+        if (profile.is_default) {
+            runPrepared(
+                `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ?`,
+                [profile.printer_name]
+            );
+        }
 
-    return runPrepared(`
-        INSERT INTO print_profiles (
-            name, printer_name, copies, paper_size, orientation, paper_source, is_default,
-            calibration_ab, calibration_bc, calibration_cd, calibration_da,
-            border_top, border_right, border_bottom, border_left
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-        profile.name,
-        profile.printer_name,
-        profile.copies || 1,
-        profile.paper_size || 'letter',
-        profile.orientation || 'landscape',
-        profile.paper_source || 'default',
-        profile.is_default ? 1 : 0,
-        profile.calibration_ab || null,
-        profile.calibration_bc || null,
-        profile.calibration_cd || null,
-        profile.calibration_da || null,
-        profile.border_top || null,
-        profile.border_right || null,
-        profile.border_bottom || null,
-        profile.border_left || null
-    ]);
+        return runPrepared(`
+            INSERT INTO print_profiles (
+                name, printer_name, copies, paper_size, orientation, paper_source, is_default,
+                calibration_ab, calibration_bc, calibration_cd, calibration_da,
+                border_top, border_right, border_bottom, border_left
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            profile.name,
+            profile.printer_name,
+            profile.copies || 1,
+            profile.paper_size || 'letter',
+            profile.orientation || 'landscape',
+            profile.paper_source || 'default',
+            profile.is_default ? 1 : 0,
+            profile.calibration_ab || null,
+            profile.calibration_bc || null,
+            profile.calibration_cd || null,
+            profile.calibration_da || null,
+            profile.border_top || null,
+            profile.border_right || null,
+            profile.border_bottom || null,
+            profile.border_left || null
+        ]);
+    });
 }
 
 /**
@@ -846,39 +2560,41 @@ function createPrintProfile(profile) {
 function updatePrintProfile(id, profile) {
     if (!db) throw new Error('Database not initialized');
 
-    // If this is set as default, clear other defaults for this printer first
-    if (profile.is_default) {
-        runPrepared(
-            `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ? AND id != ?`,
-            [profile.printer_name, id]
-        );
-    }
+    return transaction(() => {
+        // If this is set as default, clear other defaults for this printer first
+        if (profile.is_default) {
+            runPrepared(
+                `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ? AND id != ?`,
+                [profile.printer_name, id]
+            );
+        }
 
-    return runPrepared(`
-        UPDATE print_profiles SET
-            name = ?, printer_name = ?, copies = ?, paper_size = ?,
-            orientation = ?, paper_source = ?, is_default = ?,
-            calibration_ab = ?, calibration_bc = ?, calibration_cd = ?, calibration_da = ?,
-            border_top = ?, border_right = ?, border_bottom = ?, border_left = ?
-        WHERE id = ?
-    `, [
-        profile.name,
-        profile.printer_name,
-        profile.copies || 1,
-        profile.paper_size || 'letter',
-        profile.orientation || 'landscape',
-        profile.paper_source || 'default',
-        profile.is_default ? 1 : 0,
-        profile.calibration_ab || null,
-        profile.calibration_bc || null,
-        profile.calibration_cd || null,
-        profile.calibration_da || null,
-        profile.border_top || null,
-        profile.border_right || null,
-        profile.border_bottom || null,
-        profile.border_left || null,
-        id
-    ]);
+        return runPrepared(`
+            UPDATE print_profiles SET
+                name = ?, printer_name = ?, copies = ?, paper_size = ?,
+                orientation = ?, paper_source = ?, is_default = ?,
+                calibration_ab = ?, calibration_bc = ?, calibration_cd = ?, calibration_da = ?,
+                border_top = ?, border_right = ?, border_bottom = ?, border_left = ?
+            WHERE id = ?
+        `, [
+            profile.name,
+            profile.printer_name,
+            profile.copies || 1,
+            profile.paper_size || 'letter',
+            profile.orientation || 'landscape',
+            profile.paper_source || 'default',
+            profile.is_default ? 1 : 0,
+            profile.calibration_ab || null,
+            profile.calibration_bc || null,
+            profile.calibration_cd || null,
+            profile.calibration_da || null,
+            profile.border_top || null,
+            profile.border_right || null,
+            profile.border_bottom || null,
+            profile.border_left || null,
+            id
+        ]);
+    });
 }
 
 /**
@@ -899,23 +2615,25 @@ function deletePrintProfile(id) {
 function setDefaultPrintProfile(id) {
     if (!db) throw new Error('Database not initialized');
 
-    // Get the printer name for this profile
-    const profile = getPrintProfileById(id);
-    if (!profile) {
-        throw new Error('Profile not found');
-    }
+    return transaction(() => {
+        // Get the printer name for this profile
+        const profile = getPrintProfileById(id);
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
 
-    // Clear other defaults for this printer
-    runPrepared(
-        `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ?`,
-        [profile.printer_name]
-    );
+        // Clear other defaults for this printer
+        runPrepared(
+            `UPDATE print_profiles SET is_default = 0 WHERE printer_name = ?`,
+            [profile.printer_name]
+        );
 
-    // Set this one as default
-    return runPrepared(
-        `UPDATE print_profiles SET is_default = 1 WHERE id = ?`,
-        [id]
-    );
+        // Set this one as default
+        return runPrepared(
+            `UPDATE print_profiles SET is_default = 1 WHERE id = ?`,
+            [id]
+        );
+    });
 }
 
 // ============================================================
@@ -1090,6 +2808,160 @@ function deleteSetting(key) {
     return runPrepared('DELETE FROM settings WHERE key = ?', [key]);
 }
 
+// ============================================================
+// Image Store Operations
+// ============================================================
+
+/**
+ * Delete stored images that no animal or rescue uses any more. Unsaved
+ * changes are written first so the database file never points at a deleted image.
+ * Only the process that owns the database (the Electron main process) should call this.
+ * @returns {{rows: number, files: number}} - Number of image rows and files deleted
+ */
+function collectImageGarbage() {
+    if (!db) throw new Error('Database not initialized');
+    if (transactionDepth > 0) throw new Error('Cannot collect images inside a transaction');
+
+    flushDatabase();
+    const removed = imageStore.collectGarbage(db);
+    if (removed.rows > 0) {
+        saveDatabase();
+    }
+    return removed;
+}
+
+// ============================================================
+// Backup Operations
+// ============================================================
+
+/**
+ * Get the latest applied migration version of a database
+ * @param {Object} database - sql.js database instance
+ * @returns {string|null}
+ */
+function getMigrationVersion(database) {
+    try {
+        const applied = getAppliedMigrations(database);
+        return applied.length > 0 ? applied[applied.length - 1] : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Count the rows of the main tables in a database file
+ * @param {Buffer} data - Database file contents
+ * @returns {{migrationVersion: string|null, counts: Object}}
+ */
+function describeDatabaseFile(data) {
+    const database = new SQL.Database(data);
+    try {
+        const counts = {};
+        for (const table of ['animals', 'rescues', 'templates', 'print_profiles']) {
+            try {
+                counts[table] = database.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+            } catch (err) {
+                counts[table] = null;
+            }
+        }
+        return { migrationVersion: getMigrationVersion(database), counts };
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Back up the database file (with its images) to a single archive
+ * @param {string} destPath - Archive path
+ * @param {string} [reason='manual'] - Why the backup is made (stored in the manifest)
+ * @returns {Object} - Backup manifest
+ */
+function createBackup(destPath, reason = 'manual') {
+    if (!SQL || !DB_PATH) throw new Error('Database not initialized');
+    // The backup is taken from the file, so write pending changes first
+    flushDatabase();
+    if (!fs.existsSync(DB_PATH)) throw new Error('There is no database file to back up yet');
+
+    const data = fs.readFileSync(DB_PATH);
+    const images = [];
+    for (const { hash, mime, file } of imageStore.listReferencedImages(db)) {
+        const image = imageStore.readImage(hash, mime);
+        if (image) images.push({ file, data: image });
+    }
+    const manifest = backup.writeBackup(destPath, data, { ...describeDatabaseFile(data), reason }, images);
+    console.log(`[DB] Backup written to ${destPath} (${reason})`);
+    return manifest;
+}
+
+/**
+ * Make a rotating automatic backup in the backups folder
+ * @param {string} reason - Why the backup is made, e.g. 'before-delete'
+ * @returns {string} - Archive path
+ */
+function createAutoBackup(reason) {
+    const dir = getBackupsDir();
+    const destPath = backup.getAutoBackupPath(dir, reason);
+    createBackup(destPath, reason);
+    backup.pruneAutoBackups(dir);
+    return destPath;
+}
+
+/**
+ * List the automatic backups, newest first
+ * @returns {Array<{path: string, name: string, reason: string, createdAt: string, size: number}>}
+ */
+function listAutoBackups() {
+    return backup.listAutoBackups(getBackupsDir());
+}
+
+/**
+ * Replace the database with a backup. The archive is validated, the current
+ * database is backed up first, and pending migrations run on the restored copy
+ * before it is saved.
+ * @param {string} archivePath - Backup archive path
+ * @returns {Promise<{manifest: Object, appliedMigrations: Array<string>}>}
+ */
+async function restoreBackup(archivePath) {
+    if (!SQL || !DB_PATH) throw new Error('Database not initialized');
+
+    const { manifest, data, images } = backup.readBackup(archivePath);
+
+    const available = getAvailableMigrations().map(m => m.version);
+    const latest = available[available.length - 1];
+    if (manifest.migrationVersion && latest && manifest.migrationVersion > latest) {
+        throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+    }
+
+    const restored = new SQL.Database(data);
+    let appliedMigrations;
+    try {
+        const integrity = restored.exec('PRAGMA integrity_check')[0]?.values[0][0];
+        if (integrity !== 'ok') {
+            throw new Error(`Backup database failed its integrity check: ${integrity}`);
+        }
+        // Images the current database doesn't have are added to the store
+        for (const { file, data: image } of images) {
+            imageStore.writeImageFile(file, image);
+        }
+        appliedMigrations = await runMigrations(restored, null);
+    } catch (err) {
+        restored.close();
+        throw err;
+    }
+
+    if (fs.existsSync(DB_PATH)) {
+        createAutoBackup('before-restore');
+    }
+
+    close({ save: false });
+    db = restored;
+    registerSqlFunctions(db);
+    writeDatabase();
+
+    console.log(`[DB] Restored backup from ${archivePath} (${appliedMigrations.length} migration(s) applied)`);
+    return { manifest, appliedMigrations };
+}
+
 // Re-export migration and seed functions for external use
 const migrate = require('./db/migrate.js');
 const seeds = require('./db/seeds.js');
@@ -1103,34 +2975,105 @@ module.exports = {
     isConnected,
     getDbDir,
     getDbPath,
+    flushDatabase,
+    transaction,
 
     // Raw SQL (for backward compatibility)
     exec,
     queryAll,
     queryOne,
+    queryAllPrepared,
 
     // Animal CRUD
     getAllAnimals,
     getAnimalById,
+    getAnimalsByFilter,
+    searchAnimals,
+    ANIMAL_SORTS,
     getImageAsDataUrl,
+    getAnimalImageFile,
     createAnimal,
     updateAnimal,
     deleteAnimal,
     deleteAnimals,
     getAnimalAttributes,
     updateAnimalAttributes,
+    getAnimalCustomValues,
     getAnimalPhotoUrls,
     updateAnimalPhotoUrls,
 
+    // Animal photo operations
+    getAnimalPhotos,
+    addAnimalPhoto,
+    removeAnimalPhoto,
+    reorderAnimalPhotos,
+    getAnimalPhotoFile,
+    getAnimalPhotoDataUrls,
+
+    // Animal status operations
+    ANIMAL_STATUSES,
+    setAnimalStatus,
+    getAnimalStatusHistory,
+
+    // Animal history operations
+    CHANGE_SOURCES,
+    getAnimalChanges,
+    revertAnimalChange,
+
+    // Trash operations
+    DEFAULT_TRASH_RETENTION_DAYS,
+    getDeletedAnimals,
+    restoreAnimals,
+    purgeAnimals,
+    getTrashRetentionDays,
+    purgeExpiredTrash,
+
+    // Duplicate operations
+    getPortraitImages,
+    setImagePerceptualHash,
+    getDismissedDuplicates,
+    dismissDuplicate,
+    mergeAnimals,
+
+    // Roster sync operations
+    SYNCED_ANIMAL_FIELDS,
+    markAnimalsListed,
+    markAnimalsMissing,
+    updateAnimalSyncedFields,
+
     // Rescue operations
     getAllRescues,
     getRescueById,
     getRescueByScraperType,
     getRescueLogoAsDataUrl,
+    getRescueLogoFile,
     createRescue,
     updateRescue,
     deleteRescue,
 
+    // Foster operations
+    getAllFosters,
+    getFosterById,
+    createFoster,
+    updateFoster,
+    deleteFoster,
+
+    // Event operations
+    getAllEvents,
+    getEventById,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    getEventAnimals,
+    setEventAnimals,
+
+    // Print history operations
+    PRINT_ACTIONS,
+    getAnimalDataHash,
+    logPrintJob,
+    getPrintHistory,
+    getOutdatedPrints,
+
     // Print profile operations
     getAllPrintProfiles,
     getPrintProfilesByPrinter,
@@ -1141,6 +3084,9 @@ module.exports = {
     deletePrintProfile,
     setDefaultPrintProfile,
 
+    // Image store operations
+    collectImageGarbage,
+
     // Template operations
     getAllTemplates,
     getTemplateById,
@@ -1149,6 +3095,12 @@ module.exports = {
     updateTemplate,
     deleteTemplate,
 
+    // Backup operations
+    createBackup,
+    createAutoBackup,
+    listAutoBackups,
+    restoreBackup,
+
     // Settings operations
     getSetting,
     getAllSettings,
@@ -0,0 +1,86 @@
+/**
+ * Migration: Card Sheet Layout
+ * Created: 2026-10-19
+ *
+ * Adds the sheet layout to the built-in card templates so a sheet can mix
+ * several animals, and gives their repeat blocks an {{else}} branch for
+ * empty slots. The card back is mirrored so it lines up after duplex flipping.
+ */
+
+// Sheet layout per built-in card template
+const SHEET_LAYOUTS = {
+    'card-front': { columns: 5, rows: 2, mirrored: false },
+    'card-back': { columns: 5, rows: 2, mirrored: true }
+};
+
+// Placeholder rendered for slots with no animal on a mixed sheet
+const EMPTY_SLOT_MARKUP = '{{else}}\n        <div class="business-card"></div>\n        ';
+
+/**
+ * Load a built-in template row by name
+ * @param {Object} db - sql.js database instance
+ * @param {string} name - Template name
+ * @returns {{id: number, html: string, config: Object}|null}
+ */
+function getBuiltinTemplate(db, name) {
+    const stmt = db.prepare('SELECT id, html_template, config FROM templates WHERE name = ? AND is_builtin = 1');
+    stmt.bind([name]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+
+    if (!row) return null;
+    return { id: row.id, html: row.html_template, config: JSON.parse(row.config) };
+}
+
+/**
+ * Write a template's HTML and config back
+ * @param {Object} db - sql.js database instance
+ * @param {number} id - Template ID
+ * @param {string} html - HTML template
+ * @param {Object} config - Template configuration
+ */
+function saveTemplate(db, id, html, config) {
+    const stmt = db.prepare('UPDATE templates SET html_template = ?, config = ? WHERE id = ?');
+    stmt.bind([html, JSON.stringify(config), id]);
+    stmt.step();
+    stmt.free();
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    for (const [name, sheet] of Object.entries(SHEET_LAYOUTS)) {
+        const template = getBuiltinTemplate(db, name);
+        if (!template) continue;
+
+        // Only touch repeat blocks that don't already have an {{else}} branch (user edits are kept)
+        let html = template.html;
+        if (!html.includes('{{else}}')) {
+            html = html.replace('{{/repeat}}', EMPTY_SLOT_MARKUP + '{{/repeat}}');
+        }
+
+        saveTemplate(db, template.id, html, { ...template.config, sheet });
+    }
+
+    console.log('[DB] Added sheet layout to built-in card templates');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    for (const name of Object.keys(SHEET_LAYOUTS)) {
+        const template = getBuiltinTemplate(db, name);
+        if (!template) continue;
+
+        const { sheet, ...config } = template.config;
+        const html = template.html.replace(EMPTY_SLOT_MARKUP + '{{/repeat}}', '{{/repeat}}');
+
+        saveTemplate(db, template.id, html, config);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+/**
+ * Migration: Rescue Scraper Config
+ * Created: 2026-10-19
+ *
+ * Adds a JSON `scraper_config` column to rescues. Rescues using the
+ * 'profile' scraper type store their selector profile here (CSS selectors and
+ * regex mappings for each field), so new sites can be onboarded from the app.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE rescues ADD COLUMN scraper_config TEXT');
+    console.log('[DB] Added scraper_config column to rescues');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('ALTER TABLE rescues DROP COLUMN scraper_config');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+/**
+ * Migration: Roster Sync
+ * Created: 2026-10-19
+ *
+ * Adds sync tracking columns to animals. `source_missing_since` is set when an
+ * animal stops appearing on its rescue's listing (possibly adopted) and is
+ * cleared when it shows up again. `last_synced_at` records the last roster
+ * sync that found the animal listed.
+ *
+ * The updated_at trigger is recreated so setting these columns doesn't count
+ * as an edit; otherwise every sync would bump updated_at for the whole roster.
+ */
+
+/**
+ * Create the animals updated_at trigger
+ * @param {Object} db - sql.js database instance
+ * @param {string} condition - WHEN clause, or '' to fire on every update
+ */
+function createTimestampTrigger(db, condition) {
+    db.run('DROP TRIGGER IF EXISTS update_animals_timestamp');
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS update_animals_timestamp
+        AFTER UPDATE ON animals
+        ${condition}
+        BEGIN
+            UPDATE animals SET updated_at = datetime('now') WHERE id = NEW.id;
+        END
+    `);
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE animals ADD COLUMN source_missing_since TEXT');
+    db.run('ALTER TABLE animals ADD COLUMN last_synced_at TEXT');
+    createTimestampTrigger(db, `
+        WHEN NEW.last_synced_at IS OLD.last_synced_at
+         AND NEW.source_missing_since IS OLD.source_missing_since
+    `);
+    console.log('[DB] Added roster sync columns to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    // The trigger's WHEN clause uses the columns, so it goes first
+    createTimestampTrigger(db, '');
+    db.run('ALTER TABLE animals DROP COLUMN last_synced_at');
+    db.run('ALTER TABLE animals DROP COLUMN source_missing_since');
+}
+
+module.exports = { up, down };
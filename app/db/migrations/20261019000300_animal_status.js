@@ -0,0 +1,96 @@
+/**
+ * Migration: Animal Status
+ * Created: 2026-10-19
+ *
+ * Adds a status lifecycle to animals (available, pending, adopted, on_hold)
+ * with the adoption date, a history table of status changes, and the built-in
+ * "adopted-flyer" celebration template.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Path to template files
+const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', 'cards');
+
+const ADOPTED_FLYER_CONFIG = {
+    pageWidthInches: 8.5,
+    pageHeightInches: 11,
+    orientation: 'portrait',
+    paperSize: 'letter',
+    dpi: 360,
+    preprocessing: {
+        generateQrCode: false,
+        convertBooleans: false,
+        booleanFields: [],
+        triStateFields: []
+    },
+    outputNamePattern: '{name}-adopted-flyer.png'
+};
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run("ALTER TABLE animals ADD COLUMN status TEXT NOT NULL DEFAULT 'available'");
+    db.run('ALTER TABLE animals ADD COLUMN adopted_at TEXT');
+    db.run('CREATE INDEX IF NOT EXISTS idx_animals_status ON animals(status)');
+
+    db.run(`
+        CREATE TABLE IF NOT EXISTS animal_status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            animal_id INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            note TEXT,
+            changed_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_status_history_animal ON animal_status_history(animal_id)');
+
+    // Existing animals start their history as available from when they were added
+    db.run(`
+        INSERT INTO animal_status_history (animal_id, status, changed_at)
+        SELECT id, 'available', COALESCE(created_at, datetime('now')) FROM animals
+    `);
+
+    let html = null;
+    try {
+        html = fs.readFileSync(path.join(TEMPLATES_DIR, 'adopted-flyer.html'), 'utf8');
+    } catch (err) {
+        console.error('[Migration] Failed to read template file adopted-flyer.html:', err.message);
+    }
+
+    if (html) {
+        const stmt = db.prepare(`
+            INSERT OR IGNORE INTO templates (name, description, html_template, config, is_builtin)
+            VALUES (?, ?, ?, ?, 1)
+        `);
+        stmt.bind([
+            'adopted-flyer',
+            'Adoption celebration flyer (8.5x11 portrait) - "ADOPTED!" banner with photo, adoption date, and rescue branding',
+            html,
+            JSON.stringify(ADOPTED_FLYER_CONFIG)
+        ]);
+        stmt.step();
+        stmt.free();
+    }
+
+    console.log('[DB] Added status lifecycle to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run("DELETE FROM templates WHERE name = 'adopted-flyer' AND is_builtin = 1");
+    db.run('DROP INDEX IF EXISTS idx_status_history_animal');
+    db.run('DROP TABLE IF EXISTS animal_status_history');
+    db.run('DROP INDEX IF EXISTS idx_animals_status');
+    db.run('ALTER TABLE animals DROP COLUMN adopted_at');
+    db.run('ALTER TABLE animals DROP COLUMN status');
+}
+
+module.exports = { up, down };
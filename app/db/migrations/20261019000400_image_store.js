@@ -0,0 +1,155 @@
+/**
+ * Migration: Image Store
+ * Created: 2026-10-19
+ *
+ * Moves animal portraits and rescue logos out of BLOB columns into the image
+ * store (files in the images folder named by content hash). Adds the images
+ * table, the portrait_hash / logo_hash references and the triggers that keep
+ * each image's reference count, then drops the BLOB columns.
+ */
+
+const imageStore = require('../../image-store.js');
+
+// Tables whose rows reference images: [table, hash column]
+const IMAGE_REFERENCES = [
+    ['animals', 'portrait_hash'],
+    ['rescues', 'logo_hash']
+];
+
+/**
+ * Create the triggers that count references to each image
+ * @param {Object} db - sql.js database instance
+ * @param {string} table - Referencing table
+ * @param {string} column - Hash column
+ */
+function createReferenceTriggers(db, table, column) {
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS ${table}_${column}_insert AFTER INSERT ON ${table}
+        WHEN NEW.${column} IS NOT NULL
+        BEGIN
+            UPDATE images SET ref_count = ref_count + 1 WHERE hash = NEW.${column};
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS ${table}_${column}_update AFTER UPDATE OF ${column} ON ${table}
+        WHEN OLD.${column} IS NOT NEW.${column}
+        BEGIN
+            UPDATE images SET ref_count = ref_count - 1 WHERE hash = OLD.${column};
+            UPDATE images SET ref_count = ref_count + 1 WHERE hash = NEW.${column};
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS ${table}_${column}_delete AFTER DELETE ON ${table}
+        WHEN OLD.${column} IS NOT NULL
+        BEGIN
+            UPDATE images SET ref_count = ref_count - 1 WHERE hash = OLD.${column};
+        END
+    `);
+}
+
+/**
+ * Move one table's image BLOBs into the store
+ * @param {Object} db - sql.js database instance
+ * @param {string} table - Table name
+ * @param {string} dataColumn - BLOB column
+ * @param {string} mimeColumn - MIME type column
+ * @param {string} hashColumn - New hash column
+ * @returns {number} - Number of images moved
+ */
+function moveBlobsToStore(db, table, dataColumn, mimeColumn, hashColumn) {
+    const rows = [];
+    const select = db.prepare(`SELECT id, ${dataColumn} AS data, ${mimeColumn} AS mime FROM ${table} WHERE ${dataColumn} IS NOT NULL`);
+    while (select.step()) {
+        rows.push(select.getAsObject());
+    }
+    select.free();
+
+    for (const row of rows) {
+        const mime = row.mime || 'image/jpeg';
+        const hash = imageStore.storeImage(db, row.data, mime);
+        db.run(`UPDATE ${table} SET ${hashColumn} = ?, ${mimeColumn} = ? WHERE id = ?`, [hash, mime, row.id]);
+    }
+    return rows.length;
+}
+
+/**
+ * Copy one table's images from the store back into its BLOB column
+ * @param {Object} db - sql.js database instance
+ * @param {string} table - Table name
+ * @param {string} dataColumn - BLOB column
+ * @param {string} mimeColumn - MIME type column
+ * @param {string} hashColumn - Hash column
+ */
+function moveStoreToBlobs(db, table, dataColumn, mimeColumn, hashColumn) {
+    const rows = [];
+    const select = db.prepare(`SELECT id, ${hashColumn} AS hash, ${mimeColumn} AS mime FROM ${table} WHERE ${hashColumn} IS NOT NULL`);
+    while (select.step()) {
+        rows.push(select.getAsObject());
+    }
+    select.free();
+
+    for (const row of rows) {
+        const data = imageStore.readImage(row.hash, row.mime);
+        if (data) {
+            db.run(`UPDATE ${table} SET ${dataColumn} = ? WHERE id = ?`, [data, row.id]);
+        }
+    }
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS images (
+            hash TEXT PRIMARY KEY,
+            mime TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            ref_count INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT DEFAULT (datetime('now'))
+        )
+    `);
+    db.run('ALTER TABLE animals ADD COLUMN portrait_hash TEXT');
+    db.run('ALTER TABLE rescues ADD COLUMN logo_hash TEXT');
+
+    for (const [table, column] of IMAGE_REFERENCES) {
+        createReferenceTriggers(db, table, column);
+    }
+
+    const portraits = moveBlobsToStore(db, 'animals', 'portrait_data', 'portrait_mime', 'portrait_hash');
+    const logos = moveBlobsToStore(db, 'rescues', 'logo_data', 'logo_mime', 'logo_hash');
+
+    db.run('ALTER TABLE animals DROP COLUMN portrait_data');
+    db.run('ALTER TABLE rescues DROP COLUMN logo_data');
+
+    // Give the space the BLOBs used back to the file system
+    db.run('VACUUM');
+
+    console.log(`[DB] Moved ${portraits} portrait(s) and ${logos} logo(s) into the image store`);
+}
+
+/**
+ * Reverse the migration. Image files are left in the store; they are
+ * removed by garbage collection once nothing references them.
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('ALTER TABLE animals ADD COLUMN portrait_data BLOB');
+    db.run('ALTER TABLE rescues ADD COLUMN logo_data BLOB');
+
+    moveStoreToBlobs(db, 'animals', 'portrait_data', 'portrait_mime', 'portrait_hash');
+    moveStoreToBlobs(db, 'rescues', 'logo_data', 'logo_mime', 'logo_hash');
+
+    for (const [table, column] of IMAGE_REFERENCES) {
+        for (const event of ['insert', 'update', 'delete']) {
+            db.run(`DROP TRIGGER IF EXISTS ${table}_${column}_${event}`);
+        }
+    }
+
+    db.run('ALTER TABLE rescues DROP COLUMN logo_hash');
+    db.run('ALTER TABLE animals DROP COLUMN portrait_hash');
+    db.run('DROP TABLE IF EXISTS images');
+}
+
+module.exports = { up, down };
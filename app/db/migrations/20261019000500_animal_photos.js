@@ -0,0 +1,79 @@
+/**
+ * Migration: Animal Photos
+ * Created: 2026-10-19
+ *
+ * Adds a photo gallery to each animal. Gallery photos live in the image store
+ * like portraits; the animal's portrait (portrait_hash) is its primary photo.
+ * Existing portraits become the first photo of each gallery.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS animal_photos (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            animal_id INTEGER NOT NULL,
+            image_hash TEXT NOT NULL,
+            mime TEXT NOT NULL,
+            source_url TEXT,
+            position INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT DEFAULT (datetime('now')),
+            UNIQUE (animal_id, image_hash),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_animal_photos_animal ON animal_photos(animal_id, position)');
+
+    // Count gallery photos as references to their images
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS animal_photos_image_hash_insert AFTER INSERT ON animal_photos
+        BEGIN
+            UPDATE images SET ref_count = ref_count + 1 WHERE hash = NEW.image_hash;
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS animal_photos_image_hash_update AFTER UPDATE OF image_hash ON animal_photos
+        WHEN OLD.image_hash IS NOT NEW.image_hash
+        BEGIN
+            UPDATE images SET ref_count = ref_count - 1 WHERE hash = OLD.image_hash;
+            UPDATE images SET ref_count = ref_count + 1 WHERE hash = NEW.image_hash;
+        END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS animal_photos_image_hash_delete AFTER DELETE ON animal_photos
+        BEGIN
+            UPDATE images SET ref_count = ref_count - 1 WHERE hash = OLD.image_hash;
+        END
+    `);
+
+    db.run(`
+        INSERT INTO animal_photos (animal_id, image_hash, mime, source_url, position)
+        SELECT id, portrait_hash, portrait_mime, portrait_path, 0
+        FROM animals
+        WHERE portrait_hash IS NOT NULL AND portrait_mime IS NOT NULL
+    `);
+
+    console.log('[DB] Added photo galleries to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    for (const event of ['insert', 'update', 'delete']) {
+        db.run(`DROP TRIGGER IF EXISTS animal_photos_image_hash_${event}`);
+    }
+    // Gallery photos no longer count as references
+    db.run(`
+        UPDATE images SET ref_count = ref_count -
+            (SELECT COUNT(*) FROM animal_photos WHERE animal_photos.image_hash = images.hash)
+    `);
+    db.run('DROP INDEX IF EXISTS idx_animal_photos_animal');
+    db.run('DROP TABLE IF EXISTS animal_photos');
+}
+
+module.exports = { up, down };
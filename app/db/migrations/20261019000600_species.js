@@ -0,0 +1,134 @@
+/**
+ * Migration: Species
+ * Created: 2026-10-19
+ *
+ * Adds a species to animals (dog, cat, rabbit or other) and a "good with
+ * rabbits" compatibility column. Existing animals are dogs unless their breed
+ * says otherwise. The built-in card back gets the species' name for
+ * "housetrained" and a rabbits row for rabbits.
+ */
+
+const { guessSpecies } = require('../../species.js');
+
+// Card back rows before and after the migration
+const HOUSETRAINED_ROW = '<td>Housetrained:</td>';
+const SPECIES_HOUSETRAINED_ROW = '<td>{{housetrainedLabel}}:</td>';
+const CATS_ROW = `<tr>
+                        <td>OK with cats:</td>
+                        <td>{{cats}}</td>
+                    </tr>`;
+const RABBITS_ROW = `
+                    {{#if isRabbit}}
+                    <tr>
+                        <td>OK with rabbits:</td>
+                        <td>{{rabbits}}</td>
+                    </tr>
+                    {{/if}}`;
+
+/**
+ * Load a built-in template row by name
+ * @param {Object} db - sql.js database instance
+ * @param {string} name - Template name
+ * @returns {{id: number, html: string, config: Object}|null}
+ */
+function getBuiltinTemplate(db, name) {
+    const stmt = db.prepare('SELECT id, html_template, config FROM templates WHERE name = ? AND is_builtin = 1');
+    stmt.bind([name]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+
+    if (!row) return null;
+    return { id: row.id, html: row.html_template, config: JSON.parse(row.config) };
+}
+
+/**
+ * Write a template's HTML and config back
+ * @param {Object} db - sql.js database instance
+ * @param {number} id - Template ID
+ * @param {string} html - HTML template
+ * @param {Object} config - Template configuration
+ */
+function saveTemplate(db, id, html, config) {
+    const stmt = db.prepare('UPDATE templates SET html_template = ?, config = ? WHERE id = ?');
+    stmt.bind([html, JSON.stringify(config), id]);
+    stmt.step();
+    stmt.free();
+}
+
+/**
+ * Set the species of existing animals from their breed
+ * @param {Object} db - sql.js database instance
+ */
+function backfillSpecies(db) {
+    const rows = [];
+    const select = db.prepare('SELECT id, breed FROM animals');
+    while (select.step()) {
+        rows.push(select.getAsObject());
+    }
+    select.free();
+
+    const update = db.prepare('UPDATE animals SET species = ? WHERE id = ?');
+    for (const row of rows) {
+        const species = guessSpecies(row.breed);
+        if (species && species !== 'dog') {
+            update.run([species, row.id]);
+        }
+    }
+    update.free();
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run("ALTER TABLE animals ADD COLUMN species TEXT NOT NULL DEFAULT 'dog'");
+    db.run("ALTER TABLE animals ADD COLUMN rabbits TEXT NOT NULL DEFAULT '?'");
+    db.run('CREATE INDEX IF NOT EXISTS idx_animals_species ON animals(species)');
+    backfillSpecies(db);
+
+    // Only touch the rows users haven't edited away
+    const template = getBuiltinTemplate(db, 'card-back');
+    if (template) {
+        let html = template.html.replace(HOUSETRAINED_ROW, SPECIES_HOUSETRAINED_ROW);
+        if (!html.includes('{{rabbits}}')) {
+            html = html.replace(CATS_ROW, CATS_ROW + RABBITS_ROW);
+        }
+
+        const preprocessing = { ...template.config.preprocessing };
+        const triStateFields = preprocessing.triStateFields || ['kids', 'dogs', 'cats'];
+        if (!triStateFields.includes('rabbits')) {
+            preprocessing.triStateFields = [...triStateFields, 'rabbits'];
+        }
+
+        saveTemplate(db, template.id, html, { ...template.config, preprocessing });
+    }
+
+    console.log('[DB] Added species to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    const template = getBuiltinTemplate(db, 'card-back');
+    if (template) {
+        const html = template.html
+            .replace(SPECIES_HOUSETRAINED_ROW, HOUSETRAINED_ROW)
+            .replace(RABBITS_ROW, '');
+
+        const preprocessing = { ...template.config.preprocessing };
+        if (Array.isArray(preprocessing.triStateFields)) {
+            preprocessing.triStateFields = preprocessing.triStateFields.filter(f => f !== 'rabbits');
+        }
+
+        saveTemplate(db, template.id, html, { ...template.config, preprocessing });
+    }
+
+    db.run('DROP INDEX IF EXISTS idx_animals_species');
+    db.run('ALTER TABLE animals DROP COLUMN rabbits');
+    db.run('ALTER TABLE animals DROP COLUMN species');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,68 @@
+/**
+ * Migration: Medical Fields
+ * Created: 2026-10-19
+ *
+ * Adds structured medical and adoption details to animals: weight, spay/neuter
+ * and microchip status, adoption fee, special needs and intake date. Existing
+ * animals take their spay/neuter status from their gender and their weight
+ * from their bio when it mentions one.
+ */
+
+const { findWeightInText } = require('../../animal-facts.js');
+
+/**
+ * Fill in weights mentioned in existing bios
+ * @param {Object} db - sql.js database instance
+ */
+function backfillWeights(db) {
+    const rows = [];
+    const select = db.prepare("SELECT id, bio FROM animals WHERE bio IS NOT NULL AND bio != ''");
+    while (select.step()) {
+        rows.push(select.getAsObject());
+    }
+    select.free();
+
+    const update = db.prepare('UPDATE animals SET weight_lbs = ? WHERE id = ?');
+    for (const row of rows) {
+        const weight = findWeightInText(row.bio);
+        if (weight) {
+            update.run([weight, row.id]);
+        }
+    }
+    update.free();
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE animals ADD COLUMN weight_lbs REAL');
+    db.run("ALTER TABLE animals ADD COLUMN altered TEXT NOT NULL DEFAULT '?'");
+    db.run("ALTER TABLE animals ADD COLUMN microchipped TEXT NOT NULL DEFAULT '?'");
+    db.run('ALTER TABLE animals ADD COLUMN adoption_fee REAL');
+    db.run('ALTER TABLE animals ADD COLUMN special_needs TEXT');
+    db.run('ALTER TABLE animals ADD COLUMN intake_date TEXT');
+
+    // "Neutered(M)" and "Spayed(F)" already say the animal is altered
+    db.run("UPDATE animals SET altered = '1' WHERE gender IN ('Neutered(M)', 'Spayed(F)')");
+
+    backfillWeights(db);
+
+    console.log('[DB] Added medical and adoption fields to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('ALTER TABLE animals DROP COLUMN intake_date');
+    db.run('ALTER TABLE animals DROP COLUMN special_needs');
+    db.run('ALTER TABLE animals DROP COLUMN adoption_fee');
+    db.run('ALTER TABLE animals DROP COLUMN microchipped');
+    db.run('ALTER TABLE animals DROP COLUMN altered');
+    db.run('ALTER TABLE animals DROP COLUMN weight_lbs');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+/**
+ * Migration: Birthdate
+ * Created: 2026-10-19
+ *
+ * Adds an estimated birthdate to animals so their age can be worked out when
+ * a card or flyer is printed instead of repeating the age they were when
+ * entered. Existing animals get one estimated from their age text as of the
+ * last roster sync that saw it (synced ages follow the rescue's site), or as of
+ * when they were added. updated_at isn't used since migrations bump it too.
+ */
+
+const { estimateBirthdate } = require('../../animal-age.js');
+
+/**
+ * Read a SQLite datetime('now') timestamp (UTC)
+ * @param {string} value - e.g. "2026-04-02 17:30:00"
+ * @returns {Date}
+ */
+function parseTimestamp(value) {
+    const date = new Date(`${String(value || '').replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * Estimate birthdates for existing animals from their age text
+ * @param {Object} db - sql.js database instance
+ */
+function backfillBirthdates(db) {
+    const rows = [];
+    const select = db.prepare('SELECT id, age_long, age_short, created_at, last_synced_at FROM animals');
+    while (select.step()) {
+        rows.push(select.getAsObject());
+    }
+    select.free();
+
+    const update = db.prepare('UPDATE animals SET birthdate = ? WHERE id = ?');
+    for (const row of rows) {
+        const asOf = parseTimestamp(row.last_synced_at || row.created_at);
+        const birthdate = estimateBirthdate(row.age_long, asOf) || estimateBirthdate(row.age_short, asOf);
+        if (birthdate) {
+            update.run([birthdate, row.id]);
+        }
+    }
+    update.free();
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE animals ADD COLUMN birthdate TEXT');
+    backfillBirthdates(db);
+
+    console.log('[DB] Added birthdates to animals');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('ALTER TABLE animals DROP COLUMN birthdate');
+}
+
+module.exports = { up, down };
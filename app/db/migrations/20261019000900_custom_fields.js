@@ -0,0 +1,37 @@
+/**
+ * Migration: Custom Fields
+ * Created: 2026-10-19
+ *
+ * Lets each rescue define its own animal fields. Definitions are a JSON
+ * `custom_fields` column on rescues; animals' values go in a key-value table
+ * so adding a field never needs a migration.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE rescues ADD COLUMN custom_fields TEXT');
+    db.run(`
+        CREATE TABLE IF NOT EXISTS animal_custom_values (
+            animal_id INTEGER NOT NULL,
+            field_key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (animal_id, field_key),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    console.log('[DB] Added custom fields to rescues');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('DROP TABLE IF EXISTS animal_custom_values');
+    db.run('ALTER TABLE rescues DROP COLUMN custom_fields');
+}
+
+module.exports = { up, down };
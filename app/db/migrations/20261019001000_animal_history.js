@@ -0,0 +1,47 @@
+/**
+ * Migration: Animal History
+ * Created: 2026-10-19
+ *
+ * Records every field an edit, scrape, AI run or import changes on an animal
+ * (with the value before and after) so a mistake can be reverted, and moves
+ * deleted animals to a trash instead of deleting them straight away.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS animal_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            animal_id INTEGER NOT NULL,
+            field TEXT NOT NULL,
+            old_value TEXT,
+            new_value TEXT,
+            source TEXT NOT NULL DEFAULT 'manual',
+            changed_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_animal_changes_animal ON animal_changes(animal_id)');
+    db.run('ALTER TABLE animals ADD COLUMN deleted_at TEXT');
+
+    console.log('[DB] Added animal change history and trash');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('DELETE FROM animal_status_history WHERE animal_id IN (SELECT id FROM animals WHERE deleted_at IS NOT NULL)');
+    db.run('DELETE FROM animal_photos WHERE animal_id IN (SELECT id FROM animals WHERE deleted_at IS NOT NULL)');
+    db.run('DELETE FROM animal_custom_values WHERE animal_id IN (SELECT id FROM animals WHERE deleted_at IS NOT NULL)');
+    db.run('DELETE FROM animals WHERE deleted_at IS NOT NULL');
+    db.run('ALTER TABLE animals DROP COLUMN deleted_at');
+    db.run('DROP INDEX IF EXISTS idx_animal_changes_animal');
+    db.run('DROP TABLE IF EXISTS animal_changes');
+}
+
+module.exports = { up, down };
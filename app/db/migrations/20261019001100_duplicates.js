@@ -0,0 +1,39 @@
+/**
+ * Migration: Duplicates
+ * Created: 2026-10-19
+ *
+ * Caches a perceptual hash of each image so portraits can be compared when
+ * looking for animals entered twice, and records pairs of animals the user
+ * said aren't duplicates so they aren't suggested again.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run('ALTER TABLE images ADD COLUMN phash TEXT');
+    db.run(`
+        CREATE TABLE IF NOT EXISTS animal_duplicate_dismissals (
+            animal_id INTEGER NOT NULL,
+            other_animal_id INTEGER NOT NULL,
+            dismissed_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (animal_id, other_animal_id),
+            FOREIGN KEY (animal_id) REFERENCES animals(id),
+            FOREIGN KEY (other_animal_id) REFERENCES animals(id)
+        )
+    `);
+
+    console.log('[DB] Added duplicate detection');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('DROP TABLE IF EXISTS animal_duplicate_dismissals');
+    db.run('ALTER TABLE images DROP COLUMN phash');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,105 @@
+/**
+ * Migration: Fosters
+ * Created: 2026-10-19
+ *
+ * Adds foster contacts (the volunteers animals live with until they're
+ * adopted) and links each animal to at most one foster. The built-in card back
+ * gets a foster contact line and opts in to the foster template variables.
+ */
+
+// Card back markup before and after the migration
+const ATTRIBUTES_END = `                </table>
+            </div>`;
+const FOSTER_LINE = `
+            {{#if fosterName}}
+            <div class="foster-contact centered" style="font-size: 11px;">Foster: {{fosterName}}{{#if fosterPhone}} - {{fosterPhone}}{{/if}}</div>
+            {{/if}}`;
+
+/**
+ * Load a built-in template row by name
+ * @param {Object} db - sql.js database instance
+ * @param {string} name - Template name
+ * @returns {{id: number, html: string, config: Object}|null}
+ */
+function getBuiltinTemplate(db, name) {
+    const stmt = db.prepare('SELECT id, html_template, config FROM templates WHERE name = ? AND is_builtin = 1');
+    stmt.bind([name]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+
+    if (!row) return null;
+    return { id: row.id, html: row.html_template, config: JSON.parse(row.config) };
+}
+
+/**
+ * Write a template's HTML and config back
+ * @param {Object} db - sql.js database instance
+ * @param {number} id - Template ID
+ * @param {string} html - HTML template
+ * @param {Object} config - Template configuration
+ */
+function saveTemplate(db, id, html, config) {
+    const stmt = db.prepare('UPDATE templates SET html_template = ?, config = ? WHERE id = ?');
+    stmt.bind([html, JSON.stringify(config), id]);
+    stmt.step();
+    stmt.free();
+}
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS fosters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            phone TEXT,
+            email TEXT,
+            notes TEXT,
+            active INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+        )
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS update_fosters_timestamp
+        AFTER UPDATE ON fosters
+        BEGIN
+            UPDATE fosters SET updated_at = datetime('now') WHERE id = NEW.id;
+        END
+    `);
+    db.run('ALTER TABLE animals ADD COLUMN foster_id INTEGER REFERENCES fosters(id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_animals_foster ON animals(foster_id)');
+
+    // Only touch a card back users haven't edited away
+    const template = getBuiltinTemplate(db, 'card-back');
+    if (template) {
+        let html = template.html;
+        if (!html.includes('{{fosterName}}')) {
+            html = html.replace(ATTRIBUTES_END, ATTRIBUTES_END + FOSTER_LINE);
+        }
+        saveTemplate(db, template.id, html, { ...template.config, includeFosterContact: true });
+    }
+
+    console.log('[DB] Added fosters');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    const template = getBuiltinTemplate(db, 'card-back');
+    if (template) {
+        const { includeFosterContact, ...config } = template.config;
+        saveTemplate(db, template.id, template.html.replace(FOSTER_LINE, ''), config);
+    }
+
+    db.run('DROP INDEX IF EXISTS idx_animals_foster');
+    db.run('ALTER TABLE animals DROP COLUMN foster_id');
+    db.run('DROP TRIGGER IF EXISTS update_fosters_timestamp');
+    db.run('DROP TABLE IF EXISTS fosters');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,62 @@
+/**
+ * Migration: Events
+ * Created: 2026-10-19
+ *
+ * Adds adoption events (a date, times, location and the rescue holding them)
+ * and the animals attending each one, so a whole event's cards and flyers can
+ * be printed together.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            event_date TEXT NOT NULL,
+            start_time TEXT,
+            end_time TEXT,
+            location TEXT,
+            rescue_id INTEGER,
+            notes TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (rescue_id) REFERENCES rescues(id)
+        )
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS update_events_timestamp
+        AFTER UPDATE ON events
+        BEGIN
+            UPDATE events SET updated_at = datetime('now') WHERE id = NEW.id;
+        END
+    `);
+    db.run(`
+        CREATE TABLE IF NOT EXISTS event_animals (
+            event_id INTEGER NOT NULL,
+            animal_id INTEGER NOT NULL,
+            PRIMARY KEY (event_id, animal_id),
+            FOREIGN KEY (event_id) REFERENCES events(id),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_event_animals_animal ON event_animals(animal_id)');
+
+    console.log('[DB] Added adoption events');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('DROP INDEX IF EXISTS idx_event_animals_animal');
+    db.run('DROP TABLE IF EXISTS event_animals');
+    db.run('DROP TRIGGER IF EXISTS update_events_timestamp');
+    db.run('DROP TABLE IF EXISTS events');
+}
+
+module.exports = { up, down };
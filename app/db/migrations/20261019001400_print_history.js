@@ -0,0 +1,44 @@
+/**
+ * Migration: Print History
+ * Created: 2026-10-19
+ *
+ * Records every card, flyer and PDF page generated or printed for an animal,
+ * with a hash of the animal's data at the time, so cards printed before the
+ * animal's details or portrait changed can be found and reprinted.
+ */
+
+/**
+ * Run the migration
+ * @param {Object} db - sql.js database instance
+ */
+function up(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS print_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            animal_id INTEGER NOT NULL,
+            template_name TEXT NOT NULL,
+            action TEXT NOT NULL,
+            output_path TEXT,
+            printer_name TEXT,
+            profile_name TEXT,
+            copies INTEGER,
+            data_hash TEXT NOT NULL,
+            printed_at TEXT DEFAULT (datetime('now')),
+            FOREIGN KEY (animal_id) REFERENCES animals(id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_print_history_animal ON print_history(animal_id, template_name)');
+
+    console.log('[DB] Added print history');
+}
+
+/**
+ * Reverse the migration
+ * @param {Object} db - sql.js database instance
+ */
+function down(db) {
+    db.run('DROP INDEX IF EXISTS idx_print_history_animal');
+    db.run('DROP TABLE IF EXISTS print_history');
+}
+
+module.exports = { up, down };
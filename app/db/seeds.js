@@ -5,8 +5,8 @@
 
 const path = require('path');
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
+const imageStore = require('../image-store.js');
+const { downloadImage } = require('../download.js');
 
 const SEEDS_DIR = path.join(__dirname, 'seeds');
 
@@ -36,59 +36,6 @@ const DEFAULT_RESCUES = [
     }
 ];
 
-/**
- * Download an image from a URL and return as Buffer
- * @param {string} url - URL to download from
- * @returns {Promise<Buffer>} - Image data as buffer
- */
-function downloadImage(url) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        const urlObj = new URL(url);
-
-        const options = {
-            hostname: urlObj.hostname,
-            path: urlObj.pathname + urlObj.search,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Referer': `${urlObj.protocol}//${urlObj.hostname}/`,
-                'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-                'sec-ch-ua-mobile': '?0',
-                'sec-ch-ua-platform': '"Windows"',
-                'Sec-Fetch-Dest': 'image',
-                'Sec-Fetch-Mode': 'no-cors',
-                'Sec-Fetch-Site': 'same-origin',
-            }
-        };
-
-        const request = protocol.get(options, (response) => {
-            // Handle redirects
-            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-                downloadImage(response.headers.location).then(resolve).catch(reject);
-                return;
-            }
-
-            if (response.statusCode !== 200) {
-                reject(new Error(`Failed to download image: ${response.statusCode}`));
-                return;
-            }
-
-            const chunks = [];
-            response.on('data', (chunk) => chunks.push(chunk));
-            response.on('end', () => resolve(Buffer.concat(chunks)));
-            response.on('error', reject);
-        });
-
-        request.on('error', reject);
-        request.setTimeout(30000, () => {
-            request.destroy();
-            reject(new Error('Download timeout'));
-        });
-    });
-}
-
 /**
  * Check if rescues table is empty
  * @param {Object} db - sql.js database instance
@@ -145,8 +92,10 @@ async function seedRescues(db) {
             }
         }
 
+        const logoHash = logoData ? imageStore.storeImage(db, logoData, rescue.logo_mime) : null;
+
         const stmt = db.prepare(`
-            INSERT OR IGNORE INTO rescues (id, name, website, logo_path, logo_data, logo_mime, org_id, scraper_type)
+            INSERT OR IGNORE INTO rescues (id, name, website, logo_path, logo_hash, logo_mime, org_id, scraper_type)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
         stmt.bind([
@@ -154,7 +103,7 @@ async function seedRescues(db) {
             rescue.name,
             rescue.website,
             rescue.logo_path,
-            logoData,
+            logoHash,
             rescue.logo_mime,
             rescue.org_id,
             rescue.scraper_type
@@ -226,13 +175,25 @@ async function seedDefaults(db, saveDatabase) {
 async function reseed(db, saveDatabase) {
     console.log('[DB] Reseeding database...');
 
-    // Clear existing data
+    // Clear existing data, children of animals first so new animals that reuse
+    // an ID don't inherit them (deleting photo rows also releases their images)
+    db.run('DELETE FROM animal_photos');
+    db.run('DELETE FROM animal_status_history');
+    db.run('DELETE FROM animal_custom_values');
+    db.run('DELETE FROM animal_changes');
+    db.run('DELETE FROM animal_duplicate_dismissals');
+    db.run('DELETE FROM event_animals');
+    db.run('DELETE FROM print_history');
+    db.run('DELETE FROM events');
     db.run('DELETE FROM animals');
+    db.run('DELETE FROM fosters');
     db.run('DELETE FROM rescues');
     db.run('DELETE FROM print_profiles');
 
     // Reset auto-increment counters
     db.run("DELETE FROM sqlite_sequence WHERE name='animals'");
+    db.run("DELETE FROM sqlite_sequence WHERE name='events'");
+    db.run("DELETE FROM sqlite_sequence WHERE name='fosters'");
     db.run("DELETE FROM sqlite_sequence WHERE name='rescues'");
     db.run("DELETE FROM sqlite_sequence WHERE name='print_profiles'");
 
@@ -0,0 +1,96 @@
+/**
+ * Event Print Packs (main process)
+ * Renders the cards and flyers for every animal attending an adoption event
+ * into a folder of its own under the output directory, with a manifest of the
+ * produced files like the batch generator's. Jobs render in parallel on the
+ * shared browser pool, and each file is recorded in the print history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const db = require('./db.js');
+const { runGenerationJobs } = require('./generation-jobs.js');
+const { getEventFolderName, getMissingEventItems } = require('./events.js');
+const { getOutputDir } = require('./paths.js');
+
+// Templates rendered for each attending animal
+const EVENT_PACK_TEMPLATES = ['card-front', 'card-back', 'adoption-flyer'];
+
+/**
+ * Get the folder an event's print pack is written to
+ * @param {Object} event - Event row
+ * @returns {string}
+ */
+function getEventPackDir(event) {
+    return path.join(getOutputDir(), 'events', getEventFolderName(event));
+}
+
+/**
+ * Generate every template for every animal attending an event
+ * @param {number} eventId - Event ID
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>} [options.templates] - Template names (default: card front, card back and flyer)
+ * @param {string} [options.format] - 'png' (default) or 'pdf'
+ * @returns {Promise<Object>} - Manifest describing produced files, errors and
+ *   animals still missing a portrait or attributes
+ */
+async function generateEventPack(eventId, options = {}) {
+    const event = db.getEventById(eventId);
+    if (!event) {
+        throw new Error('Event not found');
+    }
+
+    const templateNames = options.templates || EVENT_PACK_TEMPLATES;
+    const templates = templateNames.map(name => {
+        const template = db.getTemplateByName(name);
+        if (!template) {
+            throw new Error(`Template not found: ${name}`);
+        }
+        return template;
+    });
+
+    const animals = db.getEventAnimals(eventId);
+    if (animals.length === 0) {
+        throw new Error(`No animals are attending ${event.name}`);
+    }
+
+    const outputDir = getEventPackDir(event);
+    console.log(`[Event Pack] ${event.name}: ${animals.length} animal(s) x ${templates.length} template(s) -> ${outputDir}`);
+
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        event: { id: event.id, name: event.name, date: event.event_date },
+        templates: templateNames,
+        format: options.format || 'png',
+        outputDir,
+        files: [],
+        errors: [],
+        incomplete: animals
+            .map(animal => ({ animalId: animal.id, name: animal.name, missing: getMissingEventItems(animal) }))
+            .filter(entry => entry.missing.length > 0)
+    };
+
+    const { files, errors } = await runGenerationJobs(animals, templates, {
+        format: manifest.format,
+        outputDir,
+        event,
+        logTag: '[Event Pack]'
+    });
+    manifest.files = files;
+    manifest.errors = errors;
+    for (const file of files) {
+        db.logPrintJob([file.animalId], file.template, { action: 'generated', outputPath: file.path });
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`[Event Pack] Generated ${manifest.files.length} file(s), ${manifest.errors.length} error(s)`);
+    return manifest;
+}
+
+module.exports = {
+    EVENT_PACK_TEMPLATES,
+    getEventPackDir,
+    generateEventPack
+};
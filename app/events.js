@@ -0,0 +1,96 @@
+/**
+ * Adoption Events
+ * An event is a date, optional start and end times, a location and the rescue
+ * holding it, with a list of attending animals. When an event's print pack is
+ * generated, templates also see {{eventName}}, {{eventDate}}, {{eventTime}} and
+ * {{eventVenue}}; everywhere else those are blank, so {{#if eventName}} blocks
+ * only print on event cards.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+const { formatDisplayDate } = require('./animal-age.js');
+
+// What an animal should have before it's shown at an event, with checklist labels
+const EVENT_READINESS_CHECKS = {
+    portrait: 'Portrait',
+    attributes: 'Attributes'
+};
+
+/**
+ * Format a stored 24-hour time (HH:MM), e.g. "14:30" -> "2:30 PM"
+ * @param {string} time - Stored time
+ * @returns {string}
+ */
+function formatClockTime(time) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+    if (!match) return time || '';
+    const hours = parseInt(match[1], 10);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${match[2]} ${suffix}`;
+}
+
+/**
+ * Format an event's times, e.g. "11:00 AM - 3:00 PM", or just the start time
+ * @param {string} startTime - Stored start time
+ * @param {string} endTime - Stored end time
+ * @returns {string}
+ */
+function formatEventTime(startTime, endTime) {
+    return [startTime, endTime].filter(Boolean).map(formatClockTime).join(' - ');
+}
+
+/**
+ * Build the event template variables
+ * @param {Object|null} event - Event row, or null outside an event
+ * @returns {{eventName: string, eventDate: string, eventTime: string, eventVenue: string}}
+ */
+function getEventTemplateValues(event) {
+    return {
+        eventName: event?.name || '',
+        eventDate: formatDisplayDate(event?.event_date, { weekday: true }),
+        eventTime: formatEventTime(event?.start_time, event?.end_time),
+        eventVenue: event?.location || ''
+    };
+}
+
+/**
+ * List what an animal is still missing before an event
+ * @param {Object} animal - Animal row (portrait_hash and attributes are enough)
+ * @returns {Array<string>} - Keys of EVENT_READINESS_CHECKS it fails; empty when ready
+ */
+function getMissingEventItems(animal) {
+    const missing = [];
+    if (!animal.portrait_hash) missing.push('portrait');
+
+    let attributes = [];
+    try {
+        attributes = JSON.parse(animal.attributes || '[]');
+    } catch {
+        // Unreadable attributes count as missing
+    }
+    if (!Array.isArray(attributes) || attributes.length === 0) missing.push('attributes');
+
+    return missing;
+}
+
+/**
+ * Name the folder an event's print pack is written to, e.g. "2026-10-24-fall-adoption-fair"
+ * @param {Object} event - Event row
+ * @returns {string}
+ */
+function getEventFolderName(event) {
+    const slug = String(event.name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return [event.event_date, slug || `event-${event.id}`].filter(Boolean).join('-');
+}
+
+module.exports = {
+    EVENT_READINESS_CHECKS,
+    formatEventTime,
+    getEventTemplateValues,
+    getMissingEventItems,
+    getEventFolderName
+};
@@ -0,0 +1,53 @@
+/**
+ * Foster Contacts
+ * Fosters are the volunteers animals live with until they're adopted. An
+ * animal's foster is available to templates as {{fosterName}}, {{fosterPhone}}
+ * and {{fosterEmail}}, but only to templates whose config sets
+ * "includeFosterContact": true. Every other template sees them blank, so a
+ * volunteer's phone number can't end up on a public flyer by accident.
+ * Foster notes are for coordinators and never reach templates.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+/**
+ * Build the foster template variables for an animal
+ * @param {Object|null} foster - The animal's foster row, or null when it has none
+ * @returns {{fosterName: string, fosterPhone: string, fosterEmail: string}}
+ */
+function getFosterTemplateValues(foster) {
+    return {
+        fosterName: foster?.name || '',
+        fosterPhone: foster?.phone || '',
+        fosterEmail: foster?.email || ''
+    };
+}
+
+/**
+ * Check whether a template opted in to the foster template variables
+ * @param {Object} config - Parsed template configuration
+ * @returns {boolean}
+ */
+function includesFosterContact(config) {
+    return !!config?.includeFosterContact;
+}
+
+/**
+ * Blank the foster variables in a template's parameters unless the template
+ * opted in to them
+ * @param {Object} params - Template parameters (changed in place)
+ * @param {Object} config - Parsed template configuration
+ * @returns {Object} - params
+ */
+function applyFosterContactOptIn(params, config) {
+    if (!includesFosterContact(config)) {
+        Object.assign(params, getFosterTemplateValues(null));
+    }
+    return params;
+}
+
+module.exports = {
+    getFosterTemplateValues,
+    includesFosterContact,
+    applyFosterContactOptIn
+};
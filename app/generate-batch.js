@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Batch Generation CLI
+ * Renders templates for animals straight from the database without the Electron UI,
+ * rendering jobs in parallel on the shared browser pool and writing a manifest of the produced files.
+ * The database is opened read-only, so a run never overwrites changes made in the app meanwhile.
+ *
+ * Usage:
+ *   node app/generate-batch.js [options]
+ *
+ * Examples:
+ *   node app/generate-batch.js --templates card-front,card-back,adoption-flyer
+ *   node app/generate-batch.js --rescue "Paws Rescue League" --since 2025-01-01
+ *   node app/generate-batch.js --ids 3,7,12 --format pdf --out ./print-shop
+ *   node app/generate-batch.js --templates adopted-flyer --status adopted
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const db = require('./db.js');
+const browserPool = require('./browser-pool.js');
+const { runGenerationJobs } = require('./generation-jobs.js');
+const { getOutputDir } = require('./paths.js');
+
+const DEFAULT_TEMPLATES = ['card-front', 'card-back'];
+
+// Only available animals are printed unless --status says otherwise
+const DEFAULT_STATUSES = ['available'];
+
+function showHelp() {
+    console.log(`
+Batch Generation CLI
+
+Usage:
+  node app/generate-batch.js [options]
+
+Options:
+  --templates <names>   Comma-separated template names (default: ${DEFAULT_TEMPLATES.join(',')})
+  --rescue <id|name>    Only animals from this rescue
+  --ids <ids>           Comma-separated animal IDs
+  --since <date>        Only animals updated on or after this date (e.g. 2025-01-31)
+  --status <list|all>   Comma-separated statuses to include (default: ${DEFAULT_STATUSES.join(',')})
+                        One of ${db.ANIMAL_STATUSES.join(', ')}, or "all"
+  --format <png|pdf>    Output format (default: png)
+  --out <dir>           Output directory (default: the app output directory)
+  --manifest <path>     Manifest file path (default: <out>/manifest.json)
+  --concurrency <n>     Pages rendered at once (default: ${browserPool.DEFAULT_MAX_PAGES})
+  --help                Show this help
+`);
+}
+
+/**
+ * Parse command line arguments into options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(args) {
+    const options = {
+        templates: DEFAULT_TEMPLATES,
+        statuses: DEFAULT_STATUSES,
+        format: 'png'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const takeValue = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            case '--templates':
+                options.templates = takeValue().split(',').map(t => t.trim()).filter(Boolean);
+                break;
+            case '--rescue':
+                options.rescue = takeValue();
+                break;
+            case '--ids':
+                options.ids = takeValue().split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+                break;
+            case '--since':
+                options.since = takeValue();
+                break;
+            case '--status': {
+                const value = takeValue().trim();
+                options.statuses = value === 'all'
+                    ? null
+                    : value.split(',').map(st => st.trim()).filter(Boolean);
+                break;
+            }
+            case '--format':
+                options.format = takeValue();
+                break;
+            case '--out':
+                options.outputDir = path.resolve(takeValue());
+                break;
+            case '--manifest':
+                options.manifestPath = path.resolve(takeValue());
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(takeValue(), 10);
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!['png', 'pdf'].includes(options.format)) {
+        throw new Error(`Unsupported format: ${options.format} (expected png or pdf)`);
+    }
+
+    const unknownStatus = (options.statuses || []).find(st => !db.ANIMAL_STATUSES.includes(st));
+    if (unknownStatus) {
+        throw new Error(`Unknown status: ${unknownStatus} (expected ${db.ANIMAL_STATUSES.join(', ')} or all)`);
+    }
+
+    if (options.concurrency !== undefined && !(options.concurrency >= 1)) {
+        throw new Error('--concurrency must be a positive number');
+    }
+
+    if (options.since) {
+        options.since = toSqliteTimestamp(options.since);
+    }
+
+    return options;
+}
+
+/**
+ * Convert a --since date to the UTC "YYYY-MM-DD HH:MM:SS" form updated_at is
+ * stored in, so any date Date.parse accepts (e.g. "Jan 31 2025") filters correctly
+ * @param {string} value - Date as given on the command line
+ * @returns {string}
+ */
+function toSqliteTimestamp(value) {
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) {
+        throw new Error(`Invalid --since date: ${value}`);
+    }
+    return parsed.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Resolve a rescue by ID or by name (case-insensitive)
+ * @param {string} value - Rescue ID or name
+ * @returns {Object} - Rescue row
+ */
+function resolveRescue(value) {
+    const rescues = db.getAllRescues();
+    const rescue = /^\d+$/.test(value)
+        ? rescues.find(r => r.id === parseInt(value, 10))
+        : rescues.find(r => r.name.toLowerCase() === value.toLowerCase());
+
+    if (!rescue) {
+        throw new Error(`Rescue not found: ${value}`);
+    }
+    return rescue;
+}
+
+/**
+ * Load the requested templates, failing fast on unknown names
+ * @param {Array<string>} names - Template names
+ * @returns {Array<Object>} - Template objects
+ */
+function loadTemplates(names) {
+    return names.map(name => {
+        const template = db.getTemplateByName(name);
+        if (!template) {
+            throw new Error(`Template not found: ${name}`);
+        }
+        return template;
+    });
+}
+
+/**
+ * Generate every template for every matching animal
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} - Manifest describing produced files and errors
+ */
+async function runBatch(options) {
+    const filters = {};
+    if (options.rescue) filters.rescueId = resolveRescue(options.rescue).id;
+    if (options.ids) filters.ids = options.ids;
+    if (options.since) filters.updatedSince = options.since;
+    if (options.statuses) filters.statuses = options.statuses;
+
+    const templates = loadTemplates(options.templates);
+    const animals = db.getAnimalsByFilter(filters);
+    const outputDir = options.outputDir || getOutputDir();
+
+    console.log(`[Batch] ${animals.length} animal(s) x ${templates.length} template(s) -> ${outputDir}`);
+
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        filters: {
+            rescue: options.rescue || null,
+            ids: options.ids || null,
+            since: options.since || null,
+            statuses: options.statuses || 'all'
+        },
+        templates: options.templates,
+        format: options.format,
+        outputDir,
+        files: [],
+        errors: []
+    };
+
+    if (animals.length === 0) {
+        return manifest;
+    }
+
+    if (options.concurrency) {
+        browserPool.configure({ maxPages: options.concurrency });
+    }
+
+    try {
+        const { files, errors } = await runGenerationJobs(animals, templates, {
+            format: options.format,
+            outputDir,
+            logTag: '[Batch]'
+        });
+        manifest.files = files;
+        manifest.errors = errors;
+    } finally {
+        await browserPool.close();
+    }
+
+    return manifest;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`[Batch] ${err.message}`);
+        showHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        showHelp();
+        return;
+    }
+
+    // Read-only: the app may have the database open and is the only one that writes it
+    console.log('[Batch] Opening database (read-only)...');
+    await db.initializeAsync({ readOnly: true });
+
+    try {
+        const manifest = await runBatch(options);
+
+        const manifestPath = options.manifestPath || path.join(manifest.outputDir, 'manifest.json');
+        fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+        console.log(`[Batch] Generated ${manifest.files.length} file(s), ${manifest.errors.length} error(s)`);
+        console.log(`[Batch] Manifest written to: ${manifestPath}`);
+
+        if (manifest.errors.length > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { runBatch, parseArgs };
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('[Batch] Fatal error:', err);
+        process.exit(1);
+    });
+}
@@ -6,7 +6,11 @@ const os = require('os');
 const QRCode = require('qrcode');
 const Handlebars = require('handlebars');
 const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
 const { getOutputDir } = require('./paths.js');
+const browserPool = require('./browser-pool.js');
+const { computeAge } = require('./animal-age.js');
+const { applyFosterContactOptIn } = require('./fosters.js');
 
 // DPI configuration - default 360 DPI for high-quality printing
 const DEFAULT_DPI = 360;
@@ -14,6 +18,12 @@ const DEFAULT_DPI = 360;
 // CSS standard DPI (browsers always render CSS inches at 96 DPI)
 const CSS_DPI = 96;
 
+// PDF user space units per inch
+const PDF_POINTS_PER_INCH = 72;
+
+// Default card sheet grid (5 columns x 2 rows of 2" x 3.5" cards on letter landscape)
+const DEFAULT_SHEET_LAYOUT = { columns: 5, rows: 2 };
+
 // Enable verbose logging
 console.log('[Card Gen] Script started');
 console.log('[Card Gen] Working directory:', process.cwd());
@@ -79,6 +89,19 @@ async function preprocessParams(params, config) {
     const preprocessing = config.preprocessing || {};
     const processedParams = { ...params };
 
+    // Foster contact details only go on templates that ask for them
+    applyFosterContactOptIn(processedParams, config);
+
+    // Work the age out from the birthdate so a reprint doesn't show the age the
+    // animal was when it was entered
+    if (processedParams.birthdate && preprocessing.computeAge !== false) {
+        const age = computeAge(processedParams.birthdate);
+        if (age) {
+            processedParams.ageLong = age.age_long;
+            processedParams.ageShort = age.age_short;
+        }
+    }
+
     // Generate QR code if configured (using local qrcode library - no web calls)
     if (preprocessing.generateQrCode) {
         const qrSource = processedParams[preprocessing.qrCodeSource || 'slug'] || processedParams.adoptionUrl;
@@ -118,7 +141,7 @@ async function preprocessParams(params, config) {
         }
 
         // Handle tri-state fields (?, 0, 1)
-        const triStateFields = preprocessing.triStateFields || ['kids', 'dogs', 'cats'];
+        const triStateFields = preprocessing.triStateFields || ['kids', 'dogs', 'cats', 'rabbits'];
         for (const field of triStateFields) {
             if (field in processedParams) {
                 const value = processedParams[field];
@@ -156,12 +179,21 @@ async function renderTemplate(htmlTemplate, outputPath, outputFilename, params)
 
     // Register repeat helper for repeating card content
     Handlebars.registerHelper('repeat', function(count, options) {
+        // On a mixed sheet each slot gets its own animal from the root `cards` array
+        const cards = options.data.root && options.data.root.cards;
         let result = '';
         for (let i = 0; i < count; i++) {
             // Add @index to the data context
             const data = Handlebars.createFrame(options.data);
             data.index = i;
-            result += options.fn(this, { data: data });
+            if (Array.isArray(cards)) {
+                // Empty slots render the {{else}} block so the grid keeps its shape
+                result += cards[i]
+                    ? options.fn(cards[i], { data: data })
+                    : options.inverse(this, { data: data });
+            } else {
+                result += options.fn(this, { data: data });
+            }
         }
         return result;
     });
@@ -180,13 +212,13 @@ async function renderTemplate(htmlTemplate, outputPath, outputFilename, params)
 }
 
 /**
- * Capture screenshot of rendered HTML page
+ * Capture the #page element as a PNG buffer at the template's exact DPI
  *
  * @param {Object} page - Puppeteer page instance
- * @param {string} outputPath - Path for output PNG
  * @param {Object} config - Template configuration
+ * @returns {Promise<Buffer>} - PNG image data with DPI metadata
  */
-async function capture(page, outputPath, config) {
+async function captureImage(page, config) {
     console.log('[Card Gen] Capturing screenshot...');
 
     const dpi = config.dpi || DEFAULT_DPI;
@@ -218,46 +250,216 @@ async function capture(page, outputPath, config) {
     console.log('[Card Gen] Screenshot captured to buffer');
 
     // Use sharp to resize to exact dimensions and embed DPI metadata
-    await sharp(screenshotBuffer)
+    return sharp(screenshotBuffer)
         .resize(targetWidth, targetHeight, { fit: 'fill' })
         .withMetadata({ density: dpi })
-        .toFile(outputPath);
-    console.log(`[Card Gen] Screenshot saved: ${targetWidth}x${targetHeight}px at ${dpi} DPI to: ${outputPath}`);
+        .png()
+        .toBuffer();
 }
 
 /**
- * Generate an asset from a template
+ * Capture screenshot of rendered HTML page
  *
- * @param {Object} template - Template object from database { name, html_template, config }
- * @param {Object} params - Parameters for rendering (animal data, rescue data, etc.)
- * @returns {Promise<string>} - Path to generated output file
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} outputPath - Path for output PNG
+ * @param {Object} config - Template configuration
  */
-async function generateFromTemplate(template, params) {
-    const config = typeof template.config === 'string'
-        ? JSON.parse(template.config)
-        : template.config;
+async function capture(page, outputPath, config) {
+    const imageBuffer = await captureImage(page, config);
+    await fs.writeFile(outputPath, imageBuffer);
+    console.log(`[Card Gen] Screenshot saved at ${config.dpi || DEFAULT_DPI} DPI to: ${outputPath}`);
+}
 
-    console.log(`[Card Gen] Starting generation with template: ${template.name}`);
-    console.log(`[Card Gen] Config:`, JSON.stringify(config, null, 2));
+/**
+ * Print the rendered page to a single-page PDF with vector text
+ *
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} config - Template configuration
+ * @returns {Promise<Uint8Array>} - PDF document data
+ */
+async function capturePdf(page, config) {
+    console.log('[Card Gen] Printing page to PDF...');
 
-    // Launch browser
-    const { launchBrowser } = require('./browser-helper.js');
-    const browser = await launchBrowser();
-    console.log('[Card Gen] Browser launched');
+    const pageWidthInches = config.pageWidthInches || 11;
+    const pageHeightInches = config.pageHeightInches || 8.5;
 
-    const page = await browser.newPage();
-    console.log('[Card Gen] New page created');
+    // Templates are designed for the screen renderer, keep the same styles in print
+    await page.emulateMediaType('screen');
 
-    // Create temp directory with assets
-    const { tmpPath, cleanup } = await createTempDir();
-    console.log('[Card Gen] Temp directory ready');
+    return page.pdf({
+        width: `${pageWidthInches}in`,
+        height: `${pageHeightInches}in`,
+        printBackground: true,
+        margin: { top: 0, right: 0, bottom: 0, left: 0 },
+        pageRanges: '1'
+    });
+}
 
-    // Preprocess parameters
-    const processedParams = await preprocessParams(params, config);
+/**
+ * Resolve the PDF mode for a template ('vector' or 'raster')
+ *
+ * @param {Object} config - Template configuration
+ * @param {Object} options - Generation options
+ * @returns {string}
+ */
+function getPdfMode(config, options = {}) {
+    return options.pdfMode || config.pdfMode || 'vector';
+}
+
+/**
+ * Append one rendered template page to a PDF document.
+ * Vector mode copies Chrome's PDF output so text stays selectable; raster mode
+ * embeds the same DPI-exact image used for PNG output.
+ *
+ * @param {Object} pdfDoc - pdf-lib PDFDocument being assembled
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} config - Template configuration
+ * @param {string} pdfMode - 'vector' or 'raster'
+ */
+async function appendPdfPage(pdfDoc, page, config, pdfMode) {
+    if (pdfMode === 'raster') {
+        const imageBuffer = await captureImage(page, config);
+        const image = await pdfDoc.embedPng(imageBuffer);
+        const width = (config.pageWidthInches || 11) * PDF_POINTS_PER_INCH;
+        const height = (config.pageHeightInches || 8.5) * PDF_POINTS_PER_INCH;
+
+        const pdfPage = pdfDoc.addPage([width, height]);
+        pdfPage.drawImage(image, { x: 0, y: 0, width, height });
+        console.log(`[Card Gen] Added raster PDF page (${config.dpi || DEFAULT_DPI} DPI)`);
+        return;
+    }
+
+    const pageDoc = await PDFDocument.load(await capturePdf(page, config));
+    const [copiedPage] = await pdfDoc.copyPages(pageDoc, [0]);
+    pdfDoc.addPage(copiedPage);
+    console.log('[Card Gen] Added vector PDF page');
+}
+
+/**
+ * Get the sheet layout for a template, falling back to the 5x2 business card grid
+ *
+ * @param {Object} config - Template configuration
+ * @returns {{columns: number, rows: number, mirrored: boolean}}
+ */
+function getSheetLayout(config) {
+    const sheet = config.sheet || {};
+    return {
+        columns: sheet.columns || DEFAULT_SHEET_LAYOUT.columns,
+        rows: sheet.rows || DEFAULT_SHEET_LAYOUT.rows,
+        mirrored: !!sheet.mirrored
+    };
+}
+
+/**
+ * Expand per-animal slot counts into one entry per sheet slot.
+ * Unused slots are null. When the layout is mirrored (card backs), each row is
+ * reversed so the back of every card lands behind its front once the sheet is
+ * flipped left-to-right for duplex printing.
+ *
+ * @param {Array<{params: Object, count: number}>} entries - Animals and how many slots each fills
+ * @param {{columns: number, rows: number, mirrored: boolean}} layout - Sheet layout
+ * @returns {Array<Object|null>} - Slot contents in grid order
+ */
+function buildSheetSlots(entries, layout) {
+    const slotCount = layout.columns * layout.rows;
+    const slots = [];
+
+    for (const entry of entries) {
+        const count = entry.count === undefined ? 1 : entry.count;
+        for (let i = 0; i < count; i++) {
+            slots.push(entry.params);
+        }
+    }
+
+    if (slots.length > slotCount) {
+        throw new Error(`Sheet only has ${slotCount} slots but ${slots.length} cards were requested`);
+    }
+
+    while (slots.length < slotCount) {
+        slots.push(null);
+    }
+
+    if (!layout.mirrored) {
+        return slots;
+    }
+
+    const mirrored = [];
+    for (let row = 0; row < layout.rows; row++) {
+        const rowSlots = slots.slice(row * layout.columns, (row + 1) * layout.columns);
+        mirrored.push(...rowSlots.reverse());
+    }
+    return mirrored;
+}
+
+/**
+ * Preprocess every animal on a sheet and place them into the sheet slots
+ *
+ * @param {Object} config - Template configuration
+ * @param {Array<{params: Object, count: number}>} entries - Per-animal render parameters and slot counts
+ * @returns {Promise<Object>} - Parameters ready for Handlebars, including `cards`
+ */
+async function buildSheetParams(config, entries) {
+    if (!entries || entries.length === 0) {
+        throw new Error('No animals selected for the sheet');
+    }
+
+    console.log(`[Card Gen] Sheet animals: ${entries.map(e => `${e.params.name} x${e.count}`).join(', ')}`);
+
+    // Preprocess each animal once, then place it into its slots
+    const processedEntries = [];
+    for (const entry of entries) {
+        processedEntries.push({
+            params: await preprocessParams(entry.params, config),
+            count: entry.count
+        });
+    }
+
+    const layout = getSheetLayout(config);
+    const cards = buildSheetSlots(processedEntries, layout);
+    console.log(`[Card Gen] Sheet layout: ${layout.columns}x${layout.rows}${layout.mirrored ? ' (mirrored)' : ''}`);
+
+    // Top-level variables come from the first animal so page-level markup still renders
+    return { ...processedEntries[0].params, cards };
+}
+
+/**
+ * Render a template into a pooled page and run a capture step on it.
+ * The page and the temp directory are released when the capture finishes.
+ *
+ * @param {Object} template - Template object from database { name, html_template }
+ * @param {Object} config - Parsed template configuration
+ * @param {Object} renderParams - Parameters passed to Handlebars
+ * @param {Function} captureFn - async (page) => result, called once the page has loaded
+ * @returns {Promise<*>} - The capture step's result
+ */
+async function withRenderedPage(template, config, renderParams, captureFn) {
+    return browserPool.withPage(async (page) => {
+        const { tmpPath, cleanup } = await createTempDir();
+        try {
+            await loadTemplatePage(page, tmpPath, template, config, renderParams);
+            return await captureFn(page);
+        } finally {
+            console.log('[Card Gen] Cleaning up temp directory...');
+            await cleanup();
+        }
+    });
+}
+
+/**
+ * Render a template to HTML in the temp directory and load it into a page
+ *
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} tmpPath - Temp directory with template assets
+ * @param {Object} template - Template object from database { name, html_template }
+ * @param {Object} config - Parsed template configuration
+ * @param {Object} renderParams - Parameters passed to Handlebars
+ */
+async function loadTemplatePage(page, tmpPath, template, config, renderParams) {
+    console.log('[Card Gen] Temp directory ready');
 
     // Render template to HTML file
     const htmlFilename = `${template.name}.html`;
-    await renderTemplate(template.html_template, tmpPath, htmlFilename, processedParams);
+    await renderTemplate(template.html_template, tmpPath, htmlFilename, renderParams);
     console.log('[Card Gen] HTML template processed');
 
     // Set viewport based on template config
@@ -270,30 +472,194 @@ async function generateFromTemplate(template, params) {
     console.log('[Card Gen] Loading page:', htmlPath);
     await page.goto(htmlPath, { waitUntil: 'networkidle0' });
     console.log('[Card Gen] Page loaded');
+}
+
+/**
+ * Make text safe to use as part of a file name. Path separators and characters
+ * Windows doesn't allow in file names become "-".
+ *
+ * @param {string} text - Text such as an animal or template name
+ * @returns {string} - File-safe text (empty when nothing usable is left)
+ */
+function sanitizeFileNamePart(text) {
+    return String(text || '')
+        .replace(/[\/\\:*?"<>|\x00-\x1f]+/g, '-')
+        .replace(/^[\s.-]+|[\s.-]+$/g, '');
+}
+
+/**
+ * Get the value substituted for {name} in output file names: the animal's name,
+ * made file-safe, followed by its ID when known so two animals with the same
+ * name never write to the same file (e.g. "Buddy-12")
+ *
+ * @param {Object} params - Template parameters ({ name, animalId })
+ * @returns {string}
+ */
+function getOutputName(params) {
+    const name = sanitizeFileNamePart(params.name) || 'unnamed';
+    return params.animalId ? `${name}-${params.animalId}` : name;
+}
 
+/**
+ * Build the output path for a generated file from the template's name pattern
+ *
+ * @param {Object} config - Template configuration
+ * @param {string} templateName - Template name
+ * @param {string} outputName - File-safe value substituted for {name} in the output pattern
+ * @param {string} format - 'png' or 'pdf'
+ * @param {string} [outputDir] - Directory to write to (defaults to the app output directory)
+ * @returns {Promise<string>} - Absolute output path
+ */
+async function resolveOutputPath(config, templateName, outputName, format, outputDir = getOutputDir()) {
     // Ensure output directory exists
-    const outputDir = getOutputDir();
     console.log('[Card Gen] Creating output directory:', outputDir);
     await fs.mkdir(outputDir, { recursive: true });
 
     // Generate output filename from pattern
     const outputPattern = config.outputNamePattern || '{name}-{templateName}.png';
-    const outputFilename = outputPattern
-        .replace('{name}', params.name || 'unnamed')
-        .replace('{templateName}', template.name);
+    let outputFilename = outputPattern
+        .replace('{name}', outputName || 'unnamed')
+        .replace('{templateName}', sanitizeFileNamePart(templateName) || 'template');
+    if (format === 'pdf') {
+        outputFilename = outputFilename.replace(/\.[^.]+$/, '') + '.pdf';
+    }
+
     const outputPath = path.join(outputDir, outputFilename);
     console.log('[Card Gen] Output path:', outputPath);
+    return outputPath;
+}
 
-    // Capture screenshot
-    await capture(page, outputPath, config);
+/**
+ * Render already-preprocessed parameters with a template and write the output file
+ *
+ * @param {Object} template - Template object from database { name, html_template }
+ * @param {Object} config - Parsed template configuration
+ * @param {Object} renderParams - Parameters passed to Handlebars
+ * @param {string} outputName - Value substituted for {name} in the output pattern
+ * @param {Object} options - Generation options ({ format, pdfMode, outputDir })
+ * @returns {Promise<string>} - Path to generated output file
+ */
+async function renderToOutput(template, config, renderParams, outputName, options = {}) {
+    const format = options.format || 'png';
+    const outputPath = await resolveOutputPath(config, template.name, outputName, format, options.outputDir);
+
+    await withRenderedPage(template, config, renderParams, async (page) => {
+        if (format === 'pdf') {
+            const pdfDoc = await PDFDocument.create();
+            await appendPdfPage(pdfDoc, page, config, getPdfMode(config, options));
+            await fs.writeFile(outputPath, await pdfDoc.save());
+            console.log('[Card Gen] PDF saved to:', outputPath);
+        } else {
+            await capture(page, outputPath, config);
+        }
+    });
 
-    // Cleanup
-    console.log('[Card Gen] Closing browser...');
-    await browser.close();
-    console.log('[Card Gen] Cleaning up temp directory...');
-    await cleanup();
     console.log('[Card Gen] Generation complete!');
+    return outputPath;
+}
+
+/**
+ * Generate an asset from a template
+ *
+ * @param {Object} template - Template object from database { name, html_template, config }
+ * @param {Object} params - Parameters for rendering (animal data, rescue data, etc.)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.format] - 'png' (default) or 'pdf'
+ * @param {string} [options.pdfMode] - 'vector' or 'raster', overrides the template config
+ * @param {string} [options.outputDir] - Directory to write to (defaults to the app output directory)
+ * @returns {Promise<string>} - Path to generated output file
+ */
+async function generateFromTemplate(template, params, options = {}) {
+    const config = typeof template.config === 'string'
+        ? JSON.parse(template.config)
+        : template.config;
+
+    console.log(`[Card Gen] Starting generation with template: ${template.name}`);
+    console.log(`[Card Gen] Config:`, JSON.stringify(config, null, 2));
+
+    // Preprocess parameters
+    const processedParams = await preprocessParams(params, config);
+
+    return renderToOutput(template, config, processedParams, getOutputName(params), options);
+}
+
+/**
+ * Generate a sheet mixing several animals from a card template.
+ * Each animal fills `count` slots of the sheet grid with its own data, logo and QR code.
+ *
+ * @param {Object} template - Template object from database { name, html_template, config }
+ * @param {Array<{params: Object, count: number}>} entries - Per-animal render parameters and slot counts
+ * @param {Object} [options] - Generation options, same as generateFromTemplate
+ * @returns {Promise<string>} - Path to generated output file
+ */
+async function generateSheetFromTemplate(template, entries, options = {}) {
+    const config = typeof template.config === 'string'
+        ? JSON.parse(template.config)
+        : template.config;
+
+    console.log(`[Card Gen] Starting sheet generation with template: ${template.name}`);
+
+    const renderParams = await buildSheetParams(config, entries);
+    const outputName = entries.length === 1
+        ? getOutputName(entries[0].params)
+        : `sheet-${entries.map(e => getOutputName(e.params)).join('-')}`;
+
+    return renderToOutput(template, config, renderParams, outputName, options);
+}
+
+/**
+ * Generate one multi-page PDF from many templates and animals.
+ * Every job becomes one page sized from its own template config, so card sheets
+ * and flyers can share a document. Pages render concurrently on the browser pool
+ * and are assembled in job order.
+ *
+ * @param {Array<{template: Object, params?: Object, entries?: Array}>} jobs - Pages in order;
+ *        jobs with `entries` are rendered as mixed-animal sheets
+ * @param {string} outputPath - Path of the PDF file to write
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.pdfMode] - 'vector' or 'raster', overrides each template config
+ * @param {Function} [options.onProgress] - Called with (pagesDone, totalPages) after each page
+ * @returns {Promise<string>} - Path to the written PDF
+ */
+async function generatePdf(jobs, outputPath, options = {}) {
+    if (!jobs || jobs.length === 0) {
+        throw new Error('Nothing to export');
+    }
+
+    console.log(`[Card Gen] Starting PDF export: ${jobs.length} page(s) to ${outputPath}`);
 
+    // Render each page into its own single-page document, in parallel up to the pool limit
+    let pagesDone = 0;
+    const pageDocs = await Promise.all(jobs.map(async (job) => {
+        const config = typeof job.template.config === 'string'
+            ? JSON.parse(job.template.config)
+            : job.template.config;
+
+        const renderParams = job.entries
+            ? await buildSheetParams(config, job.entries)
+            : await preprocessParams(job.params, config);
+
+        const pageDoc = await withRenderedPage(job.template, config, renderParams, async (page) => {
+            const doc = await PDFDocument.create();
+            await appendPdfPage(doc, page, config, getPdfMode(config, options));
+            return doc;
+        });
+
+        pagesDone++;
+        if (options.onProgress) options.onProgress(pagesDone, jobs.length);
+        return pageDoc;
+    }));
+
+    // Assemble in job order
+    const pdfDoc = await PDFDocument.create();
+    for (const pageDoc of pageDocs) {
+        const [copiedPage] = await pdfDoc.copyPages(pageDoc, [0]);
+        pdfDoc.addPage(copiedPage);
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, await pdfDoc.save());
+    console.log(`[Card Gen] PDF export complete: ${pdfDoc.getPageCount()} page(s) saved to ${outputPath}`);
     return outputPath;
 }
 
@@ -316,6 +682,7 @@ const CARD_FRONT_CONFIG = {
         booleanFields: ['shots', 'housetrained'],
         triStateFields: ['kids', 'dogs', 'cats']
     },
+    sheet: { columns: 5, rows: 2, mirrored: false },
     outputNamePattern: '{name}-card-front.png'
 };
 
@@ -334,8 +701,10 @@ const CARD_BACK_CONFIG = {
         qrCodeSource: 'slug',
         convertBooleans: true,
         booleanFields: ['shots', 'housetrained'],
-        triStateFields: ['kids', 'dogs', 'cats']
+        triStateFields: ['kids', 'dogs', 'cats', 'rabbits']
     },
+    sheet: { columns: 5, rows: 2, mirrored: true },
+    includeFosterContact: true,
     outputNamePattern: '{name}-card-back.png'
 };
 
@@ -423,8 +792,13 @@ async function generateCardBack(params, dpi = DEFAULT_DPI) {
 module.exports = {
     // New generic API
     generateFromTemplate,
+    generateSheetFromTemplate,
+    generatePdf,
     preprocessParams,
+    getOutputName,
     calculateViewport,
+    getSheetLayout,
+    buildSheetSlots,
 
     // Legacy API (backwards compatible)
     generateCardFront,
@@ -492,6 +866,7 @@ if (require.main === module) {
 
             console.log(outputPath);
             console.log('[Card Gen] SUCCESS - Output path written to stdout');
+            await browserPool.close();
         } catch (err) {
             console.error('[Card Gen] FATAL ERROR:', err.message);
             console.error('[Card Gen] Stack trace:', err.stack);
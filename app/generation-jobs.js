@@ -0,0 +1,89 @@
+/**
+ * Generation Jobs (main process and CLI)
+ * Renders a set of templates for a set of animals on the shared browser pool,
+ * a few animals at a time with each animal's templates side by side. Used by the
+ * batch generator and event print packs.
+ */
+
+const browserPool = require('./browser-pool.js');
+const { generateFromTemplate } = require('./generate-card-cli.js');
+const { buildTemplateParams } = require('./template-params.js');
+
+/**
+ * Render every template for one animal
+ * @param {Object} animal - Animal row
+ * @param {Array<Object>} templates - Template rows
+ * @param {Object} options - outputDir, format, event and logTag (see runGenerationJobs)
+ * @returns {Promise<Array<Object>>} - { animal, template, outputPath } or
+ *   { animal, template, error } per template, in template order
+ */
+async function renderAnimal(animal, templates, { outputDir, format, event, logTag }) {
+    let params;
+    try {
+        params = buildTemplateParams(animal, event);
+    } catch (err) {
+        console.error(`${logTag} ${animal.name} failed:`, err.message);
+        return templates.map(template => ({ animal, template, error: err.message }));
+    }
+
+    return Promise.all(templates.map(async (template) => {
+        try {
+            const outputPath = await generateFromTemplate(template, params, { format, outputDir });
+            console.log(`${logTag} ${animal.name} / ${template.name}: ${outputPath}`);
+            return { animal, template, outputPath };
+        } catch (err) {
+            console.error(`${logTag} ${animal.name} / ${template.name} failed:`, err.message);
+            return { animal, template, error: err.message };
+        }
+    }));
+}
+
+/**
+ * Render every template for every animal
+ * @param {Array<Object>} animals - Animal rows
+ * @param {Array<Object>} templates - Template rows
+ * @param {Object} options - Generation options
+ * @param {string} options.outputDir - Folder the files are written to
+ * @param {string} [options.format] - 'png' (default) or 'pdf'
+ * @param {Object} [options.event] - Event row, for the event template variables
+ * @param {string} [options.logTag] - Console log prefix (default: '[Generate]')
+ * @returns {Promise<{files: Array<Object>, errors: Array<Object>}>} - Manifest entries
+ *   ({ animalId, name, template } with a path or an error), in job order
+ */
+async function runGenerationJobs(animals, templates, options) {
+    const { outputDir, format = 'png', event = null, logTag = '[Generate]' } = options;
+
+    // Work through the animals a few at a time, as many as the pool renders at
+    // once. Template params hold every image as a data URL, so they're built per
+    // animal when its turn comes rather than for the whole list up front.
+    const results = new Array(animals.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < animals.length) {
+            const index = next++;
+            results[index] = await renderAnimal(animals[index], templates, { outputDir, format, event, logTag });
+        }
+    };
+    const workerCount = Math.min(animals.length, browserPool.getStatus().maxPages);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    // Record results in job order so the manifest is stable between runs
+    const files = [];
+    const errors = [];
+    for (const { animal, template, outputPath, error } of results.flat()) {
+        const entry = {
+            animalId: animal.id,
+            name: animal.name,
+            template: template.name
+        };
+        if (error) {
+            errors.push({ ...entry, error });
+        } else {
+            files.push({ ...entry, path: outputPath });
+        }
+    }
+
+    return { files, errors };
+}
+
+module.exports = { runGenerationJobs };
@@ -0,0 +1,87 @@
+/**
+ * Image Protocol (main process)
+ * Serves portraits and rescue logos from the image store to renderer windows
+ * on animal-image:// URLs (see image-urls.js), so the UI can use plain <img>
+ * URLs instead of base64 data URLs. Thumbnails are made on first request and
+ * kept in the image store.
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { protocol } = require('electron');
+const db = require('./db.js');
+const { IMAGE_PROTOCOL, parseImageUrl } = require('./image-urls.js');
+
+// Versioned URLs never change content, so the browser may keep them for good
+const CACHE_FOREVER = 'public, max-age=31536000, immutable';
+
+// Looks up the file for each kind of image URL
+const FILE_LOOKUPS = {
+    animal: db.getAnimalImageFile,
+    rescue: db.getRescueLogoFile,
+    photo: db.getAnimalPhotoFile
+};
+
+/**
+ * Declare the protocol's privileges. Must be called before the app is ready.
+ */
+function registerImageScheme() {
+    protocol.registerSchemesAsPrivileged([{
+        scheme: IMAGE_PROTOCOL,
+        privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true }
+    }]);
+}
+
+/**
+ * Build an error response
+ * @param {number} status - HTTP status
+ * @param {string} message - Response text
+ * @returns {Response}
+ */
+function errorResponse(status, message) {
+    return new Response(message, { status, headers: { 'Content-Type': 'text/plain' } });
+}
+
+/**
+ * Answer one image request
+ * @param {Request} request - Protocol request
+ * @returns {Promise<Response>}
+ */
+async function handleImageRequest(request) {
+    const image = parseImageUrl(request.url);
+    if (!image) {
+        return errorResponse(400, 'Invalid image URL');
+    }
+
+    try {
+        const file = await FILE_LOOKUPS[image.kind](image.id, image.size);
+        if (!file || !fs.existsSync(file.path)) {
+            return errorResponse(404, 'Image not found');
+        }
+
+        const { size } = fs.statSync(file.path);
+        return new Response(Readable.toWeb(fs.createReadStream(file.path)), {
+            headers: {
+                'Content-Type': file.mime,
+                'Content-Length': String(size),
+                'Cache-Control': image.version ? CACHE_FOREVER : 'no-cache'
+            }
+        });
+    } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        console.error(`[Images] Could not serve ${request.url}:`, message);
+        return errorResponse(500, message);
+    }
+}
+
+/**
+ * Start serving animal-image:// requests. Call once the app is ready.
+ */
+function registerImageProtocol() {
+    protocol.handle(IMAGE_PROTOCOL, handleImageRequest);
+}
+
+module.exports = {
+    registerImageScheme,
+    registerImageProtocol
+};
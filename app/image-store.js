@@ -0,0 +1,340 @@
+/**
+ * Image Store
+ * Portraits and rescue logos are kept as files in the images folder of the
+ * data directory rather than in the database. Each file is named by the
+ * SHA-256 of its contents, so the same image is only stored once:
+ *   images/<sha256>.<ext>              - original image, used for rendering cards
+ *   images/thumbnails/<sha256>.webp    - small copy for the animal grid (made on first use)
+ *
+ * The UI loads images through the animal-image:// protocol (image-protocol.js),
+ * which serves these files.
+ *
+ * The images table records each stored image and how many animals, gallery photos
+ * and rescues use it (ref_count, kept up to date by triggers). collectGarbage() deletes
+ * images nothing uses any more. It also caches each portrait's perceptual hash
+ * (phash), used to spot the same photo on two animals.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getImagesDir } = require('./paths.js');
+
+// sharp is only needed for thumbnails and perceptual hashes; without it the grid
+// shows the original and portraits aren't compared
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    console.warn('[Images] sharp is not available, thumbnails are disabled:', err.message);
+}
+
+// File extensions by MIME type (anything else is stored as .img)
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'image/bmp': '.bmp'
+};
+
+// Longest side of a grid thumbnail, in pixels
+const THUMBNAIL_SIZE = 600;
+
+const THUMBNAILS_DIR = 'thumbnails';
+
+// Files newer than this are left alone by collectGarbage(): they may belong to a
+// change that hasn't been saved yet, or be a thumbnail still being written (.tmp)
+const GARBAGE_GRACE_MS = 10 * 60 * 1000;
+
+// Thumbnails being made, by hash (so one image is never resized twice at once)
+const pendingThumbnails = new Map();
+
+/**
+ * SHA-256 hash of image data
+ * @param {Buffer} data - Image contents
+ * @returns {string} - Hex digest
+ */
+function hashImage(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Work out an image's MIME type from its first bytes
+ * @param {Buffer} data - Image contents
+ * @returns {string|null} - MIME type, or null if it isn't a supported image
+ */
+function detectImageMime(data) {
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+    if (data.length >= 8 && data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+    if (data.length >= 6 && data.toString('latin1', 0, 4) === 'GIF8') return 'image/gif';
+    if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (data.length >= 2 && data.toString('latin1', 0, 2) === 'BM') return 'image/bmp';
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(data.toString('utf8', 0, 256))) return 'image/svg+xml';
+    return null;
+}
+
+/**
+ * Get the file name of a stored image
+ * @param {string} hash - Content hash
+ * @param {string} mime - MIME type
+ * @returns {string} - e.g. '3f2a...9c.jpg'
+ */
+function getImageFileName(hash, mime) {
+    return `${hash}${IMAGE_EXTENSIONS[mime] || '.img'}`;
+}
+
+/**
+ * Get the path of a stored image
+ * @param {string} hash - Content hash
+ * @param {string} mime - MIME type
+ * @returns {string}
+ */
+function getImagePath(hash, mime) {
+    return path.join(getImagesDir(), getImageFileName(hash, mime));
+}
+
+/**
+ * Get the path of an image's grid thumbnail
+ * @param {string} hash - Content hash
+ * @returns {string}
+ */
+function getThumbnailPath(hash) {
+    return path.join(getImagesDir(), THUMBNAILS_DIR, `${hash}.webp`);
+}
+
+/**
+ * Write an image file unless it is already stored. The file is written to a
+ * temp name and renamed so a crash never leaves a partial image behind.
+ * @param {string} fileName - Image file name (hash and extension)
+ * @param {Buffer} data - Image contents
+ */
+function writeImageFile(fileName, data) {
+    const filePath = path.join(getImagesDir(), fileName);
+    if (fs.existsSync(filePath)) return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Store an image and record it in the images table. The new image has no
+ * references until an animal or rescue row points at its hash.
+ * @param {Object} database - sql.js database instance
+ * @param {Buffer|Uint8Array} data - Image contents
+ * @param {string} mime - MIME type
+ * @returns {string} - Content hash
+ */
+function storeImage(database, data, mime) {
+    const buffer = Buffer.from(data);
+    const hash = hashImage(buffer);
+    const type = mime || 'image/jpeg';
+
+    writeImageFile(getImageFileName(hash, type), buffer);
+
+    const stmt = database.prepare('INSERT OR IGNORE INTO images (hash, mime, size) VALUES (?, ?, ?)');
+    stmt.bind([hash, type, buffer.length]);
+    stmt.step();
+    stmt.free();
+
+    return hash;
+}
+
+/**
+ * Read a stored image
+ * @param {string} hash - Content hash
+ * @param {string} mime - MIME type
+ * @returns {Buffer|null} - Contents, or null if the file is missing
+ */
+function readImage(hash, mime) {
+    try {
+        return fs.readFileSync(getImagePath(hash, mime));
+    } catch (err) {
+        console.error(`[Images] Missing image file ${getImageFileName(hash, mime)}`);
+        return null;
+    }
+}
+
+/**
+ * Read a stored image as a data URL
+ * @param {string} hash - Content hash
+ * @param {string} mime - MIME type
+ * @returns {string|null}
+ */
+function readImageAsDataUrl(hash, mime) {
+    const data = readImage(hash, mime);
+    return data ? `data:${mime};base64,${data.toString('base64')}` : null;
+}
+
+/**
+ * Get the file to serve for a stored image, making the thumbnail the first
+ * time one is asked for. Falls back to the original if it can't be resized.
+ * @param {string} hash - Content hash
+ * @param {string} mime - MIME type
+ * @param {string} [size='full'] - 'full' for the original, 'thumb' for the grid thumbnail
+ * @returns {Promise<{path: string, mime: string}>}
+ */
+async function getImageFile(hash, mime, size = 'full') {
+    const original = { path: getImagePath(hash, mime), mime };
+    if (size !== 'thumb') {
+        return original;
+    }
+
+    const thumbnail = { path: getThumbnailPath(hash), mime: 'image/webp' };
+    if (fs.existsSync(thumbnail.path)) {
+        return thumbnail;
+    }
+    if (!sharp) {
+        return original;
+    }
+
+    if (!pendingThumbnails.has(hash)) {
+        const tmpPath = `${thumbnail.path}.tmp`;
+        const job = (async () => {
+            fs.mkdirSync(path.dirname(thumbnail.path), { recursive: true });
+            await sharp(original.path)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toFile(tmpPath);
+            fs.renameSync(tmpPath, thumbnail.path);
+        })().finally(() => pendingThumbnails.delete(hash));
+        pendingThumbnails.set(hash, job);
+    }
+
+    try {
+        await pendingThumbnails.get(hash);
+        return thumbnail;
+    } catch (err) {
+        console.error(`[Images] Could not make a thumbnail for ${hash}:`, err.message);
+        return original;
+    }
+}
+
+/**
+ * Work out an image's perceptual hash (a 64-bit difference hash): the image is
+ * shrunk to 9x8 grey pixels and each bit says whether a pixel is brighter than
+ * the one to its right. Resized or re-compressed copies of a photo get the same
+ * or a very close hash, unlike the content hash.
+ * @param {Buffer|string} input - Image contents, or the path of an image file
+ * @returns {Promise<string|null>} - 16 hex digits, or null if the image can't be read
+ */
+async function getPerceptualHash(input) {
+    if (!sharp) return null;
+
+    try {
+        const pixels = await sharp(input)
+            .rotate()
+            .grayscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let bits = 0;
+            for (let col = 0; col < 8; col++) {
+                bits = (bits << 1) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0);
+            }
+            hash += bits.toString(16).padStart(2, '0');
+        }
+        return hash;
+    } catch (err) {
+        console.error('[Images] Could not work out a perceptual hash:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Count the bits that differ between two perceptual hashes
+ * @param {string} a - Perceptual hash
+ * @param {string} b - Perceptual hash
+ * @returns {number} - 0 (same picture) to 64
+ */
+function getPerceptualDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 2) {
+        let bits = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+        for (; bits; bits >>= 1) distance += bits & 1;
+    }
+    return distance;
+}
+
+/**
+ * List the images in use, for backups
+ * @param {Object} database - sql.js database instance
+ * @returns {Array<{hash: string, mime: string, file: string}>} - Empty for a database
+ *   from before the image store (its images are still in the database)
+ */
+function listReferencedImages(database) {
+    const hasTable = database.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'images'");
+    if (hasTable.length === 0) return [];
+
+    const result = database.exec('SELECT hash, mime FROM images WHERE ref_count > 0 ORDER BY hash');
+    if (result.length === 0) return [];
+    return result[0].values.map(([hash, mime]) => ({ hash, mime, file: getImageFileName(hash, mime) }));
+}
+
+/**
+ * Delete images nothing uses: rows with no references, and files (or
+ * thumbnails) with no row, e.g. left by a change that was rolled back.
+ * Files modified in the last GARBAGE_GRACE_MS are skipped.
+ * Only call this when the database file on disk matches the open database,
+ * or a crash could leave the file pointing at deleted images.
+ * @param {Object} database - sql.js database instance
+ * @returns {{rows: number, files: number}} - Number of rows and files deleted
+ */
+function collectGarbage(database) {
+    database.run('DELETE FROM images WHERE ref_count <= 0');
+    const rows = database.getRowsModified();
+
+    const keep = new Set();
+    const result = database.exec('SELECT hash FROM images');
+    if (result.length > 0) {
+        for (const [hash] of result[0].values) keep.add(hash);
+    }
+
+    let files = 0;
+    const cutoff = Date.now() - GARBAGE_GRACE_MS;
+    const dir = getImagesDir();
+    for (const folder of [dir, path.join(dir, THUMBNAILS_DIR)]) {
+        if (!fs.existsSync(folder)) continue;
+        for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+            if (!entry.isFile()) continue;
+            const hash = entry.name.split('.')[0];
+            if (keep.has(hash) && !entry.name.endsWith('.tmp')) continue;
+            const filePath = path.join(folder, entry.name);
+            try {
+                if (fs.statSync(filePath).mtimeMs > cutoff) continue;
+                fs.unlinkSync(filePath);
+                files++;
+            } catch (err) {
+                console.error(`[Images] Could not delete ${entry.name}:`, err.message);
+            }
+        }
+    }
+
+    if (rows > 0 || files > 0) {
+        console.log(`[Images] Removed ${rows} unused image(s), ${files} file(s)`);
+    }
+    return { rows, files };
+}
+
+module.exports = {
+    hashImage,
+    detectImageMime,
+    getImageFileName,
+    getImagePath,
+    writeImageFile,
+    storeImage,
+    readImage,
+    readImageAsDataUrl,
+    getImageFile,
+    getPerceptualHash,
+    getPerceptualDistance,
+    listReferencedImages,
+    collectGarbage
+};
@@ -0,0 +1,99 @@
+/**
+ * Image URLs
+ * Portraits and rescue logos are shown in the UI through the animal-image://
+ * protocol, served by the main process (image-protocol.js):
+ *   animal-image://animal/<id>?size=thumb&v=<hash>   - an animal's portrait
+ *   animal-image://rescue/<id>?size=full&v=<hash>    - a rescue's logo
+ *   animal-image://photo/<id>?size=thumb&v=<hash>    - a photo in an animal's gallery
+ *
+ * `size` is 'thumb' (small copy for the grid) or 'full' (original). `v` is the
+ * start of the image's content hash, so the URL changes whenever the image
+ * does and the browser can cache each URL for good.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+const IMAGE_PROTOCOL = 'animal-image';
+
+// Image sizes the protocol serves
+const IMAGE_SIZES = ['thumb', 'full'];
+
+// Kinds of image, by URL host
+const IMAGE_KINDS = ['animal', 'rescue', 'photo'];
+
+/**
+ * Build an image URL
+ * @param {string} kind - 'animal', 'rescue' or 'photo'
+ * @param {number} id - Animal, rescue or photo ID
+ * @param {string} hash - Image content hash
+ * @param {string} size - 'thumb' or 'full'
+ * @returns {string}
+ */
+function buildImageUrl(kind, id, hash, size) {
+    return `${IMAGE_PROTOCOL}://${kind}/${id}?size=${size}&v=${hash.slice(0, 16)}`;
+}
+
+/**
+ * Get the URL of an animal's portrait
+ * @param {Object} animal - Animal row (needs id and portrait_hash)
+ * @param {string} [size='thumb'] - 'thumb' or 'full'
+ * @returns {string|null} - null if the animal has no portrait
+ */
+function getAnimalImageUrl(animal, size = 'thumb') {
+    if (!animal?.id || !animal.portrait_hash) return null;
+    return buildImageUrl('animal', animal.id, animal.portrait_hash, size);
+}
+
+/**
+ * Get the URL of a rescue's logo
+ * @param {Object} rescue - Rescue row (needs id and logo_hash)
+ * @param {string} [size='full'] - 'thumb' or 'full'
+ * @returns {string|null} - null if the rescue has no logo
+ */
+function getRescueLogoUrl(rescue, size = 'full') {
+    if (!rescue?.id || !rescue.logo_hash) return null;
+    return buildImageUrl('rescue', rescue.id, rescue.logo_hash, size);
+}
+
+/**
+ * Get the URL of a photo in an animal's gallery
+ * @param {Object} photo - Photo row (needs id and image_hash)
+ * @param {string} [size='thumb'] - 'thumb' or 'full'
+ * @returns {string|null}
+ */
+function getAnimalPhotoUrl(photo, size = 'thumb') {
+    if (!photo?.id || !photo.image_hash) return null;
+    return buildImageUrl('photo', photo.id, photo.image_hash, size);
+}
+
+/**
+ * Read an image URL
+ * @param {string} url - animal-image:// URL
+ * @returns {{kind: string, id: number, size: string, version: string|null}|null} - null if invalid
+ */
+function parseImageUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return null;
+    }
+
+    const id = parseInt(parsed.pathname.replace(/^\//, ''), 10);
+    const size = parsed.searchParams.get('size') || 'full';
+    if (parsed.protocol !== `${IMAGE_PROTOCOL}:` || !IMAGE_KINDS.includes(parsed.hostname) ||
+        !Number.isInteger(id) || !IMAGE_SIZES.includes(size)) {
+        return null;
+    }
+
+    return { kind: parsed.hostname, id, size, version: parsed.searchParams.get('v') };
+}
+
+module.exports = {
+    IMAGE_PROTOCOL,
+    IMAGE_SIZES,
+    getAnimalImageUrl,
+    getRescueLogoUrl,
+    getAnimalPhotoUrl,
+    parseImageUrl
+};
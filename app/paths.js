@@ -39,11 +39,35 @@ function getOutputDir() {
     return path.join(getDataDir(), 'output');
 }
 
+/**
+ * Get the plugins directory (extra scraper modules are loaded from here)
+ * @returns {string} Path to the plugins directory
+ */
+function getPluginsDir() {
+    return path.join(getDataDir(), 'plugins');
+}
+
+/**
+ * Get the backups directory (automatic database backups are kept here)
+ * @returns {string} Path to the backups directory
+ */
+function getBackupsDir() {
+    return path.join(getDataDir(), 'backups');
+}
+
+/**
+ * Get the images directory (portraits and logos are stored here, named by content hash)
+ * @returns {string} Path to the images directory
+ */
+function getImagesDir() {
+    return path.join(getDataDir(), 'images');
+}
+
 /**
  * Ensure all required directories exist
  */
 function ensureDirectories() {
-    const dirs = [getDataDir(), getTmpDir(), getOutputDir()];
+    const dirs = [getDataDir(), getTmpDir(), getOutputDir(), getPluginsDir(), getBackupsDir(), getImagesDir()];
     for (const dir of dirs) {
         fs.mkdirSync(dir, { recursive: true });
     }
@@ -53,5 +77,8 @@ module.exports = {
     getDataDir,
     getTmpDir,
     getOutputDir,
+    getPluginsDir,
+    getBackupsDir,
+    getImagesDir,
     ensureDirectories
 };
@@ -2,7 +2,7 @@
 // Recreated from vanilla JS with modern component architecture
 
 const { h, render, createContext } = preact;
-const { useState, useEffect, useCallback, useContext, useRef, useMemo } = preactHooks;
+const { useState, useEffect, useCallback, useContext, useRef } = preactHooks;
 const html = htm.bind(h);
 
 // ============================================================
@@ -10,24 +10,45 @@ const html = htm.bind(h);
 // ============================================================
 const fs = require('fs');
 const path = require('path');
-const db = require('../db.js');
+const db = require('../db-client.js');
+const { getBackupsDir } = require('../paths.js');
+const { getAnimalImageUrl, getAnimalPhotoUrl } = require('../image-urls.js');
+const { SPECIES, DEFAULT_SPECIES, COMPATIBILITY_LABELS, getSpecies, getSpeciesIcon, getAllSizes, guessSpecies, getSpeciesTemplateParams } = require('../species.js');
+const { formatWeight, formatAdoptionFee, getAlteredLabel, getFactTraits } = require('../animal-facts.js');
+const { estimateBirthdate, computeAge, getCurrentAge, isStoredAgeOutdated, formatDisplayDate } = require('../animal-age.js');
+const { CUSTOM_FIELD_TYPES, makeCustomFieldKey, getCustomFieldOptions, normalizeCustomFields, getCustomFieldValue, getCustomTemplateValues } = require('../custom-fields.js');
+const { getFosterTemplateValues, includesFosterContact, applyFosterContactOptIn } = require('../fosters.js');
+const { EVENT_READINESS_CHECKS, formatEventTime, getEventTemplateValues, getMissingEventItems } = require('../events.js');
 const { ipcRenderer } = require('electron');
+const { runRosterSync, hasFindings } = require('../roster-sync.js');
 const Handlebars = require('handlebars');
 const QRCode = require('qrcode');
 
-// Card generation functions
-let generateCardFront = null;
-let generateCardBack = null;
-let generateFromTemplate = null;
-try {
-    const cardGen = require('../generate-card-cli.js');
-    generateCardFront = cardGen.generateCardFront;
-    generateCardBack = cardGen.generateCardBack;
-    generateFromTemplate = cardGen.generateFromTemplate;
-} catch (err) {
-    console.error('[App] Failed to load card generation module:', err.message);
+// ============================================================
+// Card generation (runs in the main process on its shared browser pool)
+// ============================================================
+
+/**
+ * Invoke a generation handler in the main process and unwrap its output path
+ * @param {string} channel - IPC channel name
+ * @param {...*} args - Handler arguments
+ * @returns {Promise<string>} - Path to the generated file
+ */
+async function invokeGeneration(channel, ...args) {
+    const result = await ipcRenderer.invoke(channel, ...args);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+    return result.outputPath;
 }
 
+const generateFromTemplate = (template, params, options = {}) =>
+    invokeGeneration('generate-from-template', template, params, options);
+const generateSheetFromTemplate = (template, entries, options = {}) =>
+    invokeGeneration('generate-sheet', template, entries, options);
+const generatePdf = (jobs, outputPath, options = {}) =>
+    invokeGeneration('generate-pdf', jobs, outputPath, options);
+
 // ============================================================
 // Constants and Paths
 // ============================================================
@@ -84,6 +105,264 @@ function getPaperSizeLabel(size) {
     return labels[size] || size;
 }
 
+// Display labels for the animal statuses (ANIMAL_STATUSES in db.js)
+const STATUS_LABELS = {
+    available: 'Available',
+    pending: 'Pending',
+    adopted: 'Adopted',
+    on_hold: 'On Hold'
+};
+
+// Display labels for the fields in an animal's change history (TRACKED_ANIMAL_FIELDS in db.js)
+const CHANGE_FIELD_LABELS = {
+    name: 'Name',
+    breed: 'Breed',
+    slug: 'Adoption URL',
+    age_long: 'Age (Long)',
+    age_short: 'Age (Short)',
+    birthdate: 'Birthdate',
+    species: 'Species',
+    size: 'Size',
+    gender: 'Gender',
+    shots: 'Shots',
+    housetrained: 'Housetrained',
+    kids: 'Good with Kids',
+    dogs: 'Good with Dogs',
+    cats: 'Good with Cats',
+    rabbits: 'Good with Rabbits',
+    weight_lbs: 'Weight (lbs)',
+    altered: 'Spayed/Neutered',
+    microchipped: 'Microchipped',
+    adoption_fee: 'Adoption Fee ($)',
+    special_needs: 'Special Needs',
+    intake_date: 'Intake Date',
+    rescue_id: 'Rescue Organization',
+    foster_id: 'Foster',
+    attributes: 'Flyer Attributes',
+    bio: 'Bio'
+};
+
+// Display labels for where a recorded change came from (CHANGE_SOURCES in db.js)
+const CHANGE_SOURCE_LABELS = {
+    manual: 'Edited',
+    scrape: 'Scraped',
+    ai: 'AI',
+    import: 'Imported',
+    merge: 'Merged',
+    revert: 'Reverted'
+};
+
+// Display labels for print history actions (PRINT_ACTIONS in db.js)
+const PRINT_ACTION_LABELS = {
+    generated: 'Generated',
+    printed: 'Printed',
+    opened: 'Opened to print',
+    exported: 'Exported to PDF'
+};
+
+// Most entries shown in the global print history
+const PRINT_HISTORY_LIMIT = 200;
+
+/**
+ * Describe a print history entry, e.g. "Printed on HP LaserJet (Avery 8471), 2 copies"
+ * @param {Object} entry - Print history entry
+ * @returns {string}
+ */
+function formatPrintEntry(entry) {
+    let text = PRINT_ACTION_LABELS[entry.action] || entry.action;
+    if (entry.printer_name) {
+        text += ` on ${entry.printer_name}`;
+        if (entry.profile_name) text += ` (${entry.profile_name})`;
+    }
+    if (entry.copies > 1) text += `, ${entry.copies} copies`;
+    return text;
+}
+
+// Choices for how long deleted animals stay in the trash
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90, 365];
+
+/**
+ * Find the custom field definition behind a "custom.<key>" history field
+ * @param {string} field - History field name
+ * @param {Array} rescues - All rescues
+ * @returns {Object|undefined}
+ */
+function findChangeCustomField(field, rescues) {
+    const key = field.slice('custom.'.length);
+    for (const rescue of rescues) {
+        const match = (rescue.custom_fields || []).find(f => f.key === key);
+        if (match) return match;
+    }
+    return undefined;
+}
+
+/**
+ * Get the label of a field in an animal's change history
+ * @param {string} field - Column name, or "custom.<key>" for a custom field
+ * @param {Array} rescues - All rescues, for custom field names
+ * @returns {string}
+ */
+function getChangeFieldLabel(field, rescues) {
+    if (field.startsWith('custom.')) {
+        return findChangeCustomField(field, rescues)?.name || field.slice('custom.'.length);
+    }
+    return CHANGE_FIELD_LABELS[field] || field;
+}
+
+/**
+ * Format a value from an animal's change history for display
+ * @param {string} field - Column name, or "custom.<key>" for a custom field
+ * @param {string|null} value - Value as recorded
+ * @param {Array} rescues - All rescues, for rescue names and custom field types
+ * @param {Array} [fosters] - All fosters, for foster names
+ * @returns {string}
+ */
+function formatChangeValue(field, value, rescues, fosters = []) {
+    if (value === null || value === '') return '(empty)';
+
+    if (field === 'attributes') {
+        try {
+            const attributes = JSON.parse(value);
+            return attributes.length > 0 ? attributes.join(', ') : '(empty)';
+        } catch {
+            return value;
+        }
+    }
+    if (field === 'rescue_id') {
+        return rescues.find(r => String(r.id) === value)?.name || value;
+    }
+    if (field === 'foster_id') {
+        return fosters.find(f => String(f.id) === value)?.name || value;
+    }
+    if (field === 'species') {
+        return SPECIES[value]?.label || value;
+    }
+    if (field === 'shots' || field === 'housetrained') {
+        return value === '1' ? 'Yes' : 'No';
+    }
+    if (['kids', 'dogs', 'cats', 'rabbits', 'altered', 'microchipped'].includes(field)) {
+        const { text } = formatCompatibility(value);
+        return text === '?' ? 'Unknown' : text;
+    }
+    if (field.startsWith('custom.') && findChangeCustomField(field, rescues)?.type === 'yesno') {
+        return value === '1' ? 'Yes' : 'No';
+    }
+    return value;
+}
+
+/**
+ * Describe possible duplicates found by db.findDuplicateAnimals, one per line
+ * @param {Array<{animal: Object, reasons: Array<string>}>} matches - Possible duplicates
+ * @returns {string} - e.g. "- Buddy (Same adoption page)"
+ */
+function formatDuplicateMatches(matches) {
+    return matches.map(m => `- ${m.animal.name} (${m.reasons.join(', ')})`).join('\n');
+}
+
+// Grid status filters; "Active" keeps adopted animals out of the way
+const STATUS_FILTERS = [
+    { id: 'active', label: 'Active', statuses: ['available', 'pending', 'on_hold'] },
+    { id: 'available', label: 'Available', statuses: ['available'] },
+    { id: 'pending', label: 'Pending', statuses: ['pending'] },
+    { id: 'on_hold', label: 'On Hold', statuses: ['on_hold'] },
+    { id: 'adopted', label: 'Adopted', statuses: ['adopted'] },
+    { id: 'all', label: 'All', statuses: null }
+];
+
+// Age filter ranges in months (max is exclusive)
+const AGE_RANGES = [
+    { id: 'under1', label: 'Under 1 year', min: null, max: 12 },
+    { id: '1to3', label: '1-3 years', min: 12, max: 36 },
+    { id: '3to8', label: '3-8 years', min: 36, max: 96 },
+    { id: 'over8', label: '8+ years', min: 96, max: null }
+];
+
+// Labels for the grid sort options (keys of ANIMAL_SORTS in db.js)
+const SORT_LABELS = {
+    name: 'Name',
+    age: 'Age',
+    newest: 'Date added',
+    updated: 'Last updated',
+    rescue: 'Rescue'
+};
+
+// Empty grid search: no text, no filters, sorted by name
+const DEFAULT_SEARCH = {
+    text: '',
+    rescueId: '',
+    fosterId: '',
+    species: '',
+    size: '',
+    sex: '',
+    age: '',
+    kids: '',
+    dogs: '',
+    cats: '',
+    noPortrait: false,
+    noAttributes: false,
+    sort: 'name',
+    descending: false
+};
+
+/**
+ * Turn the grid search state into a db.searchAnimals query
+ * @param {Object} search - Search state (see DEFAULT_SEARCH)
+ * @param {Array<string>|null} statuses - Statuses from the status filter (null for all)
+ * @returns {Object}
+ */
+function buildSearchQuery(search, statuses) {
+    const ageRange = AGE_RANGES.find(r => r.id === search.age);
+    return {
+        text: search.text,
+        rescueId: search.rescueId ? parseInt(search.rescueId, 10) : null,
+        fosterId: search.fosterId === 'none' ? 'none' : (search.fosterId ? parseInt(search.fosterId, 10) : null),
+        species: search.species || null,
+        size: search.size || null,
+        sex: search.sex || null,
+        minAgeMonths: ageRange ? ageRange.min : null,
+        maxAgeMonths: ageRange ? ageRange.max : null,
+        kids: search.kids || null,
+        dogs: search.dogs || null,
+        cats: search.cats || null,
+        noPortrait: search.noPortrait,
+        noAttributes: search.noAttributes,
+        statuses: statuses || undefined,
+        sort: search.sort,
+        descending: search.descending
+    };
+}
+
+/**
+ * Count the filters (not text or sort) that differ from the defaults
+ * @param {Object} search - Search state
+ * @returns {number}
+ */
+function countActiveFilters(search) {
+    const filterKeys = ['rescueId', 'fosterId', 'species', 'size', 'sex', 'age', 'kids', 'dogs', 'cats', 'noPortrait', 'noAttributes'];
+    return filterKeys.filter(key => search[key] !== DEFAULT_SEARCH[key]).length;
+}
+
+/**
+ * Check whether an animal is included in batch prints by default
+ * @param {Object} animal - Animal row
+ * @returns {boolean}
+ */
+function isAvailable(animal) {
+    return (animal.status || 'available') === 'available';
+}
+
+/**
+ * Filter animals by a STATUS_FILTERS id
+ * @param {Array} animals - Animals
+ * @param {string} filterId - Status filter id
+ * @returns {Array}
+ */
+function filterAnimalsByStatus(animals, filterId) {
+    const filter = STATUS_FILTERS.find(f => f.id === filterId);
+    if (!filter || !filter.statuses) return animals;
+    return animals.filter(a => filter.statuses.includes(a.status || 'available'));
+}
+
 function capitalizeFirst(str) {
     if (!str) return '';
     return str.charAt(0).toUpperCase() + str.slice(1);
@@ -135,14 +414,229 @@ function bufferToImageData(buffer, filePath) {
     };
 }
 
-function getRescueLogoDataUrl(rescue) {
+function getRescueLogoUrl(rescue) {
+    return rescue?.logo_url || null;
+}
+
+// ============================================================
+// Scraping (runs in the main process through the scraper registry)
+// ============================================================
+
+// Registered scrapers, fetched from the main process once
+let scraperListPromise = null;
+
+/**
+ * Get the registered scrapers (built-in and plugins) from the main process
+ * @returns {Promise<Array<{id: string, label: string}>>}
+ */
+function loadScrapers() {
+    if (!scraperListPromise) {
+        scraperListPromise = ipcRenderer.invoke('get-scrapers')
+            .then(result => {
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            })
+            .catch(err => {
+                console.error('[App] Failed to load scrapers:', err.message);
+                scraperListPromise = null;
+                return [];
+            });
+    }
+    return scraperListPromise;
+}
+
+/**
+ * Hook returning the registered scrapers
+ * @returns {Array<{id: string, label: string}>}
+ */
+function useScrapers() {
+    const [scrapers, setScrapers] = useState([]);
+    useEffect(() => {
+        loadScrapers().then(setScrapers);
+    }, []);
+    return scrapers;
+}
+
+/**
+ * Get the display name of a scraper type
+ * @param {Array} scrapers - Registered scrapers
+ * @param {string} type - Scraper type
+ * @returns {string}
+ */
+function getScraperLabel(scrapers, type) {
+    return scrapers.find(s => s.id === type)?.label || type;
+}
+
+/**
+ * Reduce a rescue to the fields scrapers use (keeps logos out of IPC)
+ * @param {Object} rescue - Rescue row
+ * @returns {Object|null}
+ */
+function toScrapeRescue(rescue) {
     if (!rescue) return null;
-    if (rescue.logo_data) {
-        const mimeType = rescue.logo_mime || (rescue.logo_path?.endsWith('.png') ? 'image/png' : 'image/jpeg');
-        const base64 = Buffer.from(rescue.logo_data).toString('base64');
-        return `data:${mimeType};base64,${base64}`;
+    const { id, name, website, org_id, scraper_type, scraper_config } = rescue;
+    return { id, name, website, org_id, scraper_type, scraper_config };
+}
+
+/**
+ * Scrape one animal page with the scraper configured for a rescue
+ * @param {Object} rescue - Rescue row
+ * @param {string} url - Animal page URL
+ * @returns {Promise<Object>} - IPC result { success, data | error }
+ */
+function scrapeAnimalPageForRescue(rescue, url) {
+    return ipcRenderer.invoke('scrape', { action: 'animal', url, rescue: toScrapeRescue(rescue) });
+}
+
+/**
+ * Scrape one animal page, letting the main process pick the scraper from the URL
+ * @param {string} url - Animal page URL
+ * @param {Array} rescues - Rescues whose site-specific scrapers may match
+ * @returns {Promise<Object>} - IPC result { success, data | error }
+ */
+function scrapeAnimalPageByUrl(url, rescues) {
+    return ipcRenderer.invoke('scrape', { action: 'animal', url, rescues: rescues.map(toScrapeRescue) });
+}
+
+/**
+ * Scrape a rescue's animal list with its configured scraper
+ * @param {Object} rescue - Rescue row
+ * @returns {Promise<Object>} - IPC result { success, data | error }
+ */
+function scrapeAnimalListForRescue(rescue) {
+    return ipcRenderer.invoke('scrape', { action: 'list', rescue: toScrapeRescue(rescue) });
+}
+
+/**
+ * Scrape an animal page with the rescue's scraper and save it as a new animal,
+ * unless an animal from the same page (or with the same pet ID) is already in the app
+ * @param {Object} rescue - Rescue the animal belongs to
+ * @param {string} url - Animal page URL
+ * @returns {Promise<{created: Object|null, duplicates: Array<Object>}>} - created is the
+ *   result with lastInsertRowid, or null when skipped; duplicates are the possible
+ *   duplicates found (see db.findDuplicateAnimals)
+ */
+async function importAnimalFromUrl(rescue, url) {
+    const result = await scrapeAnimalPageForRescue(rescue, url);
+    if (!result.success) throw new Error(result.error);
+
+    const scrapedData = result.data;
+    let imageData = null;
+
+    if (scrapedData.imagePath) {
+        try {
+            const imagePath = path.isAbsolute(scrapedData.imagePath)
+                ? scrapedData.imagePath
+                : path.join(APP_PATH, scrapedData.imagePath);
+            const buffer = fs.readFileSync(imagePath);
+            imageData = bufferToImageData(buffer, imagePath);
+            fs.unlinkSync(imagePath);
+        } catch (imgErr) {
+            console.error('Error loading image:', imgErr);
+        }
+    }
+
+    // Scrapers leave out facts the page doesn't state: size and sex get the add form's
+    // defaults, shots and housetrained stay unclaimed and compatibility unknown
+    const species = scrapedData.species || guessSpecies(scrapedData.breed) || DEFAULT_SPECIES;
+    const animalData = {
+        name: scrapedData.name,
+        breed: scrapedData.breed || 'Mixed Breed',
+        slug: scrapedData.slug,
+        age_long: scrapedData.age_long,
+        age_short: scrapedData.age_short,
+        birthdate: scrapedData.birthdate,
+        species,
+        size: scrapedData.size || getSpecies(species).defaultSize,
+        gender: scrapedData.gender || 'Male',
+        shots: scrapedData.shots ?? 0,
+        housetrained: scrapedData.housetrained ?? 0,
+        kids: scrapedData.kids || '?',
+        dogs: scrapedData.dogs || '?',
+        cats: scrapedData.cats || '?',
+        weight_lbs: scrapedData.weight_lbs,
+        altered: scrapedData.altered,
+        microchipped: scrapedData.microchipped,
+        adoption_fee: scrapedData.adoption_fee,
+        special_needs: scrapedData.special_needs,
+        intake_date: scrapedData.intake_date,
+        bio: scrapedData.bio || '',
+        rescue_id: rescue?.id || 1,
+        attributes: scrapedData.attributes || [],
+        photoUrls: scrapedData.photoUrls || []
+    };
+
+    const duplicates = await db.findDuplicateAnimals(animalData, imageData ? { hex: imageData.hex } : null);
+    if (duplicates.some(d => d.sameSource)) {
+        console.log(`[Import] Skipped ${animalData.name}, already in the app as ${duplicates[0].animal.name}`);
+        return { created: null, duplicates };
     }
-    return null;
+
+    const created = await db.createAnimal(animalData, imageData ? { hex: imageData.hex, mime: imageData.mime, path: imageData.path } : null);
+    await db.importAnimalPhotos(created.lastInsertRowid, animalData.photoUrls);
+    return { created, duplicates };
+}
+
+/**
+ * Describe how a batch of imports went
+ * @param {Object} counts - { imported, skipped, flagged, failed }: flagged counts the
+ *   imported animals that may duplicate ones already in the app
+ * @returns {string}
+ */
+function formatImportSummary({ imported, skipped, flagged, failed }) {
+    const parts = [`${imported} imported`];
+    if (skipped > 0) parts.push(`${skipped} already in the app`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    const summary = `Import complete: ${parts.join(', ')}`;
+    return flagged > 0
+        ? `${summary}. ${flagged} may be duplicates - click Duplicates to review them.`
+        : summary;
+}
+
+/**
+ * Sync the rosters of all rescues that have a scraper: flags animals no longer
+ * listed as possibly adopted, updates changed details and reports new listings
+ * @param {Object} [options] - Options for runRosterSync (updateDetails)
+ * @param {Function} [onProgress] - Called with a status message
+ * @returns {Promise<Object>} - Sync report
+ */
+async function syncRosters(options = {}, onProgress) {
+    const rescues = (await db.getAllRescues()).filter(r => r.scraper_type);
+    return runRosterSync(rescues, {
+        scrapeList: async (rescue) => {
+            const result = await scrapeAnimalListForRescue(rescue);
+            if (!result.success) throw new Error(result.error);
+            return result.data;
+        },
+        scrapeAnimal: async (rescue, url) => {
+            const result = await scrapeAnimalPageForRescue(rescue, url);
+            if (!result.success) throw new Error(result.error);
+            if (result.data.imagePath) {
+                // Portraits aren't synced; drop the downloaded copy
+                const imagePath = path.isAbsolute(result.data.imagePath)
+                    ? result.data.imagePath
+                    : path.join(APP_PATH, result.data.imagePath);
+                fs.promises.unlink(imagePath).catch(() => {});
+            }
+            return result.data;
+        },
+        getAnimals: (rescueId) => db.getAnimalsByFilter({ rescueId }),
+        markListed: (ids) => db.markAnimalsListed(ids),
+        markMissing: (ids) => db.markAnimalsMissing(ids),
+        updateAnimal: (id, values) => db.updateAnimalSyncedFields(id, values),
+        onProgress
+    }, options);
+}
+
+/**
+ * Create a print profile, or update it when it has an ID
+ * @param {Object} profile - Print profile fields
+ * @returns {Promise<Object>} - Database write result
+ */
+function savePrintProfile(profile) {
+    return profile.id
+        ? db.updatePrintProfile(profile.id, profile)
+        : db.createPrintProfile(profile);
 }
 
 // ============================================================
@@ -277,9 +771,10 @@ const ModalContext = createContext(null);
 // ============================================================
 function Toast({ message, type, onDismiss }) {
     useEffect(() => {
-        const timer = setTimeout(onDismiss, 3000);
+        // Warnings stay up long enough to read
+        const timer = setTimeout(onDismiss, type === 'warning' ? 8000 : 3000);
         return () => clearTimeout(timer);
-    }, [onDismiss]);
+    }, [onDismiss, type]);
 
     return html`
         <div class="toast toast-${type}">
@@ -290,9 +785,11 @@ function Toast({ message, type, onDismiss }) {
 
 function ToastProvider({ children }) {
     const [toasts, setToasts] = useState([]);
+    const nextIdRef = useRef(0);
 
     const showToast = useCallback((message, type = 'success') => {
-        const id = Date.now();
+        // Counted rather than timestamped so toasts shown together get their own IDs
+        const id = ++nextIdRef.current;
         setToasts(prev => [...prev, { id, message, type }]);
     }, []);
 
@@ -364,7 +861,7 @@ function Modal({ isOpen, onClose, title, children, footer, width = '600px' }) {
 // ============================================================
 // Image Upload Component
 // ============================================================
-function ImageUpload({ imageUrl, onImageChange, placeholder = '🐕', onAIEdit, onSelectFromWebsite, hasWebsitePhotos }) {
+function ImageUpload({ imageUrl, onImageChange, placeholder = '🐕', onAIEdit, onOpenGallery }) {
     const inputRef = useRef(null);
 
     const handleUploadClick = (e) => {
@@ -379,10 +876,10 @@ function ImageUpload({ imageUrl, onImageChange, placeholder = '🐕', onAIEdit,
         }
     };
 
-    const handleSelectFromWebsiteClick = (e) => {
+    const handleOpenGalleryClick = (e) => {
         e.stopPropagation();
-        if (onSelectFromWebsite) {
-            onSelectFromWebsite();
+        if (onOpenGallery) {
+            onOpenGallery();
         }
     };
 
@@ -422,10 +919,10 @@ function ImageUpload({ imageUrl, onImageChange, placeholder = '🐕', onAIEdit,
                             Edit with AI
                         </button>
                     `}
-                    ${hasWebsitePhotos && onSelectFromWebsite && html`
-                        <button class="image-overlay-btn" onClick=${handleSelectFromWebsiteClick}>
-                            <span>🌐</span>
-                            Select from Website
+                    ${onOpenGallery && html`
+                        <button class="image-overlay-btn" onClick=${handleOpenGalleryClick}>
+                            <span>🖼️</span>
+                            Photo Gallery
                         </button>
                     `}
                 </div>
@@ -457,7 +954,7 @@ function AIEditImageModal({ isOpen, onClose, imageUrl, onSave }) {
             return;
         }
 
-        const apiKey = db.getSetting('openai_api_key');
+        const apiKey = await db.getSetting('openai_api_key');
         if (!apiKey) {
             showToast('Please set your OpenAI API key in Settings first.', 'error');
             return;
@@ -610,97 +1107,175 @@ async function convertToPng(blob) {
 }
 
 // ============================================================
-// Photo Picker Modal
+// Photo Gallery Modal
 // ============================================================
-function PhotoPickerModal({ isOpen, onClose, photoUrls, onSelect }) {
-    const [loading, setLoading] = useState({});
-    const [selected, setSelected] = useState(null);
+function PhotoGalleryModal({ isOpen, onClose, animal, photoUrls, onSelectPortrait }) {
+    const [photos, setPhotos] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const inputRef = useRef(null);
     const showToast = useToast();
 
+    const loadPhotos = async () => {
+        try {
+            setPhotos(await db.getAnimalPhotos(animal.id));
+        } catch (err) {
+            showToast(`Error loading photos: ${err.message}`, 'error');
+        }
+    };
+
     useEffect(() => {
-        if (!isOpen) {
-            setSelected(null);
-            setLoading({});
+        if (isOpen && animal?.id) {
+            loadPhotos();
+        } else if (!isOpen) {
+            setPhotos([]);
+            setSelectedId(null);
+            setBusy(false);
         }
-    }, [isOpen]);
+    }, [isOpen, animal?.id]);
 
-    const handleSelect = async () => {
-        if (!selected) return;
+    const selected = photos.find(photo => photo.id === selectedId) || null;
+    const downloadedUrls = new Set(photos.map(photo => photo.source_url));
+    const newWebsitePhotos = (photoUrls || []).filter(url => !downloadedUrls.has(url));
 
-        setLoading(prev => ({ ...prev, [selected]: true }));
+    // Run a gallery change, then reload the photos
+    const runAction = async (action) => {
+        setBusy(true);
         try {
-            // Fetch the image and convert to data URL
-            const response = await fetch(selected);
-            if (!response.ok) throw new Error('Failed to fetch image');
+            await action();
+            await loadPhotos();
+        } catch (err) {
+            showToast(err.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
 
-            const blob = await response.blob();
-            const arrayBuffer = await blob.arrayBuffer();
-            const uint8Array = new Uint8Array(arrayBuffer);
+    const handleMove = (offset) => runAction(async () => {
+        const ids = photos.map(photo => photo.id);
+        const from = ids.indexOf(selectedId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= ids.length) return;
+        ids.splice(to, 0, ids.splice(from, 1)[0]);
+        await db.reorderAnimalPhotos(animal.id, ids);
+    });
 
-            // Convert to hex string
-            let hex = '';
-            for (let i = 0; i < uint8Array.length; i++) {
-                hex += uint8Array[i].toString(16).padStart(2, '0');
+    const handleRemove = () => runAction(async () => {
+        await db.removeAnimalPhoto(selectedId);
+        setSelectedId(null);
+    });
+
+    const handleAddFiles = (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+        runAction(async () => {
+            for (const file of files) {
+                const imageData = await fileToImageData(file);
+                await db.addAnimalPhoto(animal.id, { hex: imageData.hex, mime: imageData.mime, path: imageData.path });
             }
+            showToast(`Added ${files.length} photo(s)`);
+        });
+    };
+
+    const handleDownload = () => runAction(async () => {
+        const summary = await db.importAnimalPhotos(animal.id, newWebsitePhotos);
+        showToast(summary.failed > 0
+            ? `Downloaded ${summary.added} photo(s), ${summary.failed} failed`
+            : `Downloaded ${summary.added} photo(s)`,
+        summary.failed > 0 ? 'error' : 'success');
+    });
+
+    // Use the selected photo as the portrait; it is saved with the animal
+    const handleUseAsPortrait = async () => {
+        if (!selected) return;
+
+        setBusy(true);
+        try {
+            const url = getAnimalPhotoUrl(selected, 'full');
+            const response = await fetch(url);
+            if (!response.ok) throw new Error('Failed to load photo');
 
-            // Convert to base64 for data URL
-            let binary = '';
+            const uint8Array = new Uint8Array(await response.arrayBuffer());
+            let hex = '';
             for (let i = 0; i < uint8Array.length; i++) {
-                binary += String.fromCharCode(uint8Array[i]);
+                hex += uint8Array[i].toString(16).padStart(2, '0');
             }
-            const base64 = btoa(binary);
-            const mime = blob.type || 'image/jpeg';
 
-            onSelect({
+            onSelectPortrait({
                 hex,
-                mime,
-                path: selected,
-                dataUrl: `data:${mime};base64,${base64}`
+                mime: selected.mime,
+                path: selected.source_url,
+                dataUrl: url
             });
             onClose();
         } catch (err) {
-            showToast(`Error loading image: ${err.message}`, 'error');
+            showToast(`Error loading photo: ${err.message}`, 'error');
         } finally {
-            setLoading(prev => ({ ...prev, [selected]: false }));
+            setBusy(false);
         }
     };
 
+    const selectedIndex = photos.findIndex(photo => photo.id === selectedId);
+
     const footer = html`
-        <button class="btn btn-secondary" onClick=${onClose}>Cancel</button>
-        <button class="btn btn-primary" onClick=${handleSelect} disabled=${!selected || loading[selected]}>
-            ${loading[selected] ? 'Loading...' : 'Use Selected Photo'}
+        <button class="btn btn-secondary" onClick=${onClose}>Close</button>
+        <button class="btn btn-primary" onClick=${handleUseAsPortrait} disabled=${!selected || selected.is_primary || busy}>
+            Use as Portrait
         </button>
     `;
 
-    if (!photoUrls || photoUrls.length === 0) {
-        return html`
-            <${Modal} isOpen=${isOpen} onClose=${onClose} title="Select Photo from Website" footer=${footer}>
-                <p style="text-align: center; color: #666; padding: 20px;">
-                    No additional photos available from the adoption website.
-                </p>
-            <//>
-        `;
-    }
-
     return html`
-        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Select Photo from Website" footer=${footer} width="700px">
-            <p style="margin-bottom: 15px; color: #666;">
-                Click on a photo to select it, then click "Use Selected Photo" to apply it.
-            </p>
-            <div class="photo-picker-grid">
-                ${photoUrls.map(url => html`
-                    <div
-                        key=${url}
-                        class="photo-picker-item ${selected === url ? 'selected' : ''}"
-                        onClick=${() => setSelected(url)}
-                    >
-                        <img src=${url} alt="Pet photo option" loading="lazy" />
-                        ${selected === url && html`
-                            <div class="photo-picker-checkmark">✓</div>
-                        `}
-                    </div>
-                `)}
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title=${`Photos of ${animal?.name || 'this animal'}`} footer=${footer} width="700px">
+            <input
+                type="file"
+                ref=${inputRef}
+                accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
+                multiple
+                style="display: none;"
+                onChange=${handleAddFiles}
+            />
+            <div class="photo-gallery-toolbar">
+                <button class="btn btn-secondary btn-sm" onClick=${() => inputRef.current?.click()} disabled=${busy}>
+                    Add Photos...
+                </button>
+                ${newWebsitePhotos.length > 0 && html`
+                    <button class="btn btn-secondary btn-sm" onClick=${handleDownload} disabled=${busy}>
+                        ${busy ? 'Working...' : `Download ${newWebsitePhotos.length} from Website`}
+                    </button>
+                `}
+                <span class="photo-gallery-toolbar-spacer"></span>
+                <button class="btn btn-secondary btn-sm" title="Move earlier" onClick=${() => handleMove(-1)} disabled=${busy || selectedIndex <= 0}>◀</button>
+                <button class="btn btn-secondary btn-sm" title="Move later" onClick=${() => handleMove(1)} disabled=${busy || selectedIndex < 0 || selectedIndex >= photos.length - 1}>▶</button>
+                <button class="btn btn-danger btn-sm" onClick=${handleRemove} disabled=${busy || !selected || selected.is_primary}>Remove</button>
             </div>
+            ${photos.length === 0
+                ? html`
+                    <p style="text-align: center; color: #666; padding: 20px;">
+                        No photos yet. Add photos from your computer${newWebsitePhotos.length > 0 ? ' or download them from the adoption website' : ''}.
+                    </p>
+                `
+                : html`
+                    <p style="margin-bottom: 15px; color: #666;">
+                        Click a photo to select it. Templates show the photos in this order.
+                    </p>
+                    <div class="photo-picker-grid">
+                        ${photos.map(photo => html`
+                            <div
+                                key=${photo.id}
+                                class="photo-picker-item ${selectedId === photo.id ? 'selected' : ''}"
+                                onClick=${() => setSelectedId(photo.id)}
+                            >
+                                <img src=${getAnimalPhotoUrl(photo)} alt="Pet photo" loading="lazy" />
+                                ${photo.is_primary ? html`<div class="photo-gallery-badge">Portrait</div>` : null}
+                                ${selectedId === photo.id && html`
+                                    <div class="photo-picker-checkmark">✓</div>
+                                `}
+                            </div>
+                        `)}
+                    </div>
+                `
+            }
         <//>
     `;
 }
@@ -722,24 +1297,62 @@ function FormRow({ cols = 2, children }) {
     return html`<div class=${className}>${children}</div>`;
 }
 
+/**
+ * Input for a rescue's custom field. Pass value and onInput to control it, or
+ * defaultValue to leave it to the form.
+ */
+function CustomFieldInput({ field, id, name, value, defaultValue, onInput }) {
+    const current = value !== undefined ? value : defaultValue;
+
+    if (field.type === 'yesno' || field.type === 'select') {
+        const options = field.type === 'yesno'
+            ? [['1', 'Yes'], ['0', 'No']]
+            : getCustomFieldOptions(field).map(option => [option, option]);
+        return html`
+            <select id=${id} name=${name} onChange=${onInput}>
+                <option value="" selected=${!current}>—</option>
+                ${options.map(([optionValue, label]) => html`
+                    <option key=${optionValue} value=${optionValue} selected=${current === optionValue}>${label}</option>
+                `)}
+            </select>
+        `;
+    }
+
+    const type = field.type === 'number' || field.type === 'date' ? field.type : 'text';
+    const valueProps = value !== undefined ? { value, onInput } : { defaultValue };
+    return html`<input type=${type} id=${id} name=${name} ...${valueProps} />`;
+}
+
 // ============================================================
 // Animal Card Component
 // ============================================================
-function AnimalCard({ animal, rescue, onEdit, onPrintFront, onPrintBack, onPrintFlyer, customTemplates, onPrintWithTemplate }) {
-    const kids = formatCompatibility(animal.kids);
-    const dogs = formatCompatibility(animal.dogs);
-    const cats = formatCompatibility(animal.cats);
-    const logoDataUrl = getRescueLogoDataUrl(rescue);
+function AnimalCard({ animal, rescue, outdatedPrint, onEdit, onPrintFront, onPrintBack, onPrintFlyer, customTemplates, onPrintWithTemplate }) {
+    const logoUrl = getRescueLogoUrl(rescue);
+    const imageUrl = getAnimalImageUrl(animal);
 
     return html`
         <div class="animal-card" data-id=${animal.id}>
             <div class="animal-image-container" onClick=${() => onEdit(animal.id)}>
-                ${animal.imageDataUrl
-                    ? html`<img class="animal-image" src=${animal.imageDataUrl} alt=${animal.name} />`
-                    : html`<div class="no-image">🐕</div>`
+                ${imageUrl
+                    ? html`<img class="animal-image" src=${imageUrl} alt=${animal.name} loading="lazy" />`
+                    : html`<div class="no-image">${getSpeciesIcon(animal.species)}</div>`
                 }
-                ${logoDataUrl && html`
-                    <img class="rescue-logo-badge" src=${logoDataUrl} alt=${rescue.name} title=${rescue.name} />
+                ${logoUrl && html`
+                    <img class="rescue-logo-badge" src=${logoUrl} alt=${rescue.name} title=${rescue.name} />
+                `}
+                ${animal.status && animal.status !== 'available' && html`
+                    <span class="status-badge status-${animal.status}">${STATUS_LABELS[animal.status] || animal.status}</span>
+                `}
+                ${animal.source_missing_since && animal.status !== 'adopted' && html`
+                    <span class="missing-badge" title="Not on ${rescue?.name || 'the rescue'}'s listing since ${animal.source_missing_since}">Possibly adopted</span>
+                `}
+                ${outdatedPrint && html`
+                    <span
+                        class="outdated-print-badge"
+                        title=${`Changed since these were printed: ${outdatedPrint.templates.map(t => `${t.template_name} (${t.printed_at})`).join(', ')}`}
+                    >
+                        Reprint needed
+                    </span>
                 `}
             </div>
             <div class="animal-info">
@@ -749,7 +1362,7 @@ function AnimalCard({ animal, rescue, onEdit, onPrintFront, onPrintBack, onPrint
                     <div class="animal-details">
                         <div class="detail">
                             <span class="detail-label">Age:</span>
-                            <span class="detail-value">${animal.age_long}</span>
+                            <span class="detail-value">${getCurrentAge(animal).age_long}</span>
                         </div>
                         <div class="detail">
                             <span class="detail-label">Size:</span>
@@ -765,9 +1378,10 @@ function AnimalCard({ animal, rescue, onEdit, onPrintFront, onPrintBack, onPrint
                         </div>
                     </div>
                     <div class="compatibility">
-                        <span class="compat-badge ${kids.class}">Kids: ${kids.text}</span>
-                        <span class="compat-badge ${dogs.class}">Dogs: ${dogs.text}</span>
-                        <span class="compat-badge ${cats.class}">Cats: ${cats.text}</span>
+                        ${getSpecies(animal.species).compatibility.map(key => {
+                            const compat = formatCompatibility(animal[key]);
+                            return html`<span key=${key} class="compat-badge ${compat.class}">${capitalizeFirst(key)}: ${compat.text}</span>`;
+                        })}
                     </div>
                 </div>
                 <div class="card-actions">
@@ -783,7 +1397,7 @@ function AnimalCard({ animal, rescue, onEdit, onPrintFront, onPrintBack, onPrint
                         </div>
                     </div>
                     <button class="btn-print-flyer" onClick=${(e) => { e.stopPropagation(); onPrintFlyer(animal.id); }}>
-                        Print Flyer
+                        ${animal.status === 'adopted' ? 'Print Adopted Flyer' : 'Print Flyer'}
                     </button>
                     ${customTemplates && customTemplates.length > 0 && html`
                         <div class="card-actions-section">
@@ -811,18 +1425,69 @@ function AnimalCard({ animal, rescue, onEdit, onPrintFront, onPrintBack, onPrint
 // ============================================================
 // Animal Form Component (shared between Create and Edit)
 // ============================================================
-function AnimalForm({ animal, rescues, imageData, onImageChange, formRef, onAIEdit, onSelectFromWebsite, photoUrls, includeBio = true }) {
-    const imageUrl = imageData?.dataUrl || animal?.imageDataUrl || null;
-    const hasWebsitePhotos = photoUrls && photoUrls.length > 0;
+function AnimalForm({ animal, rescues, fosters = [], imageData, onImageChange, formRef, onAIEdit, onOpenGallery, includeBio = true }) {
+    const imageUrl = imageData?.dataUrl || animal?.imageDataUrl || getAnimalImageUrl(animal) || null;
+    const [species, setSpecies] = useState(animal?.species || guessSpecies(animal?.breed) || DEFAULT_SPECIES);
+    const [size, setSize] = useState(animal?.size || getSpecies(species).defaultSize);
+    const speciesInfo = getSpecies(species);
+    const [rescueId, setRescueId] = useState(animal?.rescue_id || rescues[0]?.id);
+    const customFields = rescues.find(r => r.id === rescueId)?.custom_fields || [];
+    // Inactive fosters stay selectable for the animals they already have
+    const fosterOptions = fosters.filter(f => f.active || f.id === animal?.foster_id);
+
+    // A saved animal's custom field inputs wait for its values so they start with them
+    const [customValues, setCustomValues] = useState(animal?.id ? null : {});
+    useEffect(() => {
+        if (!animal?.id) return;
+        let cancelled = false;
+        db.getAnimalCustomValues(animal.id)
+            .then(values => {
+                if (!cancelled) setCustomValues(values);
+            })
+            .catch(err => console.error('[App] Could not load custom field values:', err));
+        return () => { cancelled = true; };
+    }, [animal?.id]);
+
+    // Keep a size the species doesn't list (e.g. from an old import) selectable
+    const sizes = speciesInfo.sizes.includes(size) ? speciesInfo.sizes : [...speciesInfo.sizes, size];
+
+    const handleSpeciesChange = (e) => {
+        const next = getSpecies(e.target.value);
+        setSpecies(e.target.value);
+        setSize(current => next.sizes.includes(current) ? current : next.defaultSize);
+    };
+
+    // Keep the age text and the birthdate in step: typing an age re-estimates the
+    // birthdate, and picking a birthdate fills in the age
+    const handleAgeInput = (e) => {
+        const birthdate = estimateBirthdate(e.target.value);
+        if (birthdate) e.target.form.birthdate.value = birthdate;
+    };
+
+    const handleBirthdateChange = (e) => {
+        const age = computeAge(e.target.value);
+        if (!age) return;
+        e.target.form.age_long.value = age.age_long;
+        e.target.form.age_short.value = age.age_short;
+    };
+
+    const triStateSelect = (key, label) => html`
+        <${FormGroup} key=${key} label=${label} id=${key}>
+            <select id=${key} name=${key} required>
+                <option value="1" selected=${animal?.[key] === 1 || animal?.[key] === '1'}>Yes</option>
+                <option value="0" selected=${animal?.[key] === 0 || animal?.[key] === '0'}>No</option>
+                <option value="?" selected=${animal?.[key] == null || animal?.[key] === '?'}>Unknown</option>
+            </select>
+        <//>
+    `;
 
     return html`
         <${ImageUpload}
             imageUrl=${imageUrl}
             onImageChange=${onImageChange}
-            placeholder="🐕"
+            placeholder=${speciesInfo.icon}
             onAIEdit=${onAIEdit}
-            onSelectFromWebsite=${onSelectFromWebsite}
-            hasWebsitePhotos=${hasWebsitePhotos}
+            onOpenGallery=${onOpenGallery}
         />
         <form ref=${formRef}>
             <${FormRow}>
@@ -838,21 +1503,27 @@ function AnimalForm({ animal, rescues, imageData, onImageChange, formRef, onAIEd
                 <input type="text" id="slug" name="slug" defaultValue=${animal?.slug || ''} required />
             <//>
 
-            <${FormRow}>
+            <${FormRow} cols=${3}>
                 <${FormGroup} label="Age (Long)" id="ageLong">
-                    <input type="text" id="ageLong" name="age_long" placeholder="e.g., 2 Years" defaultValue=${animal?.age_long || ''} required />
+                    <input type="text" id="ageLong" name="age_long" placeholder="e.g., 2 Years" defaultValue=${animal?.age_long || ''} onInput=${handleAgeInput} required />
                 <//>
                 <${FormGroup} label="Age (Short)" id="ageShort">
                     <input type="text" id="ageShort" name="age_short" placeholder="e.g., 2 Yr" defaultValue=${animal?.age_short || ''} required />
                 <//>
+                <${FormGroup} label="Birthdate (estimated)" id="birthdate">
+                    <input type="date" id="birthdate" name="birthdate" defaultValue=${animal?.birthdate || estimateBirthdate(animal?.age_long) || ''} onChange=${handleBirthdateChange} />
+                <//>
             <//>
 
             <${FormRow} cols=${3}>
+                <${FormGroup} label="Species" id="species">
+                    <select id="species" name="species" value=${species} onChange=${handleSpeciesChange} required>
+                        ${Object.entries(SPECIES).map(([key, s]) => html`<option key=${key} value=${key}>${s.label}</option>`)}
+                    </select>
+                <//>
                 <${FormGroup} label="Size" id="size">
-                    <select id="size" name="size" required>
-                        <option value="Small" selected=${(animal?.size || 'Medium') === 'Small'}>Small</option>
-                        <option value="Medium" selected=${(animal?.size || 'Medium') === 'Medium'}>Medium</option>
-                        <option value="Large" selected=${(animal?.size || 'Medium') === 'Large'}>Large</option>
+                    <select id="size" name="size" value=${size} onChange=${(e) => setSize(e.target.value)} required>
+                        ${sizes.map(s => html`<option key=${s} value=${s}>${s}</option>`)}
                     </select>
                 <//>
                 <${FormGroup} label="Gender" id="gender">
@@ -863,52 +1534,78 @@ function AnimalForm({ animal, rescues, imageData, onImageChange, formRef, onAIEd
                         <option value="Spayed(F)" selected=${(animal?.gender || 'Male') === 'Spayed(F)'}>Spayed(F)</option>
                     </select>
                 <//>
+            <//>
+
+            <${FormRow} cols=${3}>
                 <${FormGroup} label="Shots" id="shots">
                     <select id="shots" name="shots" required>
                         <option value="1" selected=${animal ? !!animal.shots : true}>Yes</option>
                         <option value="0" selected=${animal ? !animal.shots : false}>No</option>
                     </select>
                 <//>
-            <//>
-
-            <${FormRow}>
-                <${FormGroup} label="Housetrained" id="housetrained">
+                <${FormGroup} label=${speciesInfo.housetrainedLabel} id="housetrained">
                     <select id="housetrained" name="housetrained" required>
                         <option value="1" selected=${animal ? !!animal.housetrained : true}>Yes</option>
                         <option value="0" selected=${animal ? !animal.housetrained : false}>No</option>
                     </select>
                 <//>
                 <${FormGroup} label="Rescue Organization" id="rescue">
-                    <select id="rescue" name="rescue_id" required>
-                        ${rescues.map(r => html`<option key=${r.id} value=${r.id} selected=${(animal?.rescue_id || rescues[0]?.id) === r.id}>${r.name}</option>`)}
+                    <select id="rescue" name="rescue_id" onChange=${(e) => setRescueId(parseInt(e.target.value, 10))} required>
+                        ${rescues.map(r => html`<option key=${r.id} value=${r.id} selected=${rescueId === r.id}>${r.name}</option>`)}
                     </select>
                 <//>
             <//>
 
+            <${FormRow} cols=${speciesInfo.compatibility.length === 3 ? 3 : 2}>
+                ${speciesInfo.compatibility.map(key => triStateSelect(key, COMPATIBILITY_LABELS[key]))}
+            <//>
+
             <${FormRow} cols=${3}>
-                <${FormGroup} label="Good with Kids" id="kids">
-                    <select id="kids" name="kids" required>
-                        <option value="1" selected=${animal?.kids === 1 || animal?.kids === '1'}>Yes</option>
-                        <option value="0" selected=${animal?.kids === 0 || animal?.kids === '0'}>No</option>
-                        <option value="?" selected=${animal?.kids == null || animal?.kids === '?'}>Unknown</option>
-                    </select>
+                <${FormGroup} label="Weight (lbs)" id="weight_lbs">
+                    <input type="number" id="weight_lbs" name="weight_lbs" min="0" step="0.1" defaultValue=${animal?.weight_lbs ?? ''} />
                 <//>
-                <${FormGroup} label="Good with Dogs" id="dogs">
-                    <select id="dogs" name="dogs" required>
-                        <option value="1" selected=${animal?.dogs === 1 || animal?.dogs === '1'}>Yes</option>
-                        <option value="0" selected=${animal?.dogs === 0 || animal?.dogs === '0'}>No</option>
-                        <option value="?" selected=${animal?.dogs == null || animal?.dogs === '?'}>Unknown</option>
-                    </select>
+                ${triStateSelect('altered', 'Spayed/Neutered')}
+                ${triStateSelect('microchipped', 'Microchipped')}
+            <//>
+
+            <${FormRow} cols=${3}>
+                <${FormGroup} label="Adoption Fee ($)" id="adoption_fee">
+                    <input type="number" id="adoption_fee" name="adoption_fee" min="0" step="0.01" defaultValue=${animal?.adoption_fee ?? ''} />
                 <//>
-                <${FormGroup} label="Good with Cats" id="cats">
-                    <select id="cats" name="cats" required>
-                        <option value="1" selected=${animal?.cats === 1 || animal?.cats === '1'}>Yes</option>
-                        <option value="0" selected=${animal?.cats === 0 || animal?.cats === '0'}>No</option>
-                        <option value="?" selected=${animal?.cats == null || animal?.cats === '?'}>Unknown</option>
-                    </select>
+                <${FormGroup} label="Intake Date" id="intake_date">
+                    <input type="date" id="intake_date" name="intake_date" defaultValue=${animal?.intake_date || ''} />
+                <//>
+                <${FormGroup} label="Special Needs" id="special_needs">
+                    <input type="text" id="special_needs" name="special_needs" placeholder="e.g., Diabetic, needs insulin" defaultValue=${animal?.special_needs || ''} />
                 <//>
             <//>
 
+            <${FormGroup} label="Foster" id="foster">
+                <select id="foster" name="foster_id">
+                    <option value="" selected=${!animal?.foster_id}>No foster</option>
+                    ${fosterOptions.map(f => html`
+                        <option key=${f.id} value=${f.id} selected=${animal?.foster_id === f.id}>
+                            ${f.name}${f.phone ? ` - ${f.phone}` : ''}${f.active ? '' : ' (inactive)'}
+                        </option>
+                    `)}
+                </select>
+            <//>
+
+            ${customFields.length > 0 && customValues && html`
+                <${FormRow} cols=${3}>
+                    ${customFields.map(field => html`
+                        <${FormGroup} key=${field.key} label=${field.name} id="custom-${field.key}">
+                            <${CustomFieldInput}
+                                field=${field}
+                                id="custom-${field.key}"
+                                name="custom:${field.key}"
+                                defaultValue=${getCustomFieldValue(field, customValues)}
+                            />
+                        <//>
+                    `)}
+                <//>
+            `}
+
             ${includeBio && html`
                 <${FormGroup} label="Bio" id="bio">
                     <textarea
@@ -933,6 +1630,8 @@ function getFormData(formRef, includeBio = true) {
         slug: form.slug.value,
         age_long: form.age_long.value,
         age_short: form.age_short.value,
+        birthdate: form.birthdate.value,
+        species: form.species.value,
         size: form.size.value,
         gender: form.gender.value,
         shots: form.shots.value === '1',
@@ -940,8 +1639,24 @@ function getFormData(formRef, includeBio = true) {
         kids: form.kids.value,
         dogs: form.dogs.value,
         cats: form.cats.value,
-        rescue_id: parseInt(form.rescue_id.value, 10)
+        // Only rabbits are asked about rabbits
+        rabbits: form.rabbits ? form.rabbits.value : '?',
+        weight_lbs: form.weight_lbs.value,
+        altered: form.altered.value,
+        microchipped: form.microchipped.value,
+        adoption_fee: form.adoption_fee.value,
+        special_needs: form.special_needs.value.trim(),
+        intake_date: form.intake_date.value,
+        rescue_id: parseInt(form.rescue_id.value, 10),
+        foster_id: form.foster_id.value ? parseInt(form.foster_id.value, 10) : null,
+        custom_values: {}
     };
+    // Custom field inputs are named custom:<key>
+    for (const element of form.elements) {
+        if (element.name && element.name.startsWith('custom:')) {
+            data.custom_values[element.name.slice('custom:'.length)] = element.value;
+        }
+    }
     if (includeBio && form.bio) {
         data.bio = form.bio.value;
     }
@@ -972,18 +1687,23 @@ function CreateOptionsModal({ isOpen, onClose, onSelectManual, onSelectScrape, o
     `;
 }
 
-function RescueSelectModal({ isOpen, onClose, onSelect }) {
+function RescueSelectModal({ isOpen, onClose, rescues, onSelect }) {
+    const scrapers = useScrapers();
+
+    // Only rescues with a scraper can be browsed
+    const scrapableRescues = (rescues || []).filter(r => r.scraper_type);
+
     return html`
         <${Modal} isOpen=${isOpen} onClose=${onClose} title="Select Rescue Organization">
             <div class="create-options">
-                <button class="option-button" onClick=${() => onSelect('wagtopia')}>
-                    <h3>Paws Rescue League</h3>
-                    <p>Browse animals from Wagtopia</p>
-                </button>
-                <button class="option-button" onClick=${() => onSelect('adoptapet')}>
-                    <h3>Brass City Rescue</h3>
-                    <p>Browse animals from Adoptapet</p>
-                </button>
+                ${scrapableRescues.length === 0 ? html`
+                    <p style="color: #666;">No rescues have a scraper configured. Set one up in Settings → Rescue Organizations.</p>
+                ` : scrapableRescues.map(rescue => html`
+                    <button key=${rescue.id} class="option-button" onClick=${() => onSelect(rescue)}>
+                        <h3>${rescue.name}</h3>
+                        <p>Browse animals from ${getScraperLabel(scrapers, rescue.scraper_type)}</p>
+                    </button>
+                `)}
             </div>
         <//>
     `;
@@ -1032,7 +1752,7 @@ function ScrapeModal({ isOpen, onClose, onScrape }) {
     `;
 }
 
-function ManualEntryModal({ isOpen, onClose, rescues, initialData, onSubmit }) {
+function ManualEntryModal({ isOpen, onClose, rescues, fosters, initialData, onSubmit }) {
     const [imageData, setImageData] = useState(null);
     const formRef = useRef(null);
     const showToast = useToast();
@@ -1045,15 +1765,26 @@ function ManualEntryModal({ isOpen, onClose, rescues, initialData, onSubmit }) {
         }
     }, [isOpen, initialData]);
 
-    const handleSubmit = () => {
+    const handleSubmit = async () => {
         const data = getFormData(formRef);
         if (!data) return;
 
         const imageToSave = imageData ? { hex: imageData.hex, mime: imageData.mime, path: imageData.path } : null;
 
         try {
-            db.createAnimal(data, imageToSave);
+            const duplicates = await db.findDuplicateAnimals(data, imageToSave);
+            if (duplicates.length > 0 && !confirm(`${data.name} may already be in the app:\n\n${formatDuplicateMatches(duplicates)}\n\nAdd ${data.name} anyway?`)) {
+                return;
+            }
+
+            const photoUrls = initialData?.photoUrls || [];
+            const result = await db.createAnimal({ ...data, photoUrls }, imageToSave);
             showToast(`${data.name} created successfully!`);
+            if (photoUrls.length > 0) {
+                // Fill the gallery in the background; the grid updates when it's done
+                db.importAnimalPhotos(result.lastInsertRowid, photoUrls)
+                    .catch(err => console.error('[ManualEntry] Error downloading photos:', err));
+            }
             onClose();
             onSubmit();
         } catch (err) {
@@ -1071,6 +1802,7 @@ function ManualEntryModal({ isOpen, onClose, rescues, initialData, onSubmit }) {
             <${AnimalForm}
                 animal=${initialData}
                 rescues=${rescues}
+                fosters=${fosters}
                 imageData=${imageData}
                 onImageChange=${setImageData}
                 formRef=${formRef}
@@ -1082,21 +1814,56 @@ function ManualEntryModal({ isOpen, onClose, rescues, initialData, onSubmit }) {
 // ============================================================
 // Edit Animal Modal
 // ============================================================
-function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete }) {
+function EditAnimalModal({ isOpen, onClose, animal, rescues, fosters, onSubmit, onDelete, onRevert }) {
     const [imageData, setImageData] = useState(null);
     const [showAttributesModal, setShowAttributesModal] = useState(false);
     const [showAIEditModal, setShowAIEditModal] = useState(false);
-    const [showPhotoPickerModal, setShowPhotoPickerModal] = useState(false);
+    const [showGalleryModal, setShowGalleryModal] = useState(false);
     const [rescraping, setRescraping] = useState(false);
     const [photoUrls, setPhotoUrls] = useState([]);
+    const [status, setStatus] = useState('available');
+    const [adoptedAt, setAdoptedAt] = useState('');
+    const [statusHistory, setStatusHistory] = useState([]);
+    const [changes, setChanges] = useState([]);
+    const [printHistory, setPrintHistory] = useState([]);
+    // Bumped after a revert so the form is rebuilt from the reverted animal
+    const [formVersion, setFormVersion] = useState(0);
     const formRef = useRef(null);
+    // Whether the form holds data from a re-scrape, so saving records it as scraped
+    const rescrapedRef = useRef(false);
     const showToast = useToast();
 
-    // Load photo URLs when modal opens
+    const loadChanges = async () => {
+        try {
+            setChanges(await db.getAnimalChanges(animal.id));
+        } catch (err) {
+            console.error('[EditAnimal] Error loading change history:', err);
+        }
+    };
+
+    const loadPrintHistory = async () => {
+        try {
+            setPrintHistory(await db.getPrintHistory({ animalId: animal.id }));
+        } catch (err) {
+            console.error('[EditAnimal] Error loading print history:', err);
+        }
+    };
+
+    // Load photo URLs, status, change and print history when modal opens
     useEffect(() => {
         if (isOpen && animal?.id) {
-            const urls = db.getAnimalPhotoUrls(animal.id);
-            setPhotoUrls(urls);
+            setStatus(animal.status || 'available');
+            setAdoptedAt(animal.adopted_at || '');
+            (async () => {
+                try {
+                    setPhotoUrls(await db.getAnimalPhotoUrls(animal.id));
+                    setStatusHistory(await db.getAnimalStatusHistory(animal.id));
+                } catch (err) {
+                    console.error('[EditAnimal] Error loading animal details:', err);
+                }
+                await loadChanges();
+                await loadPrintHistory();
+            })();
         }
     }, [isOpen, animal?.id]);
 
@@ -1105,9 +1872,12 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
             setImageData(null);
             setShowAttributesModal(false);
             setShowAIEditModal(false);
-            setShowPhotoPickerModal(false);
+            setShowGalleryModal(false);
             setRescraping(false);
             setPhotoUrls([]);
+            setChanges([]);
+            setPrintHistory([]);
+            rescrapedRef.current = false;
         }
     }, [isOpen]);
 
@@ -1136,7 +1906,7 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
 
     // Get current image URL for AI edit modal
     const getCurrentImageUrl = () => {
-        return imageData?.dataUrl || animal?.imageDataUrl || null;
+        return imageData?.dataUrl || getAnimalImageUrl(animal, 'full');
     };
 
     const handleRescrape = async () => {
@@ -1149,36 +1919,52 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
             return;
         }
 
-        // Get the rescue to determine scraper type
+        // Use the rescue's scraper, or detect one from the URL when the rescue has none
         const rescue = rescues.find(r => r.id === animal.rescue_id);
-        if (!rescue || !rescue.scraper_type) {
-            showToast('Cannot determine scraper type for this rescue.', 'error');
-            return;
-        }
 
         setRescraping(true);
         try {
-            const ipcChannel = rescue.scraper_type === 'adoptapet'
-                ? 'scrape-animal-page-adoptapet'
-                : 'scrape-animal-page-wagtopia';
-
-            const result = await ipcRenderer.invoke(ipcChannel, url);
+            const result = rescue?.scraper_type
+                ? await scrapeAnimalPageForRescue(rescue, url)
+                : await scrapeAnimalPageByUrl(url, rescues);
             if (!result.success) throw new Error(result.error);
 
             const scrapedData = result.data;
 
-            // Update form fields
+            // Update form fields. Species and size are controlled by the form, so they
+            // are changed through change events (species first, as it decides the sizes)
+            const setSelectValue = (select, value) => {
+                if (!value || !Array.from(select.options).some(o => o.value === value)) return;
+                select.value = value;
+                select.dispatchEvent(new Event('change', { bubbles: true }));
+            };
             form.name.value = scrapedData.name || form.name.value;
             form.breed.value = scrapedData.breed || form.breed.value;
             form.age_long.value = scrapedData.age_long || form.age_long.value;
             form.age_short.value = scrapedData.age_short || form.age_short.value;
-            form.size.value = scrapedData.size || form.size.value;
+            if (scrapedData.birthdate || scrapedData.age_long) {
+                form.birthdate.value = scrapedData.birthdate || estimateBirthdate(scrapedData.age_long) || form.birthdate.value;
+            }
+            setSelectValue(form.species, scrapedData.species);
+            setSelectValue(form.size, scrapedData.size);
             form.gender.value = scrapedData.gender || form.gender.value;
-            form.shots.value = scrapedData.shots ? '1' : '0';
-            form.housetrained.value = scrapedData.housetrained ? '1' : '0';
-            form.kids.value = scrapedData.kids || '?';
-            form.dogs.value = scrapedData.dogs || '?';
-            form.cats.value = scrapedData.cats || '?';
+            // Facts the page doesn't state (null, or '?' for compatibility) keep the form's value
+            for (const key of ['shots', 'housetrained']) {
+                if (scrapedData[key] !== null && scrapedData[key] !== undefined) {
+                    form[key].value = scrapedData[key] ? '1' : '0';
+                }
+            }
+            for (const key of ['kids', 'dogs', 'cats']) {
+                if (scrapedData[key] && scrapedData[key] !== '?') {
+                    form[key].value = scrapedData[key];
+                }
+            }
+            // Medical and adoption details are only changed when the page has them
+            for (const key of ['weight_lbs', 'altered', 'microchipped', 'adoption_fee', 'special_needs', 'intake_date']) {
+                if (scrapedData[key] !== null && scrapedData[key] !== undefined) {
+                    form[key].value = scrapedData[key];
+                }
+            }
             if (bioRef.current) {
                 bioRef.current.value = scrapedData.bio || '';
             }
@@ -1208,15 +1994,18 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
 
             // Update attributes if present
             if (scrapedData.attributes && scrapedData.attributes.length > 0) {
-                db.updateAnimalAttributes(animal.id, scrapedData.attributes);
+                await db.updateAnimalAttributes(animal.id, scrapedData.attributes, 'scrape');
+                await loadChanges();
             }
 
-            // Update photo URLs if present
+            // Update photo URLs and download any new photos into the gallery
             if (scrapedData.photoUrls && scrapedData.photoUrls.length > 0) {
-                db.updateAnimalPhotoUrls(animal.id, scrapedData.photoUrls);
+                await db.updateAnimalPhotoUrls(animal.id, scrapedData.photoUrls);
                 setPhotoUrls(scrapedData.photoUrls);
+                await db.importAnimalPhotos(animal.id, scrapedData.photoUrls);
             }
 
+            rescrapedRef.current = true;
             showToast('Data refreshed from adoption page!');
         } catch (err) {
             showToast(`Error scraping: ${err.message}`, 'error');
@@ -1228,7 +2017,7 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
     // Ref to track bio textarea value
     const bioRef = useRef(null);
 
-    const handleSave = () => {
+    const handleSave = async () => {
         const data = getFormData(formRef, false); // Don't include bio from form
         if (!data || !animal) return;
 
@@ -1238,7 +2027,10 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
         const imageToSave = imageData ? { hex: imageData.hex, mime: imageData.mime, path: imageData.path } : null;
 
         try {
-            db.updateAnimal(animal.id, data, imageToSave);
+            await db.updateAnimal(animal.id, data, imageToSave, rescrapedRef.current ? 'scrape' : 'manual');
+            if (status !== (animal.status || 'available') || (status === 'adopted' && adoptedAt !== (animal.adopted_at || ''))) {
+                await db.setAnimalStatus(animal.id, status, { adoptedAt: adoptedAt || null });
+            }
             showToast(`${data.name} updated successfully!`);
             onClose();
             onSubmit();
@@ -1247,13 +2039,15 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
         }
     };
 
-    const handleDelete = () => {
+    const handleDelete = async () => {
         if (!animal) return;
-        if (!confirm(`Are you sure you want to delete ${animal.name}? This cannot be undone.`)) return;
 
         try {
-            db.deleteAnimal(animal.id);
-            showToast(`${animal.name} deleted successfully!`);
+            const days = await db.getTrashRetentionDays();
+            if (!confirm(`Move ${animal.name} to the trash? It can be restored from Settings > Trash for ${days} days.`)) return;
+
+            await db.deleteAnimal(animal.id);
+            showToast(`${animal.name} moved to the trash`);
             onClose();
             onDelete();
         } catch (err) {
@@ -1261,6 +2055,24 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
         }
     };
 
+    const handleRevert = async (change) => {
+        const label = getChangeFieldLabel(change.field, rescues);
+        const value = formatChangeValue(change.field, change.old_value, rescues, fosters);
+        if (!confirm(`Change ${label} back to "${value}"? Unsaved changes in this form will be lost.`)) return;
+
+        try {
+            await db.revertAnimalChange(change.id);
+            await onRevert();
+            setFormVersion(v => v + 1);
+            rescrapedRef.current = false;
+            await loadChanges();
+            await loadPrintHistory();
+            showToast(`${label} reverted`);
+        } catch (err) {
+            showToast(`Error reverting: ${err.message}`, 'error');
+        }
+    };
+
     const footer = html`
         <button class="btn btn-danger" onClick=${handleDelete}>Delete</button>
         <button class="btn btn-secondary" onClick=${onClose}>Cancel</button>
@@ -1272,23 +2084,99 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
             <div class="modal-two-column">
                 <div class="modal-column-left">
                     <${AnimalForm}
-                        key=${animal?.id}
+                        key=${`${animal?.id}-${formVersion}`}
                         animal=${animal}
                         rescues=${rescues}
+                        fosters=${fosters}
                         imageData=${imageData}
                         onImageChange=${setImageData}
                         formRef=${formRef}
                         onAIEdit=${() => setShowAIEditModal(true)}
-                        onSelectFromWebsite=${() => setShowPhotoPickerModal(true)}
-                        photoUrls=${photoUrls}
+                        onOpenGallery=${() => setShowGalleryModal(true)}
                         includeBio=${false}
                     />
                 </div>
                 <div class="modal-column-right edit-animal-right-column">
-                    <${FormGroup} label="Bio" id="bio-edit">
-                        <textarea
-                            ref=${bioRef}
-                            id="bio-edit"
+                    <${FormRow}>
+                        <${FormGroup} label="Status" id="status-edit">
+                            <select id="status-edit" value=${status} onChange=${(e) => setStatus(e.target.value)}>
+                                ${Object.keys(STATUS_LABELS).map(s => html`
+                                    <option key=${s} value=${s}>${STATUS_LABELS[s] || s}</option>
+                                `)}
+                            </select>
+                        <//>
+                        ${status === 'adopted' && html`
+                            <${FormGroup} label="Adoption Date" id="adopted-at-edit">
+                                <input
+                                    type="date"
+                                    id="adopted-at-edit"
+                                    value=${adoptedAt}
+                                    onInput=${(e) => setAdoptedAt(e.target.value)}
+                                />
+                            <//>
+                        `}
+                    <//>
+                    ${statusHistory.length > 0 && html`
+                        <details class="status-history">
+                            <summary>Status history</summary>
+                            <ul>
+                                ${statusHistory.map(entry => html`
+                                    <li key=${entry.id}>
+                                        <strong>${STATUS_LABELS[entry.status] || entry.status}</strong>
+                                        <span class="status-history-date">${entry.changed_at}</span>
+                                        ${entry.note && html`<span class="status-history-note">${entry.note}</span>`}
+                                    </li>
+                                `)}
+                            </ul>
+                        </details>
+                    `}
+                    ${changes.length > 0 && html`
+                        <details class="status-history change-history">
+                            <summary>Change history</summary>
+                            <ul>
+                                ${changes.map(change => {
+                                    const oldValue = formatChangeValue(change.field, change.old_value, rescues, fosters);
+                                    const newValue = formatChangeValue(change.field, change.new_value, rescues, fosters);
+                                    return html`
+                                        <li key=${change.id}>
+                                            <div class="change-history-entry">
+                                                <strong>${getChangeFieldLabel(change.field, rescues)}</strong>
+                                                <span class="status-history-date">${CHANGE_SOURCE_LABELS[change.source] || change.source} ${change.changed_at}</span>
+                                                <div class="change-history-values" title=${`${oldValue} → ${newValue}`}>
+                                                    ${oldValue} → ${newValue}
+                                                </div>
+                                            </div>
+                                            <button class="btn btn-secondary btn-sm" onClick=${() => handleRevert(change)}>Revert</button>
+                                        </li>
+                                    `;
+                                })}
+                            </ul>
+                        </details>
+                    `}
+                    ${printHistory.length > 0 && html`
+                        <details class="status-history print-history">
+                            <summary>
+                                Print history
+                                ${printHistory.some(entry => entry.outdated) && html`
+                                    <span class="print-history-badge">Changed since last printed</span>
+                                `}
+                            </summary>
+                            <ul>
+                                ${printHistory.map(entry => html`
+                                    <li key=${entry.id} title=${entry.output_path || ''}>
+                                        <strong>${entry.template_name}</strong>
+                                        <span class="status-history-date">${formatPrintEntry(entry)} ${entry.printed_at}</span>
+                                        ${entry.outdated && html`<span class="print-history-badge">Out of date</span>`}
+                                    </li>
+                                `)}
+                            </ul>
+                        </details>
+                    `}
+                    <${FormGroup} label="Bio" id="bio-edit">
+                        <textarea
+                            key=${formVersion}
+                            ref=${bioRef}
+                            id="bio-edit"
                             placeholder="Enter the animal's bio/description..."
                             defaultValue=${animal?.bio || ''}
                         ></textarea>
@@ -1316,7 +2204,7 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
             onClose=${() => setShowAttributesModal(false)}
             animalId=${animal?.id}
             animalName=${animal?.name}
-            onSave=${() => {}}
+            onSave=${loadChanges}
         />
         <${AIEditImageModal}
             isOpen=${showAIEditModal}
@@ -1324,11 +2212,12 @@ function EditAnimalModal({ isOpen, onClose, animal, rescues, onSubmit, onDelete
             imageUrl=${getCurrentImageUrl()}
             onSave=${handleAIEditSave}
         />
-        <${PhotoPickerModal}
-            isOpen=${showPhotoPickerModal}
-            onClose=${() => setShowPhotoPickerModal(false)}
+        <${PhotoGalleryModal}
+            isOpen=${showGalleryModal}
+            onClose=${() => setShowGalleryModal(false)}
+            animal=${animal}
             photoUrls=${photoUrls}
-            onSelect=${setImageData}
+            onSelectPortrait=${setImageData}
         />
     `;
 }
@@ -1340,41 +2229,41 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
     const [attributes, setAttributes] = useState([]);
     const [loading, setLoading] = useState(true);
     const [generating, setGenerating] = useState(false);
+    // Whether the list came from the AI, so saving records it as AI-generated
+    const [aiGenerated, setAiGenerated] = useState(false);
     const showToast = useToast();
 
     const handleGenerateWithAI = async () => {
         // Get the API key from settings
-        const apiKey = db.getSetting('openai_api_key');
+        const apiKey = await db.getSetting('openai_api_key');
         if (!apiKey) {
             showToast('Please set your OpenAI API key in Settings first.', 'error');
             return;
         }
 
         // Get the animal's bio
-        const animal = db.getAnimalById(animalId);
+        const animal = await db.getAnimalById(animalId);
         if (!animal || !animal.bio) {
             showToast('This animal has no bio to generate attributes from.', 'error');
             return;
         }
 
+        // Factual traits come from the animal's stored details; the AI only fills
+        // the remaining slots with personality traits
+        const species = getSpecies(animal.species);
+        const animalWord = species === SPECIES.other ? 'pet' : species.label.toLowerCase();
+        const facts = getFactTraits(animal).slice(0, 16);
+        const adjectiveCount = 16 - facts.length;
+
         setGenerating(true);
         try {
-            const prompt = `Given the following bio for this adoptable pet, return exactly 16 traits as a newline-separated list. Each trait should start with an uppercase letter.
+            const prompt = `Given the following bio for this adoptable ${animalWord}, return exactly ${adjectiveCount} personality traits as a newline-separated list. Each trait should start with an uppercase letter.
 
-            First, fill slots with positive, eloquent adjectives that describe the animal's personality based on the bio (e.g., Loyal, Playful, Cuddly, Loving, High Energy).
+            Use positive, eloquent adjectives that describe the animal's personality based on the bio (e.g., Loyal, Playful, Cuddly, Loving, High Energy).
 
-            Then, always end with these 7 factual attributes:
-            - Housebroken (or "Not housebroken" if not mentioned)
-            - Good with kids/cats/dogs (list whichever apply, or don't include if not mentioned)
-            - Spayed/Neutered if mentioned, otherwise omit this field
-            - Medically UTD
-            - Microchipped
-            - Approx XXlbs (use weight from bio, or "Weight unknown" if not mentioned)
-            - Size in format "Medium sized dog" or "Small sized cat" (use size and animal type from bio)
+            Do not include facts such as house training, compatibility, medical status, weight or size; those are added separately.
 
-            The first 9 slots should be personality adjectives, and the last 7 slots should be the factual attributes listed above. do not stray from the verbiage supplied.
-
-            Only respond with the newline-separated list of 16 traits.\n\nBio:\n${animal.bio}`;
+            Only respond with the newline-separated list of ${adjectiveCount} traits.\n\nBio:\n${animal.bio}`;
 
             const response = await fetch('https://api.openai.com/v1/chat/completions', {
                 method: 'POST',
@@ -1399,12 +2288,15 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
             const data = await response.json();
             const content = data.choices?.[0]?.message?.content || '';
 
-            // Parse the newline-separated response
-            const generatedAttrs = content
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => line.length > 0)
-                .slice(0, 16);
+            // Parse the newline-separated response and end with the facts
+            const generatedAttrs = [
+                ...content
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line.length > 0)
+                    .slice(0, adjectiveCount),
+                ...facts
+            ];
 
             // Pad to 16 slots if needed
             while (generatedAttrs.length < 16) {
@@ -1412,6 +2304,7 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
             }
 
             setAttributes(generatedAttrs);
+            setAiGenerated(true);
             showToast('Attributes generated successfully!');
         } catch (err) {
             showToast(`Error generating attributes: ${err.message}`, 'error');
@@ -1423,18 +2316,21 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
     useEffect(() => {
         if (!isOpen || !animalId) return;
         setLoading(true);
-        try {
-            const attrs = db.getAnimalAttributes(animalId);
-            // Ensure we have an array of 16 slots (empty strings for unfilled)
-            const padded = [...attrs];
-            while (padded.length < 16) padded.push('');
-            setAttributes(padded);
-        } catch (err) {
-            showToast(`Error loading attributes: ${err.message}`, 'error');
-            setAttributes(Array(16).fill(''));
-        } finally {
-            setLoading(false);
-        }
+        setAiGenerated(false);
+        (async () => {
+            try {
+                const attrs = await db.getAnimalAttributes(animalId);
+                // Ensure we have an array of 16 slots (empty strings for unfilled)
+                const padded = [...attrs];
+                while (padded.length < 16) padded.push('');
+                setAttributes(padded);
+            } catch (err) {
+                showToast(`Error loading attributes: ${err.message}`, 'error');
+                setAttributes(Array(16).fill(''));
+            } finally {
+                setLoading(false);
+            }
+        })();
     }, [isOpen, animalId]);
 
     const handleChange = (index, value) => {
@@ -1472,15 +2368,15 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
         });
     };
 
-    const handleSave = () => {
+    const handleSave = async () => {
         try {
             // Filter out empty strings and save
             const cleanAttrs = attributes.filter(a => a.trim());
             console.log(`[handleSave] Saving attributes for animal ID ${animalId}:`, cleanAttrs);
-            const result = db.updateAnimalAttributes(animalId, cleanAttrs);
+            const result = await db.updateAnimalAttributes(animalId, cleanAttrs, aiGenerated ? 'ai' : 'manual');
             console.log(`[handleSave] Save result:`, result);
             // Verify it was saved by reading it back
-            const verification = db.getAnimalAttributes(animalId);
+            const verification = await db.getAnimalAttributes(animalId);
             console.log(`[handleSave] Verification read-back:`, verification);
             showToast('Attributes saved successfully!');
             onSave && onSave();
@@ -1530,21 +2426,21 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
                                 maxlength="50"
                             />
                             <button
-                                class="btn btn-small"
+                                class="btn btn-sm"
                                 onClick=${() => handleMoveUp(i)}
                                 disabled=${i === 0}
                                 title="Move up"
                                 style="padding: 4px 8px;"
                             >↑</button>
                             <button
-                                class="btn btn-small"
+                                class="btn btn-sm"
                                 onClick=${() => handleMoveDown(i)}
                                 disabled=${i >= 15}
                                 title="Move down"
                                 style="padding: 4px 8px;"
                             >↓</button>
                             <button
-                                class="btn btn-small btn-danger"
+                                class="btn btn-sm btn-danger"
                                 onClick=${() => handleDelete(i)}
                                 title="Remove"
                                 style="padding: 4px 8px;"
@@ -1560,7 +2456,7 @@ function EditAttributesModal({ isOpen, onClose, animalId, animalName, onSave })
 // ============================================================
 // Select From Site Modal
 // ============================================================
-function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete }) {
+function SelectFromSiteModal({ isOpen, onClose, rescue, onImportComplete }) {
     const [animals, setAnimals] = useState([]);
     const [selectedUrls, setSelectedUrls] = useState(new Set());
     const [loading, setLoading] = useState(true);
@@ -1576,14 +2472,9 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
 
         (async () => {
             try {
-                const rescue = db.getRescueByScraperType(selectedRescue);
-                if (!rescue) throw new Error(`Rescue not found for scraper type: ${selectedRescue}`);
-
-                const ipcChannel = selectedRescue === 'adoptapet'
-                    ? 'scrape-animal-list-adoptapet'
-                    : 'scrape-animal-list-wagtopia';
+                if (!rescue) throw new Error('No rescue selected');
 
-                const result = await ipcRenderer.invoke(ipcChannel, rescue.org_id);
+                const result = await scrapeAnimalListForRescue(rescue);
                 if (!result.success) throw new Error(result.error);
 
                 setAnimals(result.data);
@@ -1593,7 +2484,7 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
                 setLoading(false);
             }
         })();
-    }, [isOpen, selectedRescue]);
+    }, [isOpen, rescue]);
 
     const toggleSelection = (url) => {
         setSelectedUrls(prev => {
@@ -1619,8 +2510,7 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
         }
 
         setImporting(true);
-        let successCount = 0;
-        let failCount = 0;
+        const counts = { imported: 0, skipped: 0, flagged: 0, failed: 0 };
         const urls = Array.from(selectedUrls);
 
         for (let i = 0; i < urls.length; i++) {
@@ -1629,62 +2519,23 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
             setImportStatus(`Importing ${i + 1}/${urls.length}: ${animalName}`);
 
             try {
-                const ipcChannel = selectedRescue === 'adoptapet'
-                    ? 'scrape-animal-page-adoptapet'
-                    : 'scrape-animal-page-wagtopia';
-
-                const result = await ipcRenderer.invoke(ipcChannel, url);
-                if (!result.success) throw new Error(result.error);
-
-                const scrapedData = result.data;
-                let imageData = null;
-
-                if (scrapedData.imagePath) {
-                    try {
-                        const imagePath = path.isAbsolute(scrapedData.imagePath)
-                            ? scrapedData.imagePath
-                            : path.join(APP_PATH, scrapedData.imagePath);
-                        const buffer = fs.readFileSync(imagePath);
-                        imageData = bufferToImageData(buffer, imagePath);
-                        fs.unlinkSync(imagePath);
-                    } catch (imgErr) {
-                        console.error('Error loading image:', imgErr);
-                    }
+                const { created, duplicates } = await importAnimalFromUrl(rescue, url);
+                if (!created) {
+                    counts.skipped++;
+                } else {
+                    counts.imported++;
+                    if (duplicates.length > 0) counts.flagged++;
                 }
-
-                const rescue = db.getRescueByScraperType(selectedRescue);
-                const animalData = {
-                    name: scrapedData.name,
-                    breed: scrapedData.breed,
-                    slug: scrapedData.slug,
-                    age_long: scrapedData.age_long,
-                    age_short: scrapedData.age_short,
-                    size: scrapedData.size,
-                    gender: scrapedData.gender,
-                    shots: scrapedData.shots,
-                    housetrained: scrapedData.housetrained,
-                    kids: scrapedData.kids,
-                    dogs: scrapedData.dogs,
-                    cats: scrapedData.cats,
-                    bio: scrapedData.bio || '',
-                    rescue_id: rescue?.id || 1,
-                    attributes: scrapedData.attributes || [],
-                    photoUrls: scrapedData.photoUrls || []
-                };
-
-                db.createAnimal(animalData, imageData ? { hex: imageData.hex, mime: imageData.mime, path: imageData.path } : null);
-                successCount++;
             } catch (err) {
                 console.error(`Error importing ${animalName}:`, err);
-                failCount++;
+                counts.failed++;
             }
         }
 
         setImporting(false);
         setImportStatus('');
 
-        const message = `Import complete: ${successCount} succeeded${failCount > 0 ? `, ${failCount} failed` : ''}`;
-        showToast(message, failCount > 0 ? 'error' : 'success');
+        showToast(formatImportSummary(counts), counts.failed > 0 ? 'error' : counts.flagged > 0 ? 'warning' : 'success');
 
         onClose();
         onImportComplete();
@@ -1697,7 +2548,7 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
         </button>
     `;
 
-    const rescueName = selectedRescue === 'adoptapet' ? 'Adoptapet' : 'Wagtopia';
+    const rescueName = rescue?.name || 'Rescue';
 
     return html`
         <${Modal} isOpen=${isOpen} onClose=${onClose} title="Select Animals from ${rescueName}" footer=${footer}>
@@ -1737,6 +2588,180 @@ function SelectFromSiteModal({ isOpen, onClose, selectedRescue, onImportComplete
     `;
 }
 
+// ============================================================
+// Roster Sync Modal
+// ============================================================
+function RosterSyncModal({ isOpen, onClose, rescues, report, syncing, progress, onRun, onImportComplete }) {
+    const [updateDetails, setUpdateDetails] = useState(true);
+    const [selectedUrls, setSelectedUrls] = useState(new Set());
+    const [importing, setImporting] = useState(false);
+    const [importStatus, setImportStatus] = useState('');
+    const showToast = useToast();
+
+    useEffect(() => {
+        setSelectedUrls(new Set());
+    }, [report]);
+
+    const newListings = report
+        ? report.rescues.flatMap(section => section.added.map(listing => ({ ...listing, rescueId: section.rescueId })))
+        : [];
+
+    const toggleSelection = (url) => {
+        setSelectedUrls(prev => {
+            const next = new Set(prev);
+            if (next.has(url)) next.delete(url);
+            else next.add(url);
+            return next;
+        });
+    };
+
+    const handleImport = async () => {
+        setImporting(true);
+        const counts = { imported: 0, skipped: 0, flagged: 0, failed: 0 };
+        const toImport = newListings.filter(l => selectedUrls.has(l.url));
+
+        for (let i = 0; i < toImport.length; i++) {
+            const listing = toImport[i];
+            setImportStatus(`Importing ${i + 1}/${toImport.length}: ${listing.name}`);
+            try {
+                const rescue = rescues.find(r => r.id === listing.rescueId);
+                const { created, duplicates } = await importAnimalFromUrl(rescue, listing.url);
+                if (!created) {
+                    counts.skipped++;
+                } else {
+                    counts.imported++;
+                    if (duplicates.length > 0) counts.flagged++;
+                }
+            } catch (err) {
+                console.error(`Error importing ${listing.name}:`, err);
+                counts.failed++;
+            }
+        }
+
+        setImporting(false);
+        setImportStatus('');
+
+        showToast(formatImportSummary(counts), counts.failed > 0 ? 'error' : counts.flagged > 0 ? 'warning' : 'success');
+
+        onClose();
+        onImportComplete();
+    };
+
+    const formatChanges = (changes) => Object.entries(changes)
+        .map(([field, { from, to }]) => field === 'bio' ? 'bio' : `${field}: ${from || '—'} → ${to}`)
+        .join(', ');
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${importing}>Close</button>
+        <button class="btn btn-secondary" onClick=${() => onRun({ updateDetails })} disabled=${syncing || importing}>
+            ${report ? 'Sync Again' : 'Run Sync'}
+        </button>
+        ${newListings.length > 0 && html`
+            <button class="btn btn-primary" onClick=${handleImport} disabled=${syncing || importing || selectedUrls.size === 0}>
+                ${importing ? importStatus : `Import Selected (${selectedUrls.size})`}
+            </button>
+        `}
+    `;
+
+    const renderSection = (section) => html`
+        <div class="roster-sync-rescue" key=${section.rescueId}>
+            <h3>${section.rescueName} <small>${section.listedCount} listed</small></h3>
+
+            ${section.added.length > 0 && html`
+                <div class="roster-sync-group">
+                    <h4>New on the site (${section.added.length})</h4>
+                    <div class="animal-select-list">
+                        ${section.added.map(listing => html`
+                            <div
+                                key=${listing.url}
+                                class="animal-select-item ${selectedUrls.has(listing.url) ? 'selected' : ''}"
+                                onClick=${() => toggleSelection(listing.url)}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked=${selectedUrls.has(listing.url)}
+                                    onChange=${(e) => { e.stopPropagation(); toggleSelection(listing.url); }}
+                                />
+                                <label>${listing.name}</label>
+                            </div>
+                        `)}
+                    </div>
+                </div>
+            `}
+
+            ${section.missing.length > 0 && html`
+                <div class="roster-sync-group">
+                    <h4>Possibly adopted (${section.missing.length})</h4>
+                    <ul>
+                        ${section.missing.map(animal => html`<li key=${animal.id}>${animal.name}</li>`)}
+                    </ul>
+                </div>
+            `}
+
+            ${section.relisted.length > 0 && html`
+                <div class="roster-sync-group">
+                    <h4>Listed again (${section.relisted.length})</h4>
+                    <ul>
+                        ${section.relisted.map(animal => html`<li key=${animal.id}>${animal.name}</li>`)}
+                    </ul>
+                </div>
+            `}
+
+            ${section.updated.length > 0 && html`
+                <div class="roster-sync-group">
+                    <h4>Updated (${section.updated.length})</h4>
+                    <ul>
+                        ${section.updated.map(entry => html`
+                            <li key=${entry.id}><strong>${entry.name}</strong> — ${formatChanges(entry.changes)}</li>
+                        `)}
+                    </ul>
+                </div>
+            `}
+
+            ${section.errors.length > 0 && html`
+                <div class="roster-sync-group roster-sync-errors">
+                    <h4>Errors (${section.errors.length})</h4>
+                    <ul>
+                        ${section.errors.map((entry, i) => html`<li key=${i}><strong>${entry.name}</strong>: ${entry.error}</li>`)}
+                    </ul>
+                </div>
+            `}
+
+            ${!hasFindings({ rescues: [section] }) && html`
+                <p class="roster-sync-empty">No changes.</p>
+            `}
+        </div>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Roster Sync" footer=${footer} width="700px">
+            ${syncing ? html`
+                <div class="loading-spinner">${progress || 'Syncing rosters...'}</div>
+            ` : report ? html`
+                <div class="roster-sync-report">
+                    <p class="roster-sync-meta">Last run ${new Date(report.finishedAt).toLocaleString()}</p>
+                    ${report.rescues.length === 0
+                        ? html`<p class="roster-sync-empty">No rescues have a scraper configured.</p>`
+                        : report.rescues.map(renderSection)}
+                </div>
+            ` : html`
+                <p>
+                    Reads the listing of every rescue with a scraper and compares it with your animals.
+                    New animals can be imported, and animals no longer listed are marked "Possibly adopted".
+                </p>
+                <label class="checkbox-option">
+                    <input
+                        type="checkbox"
+                        checked=${updateDetails}
+                        onChange=${(e) => setUpdateDetails(e.target.checked)}
+                    />
+                    Update details (age, bio, ...) of listed animals
+                </label>
+            `}
+        <//>
+    `;
+}
+
 // ============================================================
 // Delete Multiple Modal
 // ============================================================
@@ -1776,14 +2801,15 @@ function DeleteMultipleModal({ isOpen, onClose, animals, onDeleteComplete }) {
         const names = animals.filter(a => selectedIds.has(a.id)).map(a => a.name).slice(0, 3).join(', ');
         const displayNames = count > 3 ? `${names} and ${count - 3} more` : names;
 
-        if (!confirm(`Are you sure you want to delete ${count} animal${count > 1 ? 's' : ''}?\n\n${displayNames}\n\nThis cannot be undone.`)) {
-            return;
-        }
-
         setDeleting(true);
         try {
-            const { successCount, failCount } = db.deleteAnimals(Array.from(selectedIds));
-            const message = `Deleted ${successCount} animal${successCount !== 1 ? 's' : ''}${failCount > 0 ? `, ${failCount} failed` : ''}`;
+            const days = await db.getTrashRetentionDays();
+            if (!confirm(`Move ${count} animal${count > 1 ? 's' : ''} to the trash?\n\n${displayNames}\n\nThey can be restored from Settings > Trash for ${days} days.`)) {
+                return;
+            }
+
+            const { successCount, failCount } = await db.deleteAnimals(Array.from(selectedIds));
+            const message = `Moved ${successCount} animal${successCount !== 1 ? 's' : ''} to the trash${failCount > 0 ? `, ${failCount} failed` : ''}`;
             showToast(message, failCount > 0 ? 'error' : 'success');
             onClose();
             onDeleteComplete();
@@ -1826,9 +2852,9 @@ function DeleteMultipleModal({ isOpen, onClose, animals, onDeleteComplete }) {
                             onClick=${(e) => e.stopPropagation()}
                             onChange=${() => toggleSelection(animal.id)}
                         />
-                        ${animal.imageDataUrl
-                            ? html`<img class="delete-animal-thumbnail" src=${animal.imageDataUrl} alt=${animal.name} />`
-                            : html`<div class="delete-animal-no-image">🐕</div>`
+                        ${getAnimalImageUrl(animal)
+                            ? html`<img class="delete-animal-thumbnail" src=${getAnimalImageUrl(animal)} alt=${animal.name} />`
+                            : html`<div class="delete-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
                         }
                         <div class="delete-animal-name">${animal.name}</div>
                     </div>
@@ -1839,124 +2865,1473 @@ function DeleteMultipleModal({ isOpen, onClose, animals, onDeleteComplete }) {
 }
 
 // ============================================================
-// Print Settings Modal
+// Trash Modal
 // ============================================================
-function PrintSettingsModal({ isOpen, onClose, filePath, onPrintComplete, templateConfig }) {
-    const [printers, setPrinters] = useState([]);
-    const [profiles, setProfiles] = useState([]);
-    const [selectedPrinter, setSelectedPrinter] = useState('');
-    const [selectedProfile, setSelectedProfile] = useState('');
-    const [copies, setCopies] = useState(1);
-    const [paperSize, setPaperSize] = useState('letter');
-    const [orientation, setOrientation] = useState('landscape');
-    const [paperSource, setPaperSource] = useState('default');
-    const [loading, setLoading] = useState(false);
-    const [printing, setPrinting] = useState(false);
-    const [showManageProfiles, setShowManageProfiles] = useState(false);
-    const [showSaveProfile, setShowSaveProfile] = useState(false);
+function TrashModal({ isOpen, onClose, onRestore }) {
+    const [animals, setAnimals] = useState([]);
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [retentionDays, setRetentionDays] = useState(30);
+    const [busy, setBusy] = useState(false);
     const showToast = useToast();
 
-    // Template-driven settings (locked when template provides them)
-    const templatePaperSize = templateConfig?.paperSize || null;
-    const templateOrientation = templateConfig?.orientation || null;
-    const isTemplateLocked = !!(templatePaperSize || templateOrientation);
+    const loadTrash = async () => {
+        try {
+            setAnimals(await db.getDeletedAnimals());
+            setRetentionDays(await db.getTrashRetentionDays());
+        } catch (err) {
+            console.error('[Trash] Error loading trash:', err);
+        }
+    };
 
-    // Apply template settings when modal opens
     useEffect(() => {
-        if (isOpen && templateConfig) {
-            if (templateConfig.paperSize) setPaperSize(templateConfig.paperSize);
-            if (templateConfig.orientation) setOrientation(templateConfig.orientation);
+        if (isOpen) {
+            loadTrash();
+        } else {
+            setSelectedIds(new Set());
         }
-    }, [isOpen, templateConfig]);
+    }, [isOpen]);
 
-    // Function to load printers (used on open and refresh)
-    const loadPrinters = async (selectDefault = true) => {
-        setLoading(true);
+    const toggleSelection = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const handleRestore = async () => {
+        setBusy(true);
         try {
-            const result = await ipcRenderer.invoke('get-printers');
-            if (result.success) {
-                setPrinters(result.printers);
-                if (selectDefault) {
-                    const defaultPrinter = result.printers.find(p => p.isDefault);
-                    if (defaultPrinter) {
-                        setSelectedPrinter(defaultPrinter.name);
-                    }
-                }
-            }
+            const { changes } = await db.restoreAnimals(Array.from(selectedIds));
+            showToast(`Restored ${changes} animal${changes !== 1 ? 's' : ''}`);
+            setSelectedIds(new Set());
+            await loadTrash();
+            onRestore();
         } catch (err) {
-            showToast(`Error loading printers: ${err.message}`, 'error');
+            showToast(`Error restoring: ${err.message}`, 'error');
         } finally {
-            setLoading(false);
+            setBusy(false);
         }
     };
 
-    // Load printers on open
-    useEffect(() => {
-        if (!isOpen) return;
-        loadPrinters(true);
-    }, [isOpen]);
-
-    // Load profiles when printer changes
-    useEffect(() => {
-        if (!selectedPrinter) {
-            setProfiles([]);
+    const handleDeleteForever = async (ids) => {
+        const count = ids.length;
+        if (!confirm(`Permanently delete ${count} animal${count !== 1 ? 's' : ''}? This cannot be undone. A backup is made first.`)) {
             return;
         }
-        (async () => {
-            try {
-                const result = await ipcRenderer.invoke('get-print-profiles', selectedPrinter);
-                if (result.success) {
-                    setProfiles(result.profiles);
-                    const defaultProfile = result.profiles.find(p => p.is_default);
-                    if (defaultProfile) {
-                        setSelectedProfile(defaultProfile.id.toString());
-                        applyProfile(defaultProfile);
-                    }
-                }
-            } catch (err) {
-                console.error('Error loading profiles:', err);
-            }
-        })();
-    }, [selectedPrinter]);
 
-    const applyProfile = (profile) => {
-        if (!profile) return;
-        setCopies(profile.copies || 1);
-        setPaperSize(profile.paper_size || 'letter');
-        setOrientation(profile.orientation || 'landscape');
-        setPaperSource(profile.paper_source || 'default');
+        setBusy(true);
+        try {
+            const { successCount } = await db.purgeAnimals(ids);
+            showToast(`Permanently deleted ${successCount} animal${successCount !== 1 ? 's' : ''}`);
+            setSelectedIds(new Set());
+            await loadTrash();
+        } catch (err) {
+            showToast(`Error deleting: ${err.message}`, 'error');
+        } finally {
+            setBusy(false);
+        }
     };
 
-    const handleProfileChange = (profileId) => {
-        setSelectedProfile(profileId);
-        const profile = profiles.find(p => p.id.toString() === profileId);
-        if (profile) applyProfile(profile);
+    const handleRetentionChange = async (days) => {
+        try {
+            await db.setSetting('trash_retention_days', String(days));
+            setRetentionDays(days);
+        } catch (err) {
+            showToast(`Error saving setting: ${err.message}`, 'error');
+        }
     };
 
-    const handlePrint = async () => {
-        if (!selectedPrinter) {
-            showToast('Please select a printer', 'error');
-            return;
-        }
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${busy}>Close</button>
+        <button class="btn btn-danger" onClick=${() => handleDeleteForever(Array.from(selectedIds))} disabled=${busy || selectedIds.size === 0}>
+            Delete Forever (${selectedIds.size})
+        </button>
+        <button class="btn btn-primary" onClick=${handleRestore} disabled=${busy || selectedIds.size === 0}>
+            Restore Selected (${selectedIds.size})
+        </button>
+    `;
 
-        setPrinting(true);
-        try {
-            const profile = profiles.find(p => p.id.toString() === selectedProfile);
-            const printOptions = {
-                showDialog: false,
-                printer: selectedPrinter,
-                copies,
-                paperSize,
-                orientation,
-                paperSource,
-                calibration_ab: profile?.calibration_ab || null,
-                calibration_bc: profile?.calibration_bc || null,
-                calibration_cd: profile?.calibration_cd || null,
-                calibration_da: profile?.calibration_da || null,
-                border_top: profile?.border_top || null,
-                border_right: profile?.border_right || null,
-                border_bottom: profile?.border_bottom || null,
-                border_left: profile?.border_left || null,
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Trash" footer=${footer}>
+            <div class="trash-toolbar">
+                <label>
+                    Keep deleted animals for
+                    <select
+                        value=${retentionDays}
+                        onChange=${(e) => handleRetentionChange(parseInt(e.target.value, 10))}
+                    >
+                        ${TRASH_RETENTION_OPTIONS.concat(TRASH_RETENTION_OPTIONS.includes(retentionDays) ? [] : [retentionDays]).map(days => html`
+                            <option key=${days} value=${days}>${days} days</option>
+                        `)}
+                    </select>
+                </label>
+                <button
+                    class="btn btn-secondary btn-sm"
+                    onClick=${() => handleDeleteForever(animals.map(a => a.id))}
+                    disabled=${busy || animals.length === 0}
+                >
+                    Empty Trash
+                </button>
+            </div>
+            ${animals.length === 0 ? html`
+                <div class="backup-empty">The trash is empty.</div>
+            ` : html`
+                <div class="delete-animal-grid">
+                    ${animals.map(animal => html`
+                        <div
+                            key=${animal.id}
+                            class="delete-animal-item ${selectedIds.has(animal.id) ? 'selected' : ''}"
+                            onClick=${() => toggleSelection(animal.id)}
+                        >
+                            <input
+                                type="checkbox"
+                                checked=${selectedIds.has(animal.id)}
+                                onClick=${(e) => e.stopPropagation()}
+                                onChange=${() => toggleSelection(animal.id)}
+                            />
+                            ${getAnimalImageUrl(animal)
+                                ? html`<img class="delete-animal-thumbnail" src=${getAnimalImageUrl(animal)} alt=${animal.name} />`
+                                : html`<div class="delete-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
+                            }
+                            <div class="delete-animal-name">${animal.name}</div>
+                            <div class="trash-deleted-at">Deleted ${animal.deleted_at.slice(0, 10)}</div>
+                        </div>
+                    `)}
+                </div>
+            `}
+        <//>
+    `;
+}
+
+// ============================================================
+// Duplicates Modal (suspected duplicates review list)
+// ============================================================
+function DuplicatesModal({ isOpen, onClose, rescues, fosters, onMerged }) {
+    const [pairs, setPairs] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [mergingPair, setMergingPair] = useState(null);
+    const showToast = useToast();
+
+    const loadPairs = async () => {
+        setLoading(true);
+        try {
+            setPairs(await db.listSuspectedDuplicates());
+        } catch (err) {
+            showToast(`Error finding duplicates: ${err.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        if (isOpen) {
+            loadPairs();
+        } else {
+            setPairs([]);
+            setMergingPair(null);
+        }
+    }, [isOpen]);
+
+    const handleDismiss = async (pair) => {
+        const [a, b] = pair.animals;
+        try {
+            await db.dismissDuplicate(a.id, b.id);
+            setPairs(prev => prev.filter(p => p !== pair));
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        }
+    };
+
+    const renderAnimal = (animal) => html`
+        <div class="duplicate-animal">
+            ${getAnimalImageUrl(animal, 'thumb')
+                ? html`<img class="duplicate-animal-thumbnail" src=${getAnimalImageUrl(animal, 'thumb')} alt=${animal.name} />`
+                : html`<div class="duplicate-animal-thumbnail duplicate-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
+            }
+            <div>
+                <strong>${animal.name}</strong>
+                <small>${animal.breed || 'Unknown breed'} · ${rescues.find(r => r.id === animal.rescue_id)?.name || 'No rescue'}</small>
+            </div>
+        </div>
+    `;
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose}>Close</button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Suspected Duplicates" footer=${footer} width="800px">
+            ${loading ? html`
+                <div class="loading-spinner">Comparing animals</div>
+            ` : pairs.length === 0 ? html`
+                <div class="backup-empty">No suspected duplicates.</div>
+            ` : pairs.map(pair => html`
+                <div key=${`${pair.animals[0].id}-${pair.animals[1].id}`} class="duplicate-pair">
+                    <div class="duplicate-pair-animals">
+                        ${renderAnimal(pair.animals[0])}
+                        ${renderAnimal(pair.animals[1])}
+                    </div>
+                    <div class="duplicate-pair-reasons">${pair.reasons.join(', ')}</div>
+                    <div class="duplicate-pair-actions">
+                        <button class="btn btn-secondary btn-sm" onClick=${() => handleDismiss(pair)}>Not Duplicates</button>
+                        <button class="btn btn-primary btn-sm" onClick=${() => setMergingPair(pair)}>Merge...</button>
+                    </div>
+                </div>
+            `)}
+        <//>
+        <${MergeAnimalsModal}
+            isOpen=${!!mergingPair}
+            onClose=${() => setMergingPair(null)}
+            animals=${mergingPair?.animals || []}
+            rescues=${rescues}
+            fosters=${fosters}
+            onMerged=${() => { loadPairs(); onMerged(); }}
+        />
+    `;
+}
+
+// ============================================================
+// Merge Animals Modal
+// ============================================================
+function MergeAnimalsModal({ isOpen, onClose, animals, rescues, fosters, onMerged }) {
+    const [records, setRecords] = useState([]);
+    const [keepIndex, setKeepIndex] = useState(0);
+    // Record index (0 or 1) picked for each field; fields not picked follow the default
+    const [picks, setPicks] = useState({});
+    const [attributesPick, setAttributesPick] = useState('both');
+    const [merging, setMerging] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen || animals.length !== 2) {
+            setRecords([]);
+            return;
+        }
+        setKeepIndex(0);
+        setPicks({});
+        setAttributesPick('both');
+        (async () => {
+            try {
+                setRecords(await Promise.all(animals.map(async (a) => ({
+                    animal: await db.getAnimalById(a.id),
+                    customValues: await db.getAnimalCustomValues(a.id)
+                }))));
+            } catch (err) {
+                showToast(`Error loading animals: ${err.message}`, 'error');
+            }
+        })();
+    }, [isOpen, animals[0]?.id, animals[1]?.id]);
+
+    if (records.length !== 2) {
+        return html`<${Modal} isOpen=${isOpen} onClose=${onClose} title="Merge Animals"><div class="loading-spinner">Loading</div><//>`;
+    }
+
+    const otherIndex = 1 - keepIndex;
+
+    // A field's stored value as text, like the change history records it
+    const getValue = (record, field) => {
+        const value = field.startsWith('custom.')
+            ? record.customValues[field.slice('custom.'.length)]
+            : record.animal[field];
+        return value === null || value === undefined ? null : String(value);
+    };
+
+    // Fields the two records disagree on
+    const customKeys = [...new Set(records.flatMap(r => Object.keys(r.customValues)))];
+    const fields = [...Object.keys(CHANGE_FIELD_LABELS), ...customKeys.map(key => `custom.${key}`)]
+        .filter(field => (getValue(records[0], field) ?? '') !== (getValue(records[1], field) ?? ''));
+
+    // By default the kept record's values win, except where it has none
+    const getPick = (field) => {
+        if (picks[field] !== undefined) return picks[field];
+        return (getValue(records[keepIndex], field) ?? '') === '' ? otherIndex : keepIndex;
+    };
+    const portraitDiffers = records[0].animal.portrait_hash !== records[1].animal.portrait_hash;
+    const getPortraitPick = () => picks.portrait ?? (records[keepIndex].animal.portrait_hash ? keepIndex : otherIndex);
+
+    const handleMerge = async () => {
+        const keep = records[keepIndex].animal;
+        const other = records[otherIndex].animal;
+        const choices = {};
+        for (const field of fields) {
+            if (field !== 'attributes' && getPick(field) === otherIndex) choices[field] = 'other';
+        }
+        if (portraitDiffers && getPortraitPick() === otherIndex) choices.portrait = 'other';
+        if (fields.includes('attributes') && (attributesPick === 'both' || attributesPick === otherIndex)) {
+            choices.attributes = attributesPick === 'both' ? 'both' : 'other';
+        }
+
+        setMerging(true);
+        try {
+            const { photosAdded } = await db.mergeAnimals(keep.id, other.id, choices);
+            showToast(`Merged ${other.name} into ${keep.name}${photosAdded > 0 ? ` (${photosAdded} photo${photosAdded !== 1 ? 's' : ''} added)` : ''}`);
+            onClose();
+            onMerged();
+        } catch (err) {
+            showToast(`Error merging: ${err.message}`, 'error');
+        } finally {
+            setMerging(false);
+        }
+    };
+
+    const renderChoice = (field, index, content) => html`
+        <label class="merge-choice ${(field === 'portrait' ? getPortraitPick() : getPick(field)) === index ? 'selected' : ''}">
+            <input
+                type="radio"
+                name=${`merge-${field}`}
+                checked=${(field === 'portrait' ? getPortraitPick() : getPick(field)) === index}
+                onChange=${() => setPicks(prev => ({ ...prev, [field]: index }))}
+            />
+            ${content}
+        </label>
+    `;
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${merging}>Cancel</button>
+        <button class="btn btn-primary" onClick=${handleMerge} disabled=${merging}>
+            ${merging ? 'Merging...' : 'Merge'}
+        </button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Merge Animals" footer=${footer} width="800px">
+            <p class="merge-intro">
+                Pick the value to keep for each field the two records disagree on. Photos from both
+                records are kept in the gallery, and the record that isn't kept moves to the trash.
+            </p>
+            <div class="merge-grid">
+                <div class="merge-label">Keep record</div>
+                ${records.map((record, index) => html`
+                    <label key=${index} class="merge-choice ${keepIndex === index ? 'selected' : ''}">
+                        <input
+                            type="radio"
+                            name="merge-keep"
+                            checked=${keepIndex === index}
+                            onChange=${() => setKeepIndex(index)}
+                        />
+                        <strong>${record.animal.name}</strong> <small>#${record.animal.id}</small>
+                    </label>
+                `)}
+
+                ${portraitDiffers && html`
+                    <div class="merge-label">Portrait</div>
+                    ${records.map((record, index) => renderChoice('portrait', index, getAnimalImageUrl(record.animal, 'thumb')
+                        ? html`<img class="merge-portrait" src=${getAnimalImageUrl(record.animal, 'thumb')} alt=${record.animal.name} />`
+                        : html`<span class="merge-value">(none)</span>`
+                    ))}
+                `}
+
+                ${fields.map(field => field === 'attributes' ? html`
+                    <div class="merge-label">${CHANGE_FIELD_LABELS.attributes}</div>
+                    ${records.map((record, index) => html`
+                        <label key=${index} class="merge-choice ${String(attributesPick) === String(index) ? 'selected' : ''}">
+                            <input
+                                type="radio"
+                                name="merge-attributes"
+                                checked=${String(attributesPick) === String(index)}
+                                onChange=${() => setAttributesPick(index)}
+                            />
+                            <span class="merge-value">${formatChangeValue('attributes', getValue(record, 'attributes'), rescues)}</span>
+                        </label>
+                    `)}
+                    <div></div>
+                    <label class="merge-choice merge-choice-wide ${attributesPick === 'both' ? 'selected' : ''}">
+                        <input
+                            type="radio"
+                            name="merge-attributes"
+                            checked=${attributesPick === 'both'}
+                            onChange=${() => setAttributesPick('both')}
+                        />
+                        Combine both lists (up to 16)
+                    </label>
+                ` : html`
+                    <div class="merge-label">${getChangeFieldLabel(field, rescues)}</div>
+                    ${records.map((record, index) => renderChoice(field, index, html`
+                        <span class="merge-value" title=${getValue(record, field) || ''}>${formatChangeValue(field, getValue(record, field), rescues, fosters)}</span>
+                    `))}
+                `)}
+            </div>
+            ${fields.length === 0 && !portraitDiffers && html`
+                <p class="merge-intro">The two records have the same details.</p>
+            `}
+        <//>
+    `;
+}
+
+// ============================================================
+// Events Modal
+// ============================================================
+function EventsModal({ isOpen, onClose, animals, rescues }) {
+    const [events, setEvents] = useState([]);
+    const [editingEvent, setEditingEvent] = useState(null);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (isOpen) loadEvents();
+        else setEditingEvent(null);
+    }, [isOpen]);
+
+    const loadEvents = async () => {
+        try {
+            setEvents(await db.getAllEvents());
+        } catch (err) {
+            showToast(`Error loading events: ${err.message}`, 'error');
+        }
+    };
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose}>Close</button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Adoption Events" footer=${footer} width="600px">
+            <div class="profile-list">
+                ${events.length === 0 ? html`
+                    <div class="profile-empty">No events yet. Click "Add New Event" to plan one.</div>
+                ` : events.map(event => html`
+                    <div key=${event.id} class="profile-item" style="display: flex; align-items: center;">
+                        <div class="profile-item-info" style="flex: 1;">
+                            <div class="profile-item-name">${event.name}</div>
+                            <div class="profile-item-settings">
+                                ${[formatDisplayDate(event.event_date, { weekday: true }), formatEventTime(event.start_time, event.end_time), event.location].filter(Boolean).join(' | ')}
+                                ${` | ${event.animal_count} animal${event.animal_count !== 1 ? 's' : ''}`}
+                            </div>
+                        </div>
+                        <div class="profile-item-actions">
+                            <button class="btn btn-secondary" onClick=${() => setEditingEvent(event)}>Open</button>
+                        </div>
+                    </div>
+                `)}
+            </div>
+
+            <button
+                type="button"
+                class="btn btn-primary"
+                onClick=${() => setEditingEvent({})}
+                style="width: 100%; margin-top: 15px;"
+            >
+                + Add New Event
+            </button>
+
+            <${EditEventModal}
+                isOpen=${!!editingEvent}
+                onClose=${() => setEditingEvent(null)}
+                event=${editingEvent}
+                animals=${animals}
+                rescues=${rescues}
+                onSave=${loadEvents}
+            />
+        <//>
+    `;
+}
+
+// ============================================================
+// Edit Event Modal
+// ============================================================
+function EditEventModal({ isOpen, onClose, event, animals, rescues, onSave }) {
+    const [name, setName] = useState('');
+    const [eventDate, setEventDate] = useState('');
+    const [startTime, setStartTime] = useState('');
+    const [endTime, setEndTime] = useState('');
+    const [location, setLocation] = useState('');
+    const [rescueId, setRescueId] = useState('');
+    const [notes, setNotes] = useState('');
+    const [attendingIds, setAttendingIds] = useState(new Set());
+    const [includeUnavailable, setIncludeUnavailable] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [generating, setGenerating] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setName(event?.name || '');
+        setEventDate(event?.event_date || '');
+        setStartTime(event?.start_time || '');
+        setEndTime(event?.end_time || '');
+        setLocation(event?.location || '');
+        setRescueId(event?.rescue_id ? String(event.rescue_id) : '');
+        setNotes(event?.notes || '');
+        setIncludeUnavailable(false);
+        setAttendingIds(new Set());
+        if (event?.id) {
+            db.getEventAnimals(event.id)
+                .then(attending => setAttendingIds(new Set(attending.map(a => a.id))))
+                .catch(err => showToast(`Error loading attending animals: ${err.message}`, 'error'));
+        }
+    }, [isOpen, event]);
+
+    // Available animals, plus any already attending whatever their status
+    const shownAnimals = includeUnavailable
+        ? animals
+        : animals.filter(a => isAvailable(a) || attendingIds.has(a.id));
+    const attendingAnimals = animals.filter(a => attendingIds.has(a.id));
+    const incompleteAnimals = attendingAnimals
+        .map(animal => ({ animal, missing: getMissingEventItems(animal) }))
+        .filter(entry => entry.missing.length > 0);
+
+    const toggleAttending = (id) => {
+        setAttendingIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const toggleSelectAll = () => {
+        if (shownAnimals.every(a => attendingIds.has(a.id))) {
+            setAttendingIds(new Set());
+        } else {
+            setAttendingIds(new Set(shownAnimals.map(a => a.id)));
+        }
+    };
+
+    /**
+     * Save the event and its attending animals
+     * @returns {Promise<number|null>} - Event ID, or null when the form is incomplete
+     */
+    const saveEvent = async () => {
+        if (!name.trim() || !eventDate) {
+            showToast('Please enter an event name and date', 'error');
+            return null;
+        }
+
+        const eventData = {
+            name: name.trim(),
+            event_date: eventDate,
+            start_time: startTime || null,
+            end_time: endTime || null,
+            location: location.trim() || null,
+            rescue_id: rescueId ? parseInt(rescueId, 10) : null,
+            notes: notes.trim() || null
+        };
+
+        let eventId = event?.id;
+        if (eventId) {
+            await db.updateEvent(eventId, eventData);
+        } else {
+            eventId = (await db.createEvent(eventData)).lastInsertRowid;
+        }
+        await db.setEventAnimals(eventId, [...attendingIds]);
+        return eventId;
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            if (await saveEvent() === null) return;
+            showToast(`${name.trim()} saved successfully!`);
+            onClose();
+            if (onSave) onSave();
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!event?.id) return;
+        if (!confirm(`Are you sure you want to delete "${event.name}"?\n\nThe animals are kept; only the event and its list are removed.`)) return;
+
+        try {
+            await db.deleteEvent(event.id);
+            showToast(`${event.name} deleted successfully!`);
+            onClose();
+            if (onSave) onSave();
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        }
+    };
+
+    const handleGenerate = async () => {
+        if (attendingIds.size === 0) {
+            showToast('Please pick the animals attending first', 'error');
+            return;
+        }
+
+        setGenerating(true);
+        try {
+            const eventId = await saveEvent();
+            if (eventId === null) return;
+            if (onSave) onSave();
+
+            showToast(`Generating cards and flyers for ${attendingIds.size} animal${attendingIds.size !== 1 ? 's' : ''}...`);
+            const result = await ipcRenderer.invoke('generate-event-pack', eventId);
+            if (!result.success) throw new Error(result.error);
+
+            const { files, errors, outputDir } = result.manifest;
+            if (errors.length > 0) {
+                showToast(`Generated ${files.length} file${files.length !== 1 ? 's' : ''}; ${errors.length} failed: ${errors.map(e => `${e.name} / ${e.template}`).join(', ')}`, 'warning');
+            } else {
+                showToast(`Generated ${files.length} file${files.length !== 1 ? 's' : ''} in ${path.basename(outputDir)}`, 'success');
+            }
+
+            const openResult = await ipcRenderer.invoke('open-file', outputDir);
+            if (!openResult.success) {
+                console.log('[App] Could not open event folder:', openResult.error);
+            }
+        } catch (err) {
+            showToast(`Error generating event pack: ${err.message}`, 'error');
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    const busy = saving || generating;
+
+    const footer = html`
+        ${event?.id && html`
+            <button class="btn btn-danger" onClick=${handleDelete} disabled=${busy}>Delete</button>
+        `}
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${busy}>Cancel</button>
+        <button class="btn btn-secondary" onClick=${handleGenerate} disabled=${busy || attendingIds.size === 0}>
+            ${generating ? 'Generating...' : 'Generate Everything'}
+        </button>
+        <button class="btn btn-primary" onClick=${handleSave} disabled=${busy}>
+            ${saving ? 'Saving...' : 'Save Event'}
+        </button>
+    `;
+
+    return html`
+        <${Modal}
+            isOpen=${isOpen}
+            onClose=${onClose}
+            title=${event?.id ? 'Edit Event' : 'Add Event'}
+            footer=${footer}
+            width="800px"
+        >
+            <${FormRow}>
+                <${FormGroup} label="Name *" id="eventName">
+                    <input
+                        type="text"
+                        id="eventName"
+                        placeholder="e.g., Fall Adoption Fair"
+                        value=${name}
+                        onInput=${(e) => setName(e.target.value)}
+                        required
+                    />
+                <//>
+                <${FormGroup} label="Rescue" id="eventRescue">
+                    <select id="eventRescue" value=${rescueId} onChange=${(e) => setRescueId(e.target.value)}>
+                        <option value="">None</option>
+                        ${rescues.map(rescue => html`
+                            <option key=${rescue.id} value=${String(rescue.id)}>${rescue.name}</option>
+                        `)}
+                    </select>
+                <//>
+            <//>
+
+            <${FormRow} cols=${3}>
+                <${FormGroup} label="Date *" id="eventDate">
+                    <input type="date" id="eventDate" value=${eventDate} onInput=${(e) => setEventDate(e.target.value)} />
+                <//>
+                <${FormGroup} label="Starts" id="eventStartTime">
+                    <input type="time" id="eventStartTime" value=${startTime} onInput=${(e) => setStartTime(e.target.value)} />
+                <//>
+                <${FormGroup} label="Ends" id="eventEndTime">
+                    <input type="time" id="eventEndTime" value=${endTime} onInput=${(e) => setEndTime(e.target.value)} />
+                <//>
+            <//>
+
+            <${FormGroup} label="Location" id="eventLocation">
+                <input
+                    type="text"
+                    id="eventLocation"
+                    placeholder="e.g., Riverside Park Pavilion"
+                    value=${location}
+                    onInput=${(e) => setLocation(e.target.value)}
+                />
+            <//>
+
+            <${FormGroup} label="Notes" id="eventNotes">
+                <textarea
+                    id="eventNotes"
+                    rows="2"
+                    placeholder="For coordinators only - never printed"
+                    style="resize: vertical; min-height: 50px;"
+                    value=${notes}
+                    onInput=${(e) => setNotes(e.target.value)}
+                />
+            <//>
+
+            <h3 class="event-section-title">Checklist</h3>
+            ${attendingAnimals.length === 0 ? html`
+                <div class="event-checklist-empty">Pick the attending animals below.</div>
+            ` : incompleteAnimals.length === 0 ? html`
+                <div class="event-checklist-ready">All ${attendingAnimals.length} attending animal${attendingAnimals.length !== 1 ? 's have' : ' has'} a portrait and attributes.</div>
+            ` : html`
+                <ul class="event-checklist">
+                    ${incompleteAnimals.map(({ animal, missing }) => html`
+                        <li key=${animal.id}>
+                            <strong>${animal.name}</strong> is missing ${missing.map(item => EVENT_READINESS_CHECKS[item].toLowerCase()).join(' and ')}
+                        </li>
+                    `)}
+                </ul>
+            `}
+
+            <h3 class="event-section-title">Attending Animals (${attendingIds.size})</h3>
+            <div class="select-all-container">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${shownAnimals.length > 0 && shownAnimals.every(a => attendingIds.has(a.id))}
+                        onChange=${toggleSelectAll}
+                    />
+                    Select All
+                </label>
+                <label class="checkbox-option">
+                    <input
+                        type="checkbox"
+                        checked=${includeUnavailable}
+                        onChange=${(e) => setIncludeUnavailable(e.target.checked)}
+                    />
+                    Include pending, adopted and on-hold animals
+                </label>
+            </div>
+            <div class="delete-animal-grid">
+                ${shownAnimals.map(animal => html`
+                    <div
+                        key=${animal.id}
+                        class="delete-animal-item ${attendingIds.has(animal.id) ? 'selected' : ''}"
+                        onClick=${() => toggleAttending(animal.id)}
+                    >
+                        <input
+                            type="checkbox"
+                            checked=${attendingIds.has(animal.id)}
+                            onClick=${(e) => e.stopPropagation()}
+                            onChange=${() => toggleAttending(animal.id)}
+                        />
+                        ${getAnimalImageUrl(animal)
+                            ? html`<img class="delete-animal-thumbnail" src=${getAnimalImageUrl(animal)} alt=${animal.name} />`
+                            : html`<div class="delete-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
+                        }
+                        <div class="delete-animal-name">${animal.name}</div>
+                    </div>
+                `)}
+            </div>
+        <//>
+    `;
+}
+
+// ============================================================
+// Print History Modal
+// ============================================================
+function PrintHistoryModal({ isOpen, onClose, outdatedPrints, onEditAnimal }) {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen) {
+            setEntries([]);
+            return;
+        }
+        setLoading(true);
+        db.getPrintHistory({ limit: PRINT_HISTORY_LIMIT })
+            .then(setEntries)
+            .catch(err => showToast(`Error loading print history: ${err.message}`, 'error'))
+            .finally(() => setLoading(false));
+    }, [isOpen]);
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose}>Close</button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Print History" footer=${footer} width="800px">
+            <h3 class="print-history-title">Out of Date (${outdatedPrints.length})</h3>
+            ${outdatedPrints.length === 0 ? html`
+                <div class="backup-empty">Every printed card and flyer matches its animal's current details.</div>
+            ` : html`
+                <div class="profile-list">
+                    ${outdatedPrints.map(item => html`
+                        <div key=${item.animal_id} class="profile-item" style="display: flex; align-items: center;">
+                            <div class="profile-item-info" style="flex: 1;">
+                                <div class="profile-item-name">${item.name}</div>
+                                <div class="profile-item-settings">
+                                    Changed since ${item.templates.map(t => `${t.template_name} (printed ${t.printed_at})`).join(', ')}
+                                </div>
+                            </div>
+                            <div class="profile-item-actions">
+                                <button class="btn btn-secondary" onClick=${() => onEditAnimal(item.animal_id)}>Open</button>
+                            </div>
+                        </div>
+                    `)}
+                </div>
+            `}
+
+            <h3 class="print-history-title">Recent</h3>
+            ${loading ? html`
+                <div class="loading-spinner">Loading print history</div>
+            ` : entries.length === 0 ? html`
+                <div class="backup-empty">Nothing has been printed yet.</div>
+            ` : html`
+                <table class="print-history-table">
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>Animal</th>
+                            <th>Template</th>
+                            <th>What</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => html`
+                            <tr key=${entry.id} class=${entry.outdated ? 'print-history-outdated' : ''}>
+                                <td>${entry.printed_at}</td>
+                                <td>${entry.animal_name}</td>
+                                <td>${entry.template_name}</td>
+                                <td title=${entry.output_path || ''}>
+                                    ${formatPrintEntry(entry)}
+                                    ${entry.outdated && html`<span class="print-history-badge">Out of date</span>`}
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `}
+        <//>
+    `;
+}
+
+// ============================================================
+// Compose Sheet Modal
+// ============================================================
+function ComposeSheetModal({ isOpen, onClose, animals, onGenerate, onExportPdf }) {
+    const [slotCounts, setSlotCounts] = useState({});
+    const [generating, setGenerating] = useState(false);
+    const [includeUnavailable, setIncludeUnavailable] = useState(false);
+    const showToast = useToast();
+
+    // Slot count comes from the card-front sheet layout (5x2 by default)
+    const [slotCount, setSlotCount] = useState(10);
+    useEffect(() => {
+        if (!isOpen) return;
+        db.getTemplateByName('card-front')
+            .then(template => {
+                const sheet = (template && template.config && template.config.sheet) || {};
+                setSlotCount((sheet.columns || 5) * (sheet.rows || 2));
+            })
+            .catch(() => setSlotCount(10));
+    }, [isOpen]);
+
+    useEffect(() => {
+        if (!isOpen) {
+            setSlotCounts({});
+            setIncludeUnavailable(false);
+        }
+    }, [isOpen]);
+
+    // Pending, adopted and on-hold animals are left out unless asked for
+    const shownAnimals = includeUnavailable ? animals : animals.filter(isAvailable);
+
+    const usedSlots = Object.values(slotCounts).reduce((sum, count) => sum + count, 0);
+    const remainingSlots = slotCount - usedSlots;
+
+    const changeCount = (id, delta) => {
+        setSlotCounts(prev => {
+            const current = prev[id] || 0;
+            const used = Object.values(prev).reduce((sum, count) => sum + count, 0);
+            if (delta > 0 && used >= slotCount) return prev;
+
+            const next = { ...prev };
+            if (current + delta <= 0) {
+                delete next[id];
+            } else {
+                next[id] = current + delta;
+            }
+            return next;
+        });
+    };
+
+    // Spread the remaining slots across the selected animals in turn
+    const fillRemaining = () => {
+        const ids = Object.keys(slotCounts);
+        if (ids.length === 0) return;
+        const next = { ...slotCounts };
+        for (let i = 0; i < remainingSlots; i++) {
+            next[ids[i % ids.length]] += 1;
+        }
+        setSlotCounts(next);
+    };
+
+    const handleGenerate = async (action) => {
+        // Keep grid order so the sheet reads the same way as the selection
+        const entries = shownAnimals
+            .filter(a => slotCounts[a.id])
+            .map(a => ({ animalId: a.id, count: slotCounts[a.id] }));
+
+        if (entries.length === 0) {
+            showToast('Please add at least one animal to the sheet', 'error');
+            return;
+        }
+
+        setGenerating(true);
+        try {
+            onClose();
+            await action(entries);
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${generating}>Cancel</button>
+        <button class="btn btn-secondary" onClick=${fillRemaining} disabled=${generating || usedSlots === 0 || remainingSlots === 0}>
+            Fill Remaining
+        </button>
+        <button class="btn btn-secondary" onClick=${() => handleGenerate(onExportPdf)} disabled=${generating || usedSlots === 0}>
+            Export PDF
+        </button>
+        <button class="btn btn-primary" onClick=${() => handleGenerate(onGenerate)} disabled=${generating || usedSlots === 0}>
+            ${generating ? 'Generating...' : 'Generate Sheet'}
+        </button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Compose Card Sheet" footer=${footer} width="800px">
+            <div class="select-all-container">
+                <strong>${usedSlots} of ${slotCount} slots used</strong>
+                ${remainingSlots > 0 && usedSlots > 0 && html`
+                    <span class="sheet-slots-hint">${remainingSlots} slot${remainingSlots !== 1 ? 's' : ''} will be left blank</span>
+                `}
+                <label class="checkbox-option">
+                    <input
+                        type="checkbox"
+                        checked=${includeUnavailable}
+                        onChange=${(e) => setIncludeUnavailable(e.target.checked)}
+                    />
+                    Include pending, adopted and on-hold animals
+                </label>
+            </div>
+            <div class="delete-animal-grid">
+                ${shownAnimals.map(animal => {
+                    const count = slotCounts[animal.id] || 0;
+                    return html`
+                        <div
+                            key=${animal.id}
+                            class="delete-animal-item ${count > 0 ? 'selected' : ''}"
+                            onClick=${() => changeCount(animal.id, 1)}
+                        >
+                            ${getAnimalImageUrl(animal)
+                                ? html`<img class="delete-animal-thumbnail" src=${getAnimalImageUrl(animal)} alt=${animal.name} />`
+                                : html`<div class="delete-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
+                            }
+                            <div class="delete-animal-name">${animal.name}</div>
+                            <div class="sheet-slot-controls" onClick=${(e) => e.stopPropagation()}>
+                                <button onClick=${() => changeCount(animal.id, -1)} disabled=${count === 0}>−</button>
+                                <span class="sheet-slot-count">${count}</span>
+                                <button onClick=${() => changeCount(animal.id, 1)} disabled=${remainingSlots === 0}>+</button>
+                            </div>
+                        </div>
+                    `;
+                })}
+            </div>
+        <//>
+    `;
+}
+
+// ============================================================
+// Export PDF Modal
+// ============================================================
+function ExportPdfModal({ isOpen, onClose, animals, onExport }) {
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [templates, setTemplates] = useState([]);
+    const [selectedTemplateIds, setSelectedTemplateIds] = useState(new Set());
+    const [pdfMode, setPdfMode] = useState('vector');
+    const [exporting, setExporting] = useState(false);
+    const [includeUnavailable, setIncludeUnavailable] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen) {
+            setSelectedIds(new Set());
+            setIncludeUnavailable(false);
+            return;
+        }
+        db.getAllTemplates()
+            .then(allTemplates => {
+                setTemplates(allTemplates);
+                // Default to a duplex-ready front/back pair
+                setSelectedTemplateIds(new Set(
+                    allTemplates.filter(t => t.name === 'card-front' || t.name === 'card-back').map(t => t.id)
+                ));
+            })
+            .catch(err => showToast(`Error loading templates: ${err.message}`, 'error'));
+    }, [isOpen]);
+
+    // Pending, adopted and on-hold animals are left out unless asked for
+    const shownAnimals = includeUnavailable ? animals : animals.filter(isAvailable);
+
+    const toggleIncludeUnavailable = (include) => {
+        setIncludeUnavailable(include);
+        if (!include) {
+            // Drop hidden animals from the selection
+            setSelectedIds(prev => new Set(animals.filter(a => prev.has(a.id) && isAvailable(a)).map(a => a.id)));
+        }
+    };
+
+    const toggleSelection = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const toggleSelectAll = () => {
+        if (selectedIds.size === shownAnimals.length) {
+            setSelectedIds(new Set());
+        } else {
+            setSelectedIds(new Set(shownAnimals.map(a => a.id)));
+        }
+    };
+
+    const toggleTemplate = (id) => {
+        setSelectedTemplateIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const handleExport = async () => {
+        if (selectedIds.size === 0 || selectedTemplateIds.size === 0) {
+            showToast('Please select at least one animal and one template', 'error');
+            return;
+        }
+
+        setExporting(true);
+        try {
+            onClose();
+            await onExport({
+                animalIds: shownAnimals.filter(a => selectedIds.has(a.id)).map(a => a.id),
+                // Keep the template list order (built-ins first) for every animal
+                templateIds: templates.filter(t => selectedTemplateIds.has(t.id)).map(t => t.id),
+                pdfMode
+            });
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const pageCount = selectedIds.size * selectedTemplateIds.size;
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose} disabled=${exporting}>Cancel</button>
+        <button class="btn btn-primary" onClick=${handleExport} disabled=${exporting || pageCount === 0}>
+            ${exporting ? 'Exporting...' : `Export PDF (${pageCount} page${pageCount !== 1 ? 's' : ''})`}
+        </button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Export PDF" footer=${footer} width="800px">
+            <${FormRow}>
+                <${FormGroup} label="Templates">
+                    ${templates.map(template => html`
+                        <label key=${template.id} class="checkbox-option">
+                            <input
+                                type="checkbox"
+                                checked=${selectedTemplateIds.has(template.id)}
+                                onChange=${() => toggleTemplate(template.id)}
+                            />
+                            <span>${template.name}</span>
+                        </label>
+                    `)}
+                <//>
+                <${FormGroup} label="PDF Quality" id="pdfMode">
+                    <select id="pdfMode" value=${pdfMode} onChange=${(e) => setPdfMode(e.target.value)}>
+                        <option value="vector">Vector (sharp text, smaller files)</option>
+                        <option value="raster">Image (matches PNG output exactly)</option>
+                    </select>
+                <//>
+            <//>
+            <div class="select-all-container">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked=${selectedIds.size === shownAnimals.length && shownAnimals.length > 0}
+                        onChange=${toggleSelectAll}
+                    />
+                    Select All
+                </label>
+                <label class="checkbox-option">
+                    <input
+                        type="checkbox"
+                        checked=${includeUnavailable}
+                        onChange=${(e) => toggleIncludeUnavailable(e.target.checked)}
+                    />
+                    Include pending, adopted and on-hold animals
+                </label>
+            </div>
+            <div class="delete-animal-grid">
+                ${shownAnimals.map(animal => html`
+                    <div
+                        key=${animal.id}
+                        class="delete-animal-item ${selectedIds.has(animal.id) ? 'selected' : ''}"
+                        onClick=${() => toggleSelection(animal.id)}
+                    >
+                        <input
+                            type="checkbox"
+                            checked=${selectedIds.has(animal.id)}
+                            onClick=${(e) => e.stopPropagation()}
+                            onChange=${() => toggleSelection(animal.id)}
+                        />
+                        ${getAnimalImageUrl(animal)
+                            ? html`<img class="delete-animal-thumbnail" src=${getAnimalImageUrl(animal)} alt=${animal.name} />`
+                            : html`<div class="delete-animal-no-image">${getSpeciesIcon(animal.species)}</div>`
+                        }
+                        <div class="delete-animal-name">${animal.name}</div>
+                    </div>
+                `)}
+            </div>
+        <//>
+    `;
+}
+
+// ============================================================
+// Roster Spreadsheet Modal
+// ============================================================
+
+// Result labels for the import preview
+const IMPORT_ACTION_LABELS = {
+    create: 'New',
+    update: 'Update',
+    skip: 'Already added',
+    error: 'Not imported'
+};
+
+function RosterSpreadsheetModal({ isOpen, onClose, onImported }) {
+    const [step, setStep] = useState('start');
+    const [includeAdopted, setIncludeAdopted] = useState(true);
+    const [filePath, setFilePath] = useState(null);
+    const [fileInfo, setFileInfo] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [duplicates, setDuplicates] = useState('skip');
+    const [preview, setPreview] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen) {
+            setStep('start');
+            setFilePath(null);
+            setFileInfo(null);
+            setMapping({});
+            setDuplicates('skip');
+            setPreview(null);
+            setBusy(false);
+        }
+    }, [isOpen]);
+
+    const handleExport = async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const result = await ipcRenderer.invoke('choose-roster-save-path', `foster-animals-${today}.xlsx`);
+        if (!result.success) {
+            if (!result.canceled) showToast(`Error: ${result.error}`, 'error');
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const statuses = includeAdopted ? undefined : ['available', 'pending', 'on_hold'];
+            const { count } = await db.exportRoster(result.filePath, { statuses });
+            showToast(`Exported ${count} animal${count !== 1 ? 's' : ''}`);
+        } catch (err) {
+            showToast(`Error exporting roster: ${err.message}`, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleChooseFile = async () => {
+        const result = await ipcRenderer.invoke('choose-roster-file');
+        if (!result.success) {
+            if (!result.canceled) showToast(`Error: ${result.error}`, 'error');
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const info = await db.readRosterFile(result.filePath);
+            setFilePath(result.filePath);
+            setFileInfo(info);
+            setMapping(info.mapping);
+            setStep('map');
+        } catch (err) {
+            showToast(`Error reading spreadsheet: ${err.message}`, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePreview = async () => {
+        setBusy(true);
+        try {
+            setPreview(await db.previewRosterImport(filePath, mapping, { duplicates }));
+            setStep('preview');
+        } catch (err) {
+            showToast(err.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        try {
+            const summary = await db.importRoster(filePath, mapping, { duplicates });
+            const parts = [`${summary.created} added`, `${summary.updated} updated`];
+            if (summary.skipped > 0) parts.push(`${summary.skipped} already in the roster`);
+            if (summary.failed > 0) parts.push(`${summary.failed} with errors`);
+            showToast(`Import finished: ${parts.join(', ')}`, summary.failed > 0 ? 'error' : 'success');
+            onClose();
+            onImported();
+        } catch (err) {
+            showToast(`Error importing roster: ${err.message}`, 'error');
+            setBusy(false);
+        }
+    };
+
+    const setFieldColumn = (key, value) => {
+        setMapping(prev => ({ ...prev, [key]: value === '' ? null : parseInt(value, 10) }));
+    };
+
+    const importCount = preview ? preview.counts.create + preview.counts.update : 0;
+
+    let footer;
+    if (step === 'map') {
+        footer = html`
+            <button class="btn btn-secondary" onClick=${() => setStep('start')} disabled=${busy}>Back</button>
+            <button class="btn btn-primary" onClick=${handlePreview} disabled=${busy || mapping.name == null}>
+                ${busy ? 'Checking...' : 'Preview Import'}
+            </button>
+        `;
+    } else if (step === 'preview') {
+        footer = html`
+            <button class="btn btn-secondary" onClick=${() => setStep('map')} disabled=${busy}>Back</button>
+            <button class="btn btn-primary" onClick=${handleImport} disabled=${busy || importCount === 0}>
+                ${busy ? 'Importing...' : `Import ${importCount} Animal${importCount !== 1 ? 's' : ''}`}
+            </button>
+        `;
+    } else {
+        footer = html`<button class="btn btn-secondary" onClick=${onClose}>Close</button>`;
+    }
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Import / Export Roster" footer=${footer} width="800px">
+            ${step === 'start' && html`
+                <div class="roster-spreadsheet-section">
+                    <h3>Export</h3>
+                    <p class="roster-sync-meta">
+                        Save every animal, with its rescue, to an Excel (.xlsx) or CSV file.
+                    </p>
+                    <label class="checkbox-option">
+                        <input
+                            type="checkbox"
+                            checked=${includeAdopted}
+                            onChange=${(e) => setIncludeAdopted(e.target.checked)}
+                        />
+                        Include adopted animals
+                    </label>
+                    <button class="btn btn-primary" onClick=${handleExport} disabled=${busy}>Export Roster...</button>
+                </div>
+                <div class="roster-spreadsheet-section">
+                    <h3>Import</h3>
+                    <p class="roster-sync-meta">
+                        Add animals from an Excel (.xlsx) or CSV file. The first row must name the columns.
+                        You'll match the columns to animal fields and check the result before anything is saved.
+                    </p>
+                    <button class="btn btn-primary" onClick=${handleChooseFile} disabled=${busy}>Choose Spreadsheet...</button>
+                </div>
+            `}
+            ${step === 'map' && fileInfo && html`
+                <p class="roster-sync-meta">
+                    ${path.basename(filePath)}: ${fileInfo.rowCount} row${fileInfo.rowCount !== 1 ? 's' : ''}.
+                    Choose the column for each field; fields marked * are required for new animals.
+                </p>
+                <table class="variables-table roster-mapping-table">
+                    <thead>
+                        <tr><th>Field</th><th>Column</th><th>First row</th></tr>
+                    </thead>
+                    <tbody>
+                        ${fileInfo.fields.map(field => html`
+                            <tr key=${field.key}>
+                                <td>${field.header}${field.required ? ' *' : ''}</td>
+                                <td>
+                                    <select
+                                        value=${mapping[field.key] ?? ''}
+                                        onChange=${(e) => setFieldColumn(field.key, e.target.value)}
+                                    >
+                                        <option value="">Don't import</option>
+                                        ${fileInfo.headers.map((header, index) => html`
+                                            <option key=${index} value=${index}>${header || `Column ${index + 1}`}</option>
+                                        `)}
+                                    </select>
+                                </td>
+                                <td class="variable-value">${mapping[field.key] != null ? fileInfo.sampleRows[0]?.[mapping[field.key]] || '' : ''}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+                <${FormGroup} label="Animals already in the roster (same adoption URL)" id="roster-duplicates">
+                    <select id="roster-duplicates" value=${duplicates} onChange=${(e) => setDuplicates(e.target.value)}>
+                        <option value="skip">Leave them as they are</option>
+                        <option value="update">Update them from the spreadsheet</option>
+                    </select>
+                <//>
+            `}
+            ${step === 'preview' && preview && html`
+                <p class="roster-sync-meta">
+                    ${`${preview.counts.create} new, ${preview.counts.update} to update, `
+                        + `${preview.counts.skip} already in the roster, ${preview.counts.error} with errors.`}
+                    ${preview.counts.error > 0 && ' Rows with errors are left out; fix them in the spreadsheet and import again.'}
+                </p>
+                <table class="variables-table roster-preview-table">
+                    <thead>
+                        <tr><th>Row</th><th>Name</th><th>Result</th><th>Notes</th></tr>
+                    </thead>
+                    <tbody>
+                        ${preview.rows.map(row => html`
+                            <tr key=${row.row} class="roster-preview-${row.action}">
+                                <td>${row.row}</td>
+                                <td>${row.name}</td>
+                                <td>${IMPORT_ACTION_LABELS[row.action]}</td>
+                                <td>
+                                    ${row.errors.map(error => html`<div class="roster-preview-error">${error}</div>`)}
+                                    ${row.warnings.map(warning => html`<div>${warning}</div>`)}
+                                </td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            `}
+        <//>
+    `;
+}
+
+// ============================================================
+// Print Settings Modal
+// ============================================================
+function PrintSettingsModal({ isOpen, onClose, filePath, onPrintComplete, templateConfig }) {
+    const [printers, setPrinters] = useState([]);
+    const [profiles, setProfiles] = useState([]);
+    const [selectedPrinter, setSelectedPrinter] = useState('');
+    const [selectedProfile, setSelectedProfile] = useState('');
+    const [copies, setCopies] = useState(1);
+    const [paperSize, setPaperSize] = useState('letter');
+    const [orientation, setOrientation] = useState('landscape');
+    const [paperSource, setPaperSource] = useState('default');
+    const [loading, setLoading] = useState(false);
+    const [printing, setPrinting] = useState(false);
+    const [showManageProfiles, setShowManageProfiles] = useState(false);
+    const [showSaveProfile, setShowSaveProfile] = useState(false);
+    const showToast = useToast();
+
+    // Template-driven settings (locked when template provides them)
+    const templatePaperSize = templateConfig?.paperSize || null;
+    const templateOrientation = templateConfig?.orientation || null;
+    const isTemplateLocked = !!(templatePaperSize || templateOrientation);
+
+    // Apply template settings when modal opens
+    useEffect(() => {
+        if (isOpen && templateConfig) {
+            if (templateConfig.paperSize) setPaperSize(templateConfig.paperSize);
+            if (templateConfig.orientation) setOrientation(templateConfig.orientation);
+        }
+    }, [isOpen, templateConfig]);
+
+    // Function to load printers (used on open and refresh)
+    const loadPrinters = async (selectDefault = true) => {
+        setLoading(true);
+        try {
+            const result = await ipcRenderer.invoke('get-printers');
+            if (result.success) {
+                setPrinters(result.printers);
+                if (selectDefault) {
+                    const defaultPrinter = result.printers.find(p => p.isDefault);
+                    if (defaultPrinter) {
+                        setSelectedPrinter(defaultPrinter.name);
+                    }
+                }
+            }
+        } catch (err) {
+            showToast(`Error loading printers: ${err.message}`, 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Load printers on open
+    useEffect(() => {
+        if (!isOpen) return;
+        loadPrinters(true);
+    }, [isOpen]);
+
+    // Load profiles when printer changes
+    useEffect(() => {
+        if (!selectedPrinter) {
+            setProfiles([]);
+            return;
+        }
+        (async () => {
+            try {
+                const printerProfiles = await db.getPrintProfilesByPrinter(selectedPrinter);
+                setProfiles(printerProfiles);
+                const defaultProfile = printerProfiles.find(p => p.is_default);
+                if (defaultProfile) {
+                    setSelectedProfile(defaultProfile.id.toString());
+                    applyProfile(defaultProfile);
+                }
+            } catch (err) {
+                console.error('Error loading profiles:', err);
+            }
+        })();
+    }, [selectedPrinter]);
+
+    const applyProfile = (profile) => {
+        if (!profile) return;
+        setCopies(profile.copies || 1);
+        setPaperSize(profile.paper_size || 'letter');
+        setOrientation(profile.orientation || 'landscape');
+        setPaperSource(profile.paper_source || 'default');
+    };
+
+    const handleProfileChange = (profileId) => {
+        setSelectedProfile(profileId);
+        const profile = profiles.find(p => p.id.toString() === profileId);
+        if (profile) applyProfile(profile);
+    };
+
+    const handlePrint = async () => {
+        if (!selectedPrinter) {
+            showToast('Please select a printer', 'error');
+            return;
+        }
+
+        setPrinting(true);
+        try {
+            const profile = profiles.find(p => p.id.toString() === selectedProfile);
+            const printOptions = {
+                showDialog: false,
+                printer: selectedPrinter,
+                copies,
+                paperSize,
+                orientation,
+                paperSource,
+                calibration_ab: profile?.calibration_ab || null,
+                calibration_bc: profile?.calibration_bc || null,
+                calibration_cd: profile?.calibration_cd || null,
+                calibration_da: profile?.calibration_da || null,
+                border_top: profile?.border_top || null,
+                border_right: profile?.border_right || null,
+                border_bottom: profile?.border_bottom || null,
+                border_left: profile?.border_left || null,
                 // Pass template page dimensions for correct sizing
                 pageWidthInches: templateConfig?.pageWidthInches,
                 pageHeightInches: templateConfig?.pageHeightInches
@@ -1966,7 +4341,7 @@ function PrintSettingsModal({ isOpen, onClose, filePath, onPrintComplete, templa
             if (result.success) {
                 showToast('Sent to printer!', 'success');
                 onClose();
-                if (onPrintComplete) onPrintComplete(true);
+                if (onPrintComplete) onPrintComplete(true, { printer: selectedPrinter, profile: profile?.name || null, copies });
             } else {
                 showToast(`Print error: ${result.error}`, 'error');
             }
@@ -2160,9 +4535,9 @@ function PrintSettingsModal({ isOpen, onClose, filePath, onPrintComplete, templa
                 onSave=${() => {
                     // Reload profiles
                     if (selectedPrinter) {
-                        ipcRenderer.invoke('get-print-profiles', selectedPrinter).then(result => {
-                            if (result.success) setProfiles(result.profiles);
-                        });
+                        db.getPrintProfilesByPrinter(selectedPrinter)
+                            .then(setProfiles)
+                            .catch(err => console.error('Error loading profiles:', err));
                     }
                 }}
             />
@@ -2198,8 +4573,7 @@ function ManageProfilesModal({ isOpen, onClose, printers, selectedPrinter: initi
         if (!selectedPrinter) return;
         setLoading(true);
         try {
-            const result = await ipcRenderer.invoke('get-print-profiles', selectedPrinter);
-            if (result.success) setProfiles(result.profiles);
+            setProfiles(await db.getPrintProfilesByPrinter(selectedPrinter));
         } catch (err) {
             console.error('Error loading profiles:', err);
         } finally {
@@ -2209,13 +4583,9 @@ function ManageProfilesModal({ isOpen, onClose, printers, selectedPrinter: initi
 
     const handleSetDefault = async (profileId) => {
         try {
-            const result = await ipcRenderer.invoke('set-default-print-profile', profileId);
-            if (result.success) {
-                showToast('Default profile updated!', 'success');
-                loadProfiles();
-            } else {
-                showToast(`Error: ${result.error}`, 'error');
-            }
+            await db.setDefaultPrintProfile(profileId);
+            showToast('Default profile updated!', 'success');
+            loadProfiles();
         } catch (err) {
             showToast(`Error: ${err.message}`, 'error');
         }
@@ -2224,13 +4594,9 @@ function ManageProfilesModal({ isOpen, onClose, printers, selectedPrinter: initi
     const handleDelete = async (profileId) => {
         if (!confirm('Are you sure you want to delete this profile?')) return;
         try {
-            const result = await ipcRenderer.invoke('delete-print-profile', profileId);
-            if (result.success) {
-                showToast('Profile deleted!', 'success');
-                loadProfiles();
-            } else {
-                showToast(`Error: ${result.error}`, 'error');
-            }
+            await db.deletePrintProfile(profileId);
+            showToast('Profile deleted!', 'success');
+            loadProfiles();
         } catch (err) {
             showToast(`Error: ${err.message}`, 'error');
         }
@@ -2241,18 +4607,14 @@ function ManageProfilesModal({ isOpen, onClose, printers, selectedPrinter: initi
         if (!profile) return;
 
         try {
-            const result = await ipcRenderer.invoke('save-print-profile', {
+            await savePrintProfile({
                 ...profile,
                 id: null,
                 name: `${profile.name} (Copy)`,
                 is_default: false
             });
-            if (result.success) {
-                showToast('Profile copied!', 'success');
-                loadProfiles();
-            } else {
-                showToast(`Error: ${result.error}`, 'error');
-            }
+            showToast('Profile copied!', 'success');
+            loadProfiles();
         } catch (err) {
             showToast(`Error: ${err.message}`, 'error');
         }
@@ -2437,14 +4799,10 @@ function SaveProfileModal({ isOpen, onClose, printerName, profile, currentSettin
                 border_left: borderLeft ? parseFloat(borderLeft) : null
             };
 
-            const result = await ipcRenderer.invoke('save-print-profile', profileData);
-            if (result.success) {
-                showToast(profile?.id ? 'Profile updated!' : 'Profile saved!', 'success');
-                onClose();
-                if (onSave) onSave();
-            } else {
-                showToast(`Error: ${result.error}`, 'error');
-            }
+            await savePrintProfile(profileData);
+            showToast(profile?.id ? 'Profile updated!' : 'Profile saved!', 'success');
+            onClose();
+            if (onSave) onSave();
         } catch (err) {
             showToast(`Error: ${err.message}`, 'error');
         } finally {
@@ -2750,13 +5108,14 @@ function SaveProfileModal({ isOpen, onClose, printerName, profile, currentSettin
 function ManageRescuesModal({ isOpen, onClose, onUpdate }) {
     const [rescues, setRescues] = useState([]);
     const [editingRescue, setEditingRescue] = useState(null);
+    const scrapers = useScrapers();
 
     useEffect(() => {
         if (isOpen) loadRescues();
     }, [isOpen]);
 
-    const loadRescues = () => {
-        setRescues(db.getAllRescues());
+    const loadRescues = async () => {
+        setRescues(await db.getAllRescues());
     };
 
     const footer = html`
@@ -2770,10 +5129,8 @@ function ManageRescuesModal({ isOpen, onClose, onUpdate }) {
                     <div class="profile-empty">No rescue organizations found. Click "Add New Rescue" to create one.</div>
                 ` : rescues.map(rescue => {
                     let logoHtml = null;
-                    if (rescue.logo_data) {
-                        const mimeType = rescue.logo_mime || 'image/png';
-                        const base64 = Buffer.from(rescue.logo_data).toString('base64');
-                        logoHtml = html`<img src="data:${mimeType};base64,${base64}" style="width: 40px; height: 40px; object-fit: contain; margin-right: 12px; border-radius: 4px; background: #f5f5f5;" />`;
+                    if (rescue.logo_url) {
+                        logoHtml = html`<img src=${rescue.logo_url} style="width: 40px; height: 40px; object-fit: contain; margin-right: 12px; border-radius: 4px; background: #f5f5f5;" />`;
                     } else {
                         logoHtml = html`<div style="width: 40px; height: 40px; background: #f0f0f0; border-radius: 4px; margin-right: 12px; display: flex; align-items: center; justify-content: center; color: #999; font-size: 0.8rem;">Logo</div>`;
                     }
@@ -2785,7 +5142,7 @@ function ManageRescuesModal({ isOpen, onClose, onUpdate }) {
                                 <div class="profile-item-name">${rescue.name}</div>
                                 <div class="profile-item-settings">
                                     ${rescue.website || 'No website'}
-                                    ${rescue.scraper_type ? ` | Scraper: ${rescue.scraper_type}` : ''}
+                                    ${rescue.scraper_type ? ` | Scraper: ${getScraperLabel(scrapers, rescue.scraper_type)}` : ''}
                                 </div>
                             </div>
                             <div class="profile-item-actions">
@@ -2797,21 +5154,208 @@ function ManageRescuesModal({ isOpen, onClose, onUpdate }) {
             </div>
 
             <button
-                type="button"
-                class="btn btn-primary"
-                onClick=${() => setEditingRescue({})}
-                style="width: 100%; margin-top: 15px;"
+                type="button"
+                class="btn btn-primary"
+                onClick=${() => setEditingRescue({})}
+                style="width: 100%; margin-top: 15px;"
+            >
+                + Add New Rescue
+            </button>
+
+            <${EditRescueModal}
+                isOpen=${!!editingRescue}
+                onClose=${() => setEditingRescue(null)}
+                rescue=${editingRescue}
+                onSave=${() => { loadRescues(); if (onUpdate) onUpdate(); }}
+            />
+        <//>
+    `;
+}
+
+// ============================================================
+// Selector Profile Editor
+// ============================================================
+
+// Animal fields a selector profile maps
+const PROFILE_FIELD_LABELS = {
+    name: 'Name',
+    breed: 'Breed',
+    age: 'Age',
+    sex: 'Sex',
+    size: 'Size',
+    bio: 'Bio'
+};
+
+function SelectorProfileEditor({ profile, onChange }) {
+    const setValue = (key, value) => onChange({ ...profile, [key]: value });
+
+    const setField = (field, key, value) => {
+        const fields = profile.fields || {};
+        onChange({
+            ...profile,
+            fields: { ...fields, [field]: { ...fields[field], [key]: value } }
+        });
+    };
+
+    return html`
+        <div class="selector-profile">
+            <p class="selector-profile-hint">
+                CSS selectors for each field. End a selector with <code>@attribute</code> to read an
+                attribute (e.g. <code>img.main@src</code>). The optional regex picks text out of the
+                match (capture group 1 when present). Empty fields fall back to the page's schema.org data.
+            </p>
+
+            <${FormGroup} label="List Page URL" id="profileListUrl">
+                <input
+                    type="text"
+                    id="profileListUrl"
+                    placeholder="https://example.org/adopt ({orgId} is replaced with the Organization ID)"
+                    value=${profile.listUrl || ''}
+                    onInput=${(e) => setValue('listUrl', e.target.value)}
+                />
+            <//>
+
+            <${FormRow}>
+                <${FormGroup} label="Animal Link Selector" id="profileListLink">
+                    <input
+                        type="text"
+                        id="profileListLink"
+                        placeholder="e.g., .pet-card a"
+                        value=${profile.listLinkSelector || ''}
+                        onInput=${(e) => setValue('listLinkSelector', e.target.value)}
+                    />
+                <//>
+                <${FormGroup} label="Name Within Link" id="profileListName">
+                    <input
+                        type="text"
+                        id="profileListName"
+                        placeholder="Optional, e.g., .pet-name"
+                        value=${profile.listNameSelector || ''}
+                        onInput=${(e) => setValue('listNameSelector', e.target.value)}
+                    />
+                <//>
+            <//>
+
+            ${Object.entries(PROFILE_FIELD_LABELS).map(([field, label]) => html`
+                <${FormRow} key=${field}>
+                    <${FormGroup} label="${label} Selector" id="profile-${field}-selector">
+                        <input
+                            type="text"
+                            id="profile-${field}-selector"
+                            value=${profile.fields?.[field]?.selector || ''}
+                            onInput=${(e) => setField(field, 'selector', e.target.value)}
+                        />
+                    <//>
+                    <${FormGroup} label="${label} Regex" id="profile-${field}-regex">
+                        <input
+                            type="text"
+                            id="profile-${field}-regex"
+                            placeholder="Optional"
+                            value=${profile.fields?.[field]?.regex || ''}
+                            onInput=${(e) => setField(field, 'regex', e.target.value)}
+                        />
+                    <//>
+                <//>
+            `)}
+
+            <${FormGroup} label="Photos Selector" id="profilePhotos">
+                <input
+                    type="text"
+                    id="profilePhotos"
+                    placeholder="e.g., .gallery img@src"
+                    value=${profile.photoSelector || ''}
+                    onInput=${(e) => setValue('photoSelector', e.target.value)}
+                />
+            <//>
+        </div>
+    `;
+}
+
+// ============================================================
+// Custom Fields Editor
+// ============================================================
+function CustomFieldsEditor({ fields, onChange }) {
+    const setField = (index, key, value) => {
+        onChange(fields.map((field, i) => i === index ? { ...field, [key]: value } : field));
+    };
+
+    const handleRemove = (index) => {
+        const field = fields[index];
+        if (field.key && !confirm(`Remove "${field.name}"?\n\nAnimals keep their values, and get them back if a field with the same name is added again.`)) return;
+        onChange(fields.filter((_, i) => i !== index));
+    };
+
+    // Saved fields keep their key; new ones get one from their name when saved
+    const getKey = (field, index) => field.key || makeCustomFieldKey(
+        field.name,
+        fields.filter((_, i) => i !== index).map(f => f.key).filter(Boolean)
+    );
+
+    return html`
+        <div class="selector-profile">
+            <h4 class="custom-fields-title">Custom Fields</h4>
+            <p class="selector-profile-hint">
+                Extra facts for this rescue's animals, such as a foster home or sponsor. They're filled
+                in on the animal form and available to templates as <code>{{custom.field_name}}</code>.
+            </p>
+
+            ${fields.map((field, index) => html`
+                <div class="custom-field" key=${field.key || `new-${index}`}>
+                    <${FormRow} cols=${3}>
+                        <${FormGroup} label="Name" id="customField-${index}-name">
+                            <input
+                                type="text"
+                                id="customField-${index}-name"
+                                placeholder="e.g., Foster home"
+                                value=${field.name || ''}
+                                onInput=${(e) => setField(index, 'name', e.target.value)}
+                            />
+                        <//>
+                        <${FormGroup} label="Type" id="customField-${index}-type">
+                            <select
+                                id="customField-${index}-type"
+                                value=${field.type || 'text'}
+                                onChange=${(e) => setField(index, 'type', e.target.value)}
+                            >
+                                ${Object.entries(CUSTOM_FIELD_TYPES).map(([type, label]) => html`
+                                    <option key=${type} value=${type}>${label}</option>
+                                `)}
+                            </select>
+                        <//>
+                        <${FormGroup} label="Default" id="customField-${index}-default">
+                            <${CustomFieldInput}
+                                field=${field}
+                                id="customField-${index}-default"
+                                value=${field.default || ''}
+                                onInput=${(e) => setField(index, 'default', e.target.value)}
+                            />
+                        <//>
+                    <//>
+                    ${field.type === 'select' && html`
+                        <${FormGroup} label="Choices (comma-separated)" id="customField-${index}-options">
+                            <input
+                                type="text"
+                                id="customField-${index}-options"
+                                placeholder="e.g., Waterbury, Hartford, New Haven"
+                                value=${Array.isArray(field.options) ? field.options.join(', ') : (field.options || '')}
+                                onInput=${(e) => setField(index, 'options', e.target.value)}
+                            />
+                        <//>
+                    `}
+                    <div class="custom-field-footer">
+                        <code>{{custom.${getKey(field, index)}}}</code>
+                        <button class="btn btn-danger btn-sm" onClick=${() => handleRemove(index)}>Remove</button>
+                    </div>
+                </div>
+            `)}
+
+            <button
+                class="btn btn-secondary btn-sm"
+                onClick=${() => onChange([...fields, { name: '', type: 'text', default: '' }])}
             >
-                + Add New Rescue
+                + Add Field
             </button>
-
-            <${EditRescueModal}
-                isOpen=${!!editingRescue}
-                onClose=${() => setEditingRescue(null)}
-                rescue=${editingRescue}
-                onSave=${() => { loadRescues(); if (onUpdate) onUpdate(); }}
-            />
-        <//>
+        </div>
     `;
 }
 
@@ -2823,6 +5367,9 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
     const [website, setWebsite] = useState('');
     const [orgId, setOrgId] = useState('');
     const [scraperType, setScraperType] = useState('');
+    const [scraperProfile, setScraperProfile] = useState({});
+    const [customFields, setCustomFields] = useState([]);
+    const scrapers = useScrapers();
     const [logoData, setLogoData] = useState(null);
     const [logoPreview, setLogoPreview] = useState(null);
     const [saving, setSaving] = useState(false);
@@ -2835,19 +5382,17 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
             setWebsite(rescue.website || '');
             setOrgId(rescue.org_id || '');
             setScraperType(rescue.scraper_type || '');
+            setScraperProfile(rescue.scraper_config || {});
+            setCustomFields(rescue.custom_fields || []);
             setLogoData(null);
-            if (rescue.logo_data) {
-                const mimeType = rescue.logo_mime || 'image/png';
-                const base64 = Buffer.from(rescue.logo_data).toString('base64');
-                setLogoPreview(`data:${mimeType};base64,${base64}`);
-            } else {
-                setLogoPreview(null);
-            }
+            setLogoPreview(rescue.logo_url || null);
         } else {
             setName('');
             setWebsite('');
             setOrgId('');
             setScraperType('');
+            setScraperProfile({});
+            setCustomFields([]);
             setLogoData(null);
             setLogoPreview(null);
         }
@@ -2864,22 +5409,46 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
             return;
         }
 
+        // Catch regex typos here rather than on the next scrape
+        if (scraperType === 'profile') {
+            for (const [field, label] of Object.entries(PROFILE_FIELD_LABELS)) {
+                const regex = scraperProfile.fields?.[field]?.regex;
+                if (!regex) continue;
+                try {
+                    new RegExp(regex);
+                } catch (err) {
+                    showToast(`Invalid ${label} regex: ${err.message}`, 'error');
+                    return;
+                }
+            }
+        }
+
+        let normalizedFields;
+        try {
+            normalizedFields = normalizeCustomFields(customFields);
+        } catch (err) {
+            showToast(err.message, 'error');
+            return;
+        }
+
         setSaving(true);
         try {
             const rescueData = {
                 name: name.trim(),
                 website: website || null,
                 org_id: orgId || null,
-                scraper_type: scraperType || null
+                scraper_type: scraperType || null,
+                scraper_config: scraperType === 'profile' ? scraperProfile : null,
+                custom_fields: normalizedFields
             };
 
             const logoToSave = logoData ? { hex: logoData.hex, mime: logoData.mime, path: logoData.path } : null;
 
             if (rescue?.id) {
-                db.updateRescue(rescue.id, rescueData, logoToSave);
+                await db.updateRescue(rescue.id, rescueData, logoToSave);
                 showToast(`${name} updated successfully!`);
             } else {
-                db.createRescue(rescueData, logoToSave);
+                await db.createRescue(rescueData, logoToSave);
                 showToast(`${name} created successfully!`);
             }
 
@@ -2892,12 +5461,12 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
         }
     };
 
-    const handleDelete = () => {
+    const handleDelete = async () => {
         if (!rescue?.id) return;
         if (!confirm(`Are you sure you want to delete "${rescue.name}"?\n\nThis cannot be undone.`)) return;
 
         try {
-            db.deleteRescue(rescue.id);
+            await db.deleteRescue(rescue.id);
             showToast(`${rescue.name} deleted successfully!`);
             onClose();
             if (onSave) onSave();
@@ -2968,11 +5537,230 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
                         onChange=${(e) => setScraperType(e.target.value)}
                     >
                         <option value="">None</option>
-                        <option value="wagtopia">Wagtopia</option>
-                        <option value="adoptapet">Adoptapet</option>
+                        ${scrapers.map(scraper => html`
+                            <option key=${scraper.id} value=${scraper.id}>${scraper.label}</option>
+                        `)}
+                        ${scraperType && !scrapers.some(s => s.id === scraperType) && html`
+                            <option value=${scraperType}>${scraperType} (not installed)</option>
+                        `}
                     </select>
                 <//>
             <//>
+
+            ${scraperType === 'profile' && html`
+                <${SelectorProfileEditor}
+                    profile=${scraperProfile}
+                    onChange=${setScraperProfile}
+                />
+            `}
+
+            <${CustomFieldsEditor}
+                fields=${customFields}
+                onChange=${setCustomFields}
+            />
+        <//>
+    `;
+}
+
+// ============================================================
+// Manage Fosters Modal
+// ============================================================
+function ManageFostersModal({ isOpen, onClose, onUpdate }) {
+    const [fosters, setFosters] = useState([]);
+    const [editingFoster, setEditingFoster] = useState(null);
+
+    useEffect(() => {
+        if (isOpen) loadFosters();
+    }, [isOpen]);
+
+    const loadFosters = async () => {
+        setFosters(await db.getAllFosters());
+    };
+
+    const footer = html`
+        <button class="btn btn-secondary" onClick=${onClose}>Close</button>
+    `;
+
+    return html`
+        <${Modal} isOpen=${isOpen} onClose=${onClose} title="Manage Fosters" footer=${footer} width="600px">
+            <div class="profile-list">
+                ${fosters.length === 0 ? html`
+                    <div class="profile-empty">No fosters yet. Click "Add New Foster" to add one.</div>
+                ` : fosters.map(foster => html`
+                    <div key=${foster.id} class="profile-item ${foster.active ? '' : 'foster-inactive'}" style="display: flex; align-items: center;">
+                        <div class="profile-item-info" style="flex: 1;">
+                            <div class="profile-item-name">
+                                ${foster.name}
+                                ${!foster.active && html`<span class="foster-inactive-badge">Inactive</span>`}
+                            </div>
+                            <div class="profile-item-settings">
+                                ${[foster.phone, foster.email].filter(Boolean).join(' | ') || 'No contact details'}
+                                ${` | ${foster.animal_count} animal${foster.animal_count !== 1 ? 's' : ''}`}
+                            </div>
+                        </div>
+                        <div class="profile-item-actions">
+                            <button class="btn btn-secondary" onClick=${() => setEditingFoster(foster)}>Edit</button>
+                        </div>
+                    </div>
+                `)}
+            </div>
+
+            <button
+                type="button"
+                class="btn btn-primary"
+                onClick=${() => setEditingFoster({})}
+                style="width: 100%; margin-top: 15px;"
+            >
+                + Add New Foster
+            </button>
+
+            <${EditFosterModal}
+                isOpen=${!!editingFoster}
+                onClose=${() => setEditingFoster(null)}
+                foster=${editingFoster}
+                onSave=${() => { loadFosters(); if (onUpdate) onUpdate(); }}
+            />
+        <//>
+    `;
+}
+
+// ============================================================
+// Edit Foster Modal
+// ============================================================
+function EditFosterModal({ isOpen, onClose, foster, onSave }) {
+    const [name, setName] = useState('');
+    const [phone, setPhone] = useState('');
+    const [email, setEmail] = useState('');
+    const [notes, setNotes] = useState('');
+    const [active, setActive] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const showToast = useToast();
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setName(foster?.name || '');
+        setPhone(foster?.phone || '');
+        setEmail(foster?.email || '');
+        setNotes(foster?.notes || '');
+        setActive(foster?.id ? !!foster.active : true);
+    }, [isOpen, foster]);
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            showToast('Please enter a foster name', 'error');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const fosterData = {
+                name: name.trim(),
+                phone: phone.trim() || null,
+                email: email.trim() || null,
+                notes: notes.trim() || null,
+                active
+            };
+
+            if (foster?.id) {
+                await db.updateFoster(foster.id, fosterData);
+                showToast(`${fosterData.name} updated successfully!`);
+            } else {
+                await db.createFoster(fosterData);
+                showToast(`${fosterData.name} added successfully!`);
+            }
+
+            onClose();
+            if (onSave) onSave();
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!foster?.id) return;
+        if (!confirm(`Are you sure you want to delete "${foster.name}"?\n\nThis cannot be undone.`)) return;
+
+        try {
+            await db.deleteFoster(foster.id);
+            showToast(`${foster.name} deleted successfully!`);
+            onClose();
+            if (onSave) onSave();
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        }
+    };
+
+    const footer = html`
+        ${foster?.id && html`
+            <button class="btn btn-danger" onClick=${handleDelete}>Delete</button>
+        `}
+        <button class="btn btn-secondary" onClick=${onClose}>Cancel</button>
+        <button class="btn btn-primary" onClick=${handleSave} disabled=${saving}>
+            ${saving ? 'Saving...' : 'Save Foster'}
+        </button>
+    `;
+
+    return html`
+        <${Modal}
+            isOpen=${isOpen}
+            onClose=${onClose}
+            title=${foster?.id ? 'Edit Foster' : 'Add Foster'}
+            footer=${footer}
+            width="500px"
+        >
+            <${FormGroup} label="Name *" id="fosterName">
+                <input
+                    type="text"
+                    id="fosterName"
+                    placeholder="e.g., Jamie Rivera"
+                    value=${name}
+                    onInput=${(e) => setName(e.target.value)}
+                    required
+                />
+            <//>
+
+            <${FormRow}>
+                <${FormGroup} label="Phone" id="fosterPhone">
+                    <input
+                        type="tel"
+                        id="fosterPhone"
+                        placeholder="e.g., (555) 123-4567"
+                        value=${phone}
+                        onInput=${(e) => setPhone(e.target.value)}
+                    />
+                <//>
+                <${FormGroup} label="Email" id="fosterEmail">
+                    <input
+                        type="email"
+                        id="fosterEmail"
+                        placeholder="e.g., jamie@example.com"
+                        value=${email}
+                        onInput=${(e) => setEmail(e.target.value)}
+                    />
+                <//>
+            <//>
+
+            <${FormGroup} label="Notes" id="fosterNotes">
+                <textarea
+                    id="fosterNotes"
+                    rows="3"
+                    placeholder="For coordinators only - never printed"
+                    style="resize: vertical; min-height: 60px;"
+                    value=${notes}
+                    onInput=${(e) => setNotes(e.target.value)}
+                />
+            <//>
+
+            <label class="checkbox-option">
+                <input
+                    type="checkbox"
+                    checked=${active}
+                    onChange=${(e) => setActive(e.target.checked)}
+                />
+                Active (can be picked for animals)
+            </label>
         <//>
     `;
 }
@@ -2983,13 +5771,18 @@ function EditRescueModal({ isOpen, onClose, rescue, onSave }) {
 function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate }) {
     const [openaiKey, setOpenaiKey] = useState('');
     const [openaiKeyVisible, setOpenaiKeyVisible] = useState(false);
+    const [syncOnStartup, setSyncOnStartup] = useState(false);
     const [saving, setSaving] = useState(false);
+    const [autoBackups, setAutoBackups] = useState([]);
+    const [backupBusy, setBackupBusy] = useState(false);
     const showToast = useToast();
 
     // Sub-modal states
     const [showManageProfiles, setShowManageProfiles] = useState(false);
     const [showManageRescues, setShowManageRescues] = useState(false);
+    const [showManageFosters, setShowManageFosters] = useState(false);
     const [showManageTemplates, setShowManageTemplates] = useState(false);
+    const [showTrash, setShowTrash] = useState(false);
 
     useEffect(() => {
         if (isOpen) {
@@ -2997,19 +5790,70 @@ function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate })
         }
     }, [isOpen]);
 
-    const loadSettings = () => {
+    const loadSettings = async () => {
         try {
-            const key = db.getSetting('openai_api_key');
+            const key = await db.getSetting('openai_api_key');
             setOpenaiKey(key || '');
+            setSyncOnStartup(await db.getSetting('roster_sync_on_startup') === '1');
+            setAutoBackups(await db.listAutoBackups());
         } catch (err) {
             console.error('[Settings] Error loading settings:', err);
         }
     };
 
+    const handleBackupNow = async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const result = await ipcRenderer.invoke('choose-backup-save-path', `foster-cards-backup-${today}.fcgbackup`);
+        if (!result.success) {
+            if (!result.canceled) showToast(`Error: ${result.error}`, 'error');
+            return;
+        }
+
+        setBackupBusy(true);
+        try {
+            const manifest = await db.createBackup(result.filePath);
+            showToast(`Backup saved (${manifest.counts.animals ?? 0} animals)`);
+        } catch (err) {
+            showToast(`Error creating backup: ${err.message}`, 'error');
+        } finally {
+            setBackupBusy(false);
+        }
+    };
+
+    const restoreFrom = async (archivePath) => {
+        if (!confirm('Restore this backup? Everything in the app will be replaced with the backup\'s contents. A backup of the current data is made first.')) {
+            return;
+        }
+
+        setBackupBusy(true);
+        try {
+            const { manifest, appliedMigrations } = await db.restoreBackup(archivePath);
+            console.log(`[Settings] Restored backup from ${manifest.createdAt}, applied ${appliedMigrations.length} migration(s)`);
+            window.location.reload();
+        } catch (err) {
+            showToast(`Error restoring backup: ${err.message}`, 'error');
+            setBackupBusy(false);
+        }
+    };
+
+    const handleRestoreFromFile = async () => {
+        const result = await ipcRenderer.invoke('choose-backup-file');
+        if (!result.success) {
+            if (!result.canceled) showToast(`Error: ${result.error}`, 'error');
+            return;
+        }
+        await restoreFrom(result.filePath);
+    };
+
+    const handleOpenBackupsFolder = async () => {
+        const result = await ipcRenderer.invoke('open-file', getBackupsDir());
+        if (!result.success) showToast(`Error: ${result.error}`, 'error');
+    };
+
     const handleSaveApiKey = async () => {
         setSaving(true);
         try {
-            db.setSetting('openai_api_key', openaiKey);
+            await db.setSetting('openai_api_key', openaiKey);
             showToast('API key saved successfully!');
         } catch (err) {
             showToast(`Error saving API key: ${err.message}`, 'error');
@@ -3018,6 +5862,15 @@ function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate })
         }
     };
 
+    const handleSyncOnStartupChange = async (enabled) => {
+        try {
+            await db.setSetting('roster_sync_on_startup', enabled ? '1' : '0');
+            setSyncOnStartup(enabled);
+        } catch (err) {
+            showToast(`Error saving setting: ${err.message}`, 'error');
+        }
+    };
+
     const footer = html`
         <button class="btn btn-secondary" onClick=${onClose}>Close</button>
     `;
@@ -3036,6 +5889,17 @@ function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate })
                     </div>
                 </div>
 
+                <div class="settings-list-item" onClick=${() => setShowManageFosters(true)}>
+                    <div class="settings-list-item-header">
+                        <span class="settings-list-item-icon">🤝</span>
+                        <span class="settings-list-item-text">
+                            <strong>Fosters</strong>
+                            <small>Foster contacts and who is fostering which animals</small>
+                        </span>
+                        <span class="settings-list-item-arrow">›</span>
+                    </div>
+                </div>
+
                 <div class="settings-list-item" onClick=${() => setShowManageProfiles(true)}>
                     <div class="settings-list-item-header">
                         <span class="settings-list-item-icon">🖨️</span>
@@ -3058,6 +5922,76 @@ function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate })
                     </div>
                 </div>
 
+                <div class="settings-list-item" onClick=${() => setShowTrash(true)}>
+                    <div class="settings-list-item-header">
+                        <span class="settings-list-item-icon">🗑️</span>
+                        <span class="settings-list-item-text">
+                            <strong>Trash</strong>
+                            <small>Restore or permanently delete deleted animals</small>
+                        </span>
+                        <span class="settings-list-item-arrow">›</span>
+                    </div>
+                </div>
+
+                <div class="settings-list-item settings-list-item-expandable">
+                    <div class="settings-list-item-header">
+                        <span class="settings-list-item-icon">🔄</span>
+                        <span class="settings-list-item-text">
+                            <strong>Roster Sync</strong>
+                            <small>Check rescue listings for new and adopted animals</small>
+                        </span>
+                    </div>
+                    <div class="settings-list-item-content">
+                        <label class="checkbox-option">
+                            <input
+                                type="checkbox"
+                                checked=${syncOnStartup}
+                                onChange=${(e) => handleSyncOnStartupChange(e.target.checked)}
+                            />
+                            Sync rosters when the app starts
+                        </label>
+                    </div>
+                </div>
+
+                <div class="settings-list-item settings-list-item-expandable">
+                    <div class="settings-list-item-header">
+                        <span class="settings-list-item-icon">💾</span>
+                        <span class="settings-list-item-text">
+                            <strong>Backup & Restore</strong>
+                            <small>Save or restore all animals, rescues, templates and images</small>
+                        </span>
+                    </div>
+                    <div class="settings-list-item-content">
+                        <div class="backup-actions">
+                            <button class="btn btn-primary btn-sm" onClick=${handleBackupNow} disabled=${backupBusy}>
+                                Back Up Now...
+                            </button>
+                            <button class="btn btn-secondary btn-sm" onClick=${handleRestoreFromFile} disabled=${backupBusy}>
+                                Restore from Backup...
+                            </button>
+                            <button class="btn btn-secondary btn-sm" onClick=${handleOpenBackupsFolder}>
+                                Open Backups Folder
+                            </button>
+                        </div>
+                        <div class="backup-list">
+                            <div class="backup-list-title">Automatic backups</div>
+                            ${autoBackups.length === 0 ? html`
+                                <div class="backup-empty">None yet. One is made before upgrades, restores and permanent deletes.</div>
+                            ` : autoBackups.map(b => html`
+                                <div key=${b.path} class="backup-item">
+                                    <span class="backup-item-info">
+                                        ${new Date(b.createdAt).toLocaleString()}
+                                        <small>${b.reason.replace(/-/g, ' ')} · ${(b.size / 1024 / 1024).toFixed(1)} MB</small>
+                                    </span>
+                                    <button class="btn btn-secondary btn-sm" onClick=${() => restoreFrom(b.path)} disabled=${backupBusy}>
+                                        Restore
+                                    </button>
+                                </div>
+                            `)}
+                        </div>
+                    </div>
+                </div>
+
                 <div class="settings-list-item settings-list-item-expandable">
                     <div class="settings-list-item-header">
                         <span class="settings-list-item-icon">🤖</span>
@@ -3106,10 +6040,22 @@ function SettingsModal({ isOpen, onClose, printers, onUpdate, onEditTemplate })
                 selectedPrinter=${printers.find(p => p.isDefault)?.name || ''}
             />
 
-            <${ManageRescuesModal}
-                isOpen=${showManageRescues}
-                onClose=${() => setShowManageRescues(false)}
-                onUpdate=${onUpdate}
+            <${ManageRescuesModal}
+                isOpen=${showManageRescues}
+                onClose=${() => setShowManageRescues(false)}
+                onUpdate=${onUpdate}
+            />
+
+            <${ManageFostersModal}
+                isOpen=${showManageFosters}
+                onClose=${() => setShowManageFosters(false)}
+                onUpdate=${onUpdate}
+            />
+
+            <${TrashModal}
+                isOpen=${showTrash}
+                onClose=${() => setShowTrash(false)}
+                onRestore=${onUpdate}
             />
 
             <${ManageTemplatesModal}
@@ -3131,8 +6077,8 @@ function ManageTemplatesModal({ isOpen, onClose, onEditTemplate }) {
         if (isOpen) loadTemplates();
     }, [isOpen]);
 
-    const loadTemplates = () => {
-        setTemplates(db.getAllTemplates());
+    const loadTemplates = async () => {
+        setTemplates(await db.getAllTemplates());
     };
 
     const footer = html`
@@ -3205,11 +6151,21 @@ async function generateQRCodeDataUrl(text) {
     }
 }
 
+// Event shown in previews so {{#if eventName}} blocks can be laid out
+const PREVIEW_SAMPLE_EVENT = {
+    name: 'Fall Adoption Fair',
+    event_date: '2026-10-24',
+    start_time: '11:00',
+    end_time: '15:00',
+    location: 'Riverside Park Pavilion'
+};
+
 const PREVIEW_SAMPLE_DATA = {
     name: 'Atticus',
     breed: 'Boxer Terriers (Medium)',
     ageLong: '3 years',
     ageShort: '3 Yr',
+    ...getSpeciesTemplateParams('dog'),
     size: 'Medium',
     gender: 'Neutered(M)',
     shots: '✓',
@@ -3217,6 +6173,15 @@ const PREVIEW_SAMPLE_DATA = {
     kids: '✓',
     dogs: '?',
     cats: '?',
+    rabbits: '?',
+    weight: '62 lbs',
+    weightLbs: 62,
+    altered: '1',
+    alteredLabel: 'Neutered',
+    microchipped: '1',
+    adoptionFee: '$250',
+    specialNeeds: '',
+    intakeDate: 'August 2, 2026',
     slug: SAMPLE_SLUG_URL,
     portraitPath: 'atticus.jpg',
     portrait: SAMPLE_PORTRAIT_SVG,
@@ -3225,10 +6190,30 @@ const PREVIEW_SAMPLE_DATA = {
     rescueLogo: 'logo.png',
     logo: SAMPLE_LOGO_SVG,
     qrcode: null, // Will be generated async
+    fosterName: 'Jamie Rivera',
+    fosterPhone: '(555) 123-4567',
+    fosterEmail: 'jamie@example.com',
+    ...getEventTemplateValues(PREVIEW_SAMPLE_EVENT),
+    status: 'available',
+    adoptedDate: 'October 19, 2026',
     bio: 'Atticus is a sweet and playful 3-year-old Boxer mix who loves belly rubs and long walks. He gets along great with kids and other dogs, and is working on his leash manners. This handsome boy is looking for his forever home!',
     attributes: ['Leash Trained', 'Crate Trained', 'Loves Belly Rubs', 'Good with Kids', 'Playful', 'Friendly']
 };
 
+/**
+ * List template variables for the editor's Variables tab, with each custom
+ * field as its own custom.<key> entry
+ * @param {Object} data - Preview data
+ * @returns {Array<[string, *]>}
+ */
+function getVariableEntries(data) {
+    return Object.entries(data).flatMap(([key, value]) => (
+        key === 'custom'
+            ? Object.entries(value || {}).map(([field, fieldValue]) => [`custom.${field}`, fieldValue])
+            : [[key, value]]
+    ));
+}
+
 // Handlebars template rendering for preview
 function renderTemplatePreview(templateHtml, data) {
     if (!templateHtml) return '';
@@ -3240,11 +6225,18 @@ function renderTemplatePreview(templateHtml, data) {
 
         // Register repeat helper for repeating card content
         Handlebars.registerHelper('repeat', function(count, options) {
+            const cards = options.data.root && options.data.root.cards;
             let result = '';
             for (let i = 0; i < count; i++) {
                 const frameData = Handlebars.createFrame(options.data);
                 frameData.index = i;
-                result += options.fn(this, { data: frameData });
+                if (Array.isArray(cards)) {
+                    result += cards[i]
+                        ? options.fn(cards[i], { data: frameData })
+                        : options.inverse(this, { data: frameData });
+                } else {
+                    result += options.fn(this, { data: frameData });
+                }
             }
             return result;
         });
@@ -3285,6 +6277,8 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
     const [previewAnimalId, setPreviewAnimalId] = useState('sample'); // 'sample' for hardcoded Atticus
     const [dbAnimals, setDbAnimals] = useState([]);
     const [dbRescues, setDbRescues] = useState([]);
+    const [dbFosters, setDbFosters] = useState([]);
+    const [previewCustomValues, setPreviewCustomValues] = useState({});
     const previewRef = useRef(null);
     const fullscreenPreviewRef = useRef(null);
     const showToast = useToast();
@@ -3294,25 +6288,62 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
 
     // Load animals and rescues from database
     useEffect(() => {
-        const animals = db.getAllAnimals();
-        const rescues = db.getAllRescues();
-        setDbAnimals(animals);
-        setDbRescues(rescues);
+        (async () => {
+            try {
+                setDbAnimals(await db.getAllAnimals());
+                setDbRescues(await db.getAllRescues());
+                setDbFosters(await db.getAllFosters());
+            } catch (err) {
+                console.error('[TemplateEditor] Error loading preview data:', err);
+            }
+        })();
     }, []);
 
-    // Get current preview data based on selected animal (without QR code - that's async)
-    const getPreviewData = () => {
+    // Load the preview animal's custom field values
+    useEffect(() => {
+        if (previewAnimalId === 'sample') {
+            setPreviewCustomValues({});
+            return;
+        }
+        let cancelled = false;
+        db.getAnimalCustomValues(parseInt(previewAnimalId))
+            .then(values => {
+                if (!cancelled) setPreviewCustomValues(values);
+            })
+            .catch(err => console.error('[TemplateEditor] Error loading custom field values:', err));
+        return () => { cancelled = true; };
+    }, [previewAnimalId]);
+
+    // Parse the config being edited, or an empty one while it has errors
+    const getEditedConfig = () => {
+        try {
+            return JSON.parse(configStr);
+        } catch (e) {
+            return {};
+        }
+    };
+
+    // Get current preview data, with foster contact only if the config opts in
+    const getPreviewData = () => applyFosterContactOptIn(buildPreviewData(), getEditedConfig());
+
+    // Build preview data for the selected animal (without QR code - that's async)
+    const buildPreviewData = () => {
+        // The sample shows every rescue's custom fields with their defaults
+        const sampleData = {
+            ...PREVIEW_SAMPLE_DATA,
+            custom: getCustomTemplateValues(dbRescues.flatMap(r => r.custom_fields || []), {})
+        };
         if (previewAnimalId === 'sample') {
-            return { ...PREVIEW_SAMPLE_DATA };
+            return sampleData;
         }
         const animal = dbAnimals.find(a => a.id === parseInt(previewAnimalId));
-        if (!animal) return { ...PREVIEW_SAMPLE_DATA };
+        if (!animal) return sampleData;
 
         const rescue = dbRescues.find(r => r.id === animal.rescue_id);
 
-        // Get actual image data URLs from database
-        const portraitDataUrl = db.getImageAsDataUrl(animal.id) || SAMPLE_PORTRAIT_SVG;
-        const logoDataUrl = rescue ? (db.getRescueLogoAsDataUrl(rescue.id) || SAMPLE_LOGO_SVG) : SAMPLE_LOGO_SVG;
+        // Actual images from the image store
+        const portraitUrl = getAnimalImageUrl(animal, 'full') || SAMPLE_PORTRAIT_SVG;
+        const logoUrl = rescue?.logo_url || SAMPLE_LOGO_SVG;
 
         // Parse attributes JSON if it's a string
         let attributes = [];
@@ -3329,6 +6360,8 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
             breed: animal.breed || '',
             ageLong: animal.age_long || '',
             ageShort: animal.age_short || '',
+            birthdate: animal.birthdate || '',
+            ...getSpeciesTemplateParams(animal.species),
             size: animal.size || '',
             gender: animal.gender || '',
             shots: animal.shots ? '✓' : '✗',
@@ -3336,16 +6369,28 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
             kids: animal.kids === true ? '✓' : (animal.kids === false ? '✗' : '?'),
             dogs: animal.dogs === true ? '✓' : (animal.dogs === false ? '✗' : '?'),
             cats: animal.cats === true ? '✓' : (animal.cats === false ? '✗' : '?'),
+            rabbits: animal.rabbits === true ? '✓' : (animal.rabbits === false ? '✗' : '?'),
+            weight: formatWeight(animal.weight_lbs),
+            weightLbs: animal.weight_lbs ?? '',
+            altered: animal.altered,
+            alteredLabel: animal.altered === '1' ? getAlteredLabel(animal.gender) : '',
+            microchipped: animal.microchipped,
+            adoptionFee: formatAdoptionFee(animal.adoption_fee),
+            specialNeeds: animal.special_needs || '',
+            intakeDate: animal.intake_date || '',
             slug: animal.slug || '',
             portraitPath: animal.portrait_path || '',
-            portrait: portraitDataUrl,
+            portrait: portraitUrl,
             rescueName: rescue?.name || '',
             rescueWebsite: rescue?.website || '',
             rescueLogo: rescue?.logo_path || '',
-            logo: logoDataUrl,
+            logo: logoUrl,
             qrcode: null, // Will be generated async
+            ...getFosterTemplateValues(dbFosters.find(f => f.id === animal.foster_id)),
+            ...getEventTemplateValues(PREVIEW_SAMPLE_EVENT),
             bio: animal.bio || '',
-            attributes: attributes
+            attributes: attributes,
+            custom: getCustomTemplateValues(rescue?.custom_fields, previewCustomValues)
         };
     };
 
@@ -3354,11 +6399,14 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
 
     useEffect(() => {
         if (template?.id) {
-            const fullTemplate = db.getTemplateById(template.id);
-            setName(fullTemplate?.name || '');
-            setDescription(fullTemplate?.description || '');
-            setHtmlTemplate(fullTemplate?.html_template || '');
-            setConfigStr(fullTemplate?.config ? JSON.stringify(fullTemplate.config, null, 2) : '{}');
+            db.getTemplateById(template.id)
+                .then(fullTemplate => {
+                    setName(fullTemplate?.name || '');
+                    setDescription(fullTemplate?.description || '');
+                    setHtmlTemplate(fullTemplate?.html_template || '');
+                    setConfigStr(fullTemplate?.config ? JSON.stringify(fullTemplate.config, null, 2) : '{}');
+                })
+                .catch(err => showToast(`Error loading template: ${err.message}`, 'error'));
         } else {
             setName('');
             setDescription('');
@@ -3402,7 +6450,7 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
         updatePreview();
 
         return () => { cancelled = true; };
-    }, [htmlTemplate, previewFullscreen, previewAnimalId, dbAnimals, dbRescues]);
+    }, [htmlTemplate, configStr, previewFullscreen, previewAnimalId, dbAnimals, dbRescues, dbFosters, previewCustomValues]);
 
     const validateConfig = (str) => {
         try {
@@ -3420,6 +6468,11 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
         validateConfig(value);
     };
 
+    const handleFosterContactChange = (checked) => {
+        const { includeFosterContact, ...config } = getEditedConfig();
+        handleConfigChange(JSON.stringify(checked ? { ...config, includeFosterContact: true } : config, null, 2));
+    };
+
     const handleSave = async () => {
         if (isBuiltin) {
             showToast('Cannot modify built-in templates', 'error');
@@ -3452,10 +6505,10 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
             };
 
             if (template?.id && !isBuiltin) {
-                db.updateTemplate(template.id, templateData);
+                await db.updateTemplate(template.id, templateData);
                 showToast(`${name} updated successfully!`);
             } else {
-                db.createTemplate(templateData);
+                await db.createTemplate(templateData);
                 showToast(`${name} created successfully!`);
             }
 
@@ -3468,12 +6521,12 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
         }
     };
 
-    const handleDelete = () => {
+    const handleDelete = async () => {
         if (!template?.id || isBuiltin) return;
         if (!confirm(`Are you sure you want to delete "${template.name}"?\n\nThis cannot be undone.`)) return;
 
         try {
-            db.deleteTemplate(template.id);
+            await db.deleteTemplate(template.id);
             showToast(`${template.name} deleted successfully!`);
             if (onSave) onSave();
             onClose();
@@ -3482,11 +6535,12 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
         }
     };
 
-    const handleDuplicate = () => {
+    const handleDuplicate = async () => {
         if (!template?.id) return;
-        const fullTemplate = db.getTemplateById(template.id);
 
         try {
+            const fullTemplate = await db.getTemplateById(template.id);
+
             // Create a new template in the database
             const templateData = {
                 name: (fullTemplate.name || 'Template') + ' (Copy)',
@@ -3496,14 +6550,14 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
                 is_builtin: false
             };
 
-            const result = db.createTemplate(templateData);
+            const result = await db.createTemplate(templateData);
             const newTemplateId = result.lastInsertRowid;
 
             // Notify parent to reload templates
             if (onSave) onSave();
 
             // Get the newly created template and open it for editing
-            const newTemplate = db.getTemplateById(newTemplateId);
+            const newTemplate = await db.getTemplateById(newTemplateId);
             showToast(`Template duplicated as "${templateData.name}". Opening for editing.`);
 
             // Use onDuplicate callback to switch to the new template
@@ -3582,6 +6636,15 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
                             onInput=${(e) => setDescription(e.target.value)}
                             disabled=${isBuiltin}
                         />
+                        <label class="checkbox-option template-foster-option">
+                            <input
+                                type="checkbox"
+                                checked=${includesFosterContact(getEditedConfig())}
+                                onChange=${(e) => handleFosterContactChange(e.target.checked)}
+                                disabled=${isBuiltin || !!configError}
+                            />
+                            Include foster contact (${'{{fosterName}}'}, ${'{{fosterPhone}}'}, ${'{{fosterEmail}}'}) - leave off for public flyers
+                        </label>
                     </div>
                     ${isBuiltin && html`<span class="builtin-badge">Built-in (Read Only)</span>`}
                 </div>
@@ -3661,7 +6724,7 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        ${Object.entries(previewData).map(([key, value]) => {
+                                        ${getVariableEntries(previewData).map(([key, value]) => {
                                             const isImageValue = typeof value === 'string' && value.startsWith('data:image/');
                                             return html`
                                                 <tr key=${key}>
@@ -3669,7 +6732,7 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
                                                     <td class="variable-value">${
                                                         isImageValue
                                                             ? html`<img src=${value} alt=${key} style="width: 40px; height: 40px; object-fit: contain; border-radius: 4px; background: #f5f5f5;" />`
-                                                            : value
+                                                            : (typeof value === 'boolean' ? String(value) : value)
                                                     }</td>
                                                 </tr>
                                             `;
@@ -3684,6 +6747,7 @@ function TemplateEditorScreen({ template, onClose, onSave, onDuplicate }) {
                                     orientation: 'landscape',
                                     paperSize: 'letter',
                                     dpi: 360,
+                                    includeFosterContact: false,
                                     preprocessing: {
                                         generateQrCode: true,
                                         qrCodeSource: 'slug',
@@ -3784,7 +6848,7 @@ function getDefaultTemplateConfig() {
             generateQrCode: false,
             convertBooleans: true,
             booleanFields: ['shots', 'housetrained'],
-            triStateFields: ['kids', 'dogs', 'cats'],
+            triStateFields: ['kids', 'dogs', 'cats', 'rabbits'],
             preparePortrait: true,
             prepareLogo: true
         },
@@ -3810,6 +6874,14 @@ function Header({ subtitle }) {
 function ControlBar({
     onCreateClick,
     onRefreshClick,
+    onComposeSheetClick,
+    onExportPdfClick,
+    onRosterSyncClick,
+    onRosterSpreadsheetClick,
+    onDuplicatesClick,
+    onEventsClick,
+    onPrintHistoryClick,
+    outdatedCount,
     onDeleteMultipleClick,
     onSettingsClick
 }) {
@@ -3817,19 +6889,187 @@ function ControlBar({
         <div class="controls">
             <button onClick=${onCreateClick}>Create Animal</button>
             <button onClick=${onRefreshClick}>Refresh</button>
+            <button onClick=${onComposeSheetClick}>Compose Sheet</button>
+            <button onClick=${onExportPdfClick}>Export PDF</button>
+            <button onClick=${onRosterSyncClick}>Sync Roster</button>
+            <button onClick=${onRosterSpreadsheetClick}>Import / Export</button>
+            <button onClick=${onDuplicatesClick}>Duplicates</button>
+            <button onClick=${onEventsClick}>Events</button>
+            <button onClick=${onPrintHistoryClick}>
+                Print History${outdatedCount > 0 ? ` (${outdatedCount} out of date)` : ''}
+            </button>
             <button class="btn-danger-outline" onClick=${onDeleteMultipleClick}>Delete Multiple</button>
             <button class="btn-settings" onClick=${onSettingsClick}>Settings</button>
         </div>
     `;
 }
 
+// ============================================================
+// Search Bar Component
+// ============================================================
+function SearchBar({ search, onChange, rescues, fosters, shownCount, totalCount }) {
+    const [text, setText] = useState(search.text);
+    const [showFilters, setShowFilters] = useState(false);
+
+    // Search as the user types, without a query per keystroke
+    useEffect(() => {
+        if (text === search.text) return;
+        const timer = setTimeout(() => onChange(prev => ({ ...prev, text })), 200);
+        return () => clearTimeout(timer);
+    }, [text]);
+
+    const update = (key, value) => onChange(prev => ({ ...prev, [key]: value }));
+    const activeFilters = countActiveFilters(search);
+
+    const compatSelect = (key, label) => html`
+        <${FormGroup} label=${label} id=${`search-${key}`}>
+            <select id=${`search-${key}`} value=${search[key]} onChange=${(e) => update(key, e.target.value)}>
+                <option value="">Any</option>
+                <option value="1">Yes</option>
+                <option value="0">No</option>
+                <option value="?">Unknown</option>
+            </select>
+        <//>
+    `;
+
+    return html`
+        <div class="search-bar">
+            <div class="search-bar-row">
+                <input
+                    type="search"
+                    class="search-input"
+                    placeholder="Search name, breed, URL or bio..."
+                    value=${text}
+                    onInput=${(e) => setText(e.target.value)}
+                />
+                <button class=${showFilters || activeFilters > 0 ? 'active' : ''} onClick=${() => setShowFilters(!showFilters)}>
+                    Filters${activeFilters > 0 ? ` (${activeFilters})` : ''}
+                </button>
+                <select value=${search.sort} onChange=${(e) => update('sort', e.target.value)} title="Sort by">
+                    ${Object.keys(SORT_LABELS).map(key => html`
+                        <option key=${key} value=${key}>Sort: ${SORT_LABELS[key] || key}</option>
+                    `)}
+                </select>
+                <button
+                    onClick=${() => update('descending', !search.descending)}
+                    title=${search.descending ? 'Descending' : 'Ascending'}
+                >
+                    ${search.descending ? '↓' : '↑'}
+                </button>
+                <span class="search-count">${shownCount} of ${totalCount}</span>
+            </div>
+            ${showFilters && html`
+                <div class="search-filters">
+                    <${FormRow} cols=${3}>
+                        <${FormGroup} label="Rescue" id="search-rescue">
+                            <select id="search-rescue" value=${search.rescueId} onChange=${(e) => update('rescueId', e.target.value)}>
+                                <option value="">All rescues</option>
+                                ${rescues.map(r => html`<option key=${r.id} value=${r.id}>${r.name}</option>`)}
+                            </select>
+                        <//>
+                        <${FormGroup} label="Species" id="search-species">
+                            <select id="search-species" value=${search.species} onChange=${(e) => update('species', e.target.value)}>
+                                <option value="">Any species</option>
+                                ${Object.entries(SPECIES).map(([key, s]) => html`<option key=${key} value=${key}>${s.label}</option>`)}
+                            </select>
+                        <//>
+                        <${FormGroup} label="Size" id="search-size">
+                            <select id="search-size" value=${search.size} onChange=${(e) => update('size', e.target.value)}>
+                                <option value="">Any size</option>
+                                ${(search.species ? getSpecies(search.species).sizes : getAllSizes()).map(size => html`
+                                    <option key=${size} value=${size}>${size}</option>
+                                `)}
+                            </select>
+                        <//>
+                    <//>
+                    <${FormRow} cols=${3}>
+                        <${FormGroup} label="Sex" id="search-sex">
+                            <select id="search-sex" value=${search.sex} onChange=${(e) => update('sex', e.target.value)}>
+                                <option value="">Any</option>
+                                <option value="male">Male</option>
+                                <option value="female">Female</option>
+                            </select>
+                        <//>
+                        <${FormGroup} label="Foster" id="search-foster">
+                            <select id="search-foster" value=${search.fosterId} onChange=${(e) => update('fosterId', e.target.value)}>
+                                <option value="">Any foster</option>
+                                <option value="none">No foster</option>
+                                ${fosters.map(f => html`<option key=${f.id} value=${f.id}>${f.name}${f.active ? '' : ' (inactive)'}</option>`)}
+                            </select>
+                        <//>
+                    <//>
+                    <${FormRow} cols=${3}>
+                        <${FormGroup} label="Age" id="search-age">
+                            <select id="search-age" value=${search.age} onChange=${(e) => update('age', e.target.value)}>
+                                <option value="">Any age</option>
+                                ${AGE_RANGES.map(r => html`<option key=${r.id} value=${r.id}>${r.label}</option>`)}
+                            </select>
+                        <//>
+                        ${compatSelect('kids', 'Good with Kids')}
+                    <//>
+                    <${FormRow} cols=${3}>
+                        ${compatSelect('dogs', 'Good with Dogs')}
+                        ${compatSelect('cats', 'Good with Cats')}
+                        <div>
+                            <label class="checkbox-option">
+                                <input
+                                    type="checkbox"
+                                    checked=${search.noPortrait}
+                                    onChange=${(e) => update('noPortrait', e.target.checked)}
+                                />
+                                Has no portrait
+                            </label>
+                            <label class="checkbox-option">
+                                <input
+                                    type="checkbox"
+                                    checked=${search.noAttributes}
+                                    onChange=${(e) => update('noAttributes', e.target.checked)}
+                                />
+                                Has no attributes
+                            </label>
+                        </div>
+                        <div class="search-filters-actions">
+                            <button
+                                class="btn btn-secondary btn-sm"
+                                onClick=${() => { setText(''); onChange({ ...DEFAULT_SEARCH, sort: search.sort, descending: search.descending }); }}
+                                disabled=${activeFilters === 0 && !search.text}
+                            >
+                                Clear Filters
+                            </button>
+                        </div>
+                    <//>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+// ============================================================
+// Status Filter Component
+// ============================================================
+function StatusFilterBar({ animals, value, onChange }) {
+    return html`
+        <div class="status-filter">
+            ${STATUS_FILTERS.map(filter => html`
+                <button
+                    key=${filter.id}
+                    class=${value === filter.id ? 'active' : ''}
+                    onClick=${() => onChange(filter.id)}
+                >
+                    ${filter.label} (${filterAnimalsByStatus(animals, filter.id).length})
+                </button>
+            `)}
+        </div>
+    `;
+}
+
 // ============================================================
 // Animal Grid Component
 // ============================================================
-function AnimalGrid({ animals, rescues, onEdit, onPrintFront, onPrintBack, onPrintFlyer, customTemplates, onPrintWithTemplate }) {
+function AnimalGrid({ animals, rescues, outdatedPrints = [], onEdit, onPrintFront, onPrintBack, onPrintFlyer, customTemplates, onPrintWithTemplate, emptyMessage }) {
     if (animals.length === 0) {
         return html`
-            <div class="loading">No animals found. Create one to get started.</div>
+            <div class="loading">${emptyMessage || 'No animals found. Create one to get started.'}</div>
         `;
     }
 
@@ -3842,6 +7082,7 @@ function AnimalGrid({ animals, rescues, onEdit, onPrintFront, onPrintBack, onPri
                         key=${animal.id}
                         animal=${animal}
                         rescue=${rescue}
+                        outdatedPrint=${outdatedPrints.find(item => item.animal_id === animal.id)}
                         onEdit=${onEdit}
                         onPrintFront=${onPrintFront}
                         onPrintBack=${onPrintBack}
@@ -3862,6 +7103,7 @@ function App() {
     // State
     const [animals, setAnimals] = useState([]);
     const [rescues, setRescues] = useState([]);
+    const [fosters, setFosters] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [subtitle, setSubtitle] = useState('Loading...');
@@ -3873,13 +7115,22 @@ function App() {
     const [showManualEntry, setShowManualEntry] = useState(false);
     const [showSelectFromSite, setShowSelectFromSite] = useState(false);
     const [showDeleteMultiple, setShowDeleteMultiple] = useState(false);
+    const [showComposeSheet, setShowComposeSheet] = useState(false);
+    const [showExportPdf, setShowExportPdf] = useState(false);
+    const [showRosterSpreadsheet, setShowRosterSpreadsheet] = useState(false);
+    const [showDuplicates, setShowDuplicates] = useState(false);
+    const [showEvents, setShowEvents] = useState(false);
+    const [showPrintHistory, setShowPrintHistory] = useState(false);
+    const [showRosterSync, setShowRosterSync] = useState(false);
+    const [statusFilter, setStatusFilter] = useState('active');
+    const [search, setSearch] = useState(DEFAULT_SEARCH);
     const [showSettings, setShowSettings] = useState(false);
     const [editingTemplateFullscreen, setEditingTemplateFullscreen] = useState(null);
     const [showPrintSettings, setShowPrintSettings] = useState(false);
 
     // Edit state
     const [editingAnimal, setEditingAnimal] = useState(null);
-    const [selectedRescue, setSelectedRescue] = useState('wagtopia');
+    const [selectedRescue, setSelectedRescue] = useState(null);
     const [manualEntryData, setManualEntryData] = useState(null);
     const [printFilePath, setPrintFilePath] = useState(null);
     const [printCallback, setPrintCallback] = useState(null);
@@ -3895,11 +7146,19 @@ function App() {
     // Custom templates for printing
     const [customTemplates, setCustomTemplates] = useState([]);
 
+    // Animals whose printed cards no longer match their data
+    const [outdatedPrints, setOutdatedPrints] = useState([]);
+
+    // Roster sync
+    const [syncReport, setSyncReport] = useState(null);
+    const [syncing, setSyncing] = useState(false);
+    const [syncProgress, setSyncProgress] = useState('');
+
     const showToast = useToast();
 
     // Load custom templates function (can be called to refresh)
-    const loadTemplates = () => {
-        const allTemplates = db.getAllTemplates();
+    const loadTemplates = async () => {
+        const allTemplates = await db.getAllTemplates();
         const custom = allTemplates.filter(t => !t.is_builtin);
         setCustomTemplates(custom);
     };
@@ -3909,16 +7168,23 @@ function App() {
         (async () => {
             try {
                 log('========== Electron app ready ==========');
-                const { dbDir, dbPath } = await db.initializeAsync();
+                const { dbDir, dbPath, recovered } = await db.connect();
                 DB_DIR = dbDir;
                 DB_PATH = dbPath;
                 LOG_DIR = DB_DIR;
                 LOG_FILE = path.join(DB_DIR, 'app.log');
                 loggingReady = true;
                 log('[App] Database initialized at:', DB_PATH);
+                if (recovered) {
+                    showToast('The database was damaged and has been restored from the last good copy. Recent changes may be missing.', 'error');
+                }
                 await loadAnimals();
                 // Load custom templates (non-builtin) for printing
-                loadTemplates();
+                await loadTemplates();
+
+                if (await db.getSetting('roster_sync_on_startup') === '1') {
+                    handleRosterSync({}, true);
+                }
             } catch (err) {
                 console.error('[App] Initialization error:', err);
                 setError(err.message);
@@ -3939,6 +7205,14 @@ function App() {
         })();
     }, []);
 
+    // Refresh when another window changes the data (this window reloads after its own changes)
+    useEffect(() => db.onChange(({ area, local }) => {
+        if (local) return;
+        if (area === 'animals' || area === 'rescues' || area === 'fosters' || area === 'all') loadAnimals();
+        if (area === 'templates' || area === 'all') loadTemplates();
+        if (area === 'printHistory') loadOutdatedPrints();
+    }), []);
+
     // Process print queue
     useEffect(() => {
         if (processingQueue || cardQueue.length === 0) return;
@@ -3956,8 +7230,11 @@ function App() {
 
             try {
                 showToast(`Generating cards for ${animal.name}...`);
-                await printCard(animal, 'front');
-                await printCard(animal, 'back');
+                // Render both sides at once, then print them in order
+                const sides = await Promise.all([renderCard(animal, 'front'), renderCard(animal, 'back')]);
+                for (const { outputPath, templateName } of sides) {
+                    await sendToPrinter(outputPath, templateName, [animal.id]);
+                }
                 showToast(`Cards generated for ${animal.name}!`);
             } catch (err) {
                 console.error('[Queue] Error:', err);
@@ -3971,19 +7248,42 @@ function App() {
         processNext();
     }, [cardQueue, processingQueue, animals]);
 
+    // Animals shown in the grid: searched and filtered in the database, reusing the loaded portraits
+    const [visibleAnimals, setVisibleAnimals] = useState([]);
+    useEffect(() => {
+        if (animals.length === 0) {
+            setVisibleAnimals([]);
+            return;
+        }
+
+        let cancelled = false;
+        const statuses = STATUS_FILTERS.find(f => f.id === statusFilter)?.statuses || null;
+        const loadedById = new Map(animals.map(a => [a.id, a]));
+        db.searchAnimals(buildSearchQuery(search, statuses))
+            .then(rows => {
+                if (cancelled) return;
+                setVisibleAnimals(rows.map(row => loadedById.get(row.id)).filter(Boolean));
+            })
+            .catch(err => {
+                console.error('[App] Error searching animals:', err);
+                if (!cancelled) setVisibleAnimals(animals);
+            });
+        return () => { cancelled = true; };
+    }, [animals, search, statusFilter]);
+
     const loadAnimals = async () => {
         setLoading(true);
         try {
-            const allRescues = db.getAllRescues();
+            const allRescues = await db.getAllRescues();
             setRescues(allRescues);
+            setFosters(await db.getAllFosters());
 
-            const allAnimals = db.getAllAnimals();
-            for (const animal of allAnimals) {
-                animal.imageDataUrl = db.getImageAsDataUrl(animal.id);
-            }
+            const allAnimals = await db.getAllAnimals();
             setAnimals(allAnimals);
+            await loadOutdatedPrints();
+            const availableCount = allAnimals.filter(isAvailable).length;
             setSubtitle(allAnimals.length > 0
-                ? `${allAnimals.length} animals available for adoption`
+                ? `${availableCount} animals available for adoption`
                 : 'No animals in database'
             );
         } catch (err) {
@@ -3994,41 +7294,68 @@ function App() {
         }
     };
 
-    const printCard = async (animal, side) => {
-        const rescue = db.getRescueById(animal.rescue_id || 1);
-
-        // Get image data URLs for templates
-        const portraitDataUrl = db.getImageAsDataUrl(animal.id);
-        const logoDataUrl = rescue ? db.getRescueLogoAsDataUrl(rescue.id) : null;
-
-        const params = {
-            name: animal.name,
-            breed: animal.breed,
-            ageShort: animal.age_short,
-            ageLong: animal.age_long,
-            size: animal.size,
-            gender: animal.gender,
-            shots: animal.shots,
-            housetrained: animal.housetrained,
-            kids: animal.kids,
-            dogs: animal.dogs,
-            cats: animal.cats,
-            slug: animal.slug,
-            portrait: portraitDataUrl || '',
-            rescueName: rescue?.name || 'Paws Rescue League',
-            rescueWebsite: rescue?.website || 'pawsrescueleague.org',
-            logo: logoDataUrl || ''
-        };
+    const loadOutdatedPrints = async () => {
+        try {
+            setOutdatedPrints(await db.getOutdatedPrints());
+        } catch (err) {
+            console.error('[App] Error checking printed cards:', err);
+        }
+    };
+
+    /**
+     * Add output to the print history. A failure is only logged so it never
+     * stops a print.
+     * @param {Array<number>} animalIds - Animals on the output
+     * @param {string} templateName - Template it was made with
+     * @param {Object} entry - { action, outputPath, printer, profile, copies }
+     */
+    const recordPrint = async (animalIds, templateName, entry) => {
+        try {
+            await db.logPrintJob(animalIds, templateName, entry);
+            if (entry.action !== 'generated') await loadOutdatedPrints();
+        } catch (err) {
+            console.error('[App] Could not record print history:', err);
+        }
+    };
+
+    /**
+     * Run a roster sync and keep its report for the sync modal.
+     * Startup syncs run in the background and only open the report when something changed.
+     */
+    const handleRosterSync = async (options = {}, background = false) => {
+        setSyncing(true);
+        setSyncProgress('');
+        try {
+            const report = await syncRosters(options, setSyncProgress);
+            setSyncReport(report);
+            await loadAnimals();
+            if (background && hasFindings(report)) {
+                setShowRosterSync(true);
+            }
+        } catch (err) {
+            console.error('[App] Roster sync failed:', err);
+            showToast(`Roster sync failed: ${err.message}`, 'error');
+        } finally {
+            setSyncing(false);
+            setSyncProgress('');
+        }
+    };
 
-        const generateFn = side === 'front' ? generateCardFront : generateCardBack;
-        const outputPath = await generateFn(params);
+    /**
+     * Send a generated image to the print dialog (Windows) or open it in GIMP,
+     * recording both steps in the print history
+     * @param {string} outputPath - Generated file
+     * @param {string} templateName - Template it was made with
+     * @param {Array<number>} animalIds - Animals on it
+     */
+    const sendToPrinter = async (outputPath, templateName, animalIds) => {
+        await recordPrint(animalIds, templateName, { action: 'generated', outputPath });
 
         if (process.platform === 'win32') {
             // Get template config for the print dialog
-            const templateName = side === 'front' ? 'card-front' : 'card-back';
             let templateConfig = null;
             try {
-                const template = db.getTemplateByName(templateName);
+                const template = await db.getTemplateByName(templateName);
                 if (template && template.config) {
                     templateConfig = template.config;
                 }
@@ -4039,11 +7366,14 @@ function App() {
             return new Promise((resolve) => {
                 setPrintFilePath(outputPath);
                 setPrintTemplateConfig(templateConfig);
-                setPrintCallback(() => (success) => {
+                setPrintCallback(() => async (success, printed = {}) => {
                     setShowPrintSettings(false);
                     setPrintFilePath(null);
                     setPrintTemplateConfig(null);
                     setPrintCallback(null);
+                    if (success) {
+                        await recordPrint(animalIds, templateName, { action: 'printed', outputPath, ...printed });
+                    }
                     resolve(success);
                 });
                 setShowPrintSettings(true);
@@ -4052,120 +7382,163 @@ function App() {
             const result = await ipcRenderer.invoke('open-in-gimp', outputPath);
             if (!result.success) {
                 showToast('Could not launch GIMP. Is it installed?', 'error');
+                return;
+            }
+            await recordPrint(animalIds, templateName, { action: 'opened', outputPath });
+        }
+    };
+
+    /**
+     * Render one side of an animal's card without printing it
+     * @param {Object} animal - Animal record
+     * @param {string} side - 'front' or 'back'
+     * @returns {Promise<{outputPath: string, templateName: string}>}
+     */
+    const renderCard = async (animal, side) => {
+        const params = await db.buildTemplateParams(animal);
+
+        const templateName = side === 'front' ? 'card-front' : 'card-back';
+        const template = await db.getTemplateByName(templateName);
+        if (!template) {
+            throw new Error(`Template "${templateName}" not found. Please check your templates.`);
+        }
+
+        const outputPath = await generateFromTemplate(template, params);
+        return { outputPath, templateName };
+    };
+
+    const printCard = async (animal, side) => {
+        const { outputPath, templateName } = await renderCard(animal, side);
+        return sendToPrinter(outputPath, templateName, [animal.id]);
+    };
+
+    /**
+     * Turn a sheet selection into generator entries with card params
+     * @param {Array<{animalId: number, count: number}>} selection - Animals and slot counts
+     */
+    const buildSheetEntries = async (selection) => {
+        const entries = await Promise.all(selection.map(async ({ animalId, count }) => {
+            const animal = animals.find(a => a.id === animalId);
+            return animal ? { params: await db.buildTemplateParams(animal), count } : null;
+        }));
+        return entries.filter(Boolean);
+    };
+
+    /**
+     * Generate and print a mixed sheet, fronts first then the mirrored backs
+     * @param {Array<{animalId: number, count: number}>} selection - Animals and slot counts
+     */
+    const printSheet = async (selection) => {
+        const entries = await buildSheetEntries(selection);
+        const templateNames = ['card-front', 'card-back'];
+        const templates = await Promise.all(templateNames.map(async (templateName) => {
+            const template = await db.getTemplateByName(templateName);
+            if (!template) {
+                throw new Error(`Template "${templateName}" not found. Please check your templates.`);
             }
+            return template;
+        }));
+
+        // Render both sides at once, then print them in order
+        const outputPaths = await Promise.all(
+            templates.map(template => generateSheetFromTemplate(template, entries))
+        );
+        const animalIds = selection.map(({ animalId }) => animalId);
+        for (let i = 0; i < outputPaths.length; i++) {
+            await sendToPrinter(outputPaths[i], templateNames[i], animalIds);
         }
     };
 
     const printFlyer = async (animal) => {
-        const rescue = db.getRescueById(animal.rescue_id || 1);
-
-        // Get image data URLs for templates
-        const portraitDataUrl = db.getImageAsDataUrl(animal.id);
-        const logoDataUrl = rescue ? db.getRescueLogoAsDataUrl(rescue.id) : null;
-
-        // Get stored attributes, or build from animal data as fallback
-        let traits = db.getAnimalAttributes(animal.id);
-        console.log(`[printFlyer] Animal ID: ${animal.id}, Name: ${animal.name}, Traits from DB:`, traits);
-        if (!traits || traits.length === 0) {
-            console.log(`[printFlyer] No traits found for ${animal.name}, using fallback`);
-            // Fallback: build traits list from animal data for the flyer template
-            traits = [];
-            if (animal.breed) traits.push(animal.breed);
-            if (animal.age_long) traits.push(animal.age_long);
-            if (animal.size) traits.push(animal.size);
-            if (animal.gender) traits.push(animal.gender);
-            if (animal.shots) traits.push('Up to date on shots');
-            if (animal.housetrained) traits.push('Housetrained');
-            if (animal.kids === 1) traits.push('Good with kids');
-            if (animal.dogs === 1) traits.push('Good with dogs');
-            if (animal.cats === 1) traits.push('Good with cats');
-        }
-
-        const params = {
-            name: animal.name,
-            breed: animal.breed,
-            ageShort: animal.age_short,
-            ageLong: animal.age_long,
-            size: animal.size,
-            gender: animal.gender,
-            shots: animal.shots,
-            housetrained: animal.housetrained,
-            kids: animal.kids,
-            dogs: animal.dogs,
-            cats: animal.cats,
-            slug: animal.slug,
-            portrait: portraitDataUrl || '',
-            rescueName: rescue?.name || 'Paws Rescue League',
-            rescueWebsite: rescue?.website || 'pawsrescueleague.org',
-            logo: logoDataUrl || '',
-            // Add trait fields for the flyer template (up to 16)
-            trait1: traits[0] || '',
-            trait2: traits[1] || '',
-            trait3: traits[2] || '',
-            trait4: traits[3] || '',
-            trait5: traits[4] || '',
-            trait6: traits[5] || '',
-            trait7: traits[6] || '',
-            trait8: traits[7] || '',
-            trait9: traits[8] || '',
-            trait10: traits[9] || '',
-            trait11: traits[10] || '',
-            trait12: traits[11] || '',
-            trait13: traits[12] || '',
-            trait14: traits[13] || '',
-            trait15: traits[14] || '',
-            trait16: traits[15] || ''
-        };
+        const params = await db.buildTemplateParams(animal);
 
-        // Get the adoption-flyer template from database
-        const template = db.getTemplateByName('adoption-flyer');
+        // Adopted animals get the celebration flyer
+        const templateName = animal.status === 'adopted' ? 'adopted-flyer' : 'adoption-flyer';
+        const template = await db.getTemplateByName(templateName);
         if (!template) {
-            throw new Error('Adoption flyer template not found. Please check your templates.');
+            throw new Error(`Template "${templateName}" not found. Please check your templates.`);
         }
 
         const outputPath = await generateFromTemplate(template, params);
+        return sendToPrinter(outputPath, templateName, [animal.id]);
+    };
 
-        if (process.platform === 'win32') {
-            // Get template config for the print dialog
-            let templateConfig = null;
-            try {
-                if (template && template.config) {
-                    templateConfig = typeof template.config === 'string'
-                        ? JSON.parse(template.config)
-                        : template.config;
-                }
-            } catch (err) {
-                console.log('[App] Could not load template config:', err.message);
+    /**
+     * Export the selected animals and templates into one multi-page PDF
+     * @param {Object} selection - { animalIds, templateIds, pdfMode }
+     */
+    const exportPdf = async ({ animalIds, templateIds, pdfMode }) => {
+        const selectedAnimals = animals.filter(a => animalIds.includes(a.id));
+        const templates = (await Promise.all(templateIds.map(id => db.getTemplateById(id)))).filter(Boolean);
+
+        // Group pages per animal so a print shop gets front, back and flyer together
+        const jobs = [];
+        for (const animal of selectedAnimals) {
+            const params = await db.buildTemplateParams(animal);
+            for (const template of templates) {
+                jobs.push({ template, params });
             }
+        }
 
-            return new Promise((resolve) => {
-                setPrintFilePath(outputPath);
-                setPrintTemplateConfig(templateConfig);
-                setPrintCallback(() => (success) => {
-                    setShowPrintSettings(false);
-                    setPrintFilePath(null);
-                    setPrintTemplateConfig(null);
-                    setPrintCallback(null);
-                    resolve(success);
-                });
-                setShowPrintSettings(true);
-            });
-        } else {
-            const result = await ipcRenderer.invoke('open-in-gimp', outputPath);
-            if (!result.success) {
-                showToast('Could not launch GIMP. Is it installed?', 'error');
+        const defaultName = selectedAnimals.length === 1
+            ? `${selectedAnimals[0].name}.pdf`
+            : 'foster-cards.pdf';
+        const outputPath = await savePdf(jobs, defaultName, { pdfMode });
+        if (!outputPath) return;
+
+        for (const template of templates) {
+            await recordPrint(selectedAnimals.map(a => a.id), template.name, { action: 'exported', outputPath });
+        }
+    };
+
+    /**
+     * Export a mixed sheet as a two-page (front/back) PDF
+     * @param {Array<{animalId: number, count: number}>} selection - Animals and slot counts
+     */
+    const exportSheetPdf = async (selection) => {
+        const entries = await buildSheetEntries(selection);
+        const jobs = await Promise.all(['card-front', 'card-back'].map(async (templateName) => {
+            const template = await db.getTemplateByName(templateName);
+            if (!template) {
+                throw new Error(`Template "${templateName}" not found. Please check your templates.`);
             }
+            return { template, entries };
+        }));
+
+        const outputPath = await savePdf(jobs, 'card-sheet.pdf');
+        if (!outputPath) return;
+
+        for (const { template } of jobs) {
+            await recordPrint(selection.map(({ animalId }) => animalId), template.name, { action: 'exported', outputPath });
+        }
+    };
+
+    /**
+     * Ask where to save, render the PDF and open it
+     * @returns {Promise<string|null>} - Path of the saved PDF, or null when canceled
+     */
+    const savePdf = async (jobs, defaultName, options = {}) => {
+        const saveResult = await ipcRenderer.invoke('choose-pdf-save-path', defaultName);
+        if (!saveResult.success) {
+            if (saveResult.canceled) return null;
+            throw new Error(saveResult.error);
+        }
+
+        showToast('Generating PDF...');
+        const outputPath = await generatePdf(jobs, saveResult.filePath, options);
+        showToast(`Exported ${jobs.length} page${jobs.length !== 1 ? 's' : ''} to ${path.basename(outputPath)}`, 'success');
+
+        const openResult = await ipcRenderer.invoke('open-file', outputPath);
+        if (!openResult.success) {
+            console.log('[App] Could not open exported PDF:', openResult.error);
         }
+        return outputPath;
     };
 
     const handleScrape = async (url) => {
         try {
             showToast('Scraping data from URL...');
-            const ipcChannel = selectedRescue === 'adoptapet'
-                ? 'scrape-animal-page-adoptapet'
-                : 'scrape-animal-page-wagtopia';
-
-            const result = await ipcRenderer.invoke(ipcChannel, url);
+            const result = await scrapeAnimalPageByUrl(url, rescues);
             if (!result.success) throw new Error(result.error);
 
             const scrapedData = result.data;
@@ -4197,10 +7570,35 @@ function App() {
         }
     };
 
+    /**
+     * Warn when a saved age no longer matches the age worked out from the
+     * birthdate. Printouts use the worked-out age; the warning says so and
+     * points at the saved text that needs updating.
+     * @param {Array<Object>} printed - Animals about to be printed
+     */
+    const warnOutdatedAges = (printed) => {
+        const outdated = printed.filter(a => a && isStoredAgeOutdated(a));
+        if (outdated.length === 0) return;
+        if (outdated.length === 1) {
+            const [animal] = outdated;
+            showToast(`${animal.name}'s saved age "${animal.age_long}" is out of date - printing ${getCurrentAge(animal).age_long} instead. Edit ${animal.name} to update it.`, 'warning');
+        } else {
+            showToast(`Saved ages are out of date for ${outdated.map(a => a.name).join(', ')} - printing their current ages instead.`, 'warning');
+        }
+    };
+
+    /**
+     * Find the animals in a sheet selection
+     * @param {Array<{animalId: number}>} selection - Sheet selection
+     * @returns {Array<Object>}
+     */
+    const getSelectedAnimals = (selection) => selection.map(({ animalId }) => animals.find(a => a.id === animalId));
+
     const handlePrintFront = async (animalId) => {
         const animal = animals.find(a => a.id === animalId);
         if (!animal) return;
         try {
+            warnOutdatedAges([animal]);
             showToast(`Generating card front for ${animal.name}...`);
             await printCard(animal, 'front');
         } catch (err) {
@@ -4212,6 +7610,7 @@ function App() {
         const animal = animals.find(a => a.id === animalId);
         if (!animal) return;
         try {
+            warnOutdatedAges([animal]);
             showToast(`Generating card back for ${animal.name}...`);
             await printCard(animal, 'back');
         } catch (err) {
@@ -4219,11 +7618,24 @@ function App() {
         }
     };
 
+    const handlePrintSheet = async (selection) => {
+        try {
+            const count = selection.length;
+            warnOutdatedAges(getSelectedAnimals(selection));
+            showToast(`Generating card sheet for ${count} animal${count !== 1 ? 's' : ''}...`);
+            await printSheet(selection);
+        } catch (err) {
+            console.error('[App] Error generating sheet:', err);
+            showToast(`Error generating sheet: ${err.message}`, 'error');
+        }
+    };
+
     const handlePrintFlyer = async (animalId) => {
         const animal = animals.find(a => a.id === animalId);
         if (!animal) return;
         try {
-            showToast(`Generating adoption flyer for ${animal.name}...`);
+            warnOutdatedAges([animal]);
+            showToast(`Generating ${animal.status === 'adopted' ? 'adopted' : 'adoption'} flyer for ${animal.name}...`);
             await printFlyer(animal);
         } catch (err) {
             showToast(`Error: ${err.message}`, 'error');
@@ -4234,105 +7646,41 @@ function App() {
         const animal = animals.find(a => a.id === animalId);
         if (!animal) return;
 
-        const template = db.getTemplateById(templateId);
-        if (!template) {
-            showToast('Template not found', 'error');
-            return;
-        }
-
         try {
-            showToast(`Generating ${template.name} for ${animal.name}...`);
-
-            const rescue = db.getRescueById(animal.rescue_id || 1);
-            const portraitDataUrl = db.getImageAsDataUrl(animal.id);
-            const logoDataUrl = rescue ? db.getRescueLogoAsDataUrl(rescue.id) : null;
-
-            // Get stored attributes, or build from animal data as fallback
-            let traits = db.getAnimalAttributes(animal.id);
-            if (!traits || traits.length === 0) {
-                traits = [];
-                if (animal.breed) traits.push(animal.breed);
-                if (animal.age_long) traits.push(animal.age_long);
-                if (animal.size) traits.push(animal.size);
-                if (animal.gender) traits.push(animal.gender);
-                if (animal.shots) traits.push('Up to date on shots');
-                if (animal.housetrained) traits.push('Housetrained');
-                if (animal.kids === 1) traits.push('Good with kids');
-                if (animal.dogs === 1) traits.push('Good with dogs');
-                if (animal.cats === 1) traits.push('Good with cats');
+            const template = await db.getTemplateById(templateId);
+            if (!template) {
+                showToast('Template not found', 'error');
+                return;
             }
 
-            const params = {
-                name: animal.name,
-                breed: animal.breed,
-                ageShort: animal.age_short,
-                ageLong: animal.age_long,
-                size: animal.size,
-                gender: animal.gender,
-                shots: animal.shots,
-                housetrained: animal.housetrained,
-                kids: animal.kids,
-                dogs: animal.dogs,
-                cats: animal.cats,
-                slug: animal.slug,
-                bio: animal.bio || '',
-                portrait: portraitDataUrl || '',
-                rescueName: rescue?.name || 'Paws Rescue League',
-                rescueWebsite: rescue?.website || 'pawsrescueleague.org',
-                logo: logoDataUrl || '',
-                // Add trait fields (up to 16)
-                trait1: traits[0] || '',
-                trait2: traits[1] || '',
-                trait3: traits[2] || '',
-                trait4: traits[3] || '',
-                trait5: traits[4] || '',
-                trait6: traits[5] || '',
-                trait7: traits[6] || '',
-                trait8: traits[7] || '',
-                trait9: traits[8] || '',
-                trait10: traits[9] || '',
-                trait11: traits[10] || '',
-                trait12: traits[11] || '',
-                trait13: traits[12] || '',
-                trait14: traits[13] || '',
-                trait15: traits[14] || '',
-                trait16: traits[15] || ''
-            };
+            warnOutdatedAges([animal]);
+            showToast(`Generating ${template.name} for ${animal.name}...`);
 
+            const params = await db.buildTemplateParams(animal);
             const outputPath = await generateFromTemplate(template, params);
+            await sendToPrinter(outputPath, template.name, [animal.id]);
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+        }
+    };
 
-            if (process.platform === 'win32') {
-                let templateConfig = null;
-                try {
-                    if (template.config) {
-                        templateConfig = typeof template.config === 'string'
-                            ? JSON.parse(template.config)
-                            : template.config;
-                    }
-                } catch (err) {
-                    console.log('[App] Could not load template config:', err.message);
-                }
+    const handleExportPdf = async (selection) => {
+        try {
+            warnOutdatedAges(animals.filter(a => selection.animalIds.includes(a.id)));
+            await exportPdf(selection);
+        } catch (err) {
+            console.error('[App] Error exporting PDF:', err);
+            showToast(`Error exporting PDF: ${err.message}`, 'error');
+        }
+    };
 
-                return new Promise((resolve) => {
-                    setPrintFilePath(outputPath);
-                    setPrintTemplateConfig(templateConfig);
-                    setPrintCallback(() => (success) => {
-                        setShowPrintSettings(false);
-                        setPrintFilePath(null);
-                        setPrintTemplateConfig(null);
-                        setPrintCallback(null);
-                        resolve(success);
-                    });
-                    setShowPrintSettings(true);
-                });
-            } else {
-                const result = await ipcRenderer.invoke('open-in-gimp', outputPath);
-                if (!result.success) {
-                    showToast('Could not launch GIMP. Is it installed?', 'error');
-                }
-            }
+    const handleExportSheetPdf = async (selection) => {
+        try {
+            warnOutdatedAges(getSelectedAnimals(selection));
+            await exportSheetPdf(selection);
         } catch (err) {
-            showToast(`Error: ${err.message}`, 'error');
+            console.error('[App] Error exporting sheet PDF:', err);
+            showToast(`Error exporting PDF: ${err.message}`, 'error');
         }
     };
 
@@ -4375,6 +7723,14 @@ onClose=${() => {
             <${ControlBar}
                 onCreateClick=${() => setShowCreateOptions(true)}
                 onRefreshClick=${loadAnimals}
+                onComposeSheetClick=${() => setShowComposeSheet(true)}
+                onExportPdfClick=${() => setShowExportPdf(true)}
+                onRosterSyncClick=${() => setShowRosterSync(true)}
+                onRosterSpreadsheetClick=${() => setShowRosterSpreadsheet(true)}
+                onDuplicatesClick=${() => setShowDuplicates(true)}
+                onEventsClick=${() => setShowEvents(true)}
+                onPrintHistoryClick=${() => setShowPrintHistory(true)}
+                outdatedCount=${outdatedPrints.length}
                 onDeleteMultipleClick=${() => setShowDeleteMultiple(true)}
                 onSettingsClick=${() => setShowSettings(true)}
             />
@@ -4383,15 +7739,30 @@ onClose=${() => {
                 ${loading
                     ? html`<div class="loading">Loading animals...</div>`
                     : html`
-                        <${AnimalGrid}
+                        <${SearchBar}
+                            search=${search}
+                            onChange=${setSearch}
+                            rescues=${rescues}
+                            fosters=${fosters}
+                            shownCount=${visibleAnimals.length}
+                            totalCount=${animals.length}
+                        />
+                        <${StatusFilterBar}
                             animals=${animals}
+                            value=${statusFilter}
+                            onChange=${setStatusFilter}
+                        />
+                        <${AnimalGrid}
+                            animals=${visibleAnimals}
                             rescues=${rescues}
+                            outdatedPrints=${outdatedPrints}
                             onEdit=${(id) => setEditingAnimal(animals.find(a => a.id === id))}
                             onPrintFront=${handlePrintFront}
                             onPrintBack=${handlePrintBack}
                             onPrintFlyer=${handlePrintFlyer}
                             customTemplates=${customTemplates}
                             onPrintWithTemplate=${handlePrintWithTemplate}
+                            emptyMessage=${animals.length > 0 ? 'No animals match the current search and filters.' : null}
                         />
                     `
                 }
@@ -4409,6 +7780,7 @@ onClose=${() => {
             <${RescueSelectModal}
                 isOpen=${showRescueSelect}
                 onClose=${() => setShowRescueSelect(false)}
+                rescues=${rescues}
                 onSelect=${(rescue) => { setSelectedRescue(rescue); setShowRescueSelect(false); setShowSelectFromSite(true); }}
             />
 
@@ -4422,6 +7794,7 @@ onClose=${() => {
                 isOpen=${showManualEntry}
                 onClose=${() => { setShowManualEntry(false); setManualEntryData(null); }}
                 rescues=${rescues}
+                fosters=${fosters}
                 initialData=${manualEntryData}
                 onSubmit=${loadAnimals}
             />
@@ -4431,14 +7804,30 @@ onClose=${() => {
                 onClose=${() => setEditingAnimal(null)}
                 animal=${editingAnimal}
                 rescues=${rescues}
+                fosters=${fosters}
                 onSubmit=${loadAnimals}
                 onDelete=${loadAnimals}
+                onRevert=${async () => {
+                    setEditingAnimal(await db.getAnimalById(editingAnimal.id));
+                    loadAnimals();
+                }}
             />
 
             <${SelectFromSiteModal}
                 isOpen=${showSelectFromSite}
                 onClose=${() => setShowSelectFromSite(false)}
-                selectedRescue=${selectedRescue}
+                rescue=${selectedRescue}
+                onImportComplete=${loadAnimals}
+            />
+
+            <${RosterSyncModal}
+                isOpen=${showRosterSync}
+                onClose=${() => setShowRosterSync(false)}
+                rescues=${rescues}
+                report=${syncReport}
+                syncing=${syncing}
+                progress=${syncProgress}
+                onRun=${(options) => handleRosterSync(options)}
                 onImportComplete=${loadAnimals}
             />
 
@@ -4449,6 +7838,49 @@ onClose=${() => {
                 onDeleteComplete=${loadAnimals}
             />
 
+            <${ComposeSheetModal}
+                isOpen=${showComposeSheet}
+                onClose=${() => setShowComposeSheet(false)}
+                animals=${animals}
+                onGenerate=${handlePrintSheet}
+                onExportPdf=${handleExportSheetPdf}
+            />
+
+            <${ExportPdfModal}
+                isOpen=${showExportPdf}
+                onClose=${() => setShowExportPdf(false)}
+                animals=${animals}
+                onExport=${handleExportPdf}
+            />
+
+            <${RosterSpreadsheetModal}
+                isOpen=${showRosterSpreadsheet}
+                onClose=${() => setShowRosterSpreadsheet(false)}
+                onImported=${loadAnimals}
+            />
+
+            <${DuplicatesModal}
+                isOpen=${showDuplicates}
+                onClose=${() => setShowDuplicates(false)}
+                rescues=${rescues}
+                fosters=${fosters}
+                onMerged=${loadAnimals}
+            />
+
+            <${EventsModal}
+                isOpen=${showEvents}
+                onClose=${() => setShowEvents(false)}
+                animals=${animals}
+                rescues=${rescues}
+            />
+
+            <${PrintHistoryModal}
+                isOpen=${showPrintHistory}
+                onClose=${() => setShowPrintHistory(false)}
+                outdatedPrints=${outdatedPrints}
+                onEditAnimal=${(id) => { setShowPrintHistory(false); setEditingAnimal(animals.find(a => a.id === id)); }}
+            />
+
             <${SettingsModal}
                 isOpen=${showSettings}
                 onClose=${() => setShowSettings(false)}
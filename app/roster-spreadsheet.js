@@ -0,0 +1,575 @@
+/**
+ * Roster Spreadsheets (main process)
+ * Exports the animal roster to CSV or Excel, and imports animals from a
+ * coordinator's spreadsheet. Importing is done in two steps so the user can
+ * check the result first:
+ *   readRosterFile()      - columns and a suggested column mapping
+ *   previewRosterImport() - what each row would do, with validation errors (dry run)
+ *   importRoster()        - create and update the animals
+ *
+ * A mapping names the spreadsheet column (zero-based index) for each roster
+ * field, e.g. { name: 0, breed: 2 }. Rows are matched to existing animals by
+ * adoption URL (slug).
+ */
+
+const db = require('./db.js');
+const { readSpreadsheet, writeSpreadsheet } = require('./spreadsheet.js');
+const { DEFAULT_SPECIES, getSpecies, guessSpecies, parseSpecies } = require('./species.js');
+const { parseAmount } = require('./animal-facts.js');
+
+// Roster fields, in export column order. `aliases` are other headers the
+// field is recognized by when suggesting a mapping.
+const ROSTER_FIELDS = [
+    { key: 'name', header: 'Name', required: true, aliases: ['animal', 'animal name', 'pet', 'pet name', 'dog', 'dog name'] },
+    { key: 'breed', header: 'Breed', required: true, aliases: ['breeds'] },
+    { key: 'slug', header: 'Adoption URL', aliases: ['url', 'link', 'slug', 'adoption link', 'profile', 'profile url'] },
+    { key: 'age_long', header: 'Age', required: true, aliases: ['age long', 'age (long)'] },
+    { key: 'age_short', header: 'Age (Short)', aliases: ['age short', 'short age'] },
+    { key: 'birthdate', header: 'Birthdate', aliases: ['birthday', 'date of birth', 'dob', 'born'] },
+    { key: 'species', header: 'Species', aliases: ['animal type', 'type', 'kind'] },
+    { key: 'size', header: 'Size', aliases: [] },
+    { key: 'gender', header: 'Gender', required: true, aliases: ['sex'] },
+    { key: 'shots', header: 'Shots', aliases: ['vaccinated', 'vaccinations', 'vaccines', 'up to date on shots'] },
+    { key: 'housetrained', header: 'Housetrained', aliases: ['house trained', 'house-trained', 'potty trained'] },
+    { key: 'kids', header: 'Good with Kids', aliases: ['kids', 'children', 'good with children'] },
+    { key: 'dogs', header: 'Good with Dogs', aliases: ['dogs'] },
+    { key: 'cats', header: 'Good with Cats', aliases: ['cats'] },
+    { key: 'rabbits', header: 'Good with Rabbits', aliases: ['rabbits', 'bunnies'] },
+    { key: 'weight_lbs', header: 'Weight (lbs)', aliases: ['weight', 'weight lbs', 'lbs', 'pounds'] },
+    { key: 'altered', header: 'Spayed/Neutered', aliases: ['spayed / neutered', 'spay/neuter', 'spayed', 'neutered', 'altered', 'fixed'] },
+    { key: 'microchipped', header: 'Microchipped', aliases: ['microchip', 'chipped'] },
+    { key: 'adoption_fee', header: 'Adoption Fee', aliases: ['fee', 'price'] },
+    { key: 'special_needs', header: 'Special Needs', aliases: ['medical needs', 'medical notes'] },
+    { key: 'intake_date', header: 'Intake Date', aliases: ['intake', 'intake on', 'date in', 'arrival date'] },
+    { key: 'rescue', header: 'Rescue', aliases: ['rescue name', 'rescue organization', 'organization', 'organisation'] },
+    { key: 'status', header: 'Status', aliases: [] },
+    { key: 'adopted_at', header: 'Adoption Date', aliases: ['adopted', 'adopted on', 'date adopted', 'adopted date'] },
+    { key: 'bio', header: 'Bio', aliases: ['description', 'about', 'notes'] }
+];
+
+const STATUS_LABELS = {
+    available: 'Available',
+    pending: 'Pending',
+    adopted: 'Adopted',
+    on_hold: 'On Hold'
+};
+
+const SIZE_VALUES = {
+    Dwarf: ['dwarf', 'mini', 'miniature'],
+    Small: ['small', 's', 'sm', 'xs', 'x-small', 'extra small', 'tiny', 'toy'],
+    Medium: ['medium', 'm', 'med', 'mid'],
+    Large: ['large', 'l', 'lg', 'xl', 'x-large', 'extra large', 'big'],
+    Giant: ['giant']
+};
+
+// Nearest size for species that don't use a size (a "giant" dog is Large)
+const SIZE_FALLBACKS = {
+    Dwarf: 'Small',
+    Giant: 'Large'
+};
+
+const GENDER_VALUES = {
+    Male: ['male', 'm', 'boy'],
+    Female: ['female', 'f', 'girl'],
+    'Neutered(M)': ['neutered(m)', 'neutered male', 'male (neutered)', 'male, neutered', 'neutered'],
+    'Spayed(F)': ['spayed(f)', 'spayed female', 'female (spayed)', 'female, spayed', 'spayed']
+};
+
+const YES_VALUES = ['yes', 'y', 'true', '1', 'x', '✓', '✔', '✅'];
+const NO_VALUES = ['no', 'n', 'false', '0', '✗', '✘', '❌'];
+const UNKNOWN_VALUES = ['?', 'unknown', 'not sure', 'unsure', 'n/a', 'na', '-'];
+
+// How many rows readRosterFile returns for the mapping step
+const SAMPLE_ROWS = 5;
+
+// ============================================================
+// Value Normalization
+// ============================================================
+
+/**
+ * Reduce a header or value to a comparable form
+ * @param {string} value - Text
+ * @returns {string}
+ */
+function simplify(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find the canonical value a spreadsheet value stands for
+ * @param {string} value - Spreadsheet value
+ * @param {Object<string, Array<string>>} values - Accepted spellings by canonical value
+ * @returns {string|null} - null if the value isn't recognized
+ */
+function lookupValue(value, values) {
+    const text = simplify(value);
+    for (const [canonical, spellings] of Object.entries(values)) {
+        if (simplify(canonical) === text || spellings.includes(text)) {
+            return canonical;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read a yes/no value
+ * @param {string} value - Spreadsheet value
+ * @returns {number|null} - 1, 0, or null if not recognized
+ */
+function parseYesNo(value) {
+    const text = simplify(value);
+    if (YES_VALUES.includes(text)) return 1;
+    if (NO_VALUES.includes(text)) return 0;
+    return null;
+}
+
+/**
+ * Read a yes/no/unknown value (kids, dogs, cats, rabbits, altered, microchipped)
+ * @param {string} value - Spreadsheet value
+ * @returns {string|null} - '1', '0', '?', or null if not recognized
+ */
+function parseTriState(value) {
+    if (UNKNOWN_VALUES.includes(simplify(value))) return '?';
+    const yesNo = parseYesNo(value);
+    return yesNo === null ? null : String(yesNo);
+}
+
+/**
+ * Read a lifecycle status
+ * @param {string} value - Spreadsheet value, e.g. 'On Hold' or 'on_hold'
+ * @returns {string|null} - One of db.ANIMAL_STATUSES, or null if not recognized
+ */
+function parseStatus(value) {
+    const text = simplify(value).replace(/[\s-]+/g, '_');
+    if (text === 'hold') return 'on_hold';
+    return db.ANIMAL_STATUSES.includes(text) ? text : null;
+}
+
+/**
+ * Read a date as YYYY-MM-DD. Accepts ISO dates, US dates (M/D/YYYY) and
+ * Excel date serial numbers.
+ * @param {string} value - Spreadsheet value
+ * @returns {string|null} - null if not a date
+ */
+function parseDate(value) {
+    const text = String(value).trim();
+    const pad = n => String(n).padStart(2, '0');
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+        const [, y, m, d] = match.map(Number);
+        return isValidDate(y, m, d) ? `${y}-${pad(m)}-${pad(d)}` : null;
+    }
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (match) {
+        const [, m, d] = match.map(Number);
+        const y = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return isValidDate(y, m, d) ? `${y}-${pad(m)}-${pad(d)}` : null;
+    }
+
+    // Excel stores dates as days since 1899-12-30
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000);
+        return date.toISOString().slice(0, 10);
+    }
+
+    const parsed = new Date(text);
+    if (!isNaN(parsed.getTime()) && /[a-z]/i.test(text)) {
+        return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a year, month and day make a real date
+ * @param {number} y - Year
+ * @param {number} m - Month (1-12)
+ * @param {number} d - Day
+ * @returns {boolean}
+ */
+function isValidDate(y, m, d) {
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+/**
+ * Get the spreadsheet header of a roster field
+ * @param {string} key - Field key
+ * @returns {string}
+ */
+function getFieldHeader(key) {
+    return ROSTER_FIELDS.find(field => field.key === key)?.header || key;
+}
+
+/**
+ * Key used to match adoption URLs, ignoring case and trailing slashes
+ * @param {string} slug - Adoption URL
+ * @returns {string}
+ */
+function slugKey(slug) {
+    return simplify(slug).replace(/\/+$/, '');
+}
+
+/**
+ * Format a tri-state value for export
+ * @param {string|number} value - '1', '0' or '?'
+ * @returns {string}
+ */
+function formatTriState(value) {
+    if (value === 1 || value === '1') return 'Yes';
+    if (value === 0 || value === '0') return 'No';
+    return 'Unknown';
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Export the animal roster to a spreadsheet
+ * @param {string} filePath - .csv or .xlsx file to write
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.statuses] - Only export animals with these statuses (default: all)
+ * @returns {{filePath: string, count: number}}
+ */
+function exportRoster(filePath, options = {}) {
+    const rescueNames = new Map(db.getAllRescues().map(rescue => [rescue.id, rescue.name]));
+    const animals = db.getAllAnimals()
+        .filter(animal => !options.statuses || options.statuses.includes(animal.status || 'available'));
+
+    const rows = [ROSTER_FIELDS.map(field => field.header)];
+    for (const animal of animals) {
+        const values = {
+            ...animal,
+            shots: animal.shots ? 'Yes' : 'No',
+            species: getSpecies(animal.species).label,
+            housetrained: animal.housetrained ? 'Yes' : 'No',
+            kids: formatTriState(animal.kids),
+            dogs: formatTriState(animal.dogs),
+            cats: formatTriState(animal.cats),
+            rabbits: formatTriState(animal.rabbits),
+            altered: formatTriState(animal.altered),
+            microchipped: formatTriState(animal.microchipped),
+            rescue: rescueNames.get(animal.rescue_id) || '',
+            status: STATUS_LABELS[animal.status] || STATUS_LABELS.available,
+            adopted_at: animal.adopted_at || ''
+        };
+        rows.push(ROSTER_FIELDS.map(field => values[field.key] ?? ''));
+    }
+
+    writeSpreadsheet(filePath, rows, { sheetName: 'Animals' });
+    console.log(`[Roster] Exported ${animals.length} animal(s) to ${filePath}`);
+    return { filePath, count: animals.length };
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Suggest a column for each roster field from the spreadsheet's headers
+ * @param {Array<string>} headers - Header row
+ * @returns {Object<string, number>} - Column index by field key
+ */
+function suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const simplified = headers.map(header => simplify(header).replace(/[:*]+$/, ''));
+
+    for (const field of ROSTER_FIELDS) {
+        const names = [simplify(field.header), simplify(field.key).replace(/_/g, ' '), ...field.aliases];
+        const index = simplified.findIndex((header, i) => !used.has(i) && names.includes(header));
+        if (index >= 0) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Read a roster spreadsheet for the mapping step
+ * @param {string} filePath - .csv or .xlsx file
+ * @returns {{headers: Array<string>, sampleRows: Array<Array<string>>, rowCount: number,
+ *   mapping: Object<string, number>, fields: Array<{key: string, header: string, required: boolean}>}}
+ * @throws {Error} If the file can't be read or has no header row
+ */
+function readRosterFile(filePath) {
+    const [headers, ...rows] = readSpreadsheet(filePath);
+    if (!headers || headers.every(header => !String(header).trim())) {
+        throw new Error('The spreadsheet is empty. The first row must name the columns.');
+    }
+
+    const dataRows = rows.filter(row => row.some(cell => String(cell).trim()));
+    return {
+        headers: headers.map(header => String(header).trim()),
+        sampleRows: dataRows.slice(0, SAMPLE_ROWS),
+        rowCount: dataRows.length,
+        mapping: suggestMapping(headers),
+        fields: ROSTER_FIELDS.map(({ key, header, required = false }) => ({ key, header, required }))
+    };
+}
+
+/**
+ * Work out what importing one spreadsheet row would do
+ * @param {Object<string, string>} values - Mapped cell values by field key (blank cells omitted)
+ * @param {Object|null} existing - Existing animal with the same adoption URL
+ * @param {Object} context - Rescues by simplified name and the default rescue ID
+ * @returns {{animal: Object, status: string|null, adoptedAt: string|null, errors: Array<string>, warnings: Array<string>}}
+ */
+function normalizeRow(values, existing, context) {
+    const errors = [];
+    const warnings = [];
+    const animal = existing ? { ...existing } : {
+        name: '', breed: '', slug: '', age_long: '', age_short: '', birthdate: null, species: '',
+        size: '', gender: '', shots: 0, housetrained: 0,
+        kids: '?', dogs: '?', cats: '?', rabbits: '?', altered: '?', microchipped: '?',
+        weight_lbs: null, adoption_fee: null, special_needs: null, intake_date: null,
+        bio: '', rescue_id: context.defaultRescueId
+    };
+
+    for (const key of ['name', 'breed', 'slug', 'age_long', 'age_short', 'special_needs', 'bio']) {
+        if (values[key] !== undefined) animal[key] = values[key];
+    }
+    if (!animal.age_long && animal.age_short) animal.age_long = animal.age_short;
+    if (!animal.age_short && animal.age_long) animal.age_short = animal.age_long;
+
+    if (values.birthdate !== undefined) {
+        const birthdate = parseDate(values.birthdate);
+        if (birthdate) animal.birthdate = birthdate;
+        else errors.push(`"${values.birthdate}" is not a date`);
+    } else if (existing && animal.age_long !== existing.age_long) {
+        // A changed age gets a fresh birthdate estimate when the animal is saved
+        animal.birthdate = null;
+    }
+
+    if (values.species !== undefined) {
+        animal.species = parseSpecies(values.species);
+        if (animal.species === 'other' && simplify(values.species) !== 'other') {
+            warnings.push(`Species "${values.species}" isn't one the app knows; using Other`);
+        }
+    } else if (!existing) {
+        animal.species = guessSpecies(animal.breed) || DEFAULT_SPECIES;
+    }
+    const species = getSpecies(animal.species);
+
+    if (values.size !== undefined) {
+        const size = lookupValue(values.size, SIZE_VALUES);
+        if (!size) errors.push(`Unknown size "${values.size}" (use ${species.sizes.join(', ')})`);
+        else animal.size = species.sizes.includes(size) ? size : SIZE_FALLBACKS[size];
+    } else if (!existing) {
+        animal.size = species.defaultSize;
+        warnings.push(`No size given; using ${species.defaultSize}`);
+    }
+
+    if (values.gender !== undefined) {
+        const gender = lookupValue(values.gender, GENDER_VALUES);
+        if (gender) animal.gender = gender;
+        else errors.push(`Unknown gender "${values.gender}" (use Male, Female, Neutered(M) or Spayed(F))`);
+    }
+
+    for (const key of ['shots', 'housetrained']) {
+        if (values[key] === undefined) continue;
+        const value = parseYesNo(values[key]);
+        if (value === null) errors.push(`${getFieldHeader(key)} must be Yes or No, not "${values[key]}"`);
+        else animal[key] = value;
+    }
+
+    for (const key of ['kids', 'dogs', 'cats', 'rabbits', 'altered', 'microchipped']) {
+        if (values[key] === undefined) continue;
+        const value = parseTriState(values[key]);
+        if (value === null) errors.push(`${getFieldHeader(key)} must be Yes, No or Unknown, not "${values[key]}"`);
+        else animal[key] = value;
+    }
+
+    for (const key of ['weight_lbs', 'adoption_fee']) {
+        if (values[key] === undefined) continue;
+        const value = parseAmount(values[key]);
+        if (value === null) errors.push(`${getFieldHeader(key)} must be a number, not "${values[key]}"`);
+        else animal[key] = value;
+    }
+
+    if (values.intake_date !== undefined) {
+        const intakeDate = parseDate(values.intake_date);
+        if (intakeDate) animal.intake_date = intakeDate;
+        else errors.push(`"${values.intake_date}" is not a date`);
+    }
+
+    if (values.rescue !== undefined) {
+        const rescueId = context.rescues.get(simplify(values.rescue));
+        if (rescueId) animal.rescue_id = rescueId;
+        else errors.push(`Unknown rescue "${values.rescue}"`);
+    }
+
+    let status = null;
+    if (values.status !== undefined) {
+        status = parseStatus(values.status);
+        if (!status) errors.push(`Unknown status "${values.status}" (use Available, Pending, Adopted or On Hold)`);
+    }
+
+    let adoptedAt = null;
+    if (values.adopted_at !== undefined) {
+        adoptedAt = parseDate(values.adopted_at);
+        if (!adoptedAt) {
+            errors.push(`"${values.adopted_at}" is not a date`);
+        } else if (!status && !existing) {
+            status = 'adopted';
+        } else if ((status || existing?.status) !== 'adopted') {
+            warnings.push('Adoption date ignored; the animal is not adopted');
+            adoptedAt = null;
+        }
+    }
+
+    // Fields given with a value that wasn't recognized are already reported
+    const missing = ROSTER_FIELDS.filter(field =>
+        field.required && values[field.key] === undefined && !String(animal[field.key] ?? '').trim());
+    for (const field of missing) {
+        errors.push(`${field.header} is required`);
+    }
+    if (!animal.slug) {
+        warnings.push('No adoption URL; duplicates can\'t be detected');
+    }
+
+    return { animal, status, adoptedAt, errors, warnings };
+}
+
+/**
+ * Plan an import: normalize and validate every row and match it to existing animals
+ * @param {string} filePath - .csv or .xlsx file
+ * @param {Object<string, number>} mapping - Column index by field key
+ * @param {Object} [options] - Options
+ * @param {string} [options.duplicates='skip'] - What to do with rows matching an existing
+ *   animal: 'skip' or 'update'
+ * @returns {Array<Object>} - One entry per non-empty row
+ */
+function planImport(filePath, mapping, options = {}) {
+    const duplicates = options.duplicates === 'update' ? 'update' : 'skip';
+    if ([undefined, null, ''].includes(mapping?.name)) {
+        throw new Error('Choose the column that holds the animals\' names');
+    }
+
+    const [, ...rows] = readSpreadsheet(filePath);
+    const rescues = db.getAllRescues();
+    const context = {
+        rescues: new Map(rescues.map(rescue => [simplify(rescue.name), rescue.id])),
+        defaultRescueId: rescues[0]?.id || 1
+    };
+    const animalsBySlug = new Map();
+    for (const animal of db.getAllAnimals()) {
+        if (animal.slug) animalsBySlug.set(slugKey(animal.slug), animal);
+    }
+
+    const plan = [];
+    const rowsBySlug = new Map();
+
+    rows.forEach((row, index) => {
+        if (!row.some(cell => String(cell).trim())) return;
+
+        const values = {};
+        for (const [key, column] of Object.entries(mapping)) {
+            if (column === null || column === undefined || column === '') continue;
+            const value = String(row[column] ?? '').trim();
+            if (value !== '') values[key] = value;
+        }
+
+        // Spreadsheet row numbers count the header row
+        const rowNumber = index + 2;
+        const key = values.slug ? slugKey(values.slug) : null;
+        const existing = key ? animalsBySlug.get(key) || null : null;
+        const entry = { row: rowNumber, name: values.name || '', animalId: existing?.id || null };
+
+        if (existing && duplicates === 'skip') {
+            Object.assign(entry, { action: 'skip', errors: [], warnings: [`Already in the roster as ${existing.name}`] });
+        } else {
+            Object.assign(entry, { action: existing ? 'update' : 'create' }, normalizeRow(values, existing, context));
+        }
+
+        if (key && rowsBySlug.has(key)) {
+            entry.errors.push(`Same adoption URL as row ${rowsBySlug.get(key)}`);
+        } else if (key) {
+            rowsBySlug.set(key, rowNumber);
+        }
+        if (entry.errors.length > 0) {
+            entry.action = 'error';
+        }
+        plan.push(entry);
+    });
+
+    return plan;
+}
+
+/**
+ * Count a plan's rows by action
+ * @param {Array<Object>} plan - From planImport
+ * @returns {{create: number, update: number, skip: number, error: number}}
+ */
+function countActions(plan) {
+    const counts = { create: 0, update: 0, skip: 0, error: 0 };
+    for (const entry of plan) counts[entry.action]++;
+    return counts;
+}
+
+/**
+ * Dry run of an import: what each row would do, without changing anything
+ * @param {string} filePath - .csv or .xlsx file
+ * @param {Object<string, number>} mapping - Column index by field key
+ * @param {Object} [options] - See planImport
+ * @returns {{rows: Array<{row: number, name: string, action: string, animalId: number|null,
+ *   errors: Array<string>, warnings: Array<string>}>, counts: Object}}
+ */
+function previewRosterImport(filePath, mapping, options = {}) {
+    const plan = planImport(filePath, mapping, options);
+    return {
+        rows: plan.map(({ row, name, action, animalId, errors, warnings }) => ({ row, name, action, animalId, errors, warnings })),
+        counts: countActions(plan)
+    };
+}
+
+/**
+ * Import a roster spreadsheet. Rows with errors are left out; everything else
+ * is written in one transaction, after an automatic backup.
+ * @param {string} filePath - .csv or .xlsx file
+ * @param {Object<string, number>} mapping - Column index by field key
+ * @param {Object} [options] - See planImport
+ * @returns {{created: number, updated: number, skipped: number, failed: number, backupPath: string|null}}
+ */
+function importRoster(filePath, mapping, options = {}) {
+    const plan = planImport(filePath, mapping, options);
+    const counts = countActions(plan);
+    const summary = { created: counts.create, updated: counts.update, skipped: counts.skip, failed: counts.error, backupPath: null };
+    if (counts.create === 0 && counts.update === 0) {
+        return summary;
+    }
+
+    summary.backupPath = db.createAutoBackup('before-import');
+    db.transaction(() => {
+        for (const entry of plan) {
+            let id = entry.animalId;
+            if (entry.action === 'create') {
+                id = db.createAnimal(entry.animal).lastInsertRowid;
+            } else if (entry.action === 'update') {
+                db.updateAnimal(id, entry.animal, null, 'import');
+            } else {
+                continue;
+            }
+
+            const current = entry.action === 'update' ? entry.animal : { status: 'available', adopted_at: null };
+            const status = entry.status || current.status || 'available';
+            if (status !== (current.status || 'available') || (entry.adoptedAt && entry.adoptedAt !== current.adopted_at)) {
+                db.setAnimalStatus(id, status, { adoptedAt: entry.adoptedAt || undefined, note: 'Imported from spreadsheet' });
+            }
+        }
+    });
+
+    console.log(`[Roster] Imported ${filePath}: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.failed} with errors`);
+    return summary;
+}
+
+module.exports = {
+    ROSTER_FIELDS,
+    exportRoster,
+    readRosterFile,
+    previewRosterImport,
+    importRoster
+};
@@ -0,0 +1,269 @@
+/**
+ * Roster Sync
+ * Re-reads each rescue's listing and compares it with the animals already in
+ * the database:
+ *   - listed animals that aren't in the database are reported as new, so they
+ *     can be imported
+ *   - animals in the database that are no longer listed are flagged as
+ *     "possibly adopted"
+ *   - listed animals can be re-scraped so changed details (age, bio, ...) are updated
+ *
+ * Scraping and storage are passed in as functions, so the sync doesn't care
+ * which process owns the database or the browser.
+ */
+
+// Fields compared between the database and a re-scraped animal
+const COMPARED_FIELDS = [
+    'name', 'breed', 'age_long', 'age_short', 'species', 'size', 'gender',
+    'shots', 'housetrained', 'kids', 'dogs', 'cats', 'bio',
+    'weight_lbs', 'altered', 'microchipped', 'adoption_fee', 'special_needs'
+];
+
+// Fields stored as 0/1 integers
+const FLAG_FIELDS = ['shots', 'housetrained'];
+
+/**
+ * Normalize an animal page URL for comparison (no hash, trailing slash or "www.")
+ * @param {string} url - Animal page URL
+ * @returns {string} - Normalized URL, or '' when it isn't a URL
+ */
+function normalizeSourceUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        const host = parsed.hostname.replace(/^www\./, '').toLowerCase();
+        const pathname = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${pathname}${parsed.search}`;
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Extract a site's pet ID from an animal page URL
+ * (Wagtopia: ?id=123, Adoptapet: /pet/123-name)
+ * @param {string} url - Animal page URL
+ * @returns {string|null}
+ */
+function getPetId(url) {
+    if (!url) return null;
+    const match = url.match(/[?&]id=(\d+)/) || url.match(/\/pet\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Compare a rescue's animals with its current listing
+ * @param {Array<Object>} animals - Animals in the database for the rescue (with `slug`)
+ * @param {Array<{name: string, url: string, id?: string}>} listings - Animals on the rescue's listing
+ * @returns {{listed: Array<{animal: Object, listing: Object}>, added: Array<Object>, missing: Array<Object>}}
+ */
+function diffRoster(animals, listings) {
+    const byUrl = new Map();
+    const byPetId = new Map();
+
+    // Only animals imported from a page can be matched; hand-entered ones are left alone
+    const tracked = animals.filter(a => normalizeSourceUrl(a.slug));
+    for (const animal of tracked) {
+        byUrl.set(normalizeSourceUrl(animal.slug), animal);
+        const petId = getPetId(animal.slug);
+        if (petId) byPetId.set(petId, animal);
+    }
+
+    const listed = [];
+    const added = [];
+    const matchedIds = new Set();
+
+    for (const listing of listings) {
+        const petId = listing.id ? String(listing.id) : getPetId(listing.url);
+        const animal = byUrl.get(normalizeSourceUrl(listing.url)) || (petId && byPetId.get(petId));
+
+        if (animal && !matchedIds.has(animal.id)) {
+            matchedIds.add(animal.id);
+            listed.push({ animal, listing });
+        } else if (!animal) {
+            added.push(listing);
+        }
+    }
+
+    const missing = tracked.filter(a => !matchedIds.has(a.id));
+
+    return { listed, added, missing };
+}
+
+/**
+ * Normalize a field value so database and scraped values compare equal
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function normalizeFieldValue(field, value) {
+    if (FLAG_FIELDS.includes(field)) return value ? 1 : 0;
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Check whether a scraped value means the page didn't state the fact
+ * @param {*} value - Scraped field value
+ * @returns {boolean}
+ */
+function isUnscraped(value) {
+    return value === undefined || value === null || value === '' || value === '?';
+}
+
+/**
+ * Find the fields that differ between a stored animal and its re-scraped page.
+ * Only fields the scraper actually read are compared: empty values and '?'
+ * (not stated) are ignored, so a partial scrape never overwrites data entered by hand.
+ * @param {Object} animal - Animal from the database
+ * @param {Object} scraped - Result of scrapeAnimal()
+ * @returns {Object} - Field name to { from, to }
+ */
+function diffAnimalFields(animal, scraped) {
+    const changes = {};
+    for (const field of COMPARED_FIELDS) {
+        if (isUnscraped(scraped[field])) continue;
+
+        const from = normalizeFieldValue(field, animal[field]);
+        const to = normalizeFieldValue(field, scraped[field]);
+        if (from !== to) {
+            changes[field] = { from: animal[field], to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Sync one rescue's roster
+ * @param {Object} rescue - Rescue row
+ * @param {Object} deps - Scraping and storage functions (see runRosterSync)
+ * @param {boolean} updateDetails - Re-scrape listed animals for changed fields
+ * @returns {Promise<Object>} - Rescue section of the sync report
+ */
+async function syncRescue(rescue, deps, updateDetails) {
+    const section = {
+        rescueId: rescue.id,
+        rescueName: rescue.name,
+        listedCount: 0,
+        added: [],
+        missing: [],
+        relisted: [],
+        updated: [],
+        errors: []
+    };
+
+    const progress = (message) => deps.onProgress && deps.onProgress(`${rescue.name}: ${message}`);
+
+    progress('Reading listing...');
+    const listings = await deps.scrapeList(rescue);
+    const animals = await deps.getAnimals(rescue.id);
+    const { listed, added, missing } = diffRoster(animals, listings);
+
+    section.listedCount = listings.length;
+    section.added = added.map(l => ({ name: l.name, url: l.url }));
+
+    // An empty listing usually means the site failed to load, not that every animal was adopted
+    if (listings.length === 0 && animals.length > 0) {
+        section.errors.push({ name: rescue.name, error: 'The listing was empty, so no animals were flagged' });
+    } else {
+        // Animals already marked adopted are expected to drop off the listing
+        const unlisted = missing.filter(a => a.status !== 'adopted');
+        section.missing = unlisted
+            .filter(a => !a.source_missing_since)
+            .map(a => ({ id: a.id, name: a.name, url: a.slug }));
+        await deps.markMissing(unlisted.map(a => a.id));
+    }
+
+    section.relisted = listed
+        .filter(({ animal }) => animal.source_missing_since)
+        .map(({ animal }) => ({ id: animal.id, name: animal.name }));
+    await deps.markListed(listed.map(({ animal }) => animal.id));
+
+    if (updateDetails) {
+        let checked = 0;
+        for (const { animal, listing } of listed) {
+            checked++;
+            progress(`Checking ${animal.name} (${checked}/${listed.length})...`);
+            try {
+                const scraped = await deps.scrapeAnimal(rescue, listing.url);
+                const changes = diffAnimalFields(animal, scraped);
+                if (Object.keys(changes).length > 0) {
+                    const values = {};
+                    for (const [field, change] of Object.entries(changes)) {
+                        values[field] = change.to;
+                    }
+                    await deps.updateAnimal(animal.id, values);
+                    section.updated.push({ id: animal.id, name: animal.name, changes });
+                }
+            } catch (err) {
+                section.errors.push({ name: animal.name, error: err.message });
+            }
+        }
+    }
+
+    return section;
+}
+
+/**
+ * Sync the rosters of several rescues. A failing rescue is recorded in the
+ * report and doesn't stop the others.
+ *
+ * @param {Array<Object>} rescues - Rescues with a scraper configured
+ * @param {Object} deps - Scraping and storage functions
+ * @param {Function} deps.scrapeList - (rescue) => Promise<Array<{name, url}>>
+ * @param {Function} deps.scrapeAnimal - (rescue, url) => Promise<Object>
+ * @param {Function} deps.getAnimals - (rescueId) => Array<Object> | Promise
+ * @param {Function} deps.markListed - (ids) => void | Promise
+ * @param {Function} deps.markMissing - (ids) => void | Promise
+ * @param {Function} deps.updateAnimal - (id, changedValues) => void | Promise
+ * @param {Function} [deps.onProgress] - (message) => void
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.updateDetails=true] - Re-scrape listed animals for changed fields
+ * @returns {Promise<Object>} - Report: { startedAt, finishedAt, rescues: [...] }
+ */
+async function runRosterSync(rescues, deps, options = {}) {
+    const updateDetails = options.updateDetails !== false;
+    const report = { startedAt: new Date().toISOString(), finishedAt: null, rescues: [] };
+
+    for (const rescue of rescues) {
+        try {
+            report.rescues.push(await syncRescue(rescue, deps, updateDetails));
+        } catch (err) {
+            console.error(`[Roster Sync] ${rescue.name} failed:`, err.message);
+            report.rescues.push({
+                rescueId: rescue.id,
+                rescueName: rescue.name,
+                listedCount: 0,
+                added: [],
+                missing: [],
+                relisted: [],
+                updated: [],
+                errors: [{ name: rescue.name, error: err.message }]
+            });
+        }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    return report;
+}
+
+/**
+ * Check whether a sync report has anything worth showing
+ * @param {Object} report - Result of runRosterSync()
+ * @returns {boolean}
+ */
+function hasFindings(report) {
+    return report.rescues.some(r =>
+        r.added.length > 0 || r.missing.length > 0 || r.relisted.length > 0 ||
+        r.updated.length > 0 || r.errors.length > 0
+    );
+}
+
+module.exports = {
+    normalizeSourceUrl,
+    getPetId,
+    diffRoster,
+    diffAnimalFields,
+    runRosterSync,
+    hasFindings
+};
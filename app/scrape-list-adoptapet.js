@@ -1,4 +1,4 @@
-const { launchBrowser } = require('./browser-helper.js');
+const browserPool = require('./browser-pool.js');
 
 /**
  * Scrapes the Adoptapet organization page and extracts all animal listings
@@ -6,11 +6,9 @@ const { launchBrowser } = require('./browser-helper.js');
  * @returns {Promise<Array>} - Array of animals with name and URL
  */
 async function scrapeAnimalList(url) {
-    const browser = await launchBrowser();
+    const page = await browserPool.acquirePage();
 
     try {
-        const page = await browser.newPage();
-
         // Set a reasonable viewport
         await page.setViewport({ width: 1920, height: 1080 });
 
@@ -121,7 +119,7 @@ async function scrapeAnimalList(url) {
         console.error('[Adoptapet List Scraper] Error:', error);
         throw error;
     } finally {
-        await browser.close();
+        await browserPool.releasePage(page);
     }
 }
 
@@ -0,0 +1,435 @@
+const browserPool = require('./browser-pool.js');
+const { getTmpDir } = require('./paths.js');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Get the tmp directory in user's data folder (cross-platform)
+const TMP_DIR = getTmpDir();
+
+/**
+ * Selector profile scraper
+ *
+ * Scrapes any rescue site from a profile stored on the rescue (rescues.scraper_config)
+ * instead of site-specific code. A profile looks like:
+ *
+ *   {
+ *     "listUrl": "https://example.org/adopt?org={orgId}",
+ *     "listLinkSelector": ".pet-card a.details",
+ *     "listNameSelector": ".pet-name",
+ *     "fields": {
+ *       "name":  { "selector": "h1.pet-name" },
+ *       "breed": { "selector": ".pet-details li", "regex": "Breed:\\s*(.+)" },
+ *       "age":   { "selector": ".pet-details li", "regex": "Age:\\s*(.+)" },
+ *       "sex":   { "selector": ".pet-details li", "regex": "Sex:\\s*(.+)" },
+ *       "size":  { "selector": ".pet-size" },
+ *       "bio":   { "selector": ".pet-description" }
+ *     },
+ *     "photoSelector": ".gallery img@data-src"
+ *   }
+ *
+ * - A selector may end in `@attribute` to read an attribute instead of the text
+ *   (e.g. `meta[property="og:image"]@content`).
+ * - When a selector matches several elements, the regex is tried against each one
+ *   and the first match wins; capture group 1 is used when present.
+ * - `listNameSelector` is looked up inside each link (the link text is used otherwise).
+ * - Fields the profile leaves empty fall back to schema.org JSON-LD on the page,
+ *   which Petfinder embeds and many WordPress adoption plugins emit.
+ */
+
+// Fields a profile can map
+const PROFILE_FIELDS = ['name', 'breed', 'age', 'sex', 'size', 'bio'];
+
+/**
+ * Parse a stored profile (JSON string or object)
+ * @param {string|Object} config - rescues.scraper_config value
+ * @returns {Object} - Profile object
+ */
+function parseProfile(config) {
+    if (!config) {
+        throw new Error('No selector profile configured for this rescue');
+    }
+    return typeof config === 'string' ? JSON.parse(config) : config;
+}
+
+/**
+ * Apply a field's regex to the candidate texts
+ * @param {Array<string>} texts - Text of every element the selector matched
+ * @param {string} regex - Optional regex; group 1 is used when present
+ * @param {string} field - Field name (for logging)
+ * @returns {string}
+ */
+function applyRegex(texts, regex, field) {
+    if (!regex) return texts[0] || '';
+
+    let pattern;
+    try {
+        pattern = new RegExp(regex, 'i');
+    } catch (err) {
+        console.error(`[Profile Scraper] Invalid regex for ${field}:`, err.message);
+        return texts[0] || '';
+    }
+
+    for (const text of texts) {
+        const match = text.match(pattern);
+        if (match) return (match[1] !== undefined ? match[1] : match[0]).trim();
+    }
+    return '';
+}
+
+/**
+ * Normalize a free-form age into the long and short forms used on cards
+ * @param {string} text - e.g. "2 years, 3 months" or "Adult"
+ * @returns {{age_long: string, age_short: string}}
+ */
+function normalizeAge(text) {
+    let ageLong = (text || '')
+        .replace(/,?\s*\b0\s+(years?|months?|weeks?|days?)/gi, '')
+        .replace(/^[,\s]+/, '')
+        .trim();
+
+    // Keep only the largest unit, e.g. "2 years 3 months" -> "2 years"
+    if (/\d+\s*(years?|yrs?)/i.test(ageLong)) {
+        ageLong = ageLong.replace(/(\d+\s*(years?|yrs?)).*$/i, '$1').trim();
+    } else if (/\d+\s*(months?|mos?)/i.test(ageLong)) {
+        ageLong = ageLong.replace(/(\d+\s*(months?|mos?)).*$/i, '$1').trim();
+    }
+
+    let ageShort = '';
+    const ageMatch = ageLong.match(/(\d+)\s*(y|m|w)/i);
+    if (ageMatch) {
+        const unit = { y: 'Yr', m: 'Mo', w: 'Wk' }[ageMatch[2].toLowerCase()];
+        ageShort = `${ageMatch[1]} ${unit}`;
+    }
+
+    return { age_long: ageLong, age_short: ageShort };
+}
+
+/**
+ * Map free-form sex text to the gender values used by the app
+ * @param {string} text - e.g. "Female (spayed)"
+ * @returns {string|null} - 'Male', 'Female', 'Neutered(M)' or 'Spayed(F)', or null
+ *   when the page doesn't give a sex
+ */
+function normalizeGender(text) {
+    const lower = (text || '').trim().toLowerCase();
+    if (!lower) return null;
+    const altered = /spayed|neutered|fixed|altered/.test(lower);
+    if (/\bfemale\b|\bf\b|spayed/.test(lower)) {
+        return altered ? 'Spayed(F)' : 'Female';
+    }
+    return altered ? 'Neutered(M)' : 'Male';
+}
+
+/**
+ * Map free-form size text to Small/Medium/Large
+ * @param {string} text - Size text
+ * @returns {string|null} - null when the page doesn't give a size
+ */
+function normalizeSize(text) {
+    const lower = (text || '').trim().toLowerCase();
+    if (!lower) return null;
+    if (/large|big|x-?l/.test(lower)) return 'Large';
+    if (/small|tiny|toy/.test(lower)) return 'Small';
+    return 'Medium';
+}
+
+/**
+ * Download an image with an already-open page
+ * @param {Object} page - Puppeteer page
+ * @param {string} imageUrl - Image URL
+ * @returns {Promise<string>} - Path of the saved temp file
+ */
+async function downloadImage(page, imageUrl) {
+    const imageResponse = await page.goto(imageUrl, {
+        waitUntil: 'networkidle0',
+        timeout: 30000
+    });
+
+    if (!imageResponse || !imageResponse.ok()) {
+        throw new Error(`Failed to download image: ${imageResponse?.status()}`);
+    }
+
+    const imageBuffer = await imageResponse.buffer();
+
+    // Determine file extension from URL or content-type
+    const contentType = imageResponse.headers()['content-type'] || '';
+    let ext = 'jpg';
+    if (contentType.includes('png') || imageUrl.includes('.png')) {
+        ext = 'png';
+    } else if (contentType.includes('gif') || imageUrl.includes('.gif')) {
+        ext = 'gif';
+    } else if (contentType.includes('webp') || imageUrl.includes('.webp')) {
+        ext = 'webp';
+    }
+
+    const imagePath = path.join(TMP_DIR, `scraped-${Date.now()}.${ext}`);
+    await fs.mkdir(TMP_DIR, { recursive: true });
+    await fs.writeFile(imagePath, imageBuffer);
+    console.error('[Profile Scraper] Image saved to:', imagePath, `(${imageBuffer.length} bytes)`);
+    return imagePath;
+}
+
+/**
+ * Scrapes an animal page using a rescue's selector profile
+ * @param {string} url - The URL to scrape
+ * @param {string|Object} config - The rescue's selector profile
+ * @returns {Promise<Object>} - Scraped animal data
+ */
+async function scrapeAnimalPage(url, config) {
+    const profile = parseProfile(config);
+    const page = await browserPool.acquirePage();
+
+    try {
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        console.error(`[Profile Scraper] Navigating to: ${url}`);
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        // Extract raw texts for every mapped field, plus any JSON-LD on the page
+        const raw = await page.evaluate((fields, photoSelector) => {
+            const readAll = (spec) => {
+                if (!spec) return [];
+                const at = spec.lastIndexOf('@');
+                const hasAttribute = at > 0 && /^[\w-]+$/.test(spec.slice(at + 1));
+                const selector = hasAttribute ? spec.slice(0, at) : spec;
+                const attribute = hasAttribute ? spec.slice(at + 1) : null;
+                if (!selector.trim()) return [];
+                return Array.from(document.querySelectorAll(selector.trim()))
+                    .map(el => {
+                        if (!attribute) return el.textContent.trim();
+                        // Resolve relative URLs for src/href style attributes
+                        const prop = el[attribute];
+                        return (typeof prop === 'string' && prop) ? prop : (el.getAttribute(attribute) || '');
+                    })
+                    .filter(Boolean);
+            };
+
+            const fieldTexts = {};
+            for (const [field, spec] of Object.entries(fields)) {
+                fieldTexts[field] = readAll(spec);
+            }
+
+            // Collect schema.org objects, flattening arrays and @graph
+            const jsonLd = [];
+            for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+                try {
+                    const queue = [JSON.parse(script.textContent)];
+                    while (queue.length > 0) {
+                        const item = queue.shift();
+                        if (Array.isArray(item)) queue.push(...item);
+                        else if (item && typeof item === 'object') {
+                            if (item['@graph']) queue.push(...[].concat(item['@graph']));
+                            jsonLd.push(item);
+                        }
+                    }
+                } catch (e) {
+                    // Ignore malformed JSON-LD blocks
+                }
+            }
+
+            return {
+                fieldTexts,
+                photos: readAll(photoSelector),
+                jsonLd
+            };
+        }, Object.fromEntries(PROFILE_FIELDS.map(f => [f, profile.fields?.[f]?.selector || ''])),
+        profile.photoSelector || '');
+
+        const values = {};
+        for (const field of PROFILE_FIELDS) {
+            values[field] = applyRegex(raw.fieldTexts[field] || [], profile.fields?.[field]?.regex, field);
+        }
+
+        // Fill gaps from JSON-LD (first object with a name, e.g. a Pet or Product)
+        const ld = raw.jsonLd.find(item => item.name) || {};
+        const ldImages = [].concat(ld.image || []).map(img => typeof img === 'string' ? img : img?.url).filter(Boolean);
+        values.name = values.name || ld.name || '';
+        values.breed = values.breed || ld.breed || '';
+        values.sex = values.sex || ld.gender || '';
+        values.bio = values.bio || ld.description || '';
+
+        // Resolve relative photo URLs against the page
+        const photoUrls = [...new Set([...raw.photos, ...ldImages].map(u => {
+            try {
+                return new URL(u, url).href;
+            } catch (e) {
+                return '';
+            }
+        }))].filter(u => u.startsWith('http'));
+
+        // Facts the profile has no field for are left null ('?' for compatibility);
+        // imports fill in the form's defaults and roster sync leaves them alone
+        const { age_long, age_short } = normalizeAge(values.age);
+        const data = {
+            name: values.name,
+            breed: values.breed || null,
+            age_long,
+            age_short,
+            size: normalizeSize(values.size),
+            gender: normalizeGender(values.sex),
+            shots: null,
+            housetrained: null,
+            kids: '?',
+            dogs: '?',
+            cats: '?',
+            imageUrl: photoUrls[0] || '',
+            bio: values.bio,
+            photoUrls
+        };
+
+        console.error('[Profile Scraper] Extracted data:', JSON.stringify(data, null, 2));
+
+        if (!data.name) {
+            throw new Error('Could not find the animal name - check the profile\'s name selector');
+        }
+
+        // Download the image if found (extraction is done, so the same page is reused)
+        let imagePath = null;
+        if (data.imageUrl) {
+            try {
+                console.error('[Profile Scraper] Downloading image from:', data.imageUrl);
+                imagePath = await downloadImage(page, data.imageUrl);
+            } catch (imgErr) {
+                console.error('[Profile Scraper] Error downloading image:', imgErr.message);
+            }
+        }
+
+        // Build attributes array from scraped data for the adoption flyer
+        const attributes = [];
+        if (data.breed) attributes.push(data.breed);
+        if (data.age_long) attributes.push(data.age_long);
+        if (data.size) attributes.push(data.size);
+        if (data.gender) attributes.push(data.gender);
+
+        return {
+            ...data,
+            imagePath,
+            slug: url,
+            attributes
+        };
+
+    } catch (error) {
+        console.error('[Profile Scraper] Error:', error);
+        throw error;
+    } finally {
+        await browserPool.releasePage(page);
+    }
+}
+
+/**
+ * Scrapes a rescue's list page using its selector profile
+ * @param {string|Object} config - The rescue's selector profile
+ * @param {string} [orgId] - Substituted for {orgId} in the profile's list URL
+ * @returns {Promise<Array>} - Array of animals with name and URL
+ */
+async function scrapeAnimalList(config, orgId) {
+    const profile = parseProfile(config);
+    if (!profile.listUrl || !profile.listLinkSelector) {
+        throw new Error('Selector profile needs a list URL and a list link selector');
+    }
+
+    const url = profile.listUrl.replace('{orgId}', orgId || '');
+    const page = await browserPool.acquirePage();
+
+    try {
+        await page.setViewport({ width: 1920, height: 1080 });
+
+        console.error(`[Profile List Scraper] Navigating to: ${url}`);
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        const animals = await page.evaluate((linkSelector, nameSelector) => {
+            const results = [];
+            const seenUrls = new Set();
+
+            for (const link of document.querySelectorAll(linkSelector)) {
+                const href = link.href;
+                if (!href || seenUrls.has(href)) continue;
+
+                const nameEl = nameSelector ? link.querySelector(nameSelector) : null;
+                const name = (nameEl || link).textContent.trim().replace(/\s+/g, ' ');
+                if (!name) continue;
+
+                seenUrls.add(href);
+                results.push({ name, url: href });
+            }
+
+            return results;
+        }, profile.listLinkSelector, profile.listNameSelector || '');
+
+        console.error(`[Profile List Scraper] Found ${animals.length} animals`);
+        return animals;
+
+    } catch (error) {
+        console.error('[Profile List Scraper] Error:', error);
+        throw error;
+    } finally {
+        await browserPool.releasePage(page);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const [profilePath, url] = process.argv.slice(2);
+
+    if (!profilePath) {
+        console.error('Usage: node scrape-selector-profile.js <profile.json> [animal-url]');
+        console.error('       Scrapes the list page when no animal URL is given');
+        process.exit(1);
+    }
+
+    (async () => {
+        const profile = JSON.parse(await fs.readFile(profilePath, 'utf8'));
+        return url ? scrapeAnimalPage(url, profile) : scrapeAnimalList(profile);
+    })()
+        .then(data => {
+            // Output as JSON to stdout
+            console.log(JSON.stringify(data));
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Scraping failed:', error.message);
+            process.exit(1);
+        });
+}
+
+/**
+ * Get the bare hostname of a URL or website ("www." and protocol optional)
+ * @param {string} value - URL or website
+ * @returns {string|null}
+ */
+function hostOf(value) {
+    try {
+        const withProtocol = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+        return new URL(withProtocol).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Check whether an animal URL belongs to a profile rescue's site
+ * @param {string} url - Animal page URL
+ * @param {Object} [rescue] - Rescue row; profiles only match for a specific rescue
+ * @returns {boolean}
+ */
+function matchesUrl(url, rescue) {
+    if (!rescue) return false;
+    const host = hostOf(url);
+    return !!host && [rescue.website, rescue.scraper_config?.listUrl]
+        .some(site => site && hostOf(site) === host);
+}
+
+// Scraper plugin interface (see scraper-registry.js)
+module.exports = {
+    id: 'profile',
+    label: 'Selector Profile',
+    matchesUrl,
+    scrapeList: (rescue) => scrapeAnimalList(rescue.scraper_config, rescue.org_id),
+    scrapeAnimal: (url, rescue) => scrapeAnimalPage(url, rescue?.scraper_config),
+    scrapeAnimalPage,
+    scrapeAnimalList,
+    normalizeAge,
+    normalizeGender,
+    normalizeSize,
+    PROFILE_FIELDS
+};
@@ -1,5 +1,8 @@
-const { launchBrowser } = require('./browser-helper.js');
+const browserPool = require('./browser-pool.js');
+const { scrapeAnimalList, buildShelterUrl } = require('./scrape-list-adoptapet.js');
 const { getTmpDir } = require('./paths.js');
+const { getSpecies, guessSpecies, parseSpecies } = require('./species.js');
+const { parseAmount, findWeightInText } = require('./animal-facts.js');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -12,20 +15,9 @@ const TMP_DIR = getTmpDir();
  * @returns {Promise<Object>} - Scraped animal data
  */
 async function scrapeAnimalPage(url) {
-    const browser = await launchBrowser({
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-infobars',
-            '--window-size=1920,1080',
-            '--start-maximized'
-        ]
-    });
+    const page = await browserPool.acquirePage();
 
     try {
-        const page = await browser.newPage();
-
         // Anti-detection: Set a realistic user agent
         await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
 
@@ -70,16 +62,25 @@ async function scrapeAnimalPage(url) {
                 breed: '',
                 age_long: '',
                 age_short: '',
-                size: 'Medium',
-                gender: 'Male',
-                shots: 0,
-                housetrained: 0,
-                kids: '0',
-                dogs: '0',
-                cats: '0',
+                // Facts the page doesn't state stay null ('?' for compatibility)
+                size: null,
+                gender: null,
+                shots: null,
+                housetrained: null,
+                kids: '?',
+                dogs: '?',
+                cats: '?',
                 imageUrl: '',
                 bio: '',
-                photoUrls: []
+                photoUrls: [],
+                speciesText: '',
+                // Medical and adoption details stay null unless the page says
+                weight_lbs: null,
+                altered: null,
+                microchipped: null,
+                adoption_fee: null,
+                special_needs: null,
+                intake_date: null
             };
 
             // Try to find the viewData JSON object in the page
@@ -131,6 +132,12 @@ async function scrapeAnimalPage(url) {
                             // Extract breed, removing anything in parentheses
                             result.breed = (viewData.petBreed || '').replace(/\s*\([^)]*\)/g, '').trim();
 
+                            // Extract species ("Dog", "Cat", "Rabbit", ...)
+                            result.speciesText = viewData.petSpecies || viewData.species || viewData.petType || '';
+
+                            // Extract the adoption fee ("$150" or 150)
+                            result.adoption_fee = viewData.petAdoptionFee || viewData.adoptionFee || null;
+
                             // Extract attributes
                             if (viewData.petAttributes) {
                                 for (const attr of viewData.petAttributes) {
@@ -163,6 +170,12 @@ async function scrapeAnimalPage(url) {
                                         } else if (sizeContent.includes('med')) {
                                             result.size = 'Medium';
                                         }
+                                    } else if (label === 'weight') {
+                                        result.weight_lbs = content;
+                                    } else if (label === 'adoption fee' || label === 'fee') {
+                                        result.adoption_fee = content;
+                                    } else if (label === 'species' || label === 'type') {
+                                        result.speciesText = result.speciesText || content;
                                     } else if (label === 'sex') {
                                         result.gender = content.toLowerCase() === 'female' ? 'Female' : 'Male';
                                     }
@@ -180,6 +193,7 @@ async function scrapeAnimalPage(url) {
                                     } else if (type === 'housetrained') {
                                         result.housetrained = status ? 1 : 0;
                                     } else if (type === 'spayedneutered') {
+                                        result.altered = status ? '1' : '0';
                                         // Update gender based on spayed/neutered status
                                         if (status) {
                                             if (result.gender === 'Male') {
@@ -188,6 +202,10 @@ async function scrapeAnimalPage(url) {
                                                 result.gender = 'Spayed(F)';
                                             }
                                         }
+                                    } else if (type === 'microchipped') {
+                                        result.microchipped = status ? '1' : '0';
+                                    } else if (type === 'specialneeds') {
+                                        result.special_needs = status ? (trait.label || 'Special needs') : null;
                                     } else if (type === 'goodwithkids') {
                                         result.kids = status ? '1' : '0';
                                     } else if (type === 'goodwithdogs') {
@@ -267,9 +285,8 @@ async function scrapeAnimalPage(url) {
             try {
                 console.error('[Adoptapet Scraper] Downloading image from:', data.imageUrl);
 
-                // Create a new page for downloading the image to avoid affecting the main page
-                const imgPage = await browser.newPage();
-                const imageResponse = await imgPage.goto(data.imageUrl, {
+                // Extraction is done, so reuse the same page for the image download
+                const imageResponse = await page.goto(data.imageUrl, {
                     waitUntil: 'networkidle0',
                     timeout: 30000
                 });
@@ -279,7 +296,6 @@ async function scrapeAnimalPage(url) {
                 }
 
                 const imageBuffer = await imageResponse.buffer();
-                await imgPage.close();
 
                 // Determine file extension from URL or content-type
                 const contentType = imageResponse.headers()['content-type'] || '';
@@ -304,6 +320,14 @@ async function scrapeAnimalPage(url) {
             }
         }
 
+        // Use the species the page names, or the one the breed gives away (null when neither does)
+        const { speciesText, ...fields } = data;
+        const species = parseSpecies(speciesText) || guessSpecies(fields.breed);
+
+        // Bios often mention the weight when the page has no field for it
+        fields.weight_lbs = parseAmount(fields.weight_lbs) ?? findWeightInText(fields.bio);
+        fields.adoption_fee = parseAmount(fields.adoption_fee);
+
         // Build attributes array from scraped data for the adoption flyer
         const attributes = [];
         if (data.breed) attributes.push(data.breed);
@@ -311,16 +335,18 @@ async function scrapeAnimalPage(url) {
         if (data.size) attributes.push(data.size);
         if (data.gender) attributes.push(data.gender);
         if (data.shots) attributes.push('Up to date on shots');
-        if (data.housetrained) attributes.push('Housetrained');
+        if (data.housetrained) attributes.push(getSpecies(species).housetrainedLabel);
         if (data.kids === '1') attributes.push('Good with kids');
         if (data.dogs === '1') attributes.push('Good with dogs');
         if (data.cats === '1') attributes.push('Good with cats');
+        if (data.microchipped === '1') attributes.push('Microchipped');
 
         // Return the scraped data
         // Strip the slug suffix after the pet ID (e.g., -middlebury-connecticut-husky)
         const cleanUrl = url.replace(/\/pet\/(\d+)-.*$/, '/pet/$1');
         return {
-            ...data,
+            ...fields,
+            species,
             imagePath: imagePath,
             slug: cleanUrl,
             attributes,
@@ -331,7 +357,7 @@ async function scrapeAnimalPage(url) {
         console.error('[Adoptapet Scraper] Error:', error);
         throw error;
     } finally {
-        await browser.close();
+        await browserPool.releasePage(page);
     }
 }
 
@@ -356,4 +382,12 @@ if (require.main === module) {
         });
 }
 
-module.exports = { scrapeAnimalPage };
+// Scraper plugin interface (see scraper-registry.js)
+module.exports = {
+    id: 'adoptapet',
+    label: 'Adoptapet',
+    matchesUrl: (url) => /(^|\.)adoptapet\.com$/i.test(new URL(url).hostname),
+    scrapeList: (rescue) => scrapeAnimalList(buildShelterUrl(rescue.org_id)),
+    scrapeAnimal: (url) => scrapeAnimalPage(url),
+    scrapeAnimalPage
+};
@@ -1,5 +1,8 @@
-const { launchBrowser } = require('./browser-helper.js');
+const browserPool = require('./browser-pool.js');
+const { scrapeAnimalList, buildOrgUrl } = require('./scrape-list-wagtopia.js');
 const { getTmpDir } = require('./paths.js');
+const { getSpecies, guessSpecies, parseSpecies } = require('./species.js');
+const { parseAmount, findWeightInText } = require('./animal-facts.js');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -12,11 +15,9 @@ const TMP_DIR = getTmpDir();
  * @returns {Promise<Object>} - Scraped animal data
  */
 async function scrapeAnimalPage(url) {
-    const browser = await launchBrowser();
+    const page = await browserPool.acquirePage();
 
     try {
-        const page = await browser.newPage();
-
         // Set a reasonable viewport
         await page.setViewport({ width: 1920, height: 1080 });
 
@@ -34,16 +35,25 @@ async function scrapeAnimalPage(url) {
                 breed: '',
                 age_long: '',
                 age_short: '',
-                size: 'Medium',
-                gender: 'Male',
-                shots: 1,
-                housetrained: 1,
+                // Facts the page doesn't state stay null ('?' for compatibility)
+                size: null,
+                gender: null,
+                shots: null,
+                housetrained: null,
                 kids: '?',
                 dogs: '?',
                 cats: '?',
                 imageUrl: '',
                 bio: '',
-                photoUrls: []
+                photoUrls: [],
+                speciesText: '',
+                // Medical and adoption details stay null unless the page says
+                weight_lbs: null,
+                altered: null,
+                microchipped: null,
+                adoption_fee: null,
+                special_needs: null,
+                intake_date: null
             };
 
             // Helper function to get table cell value by header text
@@ -115,7 +125,16 @@ async function scrapeAnimalPage(url) {
                 }
             }
 
+            // Read a Yes/No table value as '1' or '0' (null when missing or unclear)
+            const getYesNoValue = (headerText) => {
+                const text = (getTableValue(headerText) || '').toLowerCase();
+                if (text === 'yes') return '1';
+                if (text === 'no') return '0';
+                return null;
+            };
+
             // Extract gender
+            result.altered = getYesNoValue('Spayed / Neutered');
             const genderText = getTableValue('Gender');
             if (genderText) {
                 const spayedNeutered = getTableValue('Spayed / Neutered');
@@ -138,13 +157,34 @@ async function scrapeAnimalPage(url) {
                 }
             }
 
+            // Extract medical and adoption details
+            const weightText = getTableValue('Weight');
+            const weightMatch = weightText && weightText.match(/(\d+(?:\.\d+)?)\s*(kg|kilo)?/i);
+            if (weightMatch) {
+                const weight = parseFloat(weightMatch[1]);
+                result.weight_lbs = weightMatch[2] ? Math.round(weight * 2.20462) : weight;
+            }
+            result.microchipped = getYesNoValue('Microchip');
+            result.adoption_fee = getTableValue('Adoption Fee') || getTableValue('Fee');
+            const specialNeedsText = getTableValue('Special Needs');
+            if (specialNeedsText && !/^(no|none|n\/a)$/i.test(specialNeedsText)) {
+                result.special_needs = specialNeedsText;
+            }
+            const intakeText = getTableValue('Intake Date') || getTableValue('Intake');
+            const intakeDate = intakeText ? new Date(intakeText) : null;
+            if (intakeDate && !isNaN(intakeDate.getTime())) {
+                // Local date parts: toISOString() would shift it to UTC and can give the day before
+                const pad = n => String(n).padStart(2, '0');
+                result.intake_date = `${intakeDate.getFullYear()}-${pad(intakeDate.getMonth() + 1)}-${pad(intakeDate.getDate())}`;
+            }
+
             // Extract shots status
             const shotsText = getTableValue('Shots up to date');
-            result.shots = (shotsText && shotsText.toLowerCase() === 'yes') ? 1 : 0;
+            if (shotsText) result.shots = shotsText.toLowerCase() === 'yes' ? 1 : 0;
 
             // Extract housetrained status
             const housetrainedText = getTableValue('Housetrained');
-            result.housetrained = (housetrainedText && housetrainedText.toLowerCase() === 'yes') ? 1 : 0;
+            if (housetrainedText) result.housetrained = housetrainedText.toLowerCase() === 'yes' ? 1 : 0;
 
             // Extract compatibility with kids
             const kidsText = getTableValue('OK with kids');
@@ -170,6 +210,24 @@ async function scrapeAnimalPage(url) {
                 else result.cats = '?';
             }
 
+            // Extract species: from the table, the breadcrumb ("Home > Cats > ...")
+            // or the age word in the summary line ("Male Tabby Kitten")
+            result.speciesText = getTableValue('Species') || getTableValue('Animal Type') || '';
+            if (!result.speciesText) {
+                for (const item of document.querySelectorAll('.breadcrumb-item')) {
+                    const text = item.textContent.trim();
+                    if (/^(dogs|cats|rabbits|small (&|and) furry|birds|reptiles)$/i.test(text)) {
+                        result.speciesText = text;
+                        break;
+                    }
+                }
+            }
+            if (!result.speciesText) {
+                const basicText = document.querySelector('.basic')?.textContent || '';
+                const ageWord = basicText.match(/\b(Puppy|Kitten|Bunny)\b/i);
+                if (ageWord) result.speciesText = ageWord[1];
+            }
+
             // Extract breed from the page
             // Method 1: Look for h2 with pet-breed class (most reliable)
             const petBreedElement = document.querySelector('h2.pet-breed');
@@ -215,6 +273,7 @@ async function scrapeAnimalPage(url) {
                         !text.toLowerCase().includes('search') &&
                         !text.toLowerCase().includes('dogs') &&
                         !text.toLowerCase().includes('cats') &&
+                        text !== result.speciesText &&
                         text !== result.name) {
                         result.breed = text;
                         break;
@@ -317,9 +376,8 @@ async function scrapeAnimalPage(url) {
             try {
                 console.error('[Scraper] Downloading image from:', data.imageUrl);
 
-                // Create a new page for downloading the image to avoid affecting the main page
-                const imgPage = await browser.newPage();
-                const imageResponse = await imgPage.goto(data.imageUrl, {
+                // Extraction is done, so reuse the same page for the image download
+                const imageResponse = await page.goto(data.imageUrl, {
                     waitUntil: 'networkidle0',
                     timeout: 30000
                 });
@@ -329,7 +387,6 @@ async function scrapeAnimalPage(url) {
                 }
 
                 const imageBuffer = await imageResponse.buffer();
-                await imgPage.close();
 
                 // Determine file extension from URL or content-type
                 const contentType = imageResponse.headers()['content-type'] || '';
@@ -354,6 +411,14 @@ async function scrapeAnimalPage(url) {
             }
         }
 
+        // Use the species the page names, or the one the breed gives away (null when neither does)
+        const { speciesText, ...fields } = data;
+        const species = parseSpecies(speciesText) || guessSpecies(fields.breed);
+
+        // Bios often mention the weight when the page has no field for it
+        fields.weight_lbs = parseAmount(fields.weight_lbs) ?? findWeightInText(fields.bio);
+        fields.adoption_fee = parseAmount(fields.adoption_fee);
+
         // Build attributes array from scraped data for the adoption flyer
         const attributes = [];
         if (data.breed) attributes.push(data.breed);
@@ -361,14 +426,16 @@ async function scrapeAnimalPage(url) {
         if (data.size) attributes.push(data.size);
         if (data.gender) attributes.push(data.gender);
         if (data.shots) attributes.push('Up to date on shots');
-        if (data.housetrained) attributes.push('Housetrained');
+        if (data.housetrained) attributes.push(getSpecies(species).housetrainedLabel);
         if (data.kids === '1') attributes.push('Good with kids');
         if (data.dogs === '1') attributes.push('Good with dogs');
         if (data.cats === '1') attributes.push('Good with cats');
+        if (data.microchipped === '1') attributes.push('Microchipped');
 
         // Return the scraped data
         return {
-            ...data,
+            ...fields,
+            species,
             imagePath: imagePath,
             slug: url,
             attributes,
@@ -379,7 +446,7 @@ async function scrapeAnimalPage(url) {
         console.error('[Scraper] Error:', error);
         throw error;
     } finally {
-        await browser.close();
+        await browserPool.releasePage(page);
     }
 }
 
@@ -404,4 +471,12 @@ if (require.main === module) {
         });
 }
 
-module.exports = { scrapeAnimalPage };
+// Scraper plugin interface (see scraper-registry.js)
+module.exports = {
+    id: 'wagtopia',
+    label: 'Wagtopia',
+    matchesUrl: (url) => /(^|\.)wagtopia\.com$/i.test(new URL(url).hostname),
+    scrapeList: (rescue) => scrapeAnimalList(buildOrgUrl(rescue.org_id)),
+    scrapeAnimal: (url) => scrapeAnimalPage(url),
+    scrapeAnimalPage
+};
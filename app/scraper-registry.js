@@ -0,0 +1,209 @@
+/**
+ * Scraper Registry
+ * Keeps every available scraper by type and dispatches scrape requests to them.
+ *
+ * A scraper is a module exporting:
+ *   id                              - Type stored in rescues.scraper_type (e.g. 'wagtopia')
+ *   label                           - Name shown in the app
+ *   matchesUrl(url, rescue)         - True when the scraper handles this animal URL.
+ *                                     `rescue` is given when checking a specific rescue's site.
+ *   scrapeList(rescue, context)     - Promise<Array<{name, url}>> of a rescue's animals
+ *   scrapeAnimal(url, rescue, context) - Promise<Object> with the scraped animal
+ *
+ * `context` gives plugins the shared browser pool and temp directory, since they
+ * live outside the app and can't require its modules by relative path.
+ *
+ * Built-in scrapers are always registered; extra ones are loaded from the
+ * plugins folder in the data directory (one .js file per scraper).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const browserPool = require('./browser-pool.js');
+const { getPluginsDir, getTmpDir } = require('./paths.js');
+
+// Scrapers that ship with the app
+const BUILTIN_SCRAPERS = [
+    './scrape-url-wagtopia.js',
+    './scrape-url-adoptapet.js',
+    './scrape-selector-profile.js'
+];
+
+// Registered scrapers by id
+const scrapers = new Map();
+let loaded = false;
+
+/**
+ * Check that a module implements the scraper interface
+ * @param {Object} scraper - Module exports
+ */
+function validateScraper(scraper) {
+    if (!scraper || typeof scraper.id !== 'string' || !scraper.id) {
+        throw new Error('Scraper must export a string "id"');
+    }
+    for (const fn of ['matchesUrl', 'scrapeList', 'scrapeAnimal']) {
+        if (typeof scraper[fn] !== 'function') {
+            throw new Error(`Scraper "${scraper.id}" must export a "${fn}" function`);
+        }
+    }
+}
+
+/**
+ * Add a scraper to the registry
+ * @param {Object} scraper - Module implementing the scraper interface
+ * @param {string} [source] - Where the module came from (for logging)
+ */
+function registerScraper(scraper, source = 'built-in') {
+    validateScraper(scraper);
+    if (scrapers.has(scraper.id)) {
+        throw new Error(`A scraper with id "${scraper.id}" is already registered`);
+    }
+    scrapers.set(scraper.id, scraper);
+    console.log(`[Scrapers] Registered "${scraper.id}" (${source})`);
+}
+
+/**
+ * Load scraper plugins from a directory. A broken plugin is logged and skipped.
+ * @param {string} [dir] - Plugins directory (defaults to the data directory's plugins folder)
+ * @returns {Array<string>} - Ids of the loaded plugins
+ */
+function loadPlugins(dir = getPluginsDir()) {
+    if (!fs.existsSync(dir)) return [];
+
+    const loadedIds = [];
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+    for (const file of files) {
+        const pluginPath = path.join(dir, file);
+        try {
+            const scraper = require(pluginPath);
+            registerScraper(scraper, pluginPath);
+            loadedIds.push(scraper.id);
+        } catch (err) {
+            console.error(`[Scrapers] Failed to load plugin ${pluginPath}:`, err.message);
+        }
+    }
+    return loadedIds;
+}
+
+/**
+ * Register the built-in scrapers and plugins on first use
+ */
+function ensureLoaded() {
+    if (loaded) return;
+    loaded = true;
+
+    for (const modulePath of BUILTIN_SCRAPERS) {
+        registerScraper(require(modulePath));
+    }
+    loadPlugins();
+}
+
+/**
+ * Get a scraper by id
+ * @param {string} id - Scraper type
+ * @returns {Object} - Scraper module
+ */
+function getScraper(id) {
+    ensureLoaded();
+    const scraper = scrapers.get(id);
+    if (!scraper) {
+        throw new Error(`Unknown scraper type: ${id}`);
+    }
+    return scraper;
+}
+
+/**
+ * List the registered scrapers for display
+ * @returns {Array<{id: string, label: string}>}
+ */
+function listScrapers() {
+    ensureLoaded();
+    return Array.from(scrapers.values()).map(s => ({ id: s.id, label: s.label || s.id }));
+}
+
+/**
+ * Safely ask a scraper whether it handles a URL
+ * @param {Object} scraper - Scraper module
+ * @param {string} url - Animal page URL
+ * @param {Object} [rescue] - Rescue being checked
+ * @returns {boolean}
+ */
+function matches(scraper, url, rescue) {
+    try {
+        return !!scraper.matchesUrl(url, rescue);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Work out which scraper handles an animal URL.
+ * Rescue-specific matches (e.g. a selector profile for the rescue's own site) win
+ * over generic ones, so a rescue's configuration is used when it covers the URL.
+ *
+ * @param {string} url - Animal page URL
+ * @param {Array<Object>} [rescues] - Rescues to check for site-specific scrapers
+ * @returns {{scraper: Object, rescue: Object|null}|null}
+ */
+function detectScraper(url, rescues = []) {
+    ensureLoaded();
+
+    for (const rescue of rescues) {
+        const scraper = scrapers.get(rescue.scraper_type);
+        if (scraper && matches(scraper, url, rescue)) {
+            return { scraper, rescue };
+        }
+    }
+
+    for (const scraper of scrapers.values()) {
+        if (matches(scraper, url)) {
+            return { scraper, rescue: null };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Run a scrape request
+ * @param {Object} request - Scrape request
+ * @param {string} request.action - 'animal' or 'list'
+ * @param {string} [request.type] - Scraper type; detected from the URL when omitted
+ * @param {string} [request.url] - Animal page URL (for 'animal')
+ * @param {Object} [request.rescue] - Rescue row (required for 'list')
+ * @param {Array<Object>} [request.rescues] - Rescues considered during URL detection
+ * @returns {Promise<*>} - Scraped animal or list of animals
+ */
+async function scrape(request) {
+    const context = { browserPool, tmpDir: getTmpDir() };
+    const type = request.type || request.rescue?.scraper_type;
+
+    if (request.action === 'list') {
+        if (!request.rescue) throw new Error('A rescue is required to scrape a list');
+        return getScraper(type).scrapeList(request.rescue, context);
+    }
+
+    if (request.action !== 'animal') {
+        throw new Error(`Unknown scrape action: ${request.action}`);
+    }
+
+    if (type) {
+        return getScraper(type).scrapeAnimal(request.url, request.rescue || null, context);
+    }
+
+    const detected = detectScraper(request.url, request.rescues);
+    if (!detected) {
+        throw new Error('No scraper recognizes this URL. Configure a scraper for the rescue in Settings.');
+    }
+    console.log(`[Scrapers] Detected "${detected.scraper.id}" for ${request.url}`);
+    return detected.scraper.scrapeAnimal(request.url, detected.rescue, context);
+}
+
+module.exports = {
+    registerScraper,
+    loadPlugins,
+    getScraper,
+    listScrapers,
+    detectScraper,
+    scrape
+};
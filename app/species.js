@@ -0,0 +1,150 @@
+/**
+ * Species
+ * The kinds of animal the app knows about and what differs between them: the
+ * size vocabulary, which compatibility questions are asked, what "housetrained"
+ * is called, and the icon shown when there is no portrait.
+ *
+ * Shared by the main process and the renderer.
+ */
+
+// Species by key (the value stored in animals.species)
+const SPECIES = {
+    dog: {
+        label: 'Dog',
+        icon: '🐕',
+        sizes: ['Small', 'Medium', 'Large'],
+        defaultSize: 'Medium',
+        housetrainedLabel: 'Housetrained',
+        compatibility: ['kids', 'dogs', 'cats']
+    },
+    cat: {
+        label: 'Cat',
+        icon: '🐈',
+        sizes: ['Small', 'Medium', 'Large'],
+        defaultSize: 'Medium',
+        housetrainedLabel: 'Litter trained',
+        compatibility: ['kids', 'dogs', 'cats']
+    },
+    rabbit: {
+        label: 'Rabbit',
+        icon: '🐇',
+        sizes: ['Dwarf', 'Small', 'Medium', 'Large', 'Giant'],
+        defaultSize: 'Small',
+        housetrainedLabel: 'Litter trained',
+        compatibility: ['kids', 'dogs', 'cats', 'rabbits']
+    },
+    other: {
+        label: 'Other',
+        icon: '🐾',
+        sizes: ['Small', 'Medium', 'Large'],
+        defaultSize: 'Medium',
+        housetrainedLabel: 'Housetrained',
+        compatibility: ['kids', 'dogs', 'cats']
+    }
+};
+
+const DEFAULT_SPECIES = 'dog';
+
+// Every compatibility column, with its form label
+const COMPATIBILITY_LABELS = {
+    kids: 'Good with Kids',
+    dogs: 'Good with Dogs',
+    cats: 'Good with Cats',
+    rabbits: 'Good with Rabbits'
+};
+
+// Words in a breed or species name that give the species away. Whole words
+// only, so "Catahoula" and "Cattle Dog" aren't taken for cats.
+const SPECIES_PATTERNS = [
+    ['dog', /\b(dogs?|pupp(y|ies)|canine)\b/i],
+    ['cat', /\b(cats?|kittens?|kitty|feline|domestic (short|medium|long) ?hair|dsh|dmh|dlh|tabby|siamese|maine coon|ragdoll|persian|bengal|calico)\b/i],
+    ['rabbit', /\b(rabbits?|bunn(y|ies)|lops?|lionhead|netherland dwarf|mini rex|rex|angora|flemish giant)\b/i]
+];
+
+/**
+ * Get a species definition, falling back to dogs for unknown keys
+ * @param {string} key - Species key
+ * @returns {Object}
+ */
+function getSpecies(key) {
+    return SPECIES[key] || SPECIES[DEFAULT_SPECIES];
+}
+
+/**
+ * Get the icon shown for an animal of a species when it has no portrait
+ * @param {string} key - Species key
+ * @returns {string}
+ */
+function getSpeciesIcon(key) {
+    return getSpecies(key).icon;
+}
+
+/**
+ * Every size any species uses, in order (for filters across species)
+ * @returns {Array<string>}
+ */
+function getAllSizes() {
+    const sizes = [];
+    for (const species of Object.values(SPECIES)) {
+        for (const size of species.sizes) {
+            if (!sizes.includes(size)) sizes.push(size);
+        }
+    }
+    return sizes;
+}
+
+/**
+ * Guess the species from a breed or a species name, e.g. "Domestic Shorthair" -> cat
+ * @param {string} text - Breed or species text
+ * @returns {string|null} - Species key, or null when nothing gives it away
+ */
+function guessSpecies(text) {
+    if (!text) return null;
+    for (const [key, pattern] of SPECIES_PATTERNS) {
+        if (pattern.test(text)) return key;
+    }
+    return null;
+}
+
+/**
+ * Read a species named by a website or a person ("Dogs", "Kitten", "Bird", ...)
+ * @param {string} text - Species text
+ * @returns {string|null} - Species key ('other' for animals we don't know), or null when empty
+ */
+function parseSpecies(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+    if (SPECIES[value.toLowerCase()]) return value.toLowerCase();
+    return guessSpecies(value) || 'other';
+}
+
+/**
+ * Template variables describing an animal's species
+ * @param {string} key - Species key
+ * @returns {Object} - species, speciesName, speciesIcon, isDog, isCat, isRabbit, housetrainedLabel
+ */
+function getSpeciesTemplateParams(key) {
+    const speciesKey = SPECIES[key] ? key : DEFAULT_SPECIES;
+    const species = SPECIES[speciesKey];
+    return {
+        species: speciesKey,
+        speciesName: species.label,
+        speciesIcon: species.icon,
+        isDog: speciesKey === 'dog',
+        isCat: speciesKey === 'cat',
+        isRabbit: speciesKey === 'rabbit',
+        housetrainedLabel: species.housetrainedLabel
+    };
+}
+
+module.exports = {
+    SPECIES,
+    DEFAULT_SPECIES,
+    COMPATIBILITY_LABELS,
+    getSpecies,
+    getSpeciesIcon,
+    getAllSizes,
+    guessSpecies,
+    parseSpecies,
+    getSpeciesTemplateParams
+};
@@ -0,0 +1,485 @@
+/**
+ * Spreadsheet Files
+ * Reads and writes simple tables (an array of rows, each an array of cell
+ * strings) as CSV or Excel (.xlsx) files. Only the first sheet of a workbook
+ * is read, and cells are read as plain text; formatting is ignored.
+ *
+ * An .xlsx file is a zip archive of XML parts. Like the backup archives, it
+ * is written and read here with zlib rather than another dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// UTF-8 byte order mark; Excel needs it to open UTF-8 CSV files correctly
+const BOM = '\ufeff';
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Guess a CSV file's delimiter from its first line
+ * @param {string} text - File contents
+ * @returns {string} - ',', ';' or a tab
+ */
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 1 ? counts[0].delimiter : ',';
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula (a text
+// that already starts with ' before one is escaped too, so it reads back unchanged)
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Stop a cell from being run as a formula when the CSV is opened in Excel or
+ * Sheets (e.g. a scraped bio starting with "="), by putting a ' in front of it.
+ * Numbers like -5 are left alone.
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function escapeFormula(text) {
+    return FORMULA_PREFIX.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Remove the ' that escapeFormula() put in front of a cell
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Parse CSV text. Handles quoted cells with delimiters, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCsv(text) {
+    const source = text.startsWith(BOM) ? text.slice(1) : text;
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(unescapeFormula(cell));
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(unescapeFormula(cell));
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(unescapeFormula(cell));
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Format rows as CSV. Cells that would run as formulas get a ' in front
+ * (parseCsv removes it again).
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function formatCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = escapeFormula(value == null ? '' : String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// Zip Archive
+// ============================================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of data, as used by zip
+ * @param {Buffer} data - Data
+ * @returns {number}
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a zip archive
+ * @param {Array<{name: string, data: Buffer}>} entries - Files to pack
+ * @returns {Buffer}
+ */
+function packZip(entries) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const { name, data } of entries) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        locals.push(local, nameBuffer, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);           // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuffer);
+
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+/**
+ * Unpack a zip archive
+ * @param {Buffer} archive - Zip data
+ * @returns {Map<string, Buffer>} - File contents by name
+ * @throws {Error} If the data isn't a zip archive
+ */
+function unpackZip(archive) {
+    let end = -1;
+    for (let i = archive.length - 22; i >= Math.max(0, archive.length - 22 - 0xffff); i--) {
+        if (archive.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a valid Excel file');
+    }
+
+    const files = new Map();
+    const count = archive.readUInt16LE(end + 10);
+    let pos = archive.readUInt32LE(end + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (archive.readUInt32LE(pos) !== 0x02014b50) {
+            throw new Error('Not a valid Excel file');
+        }
+        const method = archive.readUInt16LE(pos + 10);
+        const compressedSize = archive.readUInt32LE(pos + 20);
+        const nameLength = archive.readUInt16LE(pos + 28);
+        const extraLength = archive.readUInt16LE(pos + 30);
+        const commentLength = archive.readUInt16LE(pos + 32);
+        const localOffset = archive.readUInt32LE(pos + 42);
+        const name = archive.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+        const data = archive.subarray(dataStart, dataStart + compressedSize);
+        files.set(name, method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data));
+
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+// ============================================================
+// Excel Workbook
+// ============================================================
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters aren't allowed in XML
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Decode XML entities
+ * @param {string} text - XML text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+        if (named) return named;
+        const code = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+    });
+}
+
+/**
+ * Column letters for a zero-based column index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Zero-based column index of a cell reference ('C7' -> 2)
+ * @param {string} ref - Cell reference
+ * @returns {number}
+ */
+function columnIndex(ref) {
+    let index = 0;
+    for (const char of ref.replace(/\d+$/, '').toUpperCase()) {
+        index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * @param {Array<Array<*>>} rows - Rows of cells; numbers are stored as numbers, everything else as text
+ * @param {string} [sheetName='Sheet1'] - Sheet name
+ * @returns {Buffer}
+ */
+function buildXlsx(rows, sheetName = 'Sheet1') {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value == null || value === '') return '';
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const parts = {
+        '[Content_Types].xml': `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+            + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml': `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+            + `<sheetData>${sheetRows}</sheetData>`
+            + '</worksheet>'
+    };
+
+    return packZip(Object.entries(parts).map(([name, xml]) => ({ name, data: Buffer.from(xml, 'utf8') })));
+}
+
+/**
+ * Get the text of a string item (<si> or <is>), joining rich-text runs
+ * @param {string} xml - Item XML
+ * @returns {string}
+ */
+function readStringItem(xml) {
+    let text = '';
+    for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+        text += unescapeXml(match[1]);
+    }
+    return text;
+}
+
+/**
+ * Find the first sheet of a workbook
+ * @param {Map<string, Buffer>} files - Workbook parts
+ * @returns {string} - Part name of the sheet
+ */
+function findFirstSheet(files) {
+    const workbook = files.get('xl/workbook.xml')?.toString('utf8') || '';
+    const rels = files.get('xl/_rels/workbook.xml.rels')?.toString('utf8') || '';
+    const sheetId = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+
+    for (const match of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = match[0].match(/\bId="([^"]+)"/)?.[1];
+        const target = match[0].match(/\bTarget="([^"]+)"/)?.[1];
+        if (id === sheetId && target) {
+            return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first sheet of an .xlsx workbook
+ * @param {Buffer} data - Workbook file contents
+ * @returns {Array<Array<string>>} - Rows of cells
+ * @throws {Error} If the file isn't a readable workbook
+ */
+function parseXlsx(data) {
+    const files = unpackZip(data);
+    const sheet = files.get(findFirstSheet(files));
+    if (!sheet) {
+        throw new Error('The Excel file has no sheets');
+    }
+
+    const sharedStrings = [];
+    const sharedXml = files.get('xl/sharedStrings.xml')?.toString('utf8') || '';
+    for (const match of sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+        sharedStrings.push(readStringItem(match[1]));
+    }
+
+    const rows = [];
+    for (const rowMatch of sheet.toString('utf8').matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = parseInt(rowMatch[1].match(/\br="(\d+)"/)?.[1], 10) || rows.length + 1;
+        const row = [];
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attrs = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const ref = attrs.match(/\br="([A-Z]+\d*)"/i)?.[1];
+            const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+            const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+            let text = '';
+            if (type === 's') {
+                text = sharedStrings[parseInt(value, 10)] || '';
+            } else if (type === 'inlineStr') {
+                text = readStringItem(body);
+            } else if (type === 'b') {
+                text = value === '1' ? 'TRUE' : 'FALSE';
+            } else if (value !== undefined) {
+                text = unescapeXml(value);
+            }
+            row[ref ? columnIndex(ref) : row.length] = text;
+        }
+        rows[rowNumber - 1] = Array.from(row, cell => cell ?? '');
+    }
+    return Array.from(rows, row => row ?? []);
+}
+
+// ============================================================
+// Files
+// ============================================================
+
+/**
+ * Read a CSV or .xlsx file
+ * @param {string} filePath - File path
+ * @returns {Array<Array<string>>} - Rows of cells
+ * @throws {Error} If the file type isn't supported
+ */
+function readSpreadsheet(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.xlsx') {
+        return parseXlsx(fs.readFileSync(filePath));
+    }
+    if (ext === '.csv') {
+        return parseCsv(fs.readFileSync(filePath, 'utf8'));
+    }
+    throw new Error(`Unsupported file type: ${ext || filePath}. Use a .csv or .xlsx file.`);
+}
+
+/**
+ * Write rows to a CSV or .xlsx file, chosen by the file's extension
+ * @param {string} filePath - File path
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @param {Object} [options] - Options
+ * @param {string} [options.sheetName] - Sheet name for .xlsx files
+ */
+function writeSpreadsheet(filePath, rows, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.xlsx') {
+        fs.writeFileSync(filePath, buildXlsx(rows, options.sheetName));
+    } else if (ext === '.csv') {
+        fs.writeFileSync(filePath, BOM + formatCsv(rows), 'utf8');
+    } else {
+        throw new Error(`Unsupported file type: ${ext || filePath}. Use a .csv or .xlsx file.`);
+    }
+}
+
+module.exports = {
+    SPREADSHEET_EXTENSIONS,
+    parseCsv,
+    formatCsv,
+    buildXlsx,
+    parseXlsx,
+    readSpreadsheet,
+    writeSpreadsheet
+};
@@ -0,0 +1,119 @@
+/**
+ * Template Parameters
+ * Builds the Handlebars variables for an animal from the database.
+ * Shared by the main process (for the renderer) and the batch generator so every output
+ * sees the same variables.
+ */
+
+const db = require('./db.js');
+const { getSpecies, getSpeciesTemplateParams } = require('./species.js');
+const { formatWeight, formatAdoptionFee, getAlteredLabel } = require('./animal-facts.js');
+const { getCurrentAge, formatDisplayDate } = require('./animal-age.js');
+const { getCustomTemplateValues } = require('./custom-fields.js');
+const { getFosterTemplateValues } = require('./fosters.js');
+const { getEventTemplateValues } = require('./events.js');
+
+// Maximum number of traits exposed as trait1..traitN
+const MAX_TRAITS = 16;
+
+/**
+ * Get the traits list for an animal, building one from its data when none are stored
+ * @param {Object} animal - Animal row from the database
+ * @returns {Array<string>} - Up to 16 trait strings
+ */
+function getAnimalTraits(animal) {
+    // Get stored attributes, or build from animal data as fallback
+    let traits = db.getAnimalAttributes(animal.id);
+    if (traits && traits.length > 0) {
+        return traits;
+    }
+
+    console.log(`[Template Params] No traits found for ${animal.name}, using fallback`);
+    traits = [];
+    if (animal.breed) traits.push(animal.breed);
+    const age = getCurrentAge(animal).age_long;
+    if (age) traits.push(age);
+    if (animal.size) traits.push(animal.size);
+    if (animal.gender) traits.push(animal.gender);
+    if (animal.shots) traits.push('Up to date on shots');
+    if (animal.housetrained) traits.push(getSpecies(animal.species).housetrainedLabel);
+    if (animal.kids === 1) traits.push('Good with kids');
+    if (animal.dogs === 1) traits.push('Good with dogs');
+    if (animal.cats === 1) traits.push('Good with cats');
+    if (animal.rabbits === 1) traits.push('Good with rabbits');
+    if (animal.altered === '1') traits.push(getAlteredLabel(animal.gender));
+    if (animal.microchipped === '1') traits.push('Microchipped');
+    if (animal.weight_lbs) traits.push(formatWeight(animal.weight_lbs));
+    return traits;
+}
+
+/**
+ * Build template parameters for an animal
+ * @param {Object} animal - Animal row from the database
+ * @param {Object} [event] - Event the animal is being printed for (fills the event variables)
+ * @returns {Object} - Parameters for generateFromTemplate
+ */
+function buildTemplateParams(animal, event = null) {
+    const rescue = db.getRescueById(animal.rescue_id || 1);
+
+    // Get image data URLs for templates
+    const portraitDataUrl = db.getImageAsDataUrl(animal.id);
+    const logoDataUrl = rescue ? db.getRescueLogoAsDataUrl(rescue.id) : null;
+    const photos = db.getAnimalPhotoDataUrls(animal.id);
+    const foster = animal.foster_id ? db.getFosterById(animal.foster_id) : null;
+
+    const params = {
+        // Keeps output file names apart for animals with the same name
+        animalId: animal.id,
+        name: animal.name,
+        breed: animal.breed,
+        ageShort: animal.age_short,
+        ageLong: animal.age_long,
+        birthdate: animal.birthdate || '',
+        ...getSpeciesTemplateParams(animal.species),
+        size: animal.size,
+        gender: animal.gender,
+        shots: animal.shots,
+        housetrained: animal.housetrained,
+        kids: animal.kids,
+        dogs: animal.dogs,
+        cats: animal.cats,
+        rabbits: animal.rabbits,
+        weight: formatWeight(animal.weight_lbs),
+        weightLbs: animal.weight_lbs ?? '',
+        altered: animal.altered,
+        alteredLabel: animal.altered === '1' ? getAlteredLabel(animal.gender) : '',
+        microchipped: animal.microchipped,
+        adoptionFee: formatAdoptionFee(animal.adoption_fee),
+        specialNeeds: animal.special_needs || '',
+        intakeDate: formatDisplayDate(animal.intake_date),
+        slug: animal.slug,
+        bio: animal.bio || '',
+        status: animal.status || 'available',
+        adoptedDate: formatDisplayDate(animal.adopted_at),
+        portrait: portraitDataUrl || '',
+        photos,
+        photoCount: photos.length,
+        rescueName: rescue?.name || 'Paws Rescue League',
+        rescueWebsite: rescue?.website || 'pawsrescueleague.org',
+        logo: logoDataUrl || '',
+        // Blanked by the generator unless the template opts in (fosters.js)
+        ...getFosterTemplateValues(foster),
+        ...getEventTemplateValues(event),
+        custom: getCustomTemplateValues(rescue?.custom_fields, db.getAnimalCustomValues(animal.id))
+    };
+
+    // Add trait fields for the flyer template (up to 16)
+    const traits = getAnimalTraits(animal);
+    for (let i = 0; i < MAX_TRAITS; i++) {
+        params[`trait${i + 1}`] = traits[i] || '';
+    }
+
+    return params;
+}
+
+module.exports = {
+    buildTemplateParams,
+    getAnimalTraits,
+    MAX_TRAITS
+};
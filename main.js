@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { exec } = require('child_process');
@@ -7,13 +7,19 @@ const { exec } = require('child_process');
 const { ensureDirectories } = require('./app/paths.js');
 
 // Load scrapers in main process where puppeteer works properly
-const { scrapeAnimalPage: scrapeWagtopia } = require('./app/scrape-url-wagtopia.js');
-const { scrapeAnimalPage: scrapeAdoptapet } = require('./app/scrape-url-adoptapet.js');
-const { scrapeAnimalList: scrapeListWagtopia } = require('./app/scrape-list-wagtopia.js');
-const { scrapeAnimalList: scrapeListAdoptapet, buildShelterUrl: buildAdoptapetUrl } = require('./app/scrape-list-adoptapet.js');
+const scraperRegistry = require('./app/scraper-registry.js');
 
-// Database module for print profiles
+// Card generation and the shared Puppeteer pool live in the main process
+const { generateFromTemplate, generateSheetFromTemplate, generatePdf } = require('./app/generate-card-cli.js');
+const { generateEventPack } = require('./app/event-pack.js');
+const browserPool = require('./app/browser-pool.js');
+
+// The main process owns the database; renderers use it over IPC
 const db = require('./app/db.js');
+const dbIpc = require('./app/db-ipc.js');
+
+// Portraits and logos are served to the UI on animal-image:// URLs
+const imageProtocol = require('./app/image-protocol.js');
 
 // Windows printing module
 let printWindows = null;
@@ -27,6 +33,9 @@ let mainWindow;
 // Data directories - ensure they exist before window loads
 ensureDirectories();
 
+// Custom protocols must be declared before the app is ready
+imageProtocol.registerImageScheme();
+
 function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1000,
@@ -62,8 +71,10 @@ function createWindow() {
 }
 
 app.whenReady().then(async () => {
-    // Initialize database for print profiles
-    await db.initializeAsync();
+    // Open the database before the window asks for data
+    dbIpc.registerDatabaseHandlers();
+    await dbIpc.openDatabase();
+    imageProtocol.registerImageProtocol();
 
     createWindow();
 
@@ -80,44 +91,72 @@ app.on('window-all-closed', () => {
     }
 });
 
-// IPC handler for scraping URLs (Wagtopia)
-ipcMain.handle('scrape-animal-page-wagtopia', async (event, url) => {
+app.on('will-quit', () => {
+    browserPool.close();
+    // Write any changes still waiting for a batched save
+    db.close();
+});
+
+// IPC handler for scraping - dispatches to the scraper for the rescue type or the URL
+ipcMain.handle('scrape', async (event, request) => {
     try {
-        const result = await scrapeWagtopia(url);
+        const result = await scraperRegistry.scrape(request);
         return { success: true, data: result };
     } catch (error) {
+        console.error('[Main] Scrape failed:', error.message);
         return { success: false, error: error.message };
     }
 });
 
-// IPC handler for scraping URLs (Adoptapet)
-ipcMain.handle('scrape-animal-page-adoptapet', async (event, url) => {
+// IPC handler for listing available scrapers (built-in and plugins)
+ipcMain.handle('get-scrapers', async () => {
     try {
-        const result = await scrapeAdoptapet(url);
-        return { success: true, data: result };
+        return { success: true, data: scraperRegistry.listScrapers() };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
-// IPC handler for scraping animal lists (Wagtopia)
-ipcMain.handle('scrape-animal-list-wagtopia', async (event, orgId) => {
+// IPC handler for rendering a template for one animal
+ipcMain.handle('generate-from-template', async (event, template, params, options = {}) => {
     try {
-        const url = `https://www.wagtopia.com/search/org?id=${orgId}&iframe=normal`;
-        const result = await scrapeListWagtopia(url);
-        return { success: true, data: result };
+        const outputPath = await generateFromTemplate(template, params, options);
+        return { success: true, outputPath };
     } catch (error) {
+        console.error('[Main] Error generating from template:', error);
         return { success: false, error: error.message };
     }
 });
 
-// IPC handler for scraping animal lists (Adoptapet)
-ipcMain.handle('scrape-animal-list-adoptapet', async (event, shelterId) => {
+// IPC handler for rendering a mixed-animal card sheet
+ipcMain.handle('generate-sheet', async (event, template, entries, options = {}) => {
     try {
-        const url = buildAdoptapetUrl(shelterId);
-        const result = await scrapeListAdoptapet(url);
-        return { success: true, data: result };
+        const outputPath = await generateSheetFromTemplate(template, entries, options);
+        return { success: true, outputPath };
+    } catch (error) {
+        console.error('[Main] Error generating sheet:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// IPC handler for rendering a multi-page PDF
+ipcMain.handle('generate-pdf', async (event, jobs, outputPath, options = {}) => {
+    try {
+        const savedPath = await generatePdf(jobs, outputPath, options);
+        return { success: true, outputPath: savedPath };
+    } catch (error) {
+        console.error('[Main] Error generating PDF:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// IPC handler for rendering every card and flyer for an adoption event
+ipcMain.handle('generate-event-pack', async (event, eventId, options = {}) => {
+    try {
+        const manifest = await generateEventPack(eventId, options);
+        return { success: true, manifest };
     } catch (error) {
+        console.error('[Main] Error generating event pack:', error);
         return { success: false, error: error.message };
     }
 });
@@ -172,85 +211,132 @@ ipcMain.handle('open-in-gimp', async (event, filePath) => {
     }
 });
 
-// IPC handler for getting list of printers
-ipcMain.handle('get-printers', async (event) => {
+// IPC handler for choosing where to save an exported PDF
+ipcMain.handle('choose-pdf-save-path', async (event, defaultName) => {
     try {
-        const printers = await mainWindow.webContents.getPrintersAsync();
-        console.log('[Main] Found', printers.length, 'printers');
-        return { success: true, printers };
+        const { getOutputDir } = require('./app/paths.js');
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export PDF',
+            defaultPath: path.join(getOutputDir(), defaultName || 'foster-cards.pdf'),
+            filters: [{ name: 'PDF Documents', extensions: ['pdf'] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+        return { success: true, filePath: result.filePath };
     } catch (err) {
-        console.error('[Main] Error getting printers:', err);
+        console.error('[Main] Error showing save dialog:', err);
         return { success: false, error: err.message };
     }
 });
 
-// IPC handlers for print profiles
-ipcMain.handle('get-print-profiles', async (event, printerName) => {
+// IPC handler for choosing where to save a database backup
+ipcMain.handle('choose-backup-save-path', async (event, defaultName) => {
     try {
-        let profiles;
-        if (printerName) {
-            profiles = db.getPrintProfilesByPrinter(printerName);
-        } else {
-            profiles = db.getAllPrintProfiles();
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Back Up Database',
+            defaultPath: path.join(app.getPath('documents'), defaultName || 'foster-cards-backup.fcgbackup'),
+            filters: [{ name: 'Foster Card Backups', extensions: ['fcgbackup'] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
         }
-        return { success: true, profiles };
+        return { success: true, filePath: result.filePath };
     } catch (err) {
-        console.error('[Main] Error getting print profiles:', err);
+        console.error('[Main] Error showing save dialog:', err);
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('get-print-profile', async (event, id) => {
+// IPC handler for choosing a database backup to restore
+ipcMain.handle('choose-backup-file', async () => {
     try {
-        const profile = db.getPrintProfileById(id);
-        return { success: true, profile };
+        const { getBackupsDir } = require('./app/paths.js');
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Restore from Backup',
+            defaultPath: getBackupsDir(),
+            filters: [{ name: 'Foster Card Backups', extensions: ['fcgbackup'] }],
+            properties: ['openFile']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+        return { success: true, filePath: result.filePaths[0] };
     } catch (err) {
-        console.error('[Main] Error getting print profile:', err);
+        console.error('[Main] Error showing open dialog:', err);
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('get-default-print-profile', async (event, printerName) => {
+// IPC handler for choosing where to export the animal roster
+ipcMain.handle('choose-roster-save-path', async (event, defaultName) => {
     try {
-        const profile = db.getDefaultPrintProfileForPrinter(printerName);
-        return { success: true, profile };
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Roster',
+            defaultPath: path.join(app.getPath('documents'), defaultName || 'foster-animals.xlsx'),
+            filters: [
+                { name: 'Excel Workbooks', extensions: ['xlsx'] },
+                { name: 'CSV Files', extensions: ['csv'] }
+            ]
+        });
+
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+        return { success: true, filePath: result.filePath };
     } catch (err) {
-        console.error('[Main] Error getting default print profile:', err);
+        console.error('[Main] Error showing save dialog:', err);
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('save-print-profile', async (event, profile) => {
+// IPC handler for choosing a roster spreadsheet to import
+ipcMain.handle('choose-roster-file', async () => {
     try {
-        let result;
-        if (profile.id) {
-            result = db.updatePrintProfile(profile.id, profile);
-        } else {
-            result = db.createPrintProfile(profile);
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Import Roster',
+            defaultPath: app.getPath('documents'),
+            filters: [{ name: 'Spreadsheets', extensions: ['xlsx', 'csv'] }],
+            properties: ['openFile']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
         }
-        return { success: true, id: result.lastInsertRowid || profile.id };
+        return { success: true, filePath: result.filePaths[0] };
     } catch (err) {
-        console.error('[Main] Error saving print profile:', err);
+        console.error('[Main] Error showing open dialog:', err);
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('delete-print-profile', async (event, id) => {
+// IPC handler for opening a file with the system's default application
+ipcMain.handle('open-file', async (event, filePath) => {
+    console.log('[Main] Opening file:', filePath);
     try {
-        db.deletePrintProfile(id);
+        const result = await shell.openPath(filePath);
+        if (result) {
+            console.error('[Main] Shell open error:', result);
+            return { success: false, error: result };
+        }
         return { success: true };
     } catch (err) {
-        console.error('[Main] Error deleting print profile:', err);
+        console.error('[Main] Error opening file:', err);
         return { success: false, error: err.message };
     }
 });
 
-ipcMain.handle('set-default-print-profile', async (event, id) => {
+// IPC handler for getting list of printers
+ipcMain.handle('get-printers', async (event) => {
     try {
-        db.setDefaultPrintProfile(id);
-        return { success: true };
+        const printers = await mainWindow.webContents.getPrintersAsync();
+        console.log('[Main] Found', printers.length, 'printers');
+        return { success: true, printers };
     } catch (err) {
-        console.error('[Main] Error setting default print profile:', err);
+        console.error('[Main] Error getting printers:', err);
         return { success: false, error: err.message };
     }
 });
@@ -314,6 +400,11 @@ ipcMain.handle('delete-database-and-reload', async () => {
         const dbPath = db.getDbPath();
         console.log('[Main] Deleting database at:', dbPath);
 
+        // Keep a copy so an accidental reset can be undone from Settings
+        if (dbPath && fs.existsSync(dbPath)) {
+            db.createAutoBackup('before-reset');
+        }
+
         // Close the database connection
         db.close();
 
@@ -323,6 +414,10 @@ ipcMain.handle('delete-database-and-reload', async () => {
             console.log('[Main] Database deleted successfully');
         }
 
+        // Create a fresh database before the window asks for data again
+        await dbIpc.openDatabase();
+        dbIpc.broadcastChange('all', 'deleteDatabase');
+
         // Reload the app
         if (mainWindow) {
             mainWindow.reload();